@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const providerRegistry = require('../services/registry');
+const { computeWER } = require('../lib/scoring');
+const { parseSpeakerReference, computeDiarizationError } = require('../lib/diarization');
+const normalization = require('../lib/normalization');
+const { DEFAULT_KEYWORDS, parseKeywordList, computeKeywordRecall } = require('../lib/keywords');
+const { mimetypeForFile, runBenchmark } = require('../lib/benchmark');
+const { createRedactor } = require('../lib/redaction');
+const { transcribeWithLimit } = require('../lib/splitting');
+const { createAudioToolkit } = require('../lib/audio');
+const { decodeToPcm, streamFile } = require('../lib/replay');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_USAGE = 1;
+const EXIT_PROVIDER_FAILURE = 2;
+
+// Raised for bad arguments; the usage text is printed with the message
+class UsageError extends Error {}
+
+const USAGE = `Usage:
+  stt-compare transcribe <file|directory> [options]
+  stt-compare benchmark <manifest> --output <results.jsonl> [options]
+  stt-compare stream <file> [options]
+  stt-compare providers
+
+Options:
+  -p, --providers <ids>        Comma-separated provider ids (default: all configured)
+  -r, --reference <path>       Reference transcript; for a directory, a directory of
+                               <name>.txt files matching the audio file names
+  -n, --normalization <name>   Normalization profile used for scoring (default: ${normalization.DEFAULT_PROFILE})
+  -k, --keywords <path>        Keyword list scored by keyword recall: JSON ({ "Category": [terms] })
+                               or one term per line with [Category] headings (default: built-in dental terms)
+  -o, --output <path>          Write results as JSON (transcribe) or JSONL (benchmark)
+  -c, --concurrency <n>        Benchmark transcriptions in flight at once (default: 2)
+  -s, --speed <n|max>          Stream: playback speed through the real-time APIs (default: 1, real time)
+      --keep-phi               Don't redact names, dates, phone numbers and IDs in the output
+      --json                   Print results as JSON instead of a table
+  -h, --help                   Show this help
+
+Exit status is 0 when every provider succeeded, 2 when any provider failed
+and 1 for usage or setup errors.`;
+
+/**
+ * Resolve the --providers option to configured providers
+ * @param {string} [list] - Comma-separated provider ids
+ * @param {string} [capability] - 'batch' or 'realtime'
+ * @returns {Object[]} Providers
+ */
+function selectProviders(list, capability = 'batch') {
+  const ids = list
+    ? list.split(',').map(id => id.trim()).filter(Boolean)
+    : providerRegistry.listProviders().map(provider => provider.id);
+
+  ids.forEach(id => {
+    const provider = providerRegistry.getProvider(id);
+    if (!provider) throw new Error(`Unknown provider: ${id}`);
+    if (list && !providerRegistry.isConfigured(provider)) {
+      throw new Error(`${provider.name} is not configured (set ${provider.envVars.join(', ')})`);
+    }
+  });
+
+  const providers = providerRegistry.resolveProviders(ids, capability);
+  if (providers.length === 0) {
+    throw new Error(`No configured ${capability} providers selected`);
+  }
+  return providers;
+}
+
+/**
+ * Load the --keywords option
+ * @param {string} [keywordsPath] - Keyword list file
+ * @returns {Promise<Object>} Terms keyed by category
+ */
+async function loadKeywords(keywordsPath) {
+  if (!keywordsPath) return DEFAULT_KEYWORDS;
+  return parseKeywordList(await fs.readFile(keywordsPath, 'utf8'));
+}
+
+/**
+ * List the audio files to transcribe with their reference transcripts
+ * @param {string} input - Audio file or directory
+ * @param {string} [reference] - Reference file or directory
+ * @returns {Promise<Object[]>} Files with path and reference text
+ */
+async function collectFiles(input, reference) {
+  const stat = await fs.stat(input);
+
+  if (!stat.isDirectory()) {
+    if (reference && (await fs.stat(reference)).isDirectory()) {
+      throw new Error('--reference must be a file when transcribing a single file');
+    }
+    return [{
+      path: input,
+      reference: reference ? await fs.readFile(reference, 'utf8') : ''
+    }];
+  }
+
+  if (reference && !(await fs.stat(reference)).isDirectory()) {
+    throw new Error('--reference must be a directory when transcribing a directory');
+  }
+
+  const entries = (await fs.readdir(input)).filter(name => mimetypeForFile(name)).sort();
+  if (entries.length === 0) {
+    throw new Error(`No audio files found in ${input}`);
+  }
+
+  return Promise.all(entries.map(async name => {
+    let referenceText = '';
+    if (reference) {
+      const referencePath = path.join(reference, path.parse(name).name + '.txt');
+      referenceText = await fs.readFile(referencePath, 'utf8').catch(() => '');
+    }
+    return { path: path.join(input, name), reference: referenceText };
+  }));
+}
+
+/**
+ * Transcribe one file with every provider in parallel
+ * @param {Object} file - File path and reference
+ * @param {Object[]} providers - Providers to run
+ * @param {string} profile - Normalization profile name
+ * @param {Object} keywords - Keyword recall terms keyed by category
+ * @param {boolean} redact - Redact PHI in the results (scores use the original text)
+ * @returns {Promise<Object>} Results keyed by provider id
+ */
+async function transcribeFile(file, providers, profile, keywords, redact) {
+  const audioBuffer = await fs.readFile(file.path);
+  const mimetype = mimetypeForFile(file.path);
+  const redactor = createRedactor({ enabled: redact });
+  const results = {};
+
+  await Promise.all(providers.map(async provider => {
+    let result;
+    if (!providerRegistry.supportsMimetype(provider, mimetype)) {
+      result = { text: null, time: null, confidence: null, error: `${provider.name} does not support ${mimetype ? `${mimetype} files` : path.basename(file.path)}` };
+    } else {
+      result = await transcribeWithLimit(provider, audioBuffer, { filename: path.basename(file.path), mimetype })
+        .catch(error => ({ text: null, time: null, confidence: null, error: error.message }));
+    }
+
+    const reference = parseSpeakerReference(file.reference);
+    if (reference.text && typeof result.text === 'string') {
+      result.score = computeWER(reference.text, result.text, { profile });
+      if (reference.segments) {
+        result.score.diarization = computeDiarizationError(reference.segments, result.words, { profile });
+      }
+      result.score.keywords = computeKeywordRecall(reference.text, result.text, keywords, { profile });
+    }
+    results[provider.id] = redactor.redactResult(result, { reference: reference.text, profile });
+  }));
+
+  return results;
+}
+
+/**
+ * Format rows as a plain-text table
+ * @param {string[]} header - Column titles
+ * @param {string[][]} rows - Cell values
+ * @returns {string} Table text
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+}
+
+/**
+ * Format keyword recall with the hits behind it
+ * @param {Object|null} keywords - Keyword recall summary
+ * @returns {string} Cell text
+ */
+function formatKeywordRecall(keywords) {
+  return keywords ? `${(keywords.recall * 100).toFixed(1)}% (${keywords.hits}/${keywords.occurrences})` : '-';
+}
+
+/**
+ * Print one file's results as a comparison table
+ * @param {string} filePath - Audio file
+ * @param {Object} results - Results keyed by provider id
+ */
+function printComparison(filePath, results) {
+  const rows = Object.entries(results).map(([id, result]) => {
+    const name = providerRegistry.getProvider(id).name;
+    if (result.error) {
+      return [name, '-', '-', '-', '-', `ERROR: ${result.error}`];
+    }
+    const text = result.text || '';
+    return [
+      name,
+      result.score && result.score.wer !== null ? `${(result.score.wer * 100).toFixed(1)}%` : '-',
+      formatKeywordRecall(result.score && result.score.keywords),
+      result.time !== null && result.time !== undefined ? `${(result.time / 1000).toFixed(2)}s` : '-',
+      result.confidence !== null && result.confidence !== undefined ? `${(result.confidence * 100).toFixed(1)}%` : '-',
+      text.length > 60 ? text.slice(0, 57) + '...' : text
+    ];
+  });
+
+  console.log(`\n${filePath}`);
+  console.log(formatTable(['Provider', 'WER', 'Keywords', 'Time', 'Confidence', 'Transcript'], rows));
+}
+
+async function commandTranscribe(values, positionals) {
+  if (positionals.length !== 1) throw new UsageError('transcribe needs one file or directory');
+
+  const profile = values.normalization || normalization.DEFAULT_PROFILE;
+  normalization.getProfile(profile);
+  const providers = selectProviders(values.providers);
+  const files = await collectFiles(positionals[0], values.reference);
+  const keywords = await loadKeywords(values.keywords);
+
+  const output = { normalization: profile, files: [] };
+  let failed = false;
+
+  for (const file of files) {
+    const results = await transcribeFile(file, providers, profile, keywords, !values['keep-phi']);
+    if (Object.values(results).some(result => result.error)) failed = true;
+    output.files.push({ file: file.path, results });
+    if (!values.json) printComparison(file.path, results);
+  }
+
+  if (values.json) {
+    printJSON(output);
+  }
+  if (values.output) {
+    await fs.writeFile(values.output, JSON.stringify(output, null, 2) + '\n');
+    if (!values.json) console.log(`\nResults written to ${values.output}`);
+  }
+
+  return failed ? EXIT_PROVIDER_FAILURE : EXIT_OK;
+}
+
+/**
+ * Parse the --speed option
+ * @param {string} [value] - Speed multiple, or 'max'
+ * @returns {number} Playback speed
+ */
+function parseSpeed(value) {
+  if (!value) return 1;
+  if (value === 'max') return Infinity;
+  const speed = Number(value);
+  if (!(speed > 0)) throw new UsageError('--speed must be a positive number or "max"');
+  return speed;
+}
+
+/**
+ * Parse --concurrency
+ * @param {string} [value] - Option value
+ * @returns {number|undefined} Transcriptions in flight, or undefined for the default
+ */
+function parseConcurrency(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw new UsageError('--concurrency must be a positive integer');
+  return Number(value);
+}
+
+async function commandStream(values, positionals) {
+  if (positionals.length !== 1) throw new UsageError('stream needs one audio file');
+
+  const profile = values.normalization || normalization.DEFAULT_PROFILE;
+  normalization.getProfile(profile);
+  const speed = parseSpeed(values.speed);
+  const providers = selectProviders(values.providers, 'realtime');
+  const keywords = await loadKeywords(values.keywords);
+  const reference = parseSpeakerReference(values.reference ? await fs.readFile(values.reference, 'utf8') : '');
+
+  const toolkit = createAudioToolkit();
+  await toolkit.detect();
+  const pcm = await decodeToPcm(positionals[0], toolkit);
+  if (!values.json) {
+    const seconds = pcm.length / 2 / 16000;
+    console.log(`Streaming ${seconds.toFixed(1)}s of audio at ${speed === Infinity ? 'full speed' : `${speed}x`}...`);
+  }
+
+  const redactor = createRedactor({ enabled: !values['keep-phi'] });
+  const streamed = await streamFile(providers, pcm, { speed });
+  const results = {};
+  Object.entries(streamed).forEach(([id, result]) => {
+    if (reference.text && !result.error) {
+      result.score = computeWER(reference.text, result.text, { profile });
+      result.score.keywords = computeKeywordRecall(reference.text, result.text, keywords, { profile });
+    }
+    result.finals = result.finals.map(text => redactor.redactText(text));
+    results[id] = redactor.redactResult(result, { reference: reference.text, profile });
+  });
+
+  const output = { file: positionals[0], speed: speed === Infinity ? 'max' : speed, normalization: profile, results };
+  if (values.json) {
+    printJSON(output);
+  } else {
+    const rows = Object.entries(results).map(([id, result]) => {
+      const name = providerRegistry.getProvider(id).name;
+      if (result.error) return [name, '-', '-', '-', '-', '-', '-', '-', `ERROR: ${result.error}`];
+      const p50 = summary => (summary.p50 === null ? '-' : `${summary.p50}ms`);
+      return [
+        name,
+        result.score ? `${(result.score.wer * 100).toFixed(1)}%` : '-',
+        formatKeywordRecall(result.score && result.score.keywords),
+        String(result.finals.length),
+        String(result.partials),
+        p50(result.latency.wordDelay),
+        p50(result.latency.finalization),
+        result.stability.score === null ? '-' : `${(result.stability.score * 100).toFixed(0)}%`,
+        result.text.length > 60 ? result.text.slice(0, 57) + '...' : result.text
+      ];
+    });
+    console.log('\n' + formatTable(['Provider', 'WER', 'Keywords', 'Finals', 'Partials', 'Word delay', 'Final lag', 'Stability', 'Transcript'], rows));
+  }
+  if (values.output) {
+    await fs.writeFile(values.output, JSON.stringify(output, null, 2) + '\n');
+    if (!values.json) console.log(`\nResults written to ${values.output}`);
+  }
+
+  return Object.values(results).some(result => result.error) ? EXIT_PROVIDER_FAILURE : EXIT_OK;
+}
+
+async function commandBenchmark(values, positionals) {
+  if (positionals.length !== 1) throw new UsageError('benchmark needs one manifest');
+  if (!values.output) throw new UsageError('benchmark needs --output');
+  const concurrency = parseConcurrency(values.concurrency);
+
+  const { summary, summaryPath } = await runBenchmark({
+    manifest: positionals[0],
+    output: values.output,
+    providers: selectProviders(values.providers).map(provider => provider.id),
+    concurrency,
+    normalization: values.normalization,
+    keywords: await loadKeywords(values.keywords),
+    redact: !values['keep-phi'],
+    onProgress: values.json ? null : (record, completed, total) => {
+      const status = record.error ? `error: ${record.error}` : `${record.latency}ms`;
+      console.log(`[${completed}/${total}] ${record.provider} ${record.id} ${status}`);
+    }
+  });
+
+  if (values.json) {
+    printJSON(summary);
+  } else {
+    const rows = Object.entries(summary.providers).map(([id, stats]) => [
+      providerRegistry.getProvider(id).name,
+      stats.wer === null ? '-' : `${(stats.wer * 100).toFixed(1)}%`,
+      stats.keywordRecall === null ? '-' : `${(stats.keywordRecall * 100).toFixed(1)}%`,
+      stats.latency.p50 === null ? '-' : `${stats.latency.p50}ms`,
+      stats.latency.p90 === null ? '-' : `${stats.latency.p90}ms`,
+      `${stats.failures}/${stats.items}`
+    ]);
+    console.log('\n' + formatTable(['Provider', 'WER', 'Keyword recall', 'p50', 'p90', 'Failed'], rows));
+    console.log(`\nSummary written to ${summaryPath}`);
+  }
+
+  const failed = Object.values(summary.providers).some(stats => stats.failures > 0);
+  return failed ? EXIT_PROVIDER_FAILURE : EXIT_OK;
+}
+
+function commandProviders(values) {
+  const providers = providerRegistry.listProviders().map(providerRegistry.describeProvider);
+  if (values.json) {
+    printJSON(providers);
+  } else {
+    const rows = providers.map(provider => [
+      provider.id,
+      provider.name,
+      [provider.batch && 'batch', provider.realtime && 'realtime'].filter(Boolean).join(', '),
+      provider.configured ? 'yes' : `no (${provider.envVars.join(', ')})`
+    ]);
+    console.log(formatTable(['Id', 'Name', 'Modes', 'Configured'], rows));
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Print a JSON document to stdout
+ * @param {*} value - Document
+ */
+function printJSON(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      providers: { type: 'string', short: 'p' },
+      reference: { type: 'string', short: 'r' },
+      normalization: { type: 'string', short: 'n' },
+      keywords: { type: 'string', short: 'k' },
+      output: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c' },
+      speed: { type: 'string', short: 's' },
+      json: { type: 'boolean' },
+      'keep-phi': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  // With --json, stdout carries the document only; anything else logged, such
+  // as the real-time adapters' connection messages, goes to stderr
+  if (values.json) console.log = console.error;
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  providerRegistry.loadProviders();
+
+  switch (command) {
+    case 'transcribe':
+      return commandTranscribe(values, rest);
+    case 'benchmark':
+      return commandBenchmark(values, rest);
+    case 'stream':
+      return commandStream(values, rest);
+    case 'providers':
+      return commandProviders(values);
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`\n${USAGE}`);
+    }
+    process.exitCode = EXIT_USAGE;
+  });
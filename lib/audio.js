@@ -0,0 +1,384 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Mimetypes browsers and operating systems send for the same formats
+const MIMETYPE_ALIASES = {
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'audio/mp3': 'audio/mpeg',
+  'audio/mpeg3': 'audio/mpeg',
+  'audio/x-mpeg': 'audio/mpeg',
+  'audio/x-mp3': 'audio/mpeg',
+  'audio/mp4': 'audio/x-m4a',
+  'audio/m4a': 'audio/x-m4a',
+  'audio/x-flac': 'audio/flac',
+  'application/ogg': 'audio/ogg',
+  'audio/x-aac': 'audio/aac'
+};
+
+// Mimetypes by extension, for uploads sent as application/octet-stream
+const EXTENSION_MIMETYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/x-m4a',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.wma': 'audio/x-ms-wma',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.3gp': 'video/3gpp'
+};
+
+// What each provider receives: the upload as is, a 16 kHz mono WAV made from
+// it, or (auto) the upload when the provider accepts its format
+const AUDIO_FORMATS = ['auto', 'original', 'normalized'];
+const DEFAULT_AUDIO_FORMAT = 'auto';
+
+// Enough of a WAV file to reach its data chunk past any metadata chunks
+const WAV_HEADER_BYTES = 64 * 1024;
+
+// ffmpeg and ffprobe runs are bounded so a damaged file can't hang a job
+const TOOL_TIMEOUT_MS = 120000;
+
+/**
+ * Canonical mimetype of an upload: parameters dropped, aliases resolved, and
+ * the extension used when the browser sent nothing specific
+ * @param {string} mimetype - Mimetype as uploaded
+ * @param {string} [filename] - Original file name
+ * @returns {string|null} Mimetype, or null when it can't be determined
+ */
+function canonicalMimetype(mimetype, filename = '') {
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!type || type === 'application/octet-stream') {
+    return EXTENSION_MIMETYPES[path.extname(filename).toLowerCase()] || null;
+  }
+  return MIMETYPE_ALIASES[type] || type;
+}
+
+/**
+ * Whether a mimetype is audio or video that ffmpeg can be asked to decode
+ * @param {string|null} mimetype - Canonical mimetype
+ * @returns {boolean} True for audio and video types
+ */
+function isMediaMimetype(mimetype) {
+  return Boolean(mimetype) && /^(audio|video)\//.test(mimetype);
+}
+
+/**
+ * Run ffmpeg or ffprobe
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} Standard output
+ */
+function runTool(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: TOOL_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${path.basename(command)} failed: ${(stderr || error.message).trim().split('\n').pop()}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Create the audio toolkit: probing and transcoding with ffmpeg when it is
+ * installed (FFMPEG_PATH and FFPROBE_PATH override the executables), and a
+ * WAV-only fallback when it is not
+ * @param {Object} [options] - Toolkit options
+ * @param {string} [options.ffmpegPath] - ffmpeg executable
+ * @param {string} [options.ffprobePath] - ffprobe executable
+ * @param {string} [options.tempDir] - Directory for normalized files
+ * @returns {Object} Toolkit with detect, available, probe, normalize and normalizeToFile
+ */
+function createAudioToolkit(options = {}) {
+  const {
+    ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath = process.env.FFPROBE_PATH || 'ffprobe',
+    tempDir = path.join(__dirname, '..', 'uploads')
+  } = options;
+  let available = false;
+
+  return {
+    /**
+     * Check whether ffmpeg and ffprobe can be run; call once at startup
+     * @returns {Promise<boolean>} Whether they are available
+     */
+    detect: async function() {
+      try {
+        await runTool(ffmpegPath, ['-version']);
+        await runTool(ffprobePath, ['-version']);
+        available = true;
+      } catch (error) {
+        available = false;
+      }
+      return available;
+    },
+
+    /**
+     * Whether ffmpeg was found by detect()
+     * @returns {boolean} Availability
+     */
+    available: function() {
+      return available;
+    },
+
+    /**
+     * Describe an audio or video file
+     * @param {string} filePath - File to probe
+     * @param {Buffer} [buffer] - File contents, for the WAV fallback without ffprobe (read from the file when omitted)
+     * @returns {Promise<Object>} { duration, sampleRate, channels, codec, container, hasVideo }, null where unknown
+     */
+    probe: async function(filePath, buffer) {
+      if (!available) {
+        const wav = buffer ? parseWavHeader(buffer) : await parseWavFile(filePath).catch(() => null);
+        return wav ? describeWav(wav) : emptyProbe();
+      }
+      try {
+        const output = await runTool(ffprobePath, [
+          '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+        ]);
+        return parseProbe(JSON.parse(output));
+      } catch (error) {
+        console.error('Failed to probe audio:', error.message);
+        return emptyProbe();
+      }
+    },
+
+    /**
+     * Convert a file to 16 kHz mono 16-bit PCM WAV, dropping any video
+     * @param {string} filePath - Source file
+     * @returns {Promise<Buffer>} WAV file contents
+     */
+    normalize: async function(filePath) {
+      const output = await this.normalizeToFile(filePath);
+      try {
+        return await fs.readFile(output);
+      } finally {
+        await fs.unlink(output).catch(() => {});
+      }
+    },
+
+    /**
+     * Convert a file to 16 kHz mono 16-bit PCM WAV in the temp directory,
+     * for audio too long to hold in memory. The caller removes the file.
+     * @param {string} filePath - Source file
+     * @returns {Promise<string>} Path of the WAV file
+     */
+    normalizeToFile: async function(filePath) {
+      if (!available) {
+        throw new Error('Audio normalization needs ffmpeg, which was not found');
+      }
+      await fs.mkdir(tempDir, { recursive: true });
+      const output = path.join(tempDir, `normalized_${crypto.randomBytes(8).toString('hex')}.wav`);
+      try {
+        await runTool(ffmpegPath, [
+          '-nostdin', '-v', 'error', '-y', '-i', filePath,
+          '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', '-f', 'wav', output
+        ]);
+        return output;
+      } catch (error) {
+        await fs.unlink(output).catch(() => {});
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * A probe result with nothing known
+ * @returns {Object} Probe fields, all null
+ */
+function emptyProbe() {
+  return { duration: null, sampleRate: null, channels: null, codec: null, container: null, hasVideo: null };
+}
+
+/**
+ * Reduce ffprobe's JSON to the fields kept in audioInfo
+ * @param {Object} output - ffprobe -show_format -show_streams output
+ * @returns {Object} { duration, sampleRate, channels, codec, container, hasVideo }
+ */
+function parseProbe(output) {
+  const streams = output.streams || [];
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const number = value => (value === undefined || value === null || Number.isNaN(Number(value)) ? null : Number(value));
+  const duration = number(output.format && output.format.duration) ?? number(audio && audio.duration);
+  return {
+    duration,
+    sampleRate: number(audio && audio.sample_rate),
+    channels: number(audio && audio.channels),
+    codec: (audio && audio.codec_name) || null,
+    container: (output.format && output.format.format_name) || null,
+    hasVideo: streams.some(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic))
+  };
+}
+
+/**
+ * Locate the format and sample data of a RIFF WAV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { audioFormat, channels, sampleRate, bitsPerSample, dataStart, dataLength }, or null when not WAV
+ */
+function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 24 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      if (!format) return null;
+      const dataStart = offset + 8;
+      return { ...format, dataStart, dataLength: Math.min(size, buffer.length - dataStart) };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Locate the format and sample data of a WAV file on disk, reading only its
+ * first WAV_HEADER_BYTES
+ * @param {string} filePath - File
+ * @returns {Promise<Object|null>} parseWavHeader output for the whole file, or null when not WAV
+ */
+async function parseWavFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, WAV_HEADER_BYTES));
+    await handle.read(head, 0, head.length, 0);
+    const wav = parseWavHeader(head);
+    if (!wav) return null;
+    // The data chunk runs past the bytes read; its declared size precedes it
+    return { ...wav, dataLength: Math.min(head.readUInt32LE(wav.dataStart - 4), size - wav.dataStart) };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Build a 44-byte PCM WAV header
+ * @param {Object} wav - Format: channels, sampleRate and bitsPerSample (e.g. parseWavHeader output)
+ * @param {number} dataLength - Bytes of sample data that follow
+ * @returns {Buffer} Header
+ */
+function wavHeader(wav, dataLength) {
+  const blockAlign = wav.channels * (wav.bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(wav.channels, 22);
+  header.writeUInt32LE(wav.sampleRate, 24);
+  header.writeUInt32LE(wav.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(wav.bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+/**
+ * Probe fields of a parsed WAV header
+ * @param {Object} wav - parseWavHeader output
+ * @returns {Object} Probe fields
+ */
+function describeWav(wav) {
+  const bytesPerSecond = wav.sampleRate * wav.channels * (wav.bitsPerSample / 8);
+  return {
+    duration: bytesPerSecond > 0 ? wav.dataLength / bytesPerSecond : null,
+    sampleRate: wav.sampleRate,
+    channels: wav.channels,
+    codec: wav.audioFormat === 1 ? `pcm_s${wav.bitsPerSample}le` : null,
+    container: 'wav',
+    hasVideo: false
+  };
+}
+
+/**
+ * Samples of a 16-bit PCM WAV file as mono 16-bit PCM at the given rate:
+ * channels are averaged and the rate converted by linear interpolation
+ * @param {Buffer} buffer - WAV file contents
+ * @param {number} [sampleRate] - Output sample rate
+ * @returns {Buffer|null} PCM samples, or null when the file isn't 16-bit PCM WAV
+ */
+function wavToPcm(buffer, sampleRate = 16000) {
+  const wav = parseWavHeader(buffer);
+  if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16) return null;
+
+  const blockAlign = wav.channels * 2;
+  const frames = Math.floor(wav.dataLength / blockAlign);
+  const mono = index => {
+    let sum = 0;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      sum += buffer.readInt16LE(wav.dataStart + index * blockAlign + channel * 2);
+    }
+    return sum / wav.channels;
+  };
+
+  if (wav.channels === 1 && wav.sampleRate === sampleRate) {
+    return Buffer.from(buffer.subarray(wav.dataStart, wav.dataStart + frames * 2));
+  }
+
+  const ratio = wav.sampleRate / sampleRate;
+  const length = Math.floor(frames / ratio);
+  const output = Buffer.alloc(length * 2);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, frames - 1);
+    const value = mono(index) + (mono(next) - mono(index)) * (position - index);
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return output;
+}
+
+/**
+ * Decide what a provider receives
+ * @param {string} requested - 'auto', 'original' or 'normalized'
+ * @param {boolean} supported - Whether the provider accepts the upload's format
+ * @param {boolean} canNormalize - Whether ffmpeg is available
+ * @returns {string|null} 'original', 'normalized', or null when the provider can't be served
+ */
+function chooseAudioFormat(requested, supported, canNormalize) {
+  if (requested === 'normalized') return canNormalize ? 'normalized' : null;
+  if (supported) return 'original';
+  return requested === 'auto' && canNormalize ? 'normalized' : null;
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  DEFAULT_AUDIO_FORMAT,
+  canonicalMimetype,
+  isMediaMimetype,
+  createAudioToolkit,
+  parseProbe,
+  parseWavHeader,
+  parseWavFile,
+  wavHeader,
+  wavToPcm,
+  chooseAudioFormat
+};
@@ -0,0 +1,398 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const providerRegistry = require('../services/registry');
+const { computeWER } = require('./scoring');
+const { parseSpeakerReference } = require('./diarization');
+const { DEFAULT_KEYWORDS, computeKeywordRecall } = require('./keywords');
+const { DEFAULT_PROFILE, getProfile } = require('./normalization');
+const { summarize } = require('./stats');
+const { createRedactor } = require('./redaction');
+const { transcribeWithLimit } = require('./splitting');
+
+// Upload mimetypes by file extension, matching what the browser sends
+const MIMETYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/x-m4a',
+  '.webm': 'audio/webm'
+};
+
+// Transcriptions in flight when no concurrency is given
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Guess the upload mimetype of an audio file from its extension
+ * @param {string} filePath - Audio file path
+ * @returns {string|null} Mimetype or null when unknown
+ */
+function mimetypeForFile(filePath) {
+  return MIMETYPES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and "" escapes)
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Read a benchmark manifest. JSONL manifests have one object per line; CSV
+ * manifests need a header row. Recognised fields: audio (required), id,
+ * reference, reference_file and tags (array, or ";"-separated in CSV).
+ * Relative paths are resolved against the manifest's directory.
+ * @param {string} manifestPath - Path to a .jsonl or .csv manifest
+ * @returns {Promise<Object[]>} Items with id, audio, mimetype, reference and tags
+ */
+async function loadManifest(manifestPath) {
+  const content = await fs.readFile(manifestPath, 'utf8');
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+
+  let rows;
+  if (path.extname(manifestPath).toLowerCase() === '.csv') {
+    const header = parseCSVLine(lines.shift()).map(name => name.trim());
+    rows = lines.map(line => {
+      const fields = parseCSVLine(line);
+      const row = {};
+      header.forEach((name, index) => { row[name] = fields[index]; });
+      return row;
+    });
+  } else {
+    rows = lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on manifest line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  const items = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    if (!row.audio) {
+      throw new Error(`Manifest entry ${index + 1} has no audio path`);
+    }
+
+    const audio = path.resolve(baseDir, row.audio);
+    const id = row.id || row.audio;
+    if (seen.has(id)) {
+      throw new Error(`Duplicate manifest id: ${id}`);
+    }
+    seen.add(id);
+
+    let reference = row.reference || '';
+    if (!reference && row.reference_file) {
+      reference = await fs.readFile(path.resolve(baseDir, row.reference_file), 'utf8');
+    }
+
+    let tags = row.tags || [];
+    if (typeof tags === 'string') {
+      tags = tags.split(';').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    items.push({
+      id,
+      audio,
+      mimetype: row.mimetype || mimetypeForFile(audio),
+      reference: reference.trim(),
+      tags
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Replace a file's contents through a temporary file, so a crash never
+ * leaves a results file half written
+ * @param {string} target - File to write
+ * @param {string} content - New contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(target, content) {
+  const temp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temp, content);
+  await fs.rename(temp, target);
+}
+
+/**
+ * Read records from a previous run so it can be resumed
+ * @param {string} outputPath - Results file
+ * @returns {Promise<Object[]>} Successful records (failed ones are retried)
+ */
+async function loadPreviousRecords(outputPath) {
+  let content;
+  try {
+    content = await fs.readFile(outputPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A crash can leave a truncated last line; that task simply runs again
+    }
+  });
+
+  return records.filter(record => !record.error);
+}
+
+/**
+ * Aggregate benchmark records for one provider (or one provider and tag)
+ * @param {Object[]} records - Result records
+ * @returns {Object} Item counts, WER, keyword recall and latency summary
+ */
+function aggregateRecords(records) {
+  const succeeded = records.filter(record => !record.error);
+  const scored = succeeded.filter(record => typeof record.wer === 'number');
+
+  // Corpus WER weights each item by its reference length
+  const referenceWords = scored.reduce((sum, record) => sum + record.referenceWords, 0);
+  const errors = scored.reduce((sum, record) => sum + record.substitutions + record.insertions + record.deletions, 0);
+
+  // Keyword recall pools every keyword occurrence across items
+  const keywordRecords = scored.filter(record => record.keywords);
+  const keywordOccurrences = keywordRecords.reduce((sum, record) => sum + record.keywords.occurrences, 0);
+  const keywordHits = keywordRecords.reduce((sum, record) => sum + record.keywords.hits, 0);
+
+  return {
+    items: records.length,
+    failures: records.length - succeeded.length,
+    scored: scored.length,
+    wer: referenceWords > 0 ? errors / referenceWords : null,
+    meanWer: summarize(scored.map(record => record.wer)).mean,
+    substitutions: scored.reduce((sum, record) => sum + record.substitutions, 0),
+    insertions: scored.reduce((sum, record) => sum + record.insertions, 0),
+    deletions: scored.reduce((sum, record) => sum + record.deletions, 0),
+    referenceWords,
+    keywordRecall: keywordOccurrences > 0 ? keywordHits / keywordOccurrences : null,
+    keywordOccurrences,
+    latency: summarize(succeeded.map(record => record.latency))
+  };
+}
+
+/**
+ * Summarize a benchmark run per provider and per tag
+ * @param {Object[]} records - Result records
+ * @param {string[]} providerIds - Providers in the run
+ * @returns {Object} Summary keyed by provider, plus per-tag breakdowns
+ */
+function summarizeRecords(records, providerIds) {
+  const summary = { providers: {}, tags: {} };
+
+  providerIds.forEach(id => {
+    summary.providers[id] = aggregateRecords(records.filter(record => record.provider === id));
+  });
+
+  const tags = [...new Set(records.flatMap(record => record.tags))].sort();
+  tags.forEach(tag => {
+    summary.tags[tag] = {};
+    providerIds.forEach(id => {
+      summary.tags[tag][id] = aggregateRecords(
+        records.filter(record => record.provider === id && record.tags.includes(tag))
+      );
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * Transcribe one manifest item with one provider and score it
+ * @param {Object} item - Manifest item
+ * @param {Object} provider - Registered provider
+ * @param {string} profile - Normalization profile name
+ * @param {Object} keywords - Keyword recall terms keyed by category
+ * @param {boolean} redact - Redact PHI in the recorded text (scores use the original)
+ * @returns {Promise<Object>} Result record
+ */
+async function runTask(item, provider, profile, keywords, redact) {
+  const record = {
+    id: item.id,
+    provider: provider.id,
+    tags: item.tags,
+    text: null,
+    latency: null,
+    error: null
+  };
+
+  try {
+    if (item.mimetype && !providerRegistry.supportsMimetype(provider, item.mimetype)) {
+      throw new Error(`${provider.name} does not support ${item.mimetype} files`);
+    }
+
+    const audioBuffer = await fs.readFile(item.audio);
+    const result = await transcribeWithLimit(provider, audioBuffer, {
+      filename: path.basename(item.audio),
+      mimetype: item.mimetype
+    });
+
+    record.text = result.text;
+    record.latency = result.time;
+    record.error = result.error || null;
+  } catch (error) {
+    record.error = error.message;
+  }
+
+  if (!record.error && item.reference && typeof record.text === 'string') {
+    const reference = parseSpeakerReference(item.reference).text;
+    const { alignment, normalization, ...score } = computeWER(reference, record.text, { profile });
+    Object.assign(record, score);
+    record.keywords = computeKeywordRecall(reference, record.text, keywords, { profile });
+  }
+
+  if (redact) {
+    const redactor = createRedactor();
+    record.text = redactor.redactText(record.text);
+    if (record.keywords) {
+      record.keywords.terms.forEach(term => {
+        term.substitutedAs = term.substitutedAs.map(heard => redactor.redactText(heard));
+      });
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Run every selected provider over every manifest item
+ * @param {Object} options - Benchmark options
+ * @param {string} options.manifest - Manifest path (.jsonl or .csv)
+ * @param {string} options.output - Results file (JSONL); an existing file is resumed
+ * @param {string[]} [options.providers] - Provider ids (default: all configured batch providers)
+ * @param {number} [options.concurrency] - Maximum transcriptions in flight
+ * @param {string} [options.normalization] - Normalization profile used for scoring
+ * @param {Object} [options.keywords] - Keyword recall terms keyed by category (default: DEFAULT_KEYWORDS)
+ * @param {boolean} [options.redact] - Redact PHI in the recorded transcripts (default: true)
+ * @param {Function} [options.onProgress] - Called with (record, completed, total) after each task
+ * @returns {Promise<Object>} Records, summary and the summary file path
+ */
+async function runBenchmark(options) {
+  const {
+    manifest,
+    output,
+    concurrency = DEFAULT_CONCURRENCY,
+    normalization = DEFAULT_PROFILE,
+    keywords = DEFAULT_KEYWORDS,
+    redact = true,
+    onProgress
+  } = options;
+
+  if (!manifest) throw new Error('A manifest path is required');
+  if (!output) throw new Error('An output path is required');
+  getProfile(normalization);
+
+  providerRegistry.loadProviders();
+  const requested = options.providers || providerRegistry.listProviders().map(provider => provider.id);
+  requested.forEach(id => {
+    if (!providerRegistry.getProvider(id)) throw new Error(`Unknown provider: ${id}`);
+  });
+  const providers = providerRegistry.resolveProviders(requested, 'batch');
+  if (providers.length === 0) {
+    throw new Error('No configured batch providers selected');
+  }
+
+  const items = await loadManifest(manifest);
+  const previous = await loadPreviousRecords(output);
+  const done = new Set(previous.map(record => `${record.id}\u0000${record.provider}`));
+
+  // Rewrite the file without failed or truncated records before appending
+  await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+  await writeFileAtomic(output, previous.map(record => JSON.stringify(record) + '\n').join(''));
+
+  const tasks = [];
+  items.forEach(item => {
+    providers.forEach(provider => {
+      if (!done.has(`${item.id}\u0000${provider.id}`)) {
+        tasks.push({ item, provider });
+      }
+    });
+  });
+
+  const records = [...previous];
+  const total = items.length * providers.length;
+  let next = 0;
+
+  // Each worker pulls the next pending task until none remain
+  const worker = async () => {
+    while (next < tasks.length) {
+      const { item, provider } = tasks[next++];
+      const record = await runTask(item, provider, normalization, keywords, redact);
+      // Count before awaiting the append, while no other worker can push
+      const completed = records.push(record);
+      await fs.appendFile(output, JSON.stringify(record) + '\n');
+      if (onProgress) onProgress(record, completed, total);
+    }
+  };
+
+  // A concurrency that isn't a number (e.g. NaN from a bad option) runs with the default
+  const limit = Number.isFinite(concurrency) ? concurrency : DEFAULT_CONCURRENCY;
+  const workerCount = Math.max(1, Math.min(limit, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  // Stable ordering (manifest order, then provider order) keeps runs diffable
+  const itemOrder = new Map(items.map((item, index) => [item.id, index]));
+  const providerIds = providers.map(provider => provider.id);
+  const runRecords = records
+    .filter(record => itemOrder.has(record.id) && providerIds.includes(record.provider))
+    .sort((a, b) => (
+      itemOrder.get(a.id) - itemOrder.get(b.id) ||
+      providerIds.indexOf(a.provider) - providerIds.indexOf(b.provider)
+    ));
+  await writeFileAtomic(output, runRecords.map(record => JSON.stringify(record) + '\n').join(''));
+
+  const summary = {
+    manifest: path.basename(manifest),
+    normalization,
+    items: items.length,
+    ...summarizeRecords(runRecords, providerIds)
+  };
+  const summaryPath = output.replace(/\.jsonl?$/i, '') + '.summary.json';
+  await writeFileAtomic(summaryPath, JSON.stringify(summary, null, 2) + '\n');
+
+  return { records: runRecords, summary, summaryPath };
+}
+
+module.exports = {
+  mimetypeForFile,
+  loadManifest,
+  summarizeRecords,
+  runBenchmark
+};
@@ -0,0 +1,252 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Comparison ids are UUIDs; anything else is rejected before touching the disk
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Create a JSON-file store for past comparisons. Each comparison is kept in
+ * <dataDir>/comparisons/<id>.json with its audio, if any, in <dataDir>/audio/
+ * and the event log of a recorded real-time session in <dataDir>/events/.
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory holding the store
+ * @returns {Object} Store with save, list, get, getAudioPath, getEvents and remove methods
+ */
+function createComparisonStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir);
+  const comparisonsDir = path.join(dataDir, 'comparisons');
+  const audioDir = path.join(dataDir, 'audio');
+  const eventsDir = path.join(dataDir, 'events');
+
+  const comparisonPath = id => path.join(comparisonsDir, `${id}.json`);
+  const eventsPath = id => path.join(eventsDir, `${id}.json`);
+
+  async function ensureDirs() {
+    await fs.mkdir(comparisonsDir, { recursive: true });
+    await fs.mkdir(audioDir, { recursive: true });
+  }
+
+  async function writeJson(target, data) {
+    // Write to a temporary file first so a crash never leaves half a record
+    const temp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.rename(temp, target);
+  }
+
+  async function writeComparison(comparison) {
+    await writeJson(comparisonPath(comparison.id), comparison);
+  }
+
+  // Changes to one comparison run one at a time, each reading what the
+  // previous one wrote, so concurrent updates don't overwrite each other
+  const queues = new Map();
+
+  function serialize(id, task) {
+    const run = (queues.get(id) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => {
+      if (queues.get(id) === tail) queues.delete(id);
+    });
+    return run;
+  }
+
+  return {
+    dataDir,
+
+    /**
+     * Save a comparison, moving its audio file into the store
+     * @param {Object} data - Comparison data (mode, services, settings, results, audioInfo)
+     * @param {Object} [audio] - Audio to keep: { path, filename, mimetype, size }
+     * @param {Object[]} [events] - Event log of a recorded real-time session, kept apart so listing stays cheap
+     * @returns {Promise<Object>} The stored comparison
+     */
+    save: async function(data, audio = null, events = null) {
+      await ensureDirs();
+
+      const id = crypto.randomUUID();
+      const comparison = {
+        id,
+        createdAt: new Date().toISOString(),
+        mode: data.mode,
+        services: data.services || Object.keys(data.results || {}),
+        settings: data.settings || {},
+        results: data.results || {},
+        audioInfo: data.audioInfo || null,
+        audio: null,
+        events: null
+      };
+
+      if (audio && audio.path) {
+        const extension = path.extname(audio.filename || '') || '.bin';
+        const storedName = `${id}${extension}`;
+        await fs.rename(audio.path, path.join(audioDir, storedName)).catch(async error => {
+          // rename fails across devices; fall back to copy and delete
+          if (error.code !== 'EXDEV') throw error;
+          await fs.copyFile(audio.path, path.join(audioDir, storedName));
+          await fs.unlink(audio.path);
+        });
+        comparison.audio = {
+          file: storedName,
+          filename: audio.filename || null,
+          mimetype: audio.mimetype || null,
+          size: audio.size || null
+        };
+      }
+
+      if (events) {
+        await fs.mkdir(eventsDir, { recursive: true });
+        await writeJson(eventsPath(id), events);
+        comparison.events = { count: events.length };
+      }
+
+      await writeComparison(comparison);
+      return comparison;
+    },
+
+    /**
+     * Update fields of a stored comparison. Updates of the same comparison
+     * are applied in turn, so changes derived from it should be passed as a
+     * function of the current copy.
+     * @param {string} id - Comparison id
+     * @param {Object|Function} changes - Fields to merge into the comparison, or a function of the stored comparison returning them
+     * @returns {Promise<Object|null>} The updated comparison or null when not found
+     */
+    update: function(id, changes) {
+      return serialize(id, async () => {
+        const comparison = await this.get(id);
+        if (!comparison) return null;
+
+        const fields = typeof changes === 'function' ? changes(comparison) : changes;
+        const updated = { ...comparison, ...fields, id, updatedAt: new Date().toISOString() };
+        await writeComparison(updated);
+        return updated;
+      });
+    },
+
+    /**
+     * List stored comparisons, newest first
+     * @param {Object} query - Filters
+     * @param {string} [query.q] - Case-insensitive text matched against file name, services and transcripts
+     * @param {string} [query.mode] - 'batch' or 'realtime'
+     * @param {number} [query.limit] - Maximum number of entries
+     * @returns {Promise<Object[]>} Comparison summaries
+     */
+    list: async function(query = {}) {
+      const { q, mode, limit = 50 } = query;
+      let files;
+      try {
+        files = (await fs.readdir(comparisonsDir)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const comparisons = [];
+      for (const file of files) {
+        try {
+          comparisons.push(JSON.parse(await fs.readFile(path.join(comparisonsDir, file), 'utf8')));
+        } catch (error) {
+          console.error(`Skipping unreadable comparison ${file}:`, error.message);
+        }
+      }
+
+      const needle = q ? q.toLowerCase() : null;
+      return comparisons
+        .filter(comparison => !mode || comparison.mode === mode)
+        .filter(comparison => {
+          if (!needle) return true;
+          const haystack = [
+            comparison.audio?.filename,
+            comparison.settings?.reference,
+            ...comparison.services,
+            ...Object.values(comparison.results).map(result => result.text)
+          ].filter(Boolean).join('\n').toLowerCase();
+          return haystack.includes(needle);
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(comparison => ({
+          id: comparison.id,
+          createdAt: comparison.createdAt,
+          mode: comparison.mode,
+          services: comparison.services,
+          filename: comparison.audio?.filename || null,
+          hasAudio: Boolean(comparison.audio),
+          hasEvents: Boolean(comparison.events),
+          hasReference: Boolean(comparison.settings?.reference),
+          errors: Object.values(comparison.results).filter(result => result.error).length,
+          wer: Object.fromEntries(
+            Object.entries(comparison.results)
+              .filter(([, result]) => result.score)
+              .map(([service, result]) => [service, result.score.wer])
+          ),
+          preview: Object.values(comparison.results).map(result => result.text).find(Boolean)?.slice(0, 120) || ''
+        }));
+    },
+
+    /**
+     * Load a stored comparison
+     * @param {string} id - Comparison id
+     * @returns {Promise<Object|null>} The comparison or null when not found
+     */
+    get: async function(id) {
+      if (!ID_PATTERN.test(id)) return null;
+      try {
+        return JSON.parse(await fs.readFile(comparisonPath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Path of a comparison's stored audio
+     * @param {Object} comparison - Stored comparison
+     * @returns {string|null} Absolute path or null when no audio was kept
+     */
+    getAudioPath: function(comparison) {
+      return comparison.audio ? path.join(audioDir, comparison.audio.file) : null;
+    },
+
+    /**
+     * Load the event log of a recorded real-time session
+     * @param {string} id - Comparison id
+     * @returns {Promise<Object[]|null>} Events in the order they happened, or null when none were recorded
+     */
+    getEvents: async function(id) {
+      if (!ID_PATTERN.test(id)) return null;
+      try {
+        return JSON.parse(await fs.readFile(eventsPath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a comparison, its audio and its event log
+     * @param {string} id - Comparison id
+     * @returns {Promise<boolean>} False when the comparison did not exist
+     */
+    remove: function(id) {
+      return serialize(id, async () => {
+        const comparison = await this.get(id);
+        if (!comparison) return false;
+
+        const audioPath = this.getAudioPath(comparison);
+        if (audioPath) {
+          await fs.unlink(audioPath).catch(() => {});
+        }
+        await fs.unlink(eventsPath(id)).catch(() => {});
+        await fs.unlink(comparisonPath(id));
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createComparisonStore
+};
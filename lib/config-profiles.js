@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { configError } = require('./provider-config');
+
+/**
+ * Built-in configuration profiles. A profile holds option values per provider;
+ * anything it leaves out keeps the provider's default, so the verbatim
+ * profile is simply the defaults.
+ */
+const BUILT_IN_PROFILES = [
+  {
+    id: 'dental-verbatim',
+    name: 'Dental verbatim',
+    description: 'Word-for-word output with fillers kept and numbers spoken as words (the provider defaults)',
+    providers: {}
+  },
+  {
+    id: 'clean-readable',
+    name: 'Clean readable',
+    description: 'Formatted, punctuated text without fillers, for reading back',
+    providers: {
+      assemblyai: { format_text: true, disfluencies: false, prompt: '' },
+      deepgram: { smart_format: true, punctuate: true, filler_words: false },
+      openai: { prompt: '' }
+    }
+  }
+];
+
+const DEFAULT_CONFIG_PROFILE = 'dental-verbatim';
+
+/**
+ * Create a store of configuration profiles: the built-in ones plus profiles
+ * saved from the UI, kept in DATA_DIR/config-profiles.json
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory for the profiles file
+ * @param {Function} [options.validate] - Called with a profile's providers; throws when invalid
+ * @returns {Object} Store with list, get, save and remove
+ */
+function createConfigProfileStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir);
+  const profilesPath = path.join(dataDir, 'config-profiles.json');
+  const validate = options.validate || (() => {});
+
+  async function readCustom() {
+    try {
+      return JSON.parse(await fs.readFile(profilesPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function writeCustom(profiles) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const temp = `${profilesPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(profiles, null, 2));
+    await fs.rename(temp, profilesPath);
+  }
+
+  // Changes run one at a time, each reading the file the previous one wrote,
+  // so concurrent requests can't drop each other's profiles
+  let saving = Promise.resolve();
+
+  function serialize(task) {
+    const run = saving.then(task);
+    saving = run.catch(() => {});
+    return run;
+  }
+
+  function checkFields(fields) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) {
+      throw configError('Profile name is required');
+    }
+    const providers = fields.providers || {};
+    validate(providers);
+    return {
+      name: fields.name.trim(),
+      description: typeof fields.description === 'string' ? fields.description.trim() : '',
+      providers
+    };
+  }
+
+  return {
+    /**
+     * List all profiles, built-in first
+     * @returns {Promise<Object[]>} Profiles with id, name, description, providers and builtIn
+     */
+    list: async function() {
+      const custom = await readCustom();
+      return [
+        ...BUILT_IN_PROFILES.map(profile => ({ ...profile, builtIn: true })),
+        ...custom.map(profile => ({ ...profile, builtIn: false }))
+      ];
+    },
+
+    /**
+     * Load a profile
+     * @param {string} id - Profile id
+     * @returns {Promise<Object|null>} The profile or null when not found
+     */
+    get: async function(id) {
+      return (await this.list()).find(profile => profile.id === id) || null;
+    },
+
+    /**
+     * Create a profile
+     * @param {Object} fields - name, description and providers
+     * @returns {Promise<Object>} The stored profile
+     */
+    create: async function(fields) {
+      const profile = {
+        id: crypto.randomUUID(),
+        ...checkFields(fields),
+        createdAt: new Date().toISOString()
+      };
+      return serialize(async () => {
+        const custom = await readCustom();
+        custom.push(profile);
+        await writeCustom(custom);
+        return { ...profile, builtIn: false };
+      });
+    },
+
+    /**
+     * Replace a saved profile's name, description and providers
+     * @param {string} id - Profile id
+     * @param {Object} fields - name, description and providers
+     * @returns {Promise<Object|null>} The updated profile or null when not found
+     */
+    update: async function(id, fields) {
+      if (BUILT_IN_PROFILES.some(profile => profile.id === id)) {
+        throw configError('Built-in profiles cannot be changed');
+      }
+      return serialize(async () => {
+        const custom = await readCustom();
+        const index = custom.findIndex(profile => profile.id === id);
+        if (index === -1) return null;
+
+        custom[index] = { ...custom[index], ...checkFields(fields), updatedAt: new Date().toISOString() };
+        await writeCustom(custom);
+        return { ...custom[index], builtIn: false };
+      });
+    },
+
+    /**
+     * Delete a saved profile
+     * @param {string} id - Profile id
+     * @returns {Promise<boolean>} False when the profile did not exist
+     */
+    remove: async function(id) {
+      if (BUILT_IN_PROFILES.some(profile => profile.id === id)) {
+        throw configError('Built-in profiles cannot be deleted');
+      }
+      return serialize(async () => {
+        const custom = await readCustom();
+        const remaining = custom.filter(profile => profile.id !== id);
+        if (remaining.length === custom.length) return false;
+
+        await writeCustom(remaining);
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = {
+  BUILT_IN_PROFILES,
+  DEFAULT_CONFIG_PROFILE,
+  createConfigProfileStore
+};
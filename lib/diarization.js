@@ -0,0 +1,146 @@
+const { tokenize, alignWords } = require('./scoring');
+const { DEFAULT_PROFILE } = require('./normalization');
+
+// "Dentist: ...", "Dr. Patel: ...", "Speaker 1: ..." at the start of a line
+const SPEAKER_LINE = /^\s*(\p{L}[\p{L}\p{N}.'-]*(?: [\p{L}\p{N}][\p{L}\p{N}.'-]*){0,2})\s*:\s*(.*)$/u;
+
+// Labels that name a speaker whether or not they return: "Speaker 1", a
+// role in the surgery, or a title and name
+const SPEAKER_LABEL = /^(?:speaker \S+|dentist|doctor|hygienist|assistant|nurse|receptionist|patient|parent|guardian|(?:dr|mr|mrs|ms|miss)\.? \S.*)$/i;
+
+/**
+ * Whether the labels of a reference's lines are speakers rather than
+ * headings such as "Plan:" or "Tooth 14:". They are when some label comes
+ * back after another, as turns of a conversation do, or when every label
+ * names a speaker.
+ * @param {string[]} labels - Label of each labelled line, in order
+ * @returns {boolean} Whether the labels are speakers
+ */
+function labelsAreSpeakers(labels) {
+  const returns = labels.some((label, index) => labels.indexOf(label) < index && labels[index - 1] !== label);
+  return returns || labels.every(label => SPEAKER_LABEL.test(label));
+}
+
+/**
+ * Split a reference transcript into speaker turns. A reference counts as
+ * speaker-labelled when its first non-empty line and at least one other start
+ * with "Label:" and the labels are speakers (see labelsAreSpeakers); lines
+ * without a label continue the previous turn.
+ * @param {string} reference - Reference transcript
+ * @returns {Object} { text, segments } where text has the labels removed and
+ *   segments is an array of { speaker, text }, or null when the reference has no labels
+ */
+function parseSpeakerReference(reference) {
+  const lines = (reference || '').split(/\r?\n/).filter(line => line.trim());
+  const labels = lines.map(line => line.match(SPEAKER_LINE)).filter(Boolean).map(match => match[1]);
+  if (labels.length < 2 || !SPEAKER_LINE.test(lines[0]) || !labelsAreSpeakers(labels)) {
+    return { text: (reference || '').trim(), segments: null };
+  }
+
+  const segments = [];
+  lines.forEach(line => {
+    const match = line.match(SPEAKER_LINE);
+    if (match) {
+      segments.push({ speaker: match[1], text: match[2].trim() });
+    } else {
+      const last = segments[segments.length - 1];
+      last.text = `${last.text} ${line.trim()}`.trim();
+    }
+  });
+
+  return {
+    text: segments.map(segment => segment.text).filter(Boolean).join('\n'),
+    segments
+  };
+}
+
+/**
+ * Pair hypothesis speakers with reference speakers, most shared words first
+ * @param {Map<string, Map<string, number>>} overlap - Shared words per hypothesis and reference speaker
+ * @returns {Object} Reference speaker for each hypothesis speaker
+ */
+function mapSpeakers(overlap) {
+  const pairs = [];
+  overlap.forEach((counts, hypothesisSpeaker) => {
+    counts.forEach((count, referenceSpeaker) => {
+      pairs.push({ hypothesisSpeaker, referenceSpeaker, count });
+    });
+  });
+  pairs.sort((a, b) => b.count - a.count);
+
+  const mapping = {};
+  const used = new Set();
+  pairs.forEach(({ hypothesisSpeaker, referenceSpeaker }) => {
+    if (hypothesisSpeaker in mapping || used.has(referenceSpeaker)) return;
+    mapping[hypothesisSpeaker] = referenceSpeaker;
+    used.add(referenceSpeaker);
+  });
+  return mapping;
+}
+
+/**
+ * Word diarization error rate: the share of aligned words attributed to the
+ * wrong speaker, after mapping each provider speaker to the reference speaker
+ * it shares the most words with. Words without a speaker count as errors.
+ * @param {Object[]} segments - Reference turns from parseSpeakerReference
+ * @param {Object[]} words - Provider words in the common schema
+ * @param {Object} options - Scoring options
+ * @param {string|Object} options.profile - Normalization profile applied to both sides
+ * @returns {Object|null} WDER, counts and speaker mapping, or null when the provider has no speakers
+ */
+function computeDiarizationError(segments, words, options = {}) {
+  const { profile = DEFAULT_PROFILE } = options;
+  if (!Array.isArray(words) || !words.some(word => word.speaker)) return null;
+
+  const referenceTokens = segments.flatMap(segment =>
+    tokenize(segment.text, profile).map(token => ({ token, speaker: segment.speaker }))
+  );
+  const hypothesisTokens = words.flatMap(word =>
+    tokenize(word.text, profile).map(token => ({ token, speaker: word.speaker }))
+  );
+
+  const alignment = alignWords(
+    referenceTokens.map(entry => entry.token),
+    hypothesisTokens.map(entry => entry.token)
+  );
+
+  // Speakers of every reference/hypothesis word pair the alignment lines up
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  alignment.forEach(entry => {
+    if (entry.type === 'match' || entry.type === 'substitution') {
+      pairs.push({ reference: referenceTokens[i].speaker, hypothesis: hypothesisTokens[j].speaker });
+      i++;
+      j++;
+    } else if (entry.type === 'deletion') {
+      i++;
+    } else {
+      j++;
+    }
+  });
+
+  const overlap = new Map();
+  pairs.filter(pair => pair.hypothesis).forEach(pair => {
+    if (!overlap.has(pair.hypothesis)) overlap.set(pair.hypothesis, new Map());
+    const counts = overlap.get(pair.hypothesis);
+    counts.set(pair.reference, (counts.get(pair.reference) || 0) + 1);
+  });
+
+  const mapping = mapSpeakers(overlap);
+  const speakerErrors = pairs.filter(pair => mapping[pair.hypothesis] !== pair.reference).length;
+
+  return {
+    wder: pairs.length > 0 ? speakerErrors / pairs.length : null,
+    alignedWords: pairs.length,
+    speakerErrors,
+    referenceSpeakers: new Set(segments.map(segment => segment.speaker)).size,
+    hypothesisSpeakers: new Set(words.map(word => word.speaker).filter(Boolean)).size,
+    mapping
+  };
+}
+
+module.exports = {
+  parseSpeakerReference,
+  computeDiarizationError
+};
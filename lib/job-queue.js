@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * Create an in-memory queue for batch transcription jobs. A job fans out into
+ * one task per provider; tasks from all jobs share a bounded worker pool.
+ * @param {Object} options - Queue options
+ * @param {number} [options.concurrency] - Provider tasks running at once across all jobs
+ * @param {number} [options.retentionMs] - How long finished jobs stay available for polling
+ * @param {Function} [options.onUpdate] - Called with (job, event) whenever a job or task changes state
+ * @returns {Object} Queue with createJob, runTask, complete, fail, get and describe methods
+ */
+function createJobQueue(options = {}) {
+  const { concurrency = 4, retentionMs = 60 * 60 * 1000, onUpdate } = options;
+
+  const jobs = new Map();
+  const pending = [];
+  let active = 0;
+
+  const notify = (job, event) => {
+    if (!onUpdate) return;
+    try {
+      onUpdate(job, { jobId: job.id, ...event });
+    } catch (error) {
+      console.error('Job update handler error:', error);
+    }
+  };
+
+  // Start queued tasks while there is spare capacity
+  const pump = () => {
+    while (active < concurrency && pending.length > 0) {
+      const { run, resolve, reject } = pending.shift();
+      active++;
+      run()
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  };
+
+  const schedule = run => new Promise((resolve, reject) => {
+    pending.push({ run, resolve, reject });
+    pump();
+  });
+
+  const finish = job => {
+    job.finishedAt = new Date().toISOString();
+    const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+    if (timer.unref) timer.unref();
+  };
+
+  return {
+    /**
+     * Register a new job
+     * @param {Object} data - Job data
+     * @param {string[]} data.services - Provider ids the job will run
+     * @param {string} [data.socketId] - Socket.IO client to notify about progress
+     * @returns {Object} The job
+     */
+    createJob: function(data) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        socketId: data.socketId || null,
+        services: {},
+        result: null,
+        error: null
+      };
+      data.services.forEach(service => {
+        job.services[service] = { status: 'queued', result: null };
+      });
+
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    /**
+     * Run one provider task of a job through the worker pool
+     * @param {Object} job - Job the task belongs to
+     * @param {string} service - Provider id
+     * @param {Function} run - Async function producing the provider result
+     * @returns {Promise<Object>} The provider result
+     */
+    runTask: function(job, service, run) {
+      return schedule(async () => {
+        job.status = 'running';
+        job.services[service].status = 'running';
+        notify(job, { type: 'jobProgress', service, status: 'running' });
+
+        const result = await run();
+
+        const status = result && result.error ? 'failed' : 'completed';
+        job.services[service] = { status, result };
+        notify(job, { type: 'jobProgress', service, status, result });
+        return result;
+      });
+    },
+
+    /**
+     * Mark a job as finished
+     * @param {Object} job - Job
+     * @param {Object} result - Final job result
+     */
+    complete: function(job, result) {
+      job.status = 'completed';
+      job.result = result;
+      finish(job);
+      notify(job, { type: 'jobCompleted', result });
+    },
+
+    /**
+     * Mark a job as failed
+     * @param {Object} job - Job
+     * @param {Error} error - Failure
+     */
+    fail: function(job, error) {
+      job.status = 'failed';
+      job.error = error.message;
+      finish(job);
+      notify(job, { type: 'jobFailed', error: error.message });
+    },
+
+    /**
+     * Look up a job
+     * @param {string} id - Job id
+     * @returns {Object|null} The job or null when unknown or expired
+     */
+    get: function(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * Public view of a job for the /jobs endpoint
+     * @param {Object} job - Job
+     * @returns {Object} Job state without the client socket id
+     */
+    describe: function(job) {
+      const { socketId, ...state } = job;
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,238 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { tokenize, alignWords } = require('./scoring');
+const { DEFAULT_PROFILE, wordsToNumbers } = require('./normalization');
+const { configError } = require('./provider-config');
+const { normalizeTerms } = require('./vocabulary');
+
+/**
+ * Clinically important terms scored by keyword recall, by category. Terms are
+ * normalized like the transcripts, so "tooth 19" also matches "tooth nineteen"
+ * under profiles that spell out numbers.
+ */
+const DEFAULT_KEYWORDS = {
+  Procedures: [
+    'root canal', 'crown', 'bridge', 'implant', 'extraction', 'filling', 'composite', 'amalgam',
+    'veneer', 'scaling', 'root planing', 'prophylaxis', 'pulpotomy', 'sealant', 'bitewing',
+    'periapical', 'panoramic', 'x-ray', 'fluoride', 'denture'
+  ],
+  'Tooth numbers': Array.from({ length: 32 }, (value, index) => `tooth ${index + 1}`),
+  Medications: [
+    'lidocaine', 'articaine', 'epinephrine', 'novocaine', 'amoxicillin', 'clindamycin',
+    'ibuprofen', 'acetaminophen', 'chlorhexidine', 'nitrous oxide'
+  ],
+  Surfaces: ['mesial', 'distal', 'occlusal', 'buccal', 'lingual', 'facial', 'incisal', 'palatal']
+};
+
+/**
+ * Check a keyword list: category names mapping to term lists
+ * @param {Object} keywords - Terms keyed by category
+ * @returns {Object} The list with each category's terms cleaned
+ * @throws {Error} With status 400 when the list is malformed
+ */
+function normalizeKeywords(keywords) {
+  if (!keywords || typeof keywords !== 'object' || Array.isArray(keywords)) {
+    throw configError('keywords must map category names to lists of terms');
+  }
+
+  const cleaned = {};
+  Object.entries(keywords).forEach(([category, terms]) => {
+    const name = category.trim();
+    if (!name) throw configError('Keyword categories need a name');
+    cleaned[name] = normalizeTerms(terms);
+  });
+  return cleaned;
+}
+
+/**
+ * Read a keyword list file: JSON ({ category: [terms] }) or plain text with
+ * one term per line, where "[Category]" lines start a category
+ * @param {string} text - File contents
+ * @returns {Object} Terms keyed by category
+ * @throws {Error} With status 400 when the list is malformed
+ */
+function parseKeywordList(text) {
+  if (text.trim().startsWith('{')) {
+    try {
+      return normalizeKeywords(JSON.parse(text));
+    } catch (error) {
+      if (error instanceof SyntaxError) throw configError(`Invalid keyword list JSON: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const keywords = {};
+  let category = 'Keywords';
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const heading = line.match(/^\[(.+)\]$/);
+    if (heading) {
+      category = heading[1].trim();
+    } else {
+      (keywords[category] = keywords[category] || []).push(line);
+    }
+  });
+  return normalizeKeywords(keywords);
+}
+
+/**
+ * Whether two adjacent tokens read as one spelled-out number, as in
+ * "twenty one" or "three hundred"
+ * @param {string} previous - First token
+ * @param {string} next - Following token
+ * @returns {boolean} True when the tokens form a single number
+ */
+function continuesNumber(previous, next) {
+  return wordsToNumbers(`${previous} ${next}`).split(' ').length === 1;
+}
+
+/**
+ * Start positions of a token sequence in a longer one. A match must not be
+ * part of a longer spelled-out number, so "tooth twenty" is not found in
+ * "tooth twenty one".
+ * @param {string[]} tokens - Tokens to search
+ * @param {string[]} sequence - Sequence to find
+ * @returns {number[]} Indexes where the sequence starts
+ */
+function findSequence(tokens, sequence) {
+  const starts = [];
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (!sequence.every((token, offset) => tokens[i + offset] === token)) continue;
+    const end = i + sequence.length;
+    if (i > 0 && continuesNumber(tokens[i - 1], tokens[i])) continue;
+    if (end < tokens.length && continuesNumber(tokens[end - 1], tokens[end])) continue;
+    starts.push(i);
+  }
+  return starts;
+}
+
+/**
+ * Keyword recall: of the keyword occurrences in the reference, the share the
+ * provider transcribed exactly. Each occurrence is a hit when every word of
+ * the term aligns to a match, missed when every word was deleted, and
+ * substituted otherwise, with what the provider heard in its place.
+ * @param {string} reference - Reference transcript
+ * @param {string} hypothesis - Provider transcript
+ * @param {Object} keywords - Terms keyed by category
+ * @param {Object} options - Scoring options
+ * @param {string|Object} options.profile - Normalization profile applied to both texts and the terms
+ * @returns {Object|null} Recall, counts and per-term outcomes, or null when no keyword occurs in the reference
+ */
+function computeKeywordRecall(reference, hypothesis, keywords, options = {}) {
+  const { profile = DEFAULT_PROFILE } = options;
+  const referenceWords = tokenize(reference, profile);
+  const alignment = alignWords(referenceWords, tokenize(hypothesis, profile));
+
+  // Alignment entry of each reference word
+  const entryOf = [];
+  alignment.forEach((entry, index) => {
+    if (entry.type !== 'insertion') entryOf.push(index);
+  });
+
+  const terms = [];
+  Object.entries(keywords).forEach(([category, list]) => {
+    list.forEach(term => {
+      const sequence = tokenize(term, profile);
+      const starts = sequence.length > 0 ? findSequence(referenceWords, sequence) : [];
+      if (starts.length === 0) return;
+
+      const outcome = { term, category, occurrences: starts.length, hits: 0, misses: 0, substitutedAs: [] };
+      starts.forEach(start => {
+        const span = alignment.slice(entryOf[start], entryOf[start + sequence.length - 1] + 1);
+        const referenceEntries = span.filter(entry => entry.type !== 'insertion');
+        if (referenceEntries.every(entry => entry.type === 'match')) {
+          outcome.hits++;
+        } else if (referenceEntries.every(entry => entry.type === 'deletion')) {
+          outcome.misses++;
+        } else {
+          outcome.substitutedAs.push(span.map(entry => entry.hypothesis).filter(Boolean).join(' '));
+        }
+      });
+      terms.push(outcome);
+    });
+  });
+
+  if (terms.length === 0) return null;
+
+  const sum = (outcomes, field) => outcomes.reduce((total, outcome) => total + outcome[field], 0);
+  const categories = {};
+  Object.keys(keywords).forEach(category => {
+    const outcomes = terms.filter(outcome => outcome.category === category);
+    if (outcomes.length === 0) return;
+    const occurrences = sum(outcomes, 'occurrences');
+    categories[category] = { occurrences, hits: sum(outcomes, 'hits'), recall: sum(outcomes, 'hits') / occurrences };
+  });
+
+  const occurrences = sum(terms, 'occurrences');
+  const hits = sum(terms, 'hits');
+  const misses = sum(terms, 'misses');
+  return {
+    recall: hits / occurrences,
+    occurrences,
+    hits,
+    misses,
+    substitutions: occurrences - hits - misses,
+    categories,
+    terms
+  };
+}
+
+/**
+ * Create a store for the keyword list, kept in DATA_DIR/keywords.json;
+ * DEFAULT_KEYWORDS apply until a list is saved
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory for the keywords file
+ * @returns {Object} Store with get, save and reset
+ */
+function createKeywordStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir);
+  const keywordsPath = path.join(dataDir, 'keywords.json');
+
+  return {
+    /**
+     * Load the keyword list in use
+     * @returns {Promise<Object>} { keywords, builtIn }
+     */
+    get: async function() {
+      try {
+        return { keywords: JSON.parse(await fs.readFile(keywordsPath, 'utf8')), builtIn: false };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { keywords: DEFAULT_KEYWORDS, builtIn: true };
+        throw error;
+      }
+    },
+
+    /**
+     * Replace the keyword list
+     * @param {Object} keywords - Terms keyed by category
+     * @returns {Promise<Object>} { keywords, builtIn }
+     */
+    save: async function(keywords) {
+      const cleaned = normalizeKeywords(keywords);
+      await fs.mkdir(dataDir, { recursive: true });
+      const temp = `${keywordsPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(cleaned, null, 2));
+      await fs.rename(temp, keywordsPath);
+      return { keywords: cleaned, builtIn: false };
+    },
+
+    /**
+     * Go back to the built-in list
+     * @returns {Promise<Object>} { keywords, builtIn }
+     */
+    reset: async function() {
+      await fs.unlink(keywordsPath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      return { keywords: DEFAULT_KEYWORDS, builtIn: true };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  normalizeKeywords,
+  parseKeywordList,
+  computeKeywordRecall,
+  createKeywordStore
+};
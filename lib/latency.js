@@ -0,0 +1,113 @@
+const { summarize } = require('./stats');
+
+/**
+ * Create a latency tracker for one real-time stream. It keeps an audio clock:
+ * when the server received each position of the stream, in seconds of audio.
+ * A result's delay is how long after the server had the audio it covers the
+ * result arrived, so replays faster than real time are measured fairly.
+ * @param {Object} format - sampleRate and channels of the 16-bit PCM stream
+ * @returns {Object} Tracker with addAudio, audioTime, observe, summary and summaries
+ */
+function createLatencyTracker(format) {
+  const bytesPerSecond = format.sampleRate * 2 * (format.channels || 1);
+  // Audio received so far: { end: seconds of audio, at: ms }
+  const clock = [];
+  const providers = new Map();
+  let bytes = 0;
+
+  // When the server had received audio up to a position; positions past the
+  // audio received (rounding by the provider) count as the latest chunk
+  function receivedAt(seconds) {
+    let low = 0;
+    let high = clock.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (clock[middle].end + 1e-6 < seconds) low = middle + 1;
+      else high = middle;
+    }
+    return clock[low].at;
+  }
+
+  function stateOf(service) {
+    if (!providers.has(service)) {
+      providers.set(service, { firstPartial: null, emittedUntil: -Infinity, wordDelays: [], finalization: [] });
+    }
+    return providers.get(service);
+  }
+
+  return {
+    /**
+     * Advance the audio clock by a chunk the server received
+     * @param {number} byteLength - Chunk size
+     * @param {number} [now] - When it was received (ms)
+     */
+    addAudio: function(byteLength, now = Date.now()) {
+      if (!byteLength) return;
+      bytes += byteLength;
+      clock.push({ end: bytes / bytesPerSecond, at: now });
+    },
+
+    /**
+     * Seconds of audio received so far
+     * @returns {number} Audio time
+     */
+    audioTime: function() {
+      return bytes / bytesPerSecond;
+    },
+
+    /**
+     * Measure a provider result as it arrives. Each word counts once, when it
+     * is first emitted; final results also measure the lag after the end of
+     * their utterance.
+     * @param {string} service - Provider id
+     * @param {Object} result - { text, isFinal, timing }, timing as passed to onTranscript
+     * @param {number} [now] - When the result arrived (ms)
+     * @returns {number|null} Delay of this result in ms, or null when the provider gave no timing
+     */
+    observe: function(service, result, now = Date.now()) {
+      if (!result.text || clock.length === 0) return null;
+      const state = stateOf(service);
+      if (state.firstPartial === null) state.firstPartial = now - clock[0].at;
+
+      const timing = result.timing || {};
+      const words = Array.isArray(timing.words) ? timing.words.filter(word => typeof word.end === 'number') : [];
+      words.forEach(word => {
+        if (word.end <= state.emittedUntil) return;
+        state.wordDelays.push(now - receivedAt(word.end));
+        state.emittedUntil = word.end;
+      });
+
+      const end = typeof timing.end === 'number' ? timing.end : words.length > 0 ? words[words.length - 1].end : null;
+      if (end === null) return null;
+      const delay = now - receivedAt(end);
+      if (result.isFinal) state.finalization.push(delay);
+      return delay;
+    },
+
+    /**
+     * Latency of one provider so far
+     * @param {string} service - Provider id
+     * @returns {Object} firstPartial (ms until the first non-empty result, interim or final), wordDelay and finalization (summaries in ms)
+     */
+    summary: function(service) {
+      const state = providers.get(service) || { firstPartial: null, wordDelays: [], finalization: [] };
+      return {
+        firstPartial: state.firstPartial,
+        wordDelay: summarize(state.wordDelays),
+        finalization: summarize(state.finalization)
+      };
+    },
+
+    /**
+     * Latency of every provider that returned a result
+     * @returns {Object} Summaries keyed by provider id
+     */
+    summaries: function() {
+      return Object.fromEntries(Array.from(providers.keys(), service => [service, this.summary(service)]));
+    }
+  };
+}
+
+module.exports = {
+  createLatencyTracker
+};
@@ -0,0 +1,386 @@
+// Number vocabulary shared by number-to-words and words-to-number
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [
+  [1000000000, 'billion'],
+  [1000000, 'million'],
+  [1000, 'thousand']
+];
+
+// Irregular ordinal forms; everything else takes "th" (or "ieth" for -ty)
+const IRREGULAR_ORDINALS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth'
+};
+
+// Word -> value lookups for words-to-number
+const SMALL_VALUES = new Map();
+ONES.forEach((word, value) => SMALL_VALUES.set(word, value));
+TENS.forEach((word, index) => { if (word) SMALL_VALUES.set(word, index * 10); });
+const SCALE_VALUES = new Map(SCALES.map(([value, word]) => [word, value]));
+const ORDINAL_VALUES = new Map();
+SMALL_VALUES.forEach((value, word) => ORDINAL_VALUES.set(toOrdinalWord(word), value));
+ORDINAL_VALUES.set('hundredth', 100);
+
+// Spoken fillers removed by profiles with fillers: 'remove'
+const FILLERS = new Set(['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'hm', 'mm', 'mhm']);
+
+// Contractions expanded by profiles with contractions: true (matched after case folding)
+const CONTRACTIONS = [
+  [/\bcan't\b/g, 'can not'],
+  [/\bcannot\b/g, 'can not'],
+  [/\bwon't\b/g, 'will not'],
+  [/\bshan't\b/g, 'shall not'],
+  [/\blet's\b/g, 'let us'],
+  [/\b(it|that|there|here|what|where|who|he|she)'s\b/g, '$1 is'],
+  [/\b(\w+)n't\b/g, '$1 not'],
+  [/\b(\w+)'re\b/g, '$1 are'],
+  [/\b(\w+)'ve\b/g, '$1 have'],
+  [/\b(\w+)'ll\b/g, '$1 will'],
+  [/\b(\w+)'d\b/g, '$1 would'],
+  [/\bi'm\b/g, 'i am']
+];
+
+/**
+ * Named normalization profiles. Each option switches one pipeline step:
+ * - lowercase: fold case
+ * - punctuation: strip punctuation (apostrophes and hyphens inside words are kept)
+ * - numbers: 'keep', 'words' (14 -> fourteen) or 'digits' (fourteen -> 14)
+ * - contractions: expand contractions (don't -> do not)
+ * - fillers: 'keep' or 'remove' spoken fillers (um, uh)
+ * - nonSpeech: 'keep' or 'remove' bracketed events like (laughter) or [cough]
+ * - dental: treat tooth-number shorthand ("number 14", "#14") as the bare number
+ */
+const PROFILES = {
+  raw: {
+    description: 'Exact comparison; only whitespace is normalized',
+    lowercase: false,
+    punctuation: false,
+    numbers: 'keep',
+    contractions: false,
+    fillers: 'keep',
+    nonSpeech: 'keep',
+    dental: false
+  },
+  basic: {
+    description: 'Case folding and punctuation stripping',
+    lowercase: true,
+    punctuation: true,
+    numbers: 'keep',
+    contractions: false,
+    fillers: 'keep',
+    nonSpeech: 'keep',
+    dental: false
+  },
+  verbatim: {
+    description: 'Numbers spelled out and fillers kept, for verbatim dental transcripts',
+    lowercase: true,
+    punctuation: true,
+    numbers: 'words',
+    contractions: false,
+    fillers: 'keep',
+    nonSpeech: 'remove',
+    dental: true
+  },
+  clean: {
+    description: 'Numbers spelled out, contractions expanded, fillers and non-speech removed',
+    lowercase: true,
+    punctuation: true,
+    numbers: 'words',
+    contractions: true,
+    fillers: 'remove',
+    nonSpeech: 'remove',
+    dental: true
+  },
+  numeric: {
+    description: 'Like clean, but spelled-out numbers are converted to digits',
+    lowercase: true,
+    punctuation: true,
+    numbers: 'digits',
+    contractions: true,
+    fillers: 'remove',
+    nonSpeech: 'remove',
+    dental: true
+  }
+};
+
+const DEFAULT_PROFILE = 'basic';
+
+/**
+ * Spell out a non-negative integer in English words
+ * @param {number} n - Integer to spell out
+ * @returns {string} Words (e.g. "one hundred twenty three")
+ */
+function integerToWords(n) {
+  if (n < 20) return ONES[n];
+  if (n < 100) {
+    return TENS[Math.floor(n / 10)] + (n % 10 ? ' ' + ONES[n % 10] : '');
+  }
+  if (n < 1000) {
+    return ONES[Math.floor(n / 100)] + ' hundred' + (n % 100 ? ' ' + integerToWords(n % 100) : '');
+  }
+
+  for (const [value, word] of SCALES) {
+    if (n >= value) {
+      const rest = n % value;
+      return integerToWords(Math.floor(n / value)) + ' ' + word + (rest ? ' ' + integerToWords(rest) : '');
+    }
+  }
+
+  return String(n);
+}
+
+/**
+ * Convert a cardinal number word to its ordinal form
+ * @param {string} word - Cardinal word (e.g. "twenty")
+ * @returns {string} Ordinal word (e.g. "twentieth")
+ */
+function toOrdinalWord(word) {
+  if (IRREGULAR_ORDINALS[word]) return IRREGULAR_ORDINALS[word];
+  if (word.endsWith('y')) return word.slice(0, -1) + 'ieth';
+  return word + 'th';
+}
+
+/**
+ * Spell out a numeric string
+ * @param {string} digits - Digits, optionally with a decimal part
+ * @returns {string} Words
+ */
+function numberToWords(digits) {
+  const [whole, fraction] = digits.split('.');
+
+  // Leading zeros (codes, "05" in times) are read digit by digit
+  let words;
+  if (whole.length > 1 && whole.startsWith('0') || whole.length > 12) {
+    words = whole.split('').map(d => ONES[Number(d)]).join(' ');
+  } else {
+    words = integerToWords(Number(whole));
+  }
+
+  if (fraction) {
+    words += ' point ' + fraction.split('').map(d => ONES[Number(d)]).join(' ');
+  }
+
+  return words;
+}
+
+/**
+ * Spell out currency and percent signs attached to numbers
+ * @param {string} text - Input text
+ * @returns {string} Text with "$5" as "5 dollars" and "5%" as "5 percent"
+ */
+function expandNumericSymbols(text) {
+  return text
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/\$(\d+(?:\.\d+)?)/g, '$1 dollars')
+    .replace(/(\d)\s*%/g, '$1 percent');
+}
+
+/**
+ * Replace numerals in text with words
+ * @param {string} text - Input text
+ * @returns {string} Text with numbers spelled out
+ */
+function numbersToWords(text) {
+  return expandNumericSymbols(text)
+    .replace(/(\d):(\d)/g, '$1 $2')
+    .replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (match, n) => {
+      const words = numberToWords(n).split(' ');
+      words.push(toOrdinalWord(words.pop()));
+      return words.join(' ');
+    })
+    .replace(/\d+(?:\.\d+)?/g, match => ` ${numberToWords(match)} `)
+    .replace(/\b(twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)-(\w+)/gi, '$1 $2');
+}
+
+/**
+ * Replace runs of number words in text with numerals
+ * @param {string} text - Input text (already case folded)
+ * @returns {string} Text with numbers as digits
+ */
+function wordsToNumbers(text) {
+  const tokens = text
+    .replace(/\b(twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)-(\w+)/g, '$1 $2')
+    .split(/\s+/)
+    .filter(Boolean);
+  const output = [];
+
+  let total = 0;
+  let current = 0;
+  let inNumber = false;
+  let decimals = null;
+
+  const flush = () => {
+    if (inNumber) {
+      output.push(String(total + current) + (decimals !== null ? '.' + decimals : ''));
+    }
+    total = 0;
+    current = 0;
+    inNumber = false;
+    decimals = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (decimals !== null && SMALL_VALUES.has(token) && SMALL_VALUES.get(token) < 10) {
+      decimals += SMALL_VALUES.get(token);
+      continue;
+    }
+    if (decimals !== null) {
+      flush();
+    }
+
+    if (SMALL_VALUES.has(token)) {
+      const value = SMALL_VALUES.get(token);
+
+      // "twenty twenty four" or "one two" are separate numbers, not sums
+      const clashes = inNumber && (
+        value === 0 ||
+        (value < 10 ? current % 10 !== 0 : current % 100 !== 0)
+      );
+      if (clashes) flush();
+
+      current += value;
+      inNumber = true;
+      if (value === 0) flush();
+    } else if (token === 'hundred' && inNumber && current > 0) {
+      current *= 100;
+    } else if (SCALE_VALUES.has(token) && inNumber) {
+      total += (current || 1) * SCALE_VALUES.get(token);
+      current = 0;
+    } else if (ORDINAL_VALUES.has(token)) {
+      const value = ORDINAL_VALUES.get(token);
+      if (value === 100 && inNumber) {
+        current *= 100;
+      } else {
+        if (inNumber && (value < 10 ? current % 10 !== 0 : current % 100 !== 0)) flush();
+        current += value;
+      }
+      const n = total + current;
+      const lastTwo = n % 100;
+      const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+      output.push(n + suffix);
+      total = 0;
+      current = 0;
+      inNumber = false;
+    } else if (token === 'point' && inNumber && SMALL_VALUES.get(tokens[i + 1]) < 10) {
+      decimals = '';
+    } else if (token === 'and' && inNumber && SMALL_VALUES.has(tokens[i + 1]) && current >= 100) {
+      // "one hundred and five"
+      continue;
+    } else {
+      flush();
+      output.push(token);
+    }
+  }
+
+  flush();
+  return output.join(' ');
+}
+
+/**
+ * Resolve a profile name or options object to a complete profile
+ * @param {string|Object} profile - Profile name, or options (optionally with a base `profile` name)
+ * @returns {Object} Profile options including its name
+ */
+function getProfile(profile = DEFAULT_PROFILE) {
+  if (typeof profile === 'string') {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown normalization profile: ${profile}`);
+    }
+    return { name: profile, ...PROFILES[profile] };
+  }
+
+  const { profile: baseName, ...overrides } = profile;
+  return { ...getProfile(baseName || DEFAULT_PROFILE), ...overrides, name: profile.name || 'custom' };
+}
+
+/**
+ * List the named normalization profiles
+ * @returns {Object[]} Profiles with their names
+ */
+function listProfiles() {
+  return Object.keys(PROFILES).map(name => getProfile(name));
+}
+
+/**
+ * Normalize text according to a profile so transcripts can be compared fairly
+ * @param {string} text - Transcript text
+ * @param {string|Object} profile - Profile name or options
+ * @returns {string} Normalized text with single spaces between words
+ */
+function normalizeText(text, profile = DEFAULT_PROFILE) {
+  if (!text) return '';
+  const options = getProfile(profile);
+
+  let result = text.replace(/[‘’]/g, "'");
+
+  if (options.nonSpeech === 'remove') {
+    result = result.replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+  }
+
+  if (options.lowercase) {
+    result = result.toLowerCase();
+  }
+
+  if (options.dental) {
+    result = result
+      .replace(/\bx-?rays?\b/gi, match => match.replace(/x-?ray/i, 'x ray'))
+      .replace(/(?:\bnumber\s+|\bno\.\s*|#\s*)(?=\d|(?:zero|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty)\b)/gi, '');
+  }
+
+  if (options.contractions) {
+    CONTRACTIONS.forEach(([pattern, replacement]) => {
+      result = result.replace(pattern, replacement);
+    });
+  }
+
+  if (options.numbers === 'words') {
+    result = numbersToWords(result);
+  } else if (options.numbers === 'digits') {
+    result = expandNumericSymbols(result);
+  }
+
+  if (options.punctuation) {
+    result = result
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .replace(/(\d)\.(?=\d)/g, '$1\u0000')
+      .replace(/[^\p{L}\p{N}'\s\u0000-]/gu, ' ')
+      .replace(/\u0000/g, '.')
+      .split(/\s+/)
+      .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+      .join(' ');
+  }
+
+  if (options.numbers === 'digits') {
+    result = wordsToNumbers(result);
+  }
+
+  let words = result.split(/\s+/).filter(Boolean);
+
+  if (options.fillers === 'remove') {
+    words = words.filter(word => !FILLERS.has(word.toLowerCase()));
+  }
+
+  return words.join(' ');
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  getProfile,
+  listProfiles,
+  normalizeText,
+  numbersToWords,
+  wordsToNumbers
+};
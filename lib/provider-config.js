@@ -0,0 +1,87 @@
+/**
+ * Provider options are declared by each vendor's batch adapter as a list of
+ * { key, label, type, default, choices, modes }:
+ * - type: 'boolean', 'text' or 'select' (one of choices[].value)
+ * - modes: the modes the option applies to ('batch', 'realtime'); both when omitted
+ */
+
+/**
+ * Error for a configuration the client sent, reported as HTTP 400
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Options that apply to a mode
+ * @param {Object[]} options - Option definitions
+ * @param {string} mode - 'batch' or 'realtime'
+ * @returns {Object[]} Matching options
+ */
+function optionsForMode(options, mode) {
+  return options.filter(option => !option.modes || option.modes.includes(mode));
+}
+
+/**
+ * Check option values against their definitions
+ * @param {Object[]} options - Option definitions
+ * @param {Object} values - Values keyed by option key
+ * @param {string} [label] - Provider name used in error messages
+ * @returns {Object} The values
+ * @throws {Error} With status 400 for unknown keys or values of the wrong type
+ */
+function validateConfig(options, values, label = 'provider') {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw configError(`Options for ${label} must be an object`);
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    const option = options.find(candidate => candidate.key === key);
+    if (!option) {
+      throw configError(`Unknown ${label} option: ${key}`);
+    }
+    const valid = option.type === 'boolean'
+      ? typeof value === 'boolean'
+      : option.type === 'select'
+        ? option.choices.some(choice => choice.value === value)
+        : typeof value === 'string';
+    if (!valid) {
+      throw configError(`Invalid value for ${label} option ${key}: ${JSON.stringify(value)}`);
+    }
+  });
+  return values;
+}
+
+/**
+ * Resolve the options a provider runs with: defaults, then each layer in turn
+ * (typically a profile's values, then inline overrides). Values for options
+ * of the other mode are ignored.
+ * @param {Object[]} options - Option definitions
+ * @param {string} mode - 'batch' or 'realtime'
+ * @param {...Object} layers - Option values, later layers winning; null layers are skipped
+ * @returns {Object} Complete values for the mode
+ * @throws {Error} With status 400 when a layer is invalid
+ */
+function resolveConfig(options, mode, ...layers) {
+  const applicable = optionsForMode(options, mode);
+  const config = Object.fromEntries(applicable.map(option => [option.key, option.default]));
+
+  layers.filter(Boolean).forEach(layer => {
+    validateConfig(options, layer);
+    applicable.forEach(option => {
+      if (option.key in layer) config[option.key] = layer[option.key];
+    });
+  });
+  return config;
+}
+
+module.exports = {
+  configError,
+  optionsForMode,
+  validateConfig,
+  resolveConfig
+};
@@ -0,0 +1,494 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { configError } = require('./provider-config');
+const { normalizeTerms } = require('./vocabulary');
+const { bareWord } = require('./transcript');
+const { computeWER } = require('./scoring');
+const { parseWavHeader } = require('./audio');
+
+/**
+ * PHI entity types the redactor can detect, with the label used in placeholders
+ */
+const ENTITY_TYPES = [
+  { id: 'person_name', label: 'NAME', description: 'Patient and family names' },
+  { id: 'date', label: 'DATE', description: 'Dates, including dates of birth' },
+  { id: 'phone_number', label: 'PHONE', description: 'Phone numbers, written or spoken digit by digit' },
+  { id: 'email_address', label: 'EMAIL', description: 'Email addresses, written or spoken ("at", "dot")' },
+  { id: 'id_number', label: 'ID', description: 'Insurance, member and chart numbers' },
+  { id: 'ssn', label: 'SSN', description: 'Social security numbers' }
+];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  entities: ENTITY_TYPES.map(type => type.id),
+  names: [],
+  reversible: false,
+  bleepAudio: false
+};
+
+// Common first names and surnames that are not also everyday English words
+// ("Will", "May", "Brown" are left out to avoid redacting ordinary speech)
+const NAME_DICTIONARY = [
+  'james', 'john', 'robert', 'michael', 'william', 'david', 'richard', 'joseph', 'thomas', 'charles',
+  'christopher', 'daniel', 'matthew', 'anthony', 'donald', 'steven', 'andrew', 'joshua', 'kenneth',
+  'kevin', 'brian', 'george', 'timothy', 'ronald', 'jason', 'jeffrey', 'ryan', 'jacob', 'nicholas',
+  'eric', 'jonathan', 'stephen', 'justin', 'brandon', 'benjamin', 'samuel', 'gregory', 'patrick',
+  'raymond', 'dennis', 'tyler', 'aaron', 'jose', 'douglas', 'nathan', 'zachary', 'ethan', 'jeremy',
+  'mary', 'patricia', 'jennifer', 'linda', 'elizabeth', 'barbara', 'susan', 'jessica', 'sarah',
+  'karen', 'nancy', 'lisa', 'betty', 'margaret', 'sandra', 'ashley', 'kimberly', 'emily', 'donna',
+  'michelle', 'carol', 'amanda', 'dorothy', 'melissa', 'deborah', 'stephanie', 'rebecca', 'sharon',
+  'laura', 'cynthia', 'kathleen', 'angela', 'helen', 'brenda', 'pamela', 'nicole', 'samantha',
+  'katherine', 'christine', 'rachel', 'catherine', 'carolyn', 'janet', 'maria', 'heather', 'diane',
+  'julie', 'olivia', 'sophia', 'victoria', 'megan', 'hannah', 'jacqueline', 'teresa', 'abigail',
+  'smith', 'johnson', 'williams', 'jones', 'garcia', 'miller', 'davis', 'rodriguez', 'martinez',
+  'hernandez', 'lopez', 'gonzalez', 'wilson', 'anderson', 'taylor', 'jackson', 'thompson', 'harris',
+  'sanchez', 'ramirez', 'robinson', 'nguyen', 'flores', 'rivera', 'campbell', 'mitchell', 'roberts',
+  'patel', 'murphy', 'peterson', 'richardson', 'watson', 'bennett', 'hughes', 'sullivan', 'ortiz',
+  'jenkins', 'gutierrez', 'henderson', 'coleman', 'patterson', 'reynolds', 'gonzales', 'chavez',
+  'mcdonald', 'kennedy', 'alvarez', 'mendoza', 'castillo', 'vasquez', 'schmidt', 'kowalski'
+];
+
+const DIGIT_WORD = '(?:zero|oh|one|two|three|four|five|six|seven|eight|nine)';
+const NUMBER_WORD = '(?:zero|oh|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred|thousand)';
+const ORDINAL_WORD = '(?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|eleventh|twelfth|thirteenth|fourteenth|fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|thirtieth)';
+// "May" and "March" are only months when capitalized; the other names match either way
+const MONTH = `(?:${[
+  'january', 'february', 'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sept', 'sep', 'oct', 'nov', 'dec'
+].map(month => `[${month[0].toUpperCase()}${month[0]}]${month.slice(1)}`).concat(['May', 'March']).join('|')})`;
+const DAY = `(?:\\d{1,2}(?:st|nd|rd|th)?|(?:(?:twenty|thirty)[\\s-])?${ORDINAL_WORD})`;
+const YEAR = `(?:\\d{4}|(?:nineteen|twenty|two thousand)(?:[\\s-]+(?:and\\s+)?${NUMBER_WORD}){0,2})`;
+const DATE_TOKEN = `(?:${MONTH}|${DAY}|${NUMBER_WORD}|\\d{1,4}(?:[/.-]\\d{1,4}){0,2})\\b`;
+const ID_TOKEN = `(?:\\d+|[a-z]*\\d[a-z\\d]*|[a-z]|${NUMBER_WORD})\\b`;
+
+/**
+ * Detection patterns. When a pattern has a group, only the group is redacted,
+ * so context like "date of birth" stays readable.
+ */
+const PATTERNS = [
+  { type: 'email_address', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'email_address', pattern: /\b[\w.+-]+ at [\w-]+(?: dot [a-z]+)+\b/gi },
+  { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'phone_number', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  { type: 'phone_number', pattern: new RegExp(`\\b(?:${DIGIT_WORD}[\\s,-]+){6,}${DIGIT_WORD}\\b`, 'gi') },
+  { type: 'date', pattern: /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/g },
+  { type: 'date', pattern: new RegExp(`\\b(?:${DAY}\\s+(?:of\\s+)?${MONTH}|${MONTH}\\.?\\s+(?:the\\s+)?${DAY})(?:,?\\s+${YEAR})?\\b`, 'g') },
+  {
+    type: 'date',
+    pattern: new RegExp(`\\b(?:date of birth|birth ?date|d\\.?o\\.?b\\.?|born on)[\\s:,]*(?:is\\s+|was\\s+)?(${DATE_TOKEN}(?:[\\s,]+(?:of\\s+|the\\s+)?${DATE_TOKEN})*)`, 'gi'),
+    group: 1
+  },
+  { type: 'id_number', pattern: /\b(?=[a-z0-9-]{6,}\b)(?=(?:[a-z-]*\d){3})(?=[\d-]*[a-z])[a-z0-9]+(?:-[a-z0-9]+)*\b/gi },
+  { type: 'id_number', pattern: /\b\d{8,}\b/g },
+  {
+    type: 'id_number',
+    pattern: new RegExp(`\\b(?:member|policy|subscriber|group|insurance|medicaid|medicare|chart)\\s+(?:id|i\\.d\\.|number|no\\.?|#)[\\s:,]*(?:is\\s+)?(${ID_TOKEN}(?:[\\s,-]+${ID_TOKEN})*)\\b`, 'gi'),
+    group: 1
+  },
+  { type: 'person_name', pattern: /\b(?:mr|mrs|ms|mister|missus)\.?\s+([a-z][\w'-]*)/gi, group: 1 },
+  { type: 'person_name', pattern: /\bMiss\s+([A-Z][\w'-]*)/g, group: 1 },
+  {
+    type: 'person_name',
+    pattern: /\b(?:my name is|my name's|name is|named|goes by)\s+(?!(?:the|a|an|not|on|in|is|that|this)\b)([a-z][\w'-]*)/gi,
+    group: 1
+  }
+];
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check a redaction policy
+ * @param {Object} policy - enabled, entities, names, reversible and bleepAudio
+ * @returns {Object} The policy with defaults filled in
+ * @throws {Error} With status 400 when the policy is malformed
+ */
+function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw configError('The redaction policy must be an object');
+  }
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  ['enabled', 'reversible', 'bleepAudio'].forEach(key => {
+    if (typeof merged[key] !== 'boolean') throw configError(`Redaction option ${key} must be true or false`);
+  });
+  if (!Array.isArray(merged.entities)) throw configError('entities must be an array of entity types');
+  const unknown = merged.entities.find(entity => !ENTITY_TYPES.some(type => type.id === entity));
+  if (unknown) throw configError(`Unknown PHI entity type: ${unknown}`);
+
+  return {
+    enabled: merged.enabled,
+    entities: ENTITY_TYPES.map(type => type.id).filter(id => merged.entities.includes(id)),
+    names: normalizeTerms(merged.names),
+    reversible: merged.reversible,
+    bleepAudio: merged.bleepAudio
+  };
+}
+
+/**
+ * Whether a new policy redacts less than the current one: redaction turned
+ * off, entity types or names dropped, or audio no longer bleeped
+ * @param {Object} current - Normalized policy in use
+ * @param {Object} next - Normalized replacement
+ * @returns {boolean} Whether the change weakens redaction
+ */
+function weakensPolicy(current, next) {
+  if (!current.enabled) return false;
+  return !next.enabled
+    || current.entities.some(entity => !next.entities.includes(entity))
+    || current.names.some(name => !next.names.includes(name))
+    || (current.bleepAudio && !next.bleepAudio);
+}
+
+/**
+ * Find PHI in a text
+ * @param {string} text - Text to search
+ * @param {Object} policy - Normalized redaction policy
+ * @returns {Object[]} Non-overlapping spans { type, start, end, value } in text order
+ */
+function detectPHI(text, policy) {
+  const entities = new Set(policy.entities);
+  const spans = [];
+  const add = (type, start, end) => {
+    if (end > start) spans.push({ type, start, end });
+  };
+
+  PATTERNS.filter(({ type }) => entities.has(type)).forEach(({ type, pattern, group }) => {
+    for (const match of text.matchAll(pattern)) {
+      if (group) {
+        const offset = match[0].lastIndexOf(match[group]);
+        add(type, match.index + offset, match.index + offset + match[group].length);
+      } else {
+        add(type, match.index, match.index + match[0].length);
+      }
+    }
+  });
+
+  if (entities.has('person_name')) {
+    const names = [...NAME_DICTIONARY, ...policy.names].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const dictionary = new RegExp(`(?<![\\w'-])(?:${names.join('|')})(?![\\w-])`, 'gi');
+    for (const match of text.matchAll(dictionary)) add('person_name', match.index, match.index + match[0].length);
+
+    // A name runs on into a following capitalized word ("Mrs. Ortiz Delgado")
+    spans.filter(span => span.type === 'person_name').forEach(span => {
+      let next;
+      while ((next = text.slice(span.end).match(/^ ([A-Z][\p{L}'-]+)/u))) span.end += next[0].length;
+    });
+  }
+
+  // Merge overlapping spans, and adjacent ones of the same type ("John" "Smith")
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  spans.forEach(span => {
+    const last = merged[merged.length - 1];
+    const adjacent = last && last.type === span.type && /^\s*$/.test(text.slice(last.end, span.start));
+    if (last && (span.start < last.end || adjacent)) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  });
+  return merged.map(span => ({ ...span, value: text.slice(span.start, span.end) }));
+}
+
+/**
+ * Create a redactor for one comparison or stream. Placeholders are stable
+ * within it: the same value always gets the same placeholder, so provider
+ * transcripts and the reference still line up. In reversible mode the
+ * placeholders are numbered ([NAME_1]) and the originals kept in a vault that
+ * can be sealed with sealVault.
+ * @param {Object} [policy] - Redaction policy; DEFAULT_POLICY when omitted
+ * @returns {Object} Redactor with redactText, redactWords, redactResult, summary and vault
+ */
+function createRedactor(policy = DEFAULT_POLICY) {
+  const options = normalizePolicy(policy);
+  const placeholders = new Map();
+  const vault = {};
+  const counts = {};
+  const ranges = [];
+
+  function placeholder(span) {
+    const key = `${span.type}:${span.value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}`;
+    if (!placeholders.has(key)) {
+      const { label } = ENTITY_TYPES.find(type => type.id === span.type);
+      counts[span.type] = (counts[span.type] || 0) + 1;
+      const value = options.reversible ? `[${label}_${counts[span.type]}]` : `[${label}]`;
+      placeholders.set(key, value);
+      if (options.reversible) vault[value] = span.value;
+    }
+    return placeholders.get(key);
+  }
+
+  return {
+    policy: options,
+
+    /**
+     * Replace PHI in a text with placeholders
+     * @param {string|null} text - Text
+     * @returns {string|null} Redacted text
+     */
+    redactText: function(text) {
+      if (!options.enabled || typeof text !== 'string') return text;
+      let result = text;
+      detectPHI(text, options)
+        .map(span => ({ ...span, placeholder: placeholder(span) }))
+        .reverse()
+        .forEach(span => {
+          result = result.slice(0, span.start) + span.placeholder + result.slice(span.end);
+        });
+      return result;
+    },
+
+    /**
+     * Replace PHI in timed words. The words of each span become one
+     * placeholder word covering their time range, which is remembered for
+     * audio bleeping.
+     * @param {Object[]} words - Schema words
+     * @returns {Object[]} Redacted words
+     */
+    redactWords: function(words) {
+      if (!options.enabled || !Array.isArray(words) || words.length === 0) return words;
+
+      let text = '';
+      const offsets = words.map(word => {
+        const start = text ? text.length + 1 : 0;
+        text = text ? `${text} ${word.text}` : word.text;
+        return { start, end: text.length };
+      });
+
+      const spans = detectPHI(text, options);
+      if (spans.length === 0) return words;
+
+      const result = [];
+      let index = 0;
+      spans.forEach(span => {
+        while (offsets[index].end <= span.start) result.push(words[index++]);
+        const first = index;
+        while (index < words.length && offsets[index].start < span.end) index++;
+        const covered = words.slice(first, index);
+        const last = covered[covered.length - 1];
+        const value = `${words[first].text.slice(0, span.start - offsets[first].start)}${placeholder(span)}${last.text.slice(Math.max(0, span.end - offsets[index - 1].start))}`;
+        const timed = covered.filter(word => word.start !== null && word.end !== null);
+        if (timed.length > 0) ranges.push({ start: timed[0].start, end: timed[timed.length - 1].end });
+        const confidences = covered.map(word => word.confidence).filter(confidence => confidence !== null);
+        result.push({
+          word: bareWord(value),
+          text: value,
+          start: timed.length > 0 ? timed[0].start : null,
+          end: timed.length > 0 ? timed[timed.length - 1].end : null,
+          confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+          speaker: words[first].speaker
+        });
+      });
+      return result.concat(words.slice(index));
+    },
+
+    /**
+     * Redact every transcript field of a provider result: text, words, the
+     * text of enrichments, and the parts of a score that quote the transcript.
+     * The score's numbers are kept, since they were computed on the original.
+     * @param {Object} result - Provider result
+     * @param {Object} [scoring] - How the score was computed, to realign the redacted texts
+     * @param {string} [scoring.reference] - Reference text, unredacted
+     * @param {string|Object} [scoring.profile] - Normalization profile
+     * @returns {Object} Redacted copy
+     */
+    redactResult: function(result, scoring = {}) {
+      if (!options.enabled) return result;
+      const redacted = { ...result, text: this.redactText(result.text) };
+      if (result.score && typeof scoring.reference === 'string') {
+        const { alignment } = computeWER(this.redactText(scoring.reference), redacted.text, { profile: scoring.profile });
+        redacted.score = { ...result.score, alignment };
+        if (result.score.keywords) {
+          redacted.score.keywords = {
+            ...result.score.keywords,
+            terms: result.score.keywords.terms.map(term => ({
+              ...term,
+              substitutedAs: term.substitutedAs.map(heard => this.redactText(heard))
+            }))
+          };
+        }
+      }
+      if (result.words) redacted.words = this.redactWords(result.words);
+      if (result.enrichments) {
+        const { sentiment, keyPhrases, topics } = result.enrichments;
+        redacted.enrichments = {
+          ...result.enrichments,
+          sentiment: sentiment && sentiment.map(sentence => ({ ...sentence, text: this.redactText(sentence.text) })),
+          keyPhrases: keyPhrases && keyPhrases.map(phrase => ({ ...phrase, text: this.redactText(phrase.text) })),
+          topics: topics && topics.map(topic => ({ ...topic, topic: this.redactText(topic.topic) }))
+        };
+      }
+      return redacted;
+    },
+
+    /**
+     * Time ranges of every redacted word so far, in seconds
+     * @returns {Object[]} { start, end } ranges
+     */
+    ranges: function() {
+      return ranges.slice();
+    },
+
+    /**
+     * What was redacted, for the comparison's settings
+     * @returns {Object} { enabled, entities: { type: distinct values }, reversible }
+     */
+    summary: function() {
+      return { enabled: options.enabled, entities: { ...counts }, reversible: options.reversible };
+    },
+
+    /**
+     * Original values keyed by placeholder (reversible mode only)
+     * @returns {Object} Vault
+     */
+    vault: function() {
+      return { ...vault };
+    }
+  };
+}
+
+/**
+ * Encrypt a vault for storage with AES-256-GCM
+ * @param {Object} vault - Original values keyed by placeholder
+ * @param {string} secret - Reveal key
+ * @returns {string} iv.tag.ciphertext, base64 encoded
+ */
+function sealVault(vault, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(vault), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a sealed vault
+ * @param {string} sealed - Output of sealVault
+ * @param {string} secret - Reveal key
+ * @returns {Object|null} Vault, or null when the key is wrong or the data damaged
+ */
+function openVault(sealed, secret) {
+  try {
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Put the original values back in place of numbered placeholders, anywhere in
+ * a JSON-like value
+ * @param {*} value - Comparison, result or text
+ * @param {Object} vault - Original values keyed by placeholder
+ * @returns {*} Copy with placeholders replaced
+ */
+function revealPHI(value, vault) {
+  if (typeof value === 'string') {
+    return value.replace(/\[[A-Z]+_\d+\]/g, placeholder => (placeholder in vault ? vault[placeholder] : placeholder));
+  }
+  if (Array.isArray(value)) return value.map(item => revealPHI(item, vault));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, revealPHI(item, vault)]));
+  }
+  return value;
+}
+
+// Bleep tone replacing redacted speech
+const BLEEP_HZ = 1000;
+const BLEEP_AMPLITUDE = 8000;
+
+/**
+ * Overwrite time ranges of a 16-bit PCM WAV file with a tone
+ * @param {Buffer} buffer - WAV file
+ * @param {Object[]} ranges - { start, end } in seconds
+ * @param {Object} [options] - Bleep options
+ * @param {number} [options.padding] - Seconds added before and after each range
+ * @returns {Buffer|null} Bleeped copy, or null when the file is not 16-bit PCM WAV
+ */
+function bleepWav(buffer, ranges, options = {}) {
+  const { padding = 0.05 } = options;
+  const format = parseWavHeader(buffer);
+  if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) return null;
+
+  const output = Buffer.from(buffer);
+  const frameSize = 2 * format.channels;
+  const frames = Math.floor(format.dataLength / frameSize);
+  ranges.forEach(({ start, end }) => {
+    const first = Math.max(0, Math.floor((start - padding) * format.sampleRate));
+    const last = Math.min(frames, Math.ceil((end + padding) * format.sampleRate));
+    for (let frame = first; frame < last; frame++) {
+      const sample = Math.round(Math.sin(2 * Math.PI * BLEEP_HZ * frame / format.sampleRate) * BLEEP_AMPLITUDE);
+      for (let channel = 0; channel < format.channels; channel++) {
+        output.writeInt16LE(sample, format.dataStart + frame * frameSize + channel * 2);
+      }
+    }
+  });
+  return output;
+}
+
+/**
+ * Create a store for the redaction policy, kept in DATA_DIR/redaction.json;
+ * DEFAULT_POLICY applies until one is saved
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory for the policy file
+ * @returns {Object} Store with get and save
+ */
+function createRedactionStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir);
+  const policyPath = path.join(dataDir, 'redaction.json');
+
+  return {
+    /**
+     * Load the policy in use
+     * @returns {Promise<Object>} Policy, with updatedAt (null for the default policy)
+     */
+    get: async function() {
+      try {
+        const stored = JSON.parse(await fs.readFile(policyPath, 'utf8'));
+        return { ...normalizePolicy(stored), updatedAt: stored.updatedAt || null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { ...DEFAULT_POLICY, updatedAt: null };
+        throw error;
+      }
+    },
+
+    /**
+     * Replace the policy
+     * @param {Object} policy - Policy fields; missing ones take their defaults
+     * @returns {Promise<Object>} The stored policy, with updatedAt
+     */
+    save: async function(policy) {
+      const cleaned = { ...normalizePolicy(policy), updatedAt: new Date().toISOString() };
+      await fs.mkdir(dataDir, { recursive: true });
+      const temp = `${policyPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(cleaned, null, 2));
+      await fs.rename(temp, policyPath);
+      return cleaned;
+    }
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  weakensPolicy,
+  detectPHI,
+  createRedactor,
+  sealVault,
+  openVault,
+  revealPHI,
+  bleepWav,
+  createRedactionStore
+};
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const { wavToPcm } = require('./audio');
+const { createLatencyTracker } = require('./latency');
+const { createStabilityTracker } = require('./stability');
+
+// Replayed audio is sent in chunks of this length, as the browser does
+const CHUNK_MS = 100;
+
+// How long to wait after the last chunk for providers' last results
+const SETTLE_MS = 2000;
+
+// Streams are 16 kHz mono 16-bit PCM
+const SAMPLE_RATE = 16000;
+
+/**
+ * Decode an audio file to 16 kHz mono 16-bit PCM, with ffmpeg when it is
+ * available and from the WAV samples otherwise
+ * @param {string} filePath - Audio file
+ * @param {Object} toolkit - Audio toolkit (lib/audio.js), after detect()
+ * @returns {Promise<Buffer>} PCM samples
+ * @throws {Error} When the file can't be decoded without ffmpeg
+ */
+async function decodeToPcm(filePath, toolkit) {
+  const wav = toolkit.available() ? await toolkit.normalize(filePath) : await fs.readFile(filePath);
+  const pcm = wavToPcm(wav, SAMPLE_RATE);
+  if (!pcm) {
+    throw new Error('Only 16-bit PCM WAV files can be streamed without ffmpeg');
+  }
+  return pcm;
+}
+
+/**
+ * Send PCM in fixed-length chunks at the pace of the audio, or faster
+ * @param {Buffer} pcm - 16-bit PCM samples
+ * @param {Object} options - Pacing options
+ * @param {Function} options.send - Called with each chunk; may return a promise
+ * @param {number} [options.speed] - Playback speed (1 is real time, Infinity as fast as possible)
+ * @param {number} [options.sampleRate] - Sample rate of the PCM
+ * @param {number} [options.chunkMs] - Chunk length
+ * @param {Function} [options.isStopped] - Checked before each chunk; true stops the replay
+ * @returns {Promise<number>} Bytes sent
+ */
+async function paceChunks(pcm, options) {
+  const { send, speed = 1, sampleRate = SAMPLE_RATE, chunkMs = CHUNK_MS, isStopped = () => false } = options;
+  const chunkBytes = Math.round(sampleRate * chunkMs / 1000) * 2;
+  const startedAt = Date.now();
+  let sent = 0;
+
+  for (let index = 0; sent < pcm.length; index++) {
+    if (isStopped()) break;
+    // Scheduled against the start, so slow sends don't add up to drift
+    const wait = startedAt + (index * chunkMs) / speed - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    const chunk = pcm.subarray(sent, sent + chunkBytes);
+    await send(chunk);
+    sent += chunk.length;
+  }
+  return sent;
+}
+
+/**
+ * Stream PCM through providers' real-time sessions, as the browser streams
+ * the microphone, and collect what each transcribed
+ * @param {Object[]} providers - Registered providers with createRealtimeSession
+ * @param {Buffer} pcm - 16 kHz mono 16-bit PCM
+ * @param {Object} [options] - Replay options
+ * @param {number} [options.speed] - Playback speed (default: real time)
+ * @param {Object} [options.configs] - Provider options keyed by provider id
+ * @param {string[]} [options.vocabulary] - Custom vocabulary terms
+ * @param {number} [options.settleMs] - Wait after the last chunk before closing the sessions
+ * @param {Function} [options.onTranscript] - Called with (providerId, text, isFinal) as results arrive
+ * @returns {Promise<Object>} Per provider: { text, finals, partials, latency, stability, error }, summarized by lib/latency.js and lib/stability.js
+ */
+async function streamFile(providers, pcm, options = {}) {
+  const { speed = 1, configs = {}, vocabulary = [], settleMs = SETTLE_MS, onTranscript } = options;
+  const results = {};
+  const sessions = new Map();
+  const latency = createLatencyTracker({ sampleRate: SAMPLE_RATE, channels: 1 });
+  const stability = createStabilityTracker();
+
+  for (const provider of providers) {
+    const result = results[provider.id] = { text: '', finals: [], partials: 0, latency: null, stability: null, error: null };
+    try {
+      const session = await provider.createRealtimeSession({
+        sampleRate: SAMPLE_RATE,
+        encoding: 'pcm16',
+        channels: 1,
+        config: configs[provider.id],
+        vocabulary,
+        onTranscript: (text, isFinal, timing) => {
+          latency.observe(provider.id, { text, isFinal, timing });
+          stability.observe(provider.id, { text, isFinal });
+          if (isFinal && text) result.finals.push(text);
+          if (!isFinal) result.partials++;
+          if (onTranscript) onTranscript(provider.id, text, isFinal);
+        }
+      });
+      sessions.set(provider.id, session);
+    } catch (error) {
+      result.error = `Failed to connect: ${error.message}`;
+    }
+  }
+
+  await paceChunks(pcm, {
+    speed,
+    send: chunk => {
+      latency.addAudio(chunk.length);
+      return Promise.all(Array.from(sessions, async ([id, session]) => {
+        if (results[id].error) return;
+        try {
+          await session.sendAudio(chunk);
+        } catch (error) {
+          results[id].error = error.message;
+        }
+      }));
+    }
+  });
+
+  await new Promise(resolve => setTimeout(resolve, settleMs));
+  for (const [id, session] of sessions) {
+    await session.close().catch(error => {
+      results[id].error = results[id].error || error.message;
+    });
+  }
+
+  Object.entries(results).forEach(([id, result]) => {
+    result.text = result.finals.join(' ');
+    result.latency = latency.summary(id);
+    result.stability = stability.summary(id);
+  });
+  return results;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  decodeToPcm,
+  paceChunks,
+  streamFile
+};
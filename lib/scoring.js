@@ -0,0 +1,193 @@
+const { normalizeText, getProfile, DEFAULT_PROFILE } = require('./normalization');
+
+// Backtrace operations stored in the alignment matrix
+const OP_MATCH = 0;
+const OP_SUBSTITUTION = 1;
+const OP_DELETION = 2;
+const OP_INSERTION = 3;
+
+// Largest alignment (reference x hypothesis words) backtraced in one matrix,
+// one byte per cell; longer transcripts are split first (see alignWords)
+const MAX_MATRIX_CELLS = 4000000;
+
+/**
+ * Normalize text with a profile and split it into words
+ * @param {string} text - Text to tokenize
+ * @param {string|Object} profile - Normalization profile name or options
+ * @returns {string[]} Words
+ */
+function tokenize(text, profile = DEFAULT_PROFILE) {
+  const normalized = normalizeText(text, profile);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Align two word sequences with a full backtrace matrix
+ * @param {string[]} reference - Reference words
+ * @param {string[]} hypothesis - Hypothesis words
+ * @returns {Object[]} Alignment entries ({ type, reference, hypothesis })
+ */
+function alignWithMatrix(reference, hypothesis) {
+  const rows = reference.length + 1;
+  const cols = hypothesis.length + 1;
+
+  // Only two rows of costs are needed; the backtrace keeps the full matrix
+  let previous = new Uint32Array(cols);
+  let current = new Uint32Array(cols);
+  const ops = new Uint8Array(rows * cols);
+
+  for (let j = 1; j < cols; j++) {
+    previous[j] = j;
+    ops[j] = OP_INSERTION;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    current[0] = i;
+    ops[i * cols] = OP_DELETION;
+
+    for (let j = 1; j < cols; j++) {
+      const isMatch = reference[i - 1] === hypothesis[j - 1];
+      const diagonal = previous[j - 1] + (isMatch ? 0 : 1);
+      const deletion = previous[j] + 1;
+      const insertion = current[j - 1] + 1;
+
+      if (diagonal <= deletion && diagonal <= insertion) {
+        current[j] = diagonal;
+        ops[i * cols + j] = isMatch ? OP_MATCH : OP_SUBSTITUTION;
+      } else if (deletion <= insertion) {
+        current[j] = deletion;
+        ops[i * cols + j] = OP_DELETION;
+      } else {
+        current[j] = insertion;
+        ops[i * cols + j] = OP_INSERTION;
+      }
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  // Walk back from the bottom-right corner
+  const alignment = [];
+  let i = rows - 1;
+  let j = cols - 1;
+
+  while (i > 0 || j > 0) {
+    const op = ops[i * cols + j];
+
+    if (op === OP_MATCH || op === OP_SUBSTITUTION) {
+      alignment.push({
+        type: op === OP_MATCH ? 'match' : 'substitution',
+        reference: reference[i - 1],
+        hypothesis: hypothesis[j - 1]
+      });
+      i--;
+      j--;
+    } else if (op === OP_DELETION) {
+      alignment.push({ type: 'deletion', reference: reference[i - 1], hypothesis: null });
+      i--;
+    } else {
+      alignment.push({ type: 'insertion', reference: null, hypothesis: hypothesis[j - 1] });
+      j--;
+    }
+  }
+
+  return alignment.reverse();
+}
+
+/**
+ * Edit distances from a reference to every prefix of a hypothesis
+ * @param {string[]} reference - Reference words
+ * @param {string[]} hypothesis - Hypothesis words
+ * @returns {Uint32Array} Distance to hypothesis.slice(0, j) at index j
+ */
+function lastCostRow(reference, hypothesis) {
+  let previous = new Uint32Array(hypothesis.length + 1);
+  let current = new Uint32Array(hypothesis.length + 1);
+  for (let j = 1; j <= hypothesis.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= reference.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= hypothesis.length; j++) {
+      const diagonal = previous[j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1);
+      current[j] = Math.min(diagonal, previous[j] + 1, current[j - 1] + 1);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous;
+}
+
+/**
+ * Align two word sequences with minimum edit distance. Long transcripts are
+ * split in linear space (Hirschberg's method): the reference is halved and the
+ * hypothesis cut where the costs of aligning both halves add up to the least,
+ * until each part fits a backtrace matrix of MAX_MATRIX_CELLS.
+ * @param {string[]} reference - Reference words
+ * @param {string[]} hypothesis - Hypothesis words
+ * @returns {Object[]} Alignment entries ({ type, reference, hypothesis })
+ */
+function alignWords(reference, hypothesis) {
+  if (reference.length < 2 || (reference.length + 1) * (hypothesis.length + 1) <= MAX_MATRIX_CELLS) {
+    return alignWithMatrix(reference, hypothesis);
+  }
+
+  const middle = Math.floor(reference.length / 2);
+  const forward = lastCostRow(reference.slice(0, middle), hypothesis);
+  const backward = lastCostRow(reference.slice(middle).reverse(), hypothesis.slice().reverse());
+
+  let cut = 0;
+  for (let j = 1; j <= hypothesis.length; j++) {
+    if (forward[j] + backward[hypothesis.length - j] < forward[cut] + backward[hypothesis.length - cut]) cut = j;
+  }
+
+  return [
+    ...alignWords(reference.slice(0, middle), hypothesis.slice(0, cut)),
+    ...alignWords(reference.slice(middle), hypothesis.slice(cut))
+  ];
+}
+
+/**
+ * Compute word error rate of a transcript against a reference
+ * @param {string} reference - Reference transcript
+ * @param {string} hypothesis - Provider transcript
+ * @param {Object} options - Scoring options
+ * @param {string|Object} options.profile - Normalization profile applied to both texts
+ * @returns {Object} WER, error counts and word-level alignment
+ */
+function computeWER(reference, hypothesis, options = {}) {
+  const { profile = DEFAULT_PROFILE } = options;
+  const referenceWords = tokenize(reference, profile);
+  const hypothesisWords = tokenize(hypothesis, profile);
+  const alignment = alignWords(referenceWords, hypothesisWords);
+
+  const counts = { match: 0, substitution: 0, insertion: 0, deletion: 0 };
+  alignment.forEach(entry => { counts[entry.type]++; });
+
+  const errors = counts.substitution + counts.insertion + counts.deletion;
+
+  // An empty reference has no defined WER; report 0 only if the hypothesis is empty too
+  let wer;
+  if (referenceWords.length > 0) {
+    wer = errors / referenceWords.length;
+  } else {
+    wer = hypothesisWords.length > 0 ? null : 0;
+  }
+
+  return {
+    wer,
+    hits: counts.match,
+    substitutions: counts.substitution,
+    insertions: counts.insertion,
+    deletions: counts.deletion,
+    normalization: getProfile(profile).name,
+    referenceWords: referenceWords.length,
+    hypothesisWords: hypothesisWords.length,
+    alignment
+  };
+}
+
+module.exports = {
+  tokenize,
+  alignWords,
+  computeWER
+};
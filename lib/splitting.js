@@ -0,0 +1,253 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseWavHeader, parseWavFile, wavHeader } = require('./audio');
+const { averageConfidence } = require('./transcript');
+
+// Segments are kept this far under a provider's size limit
+const SIZE_MARGIN = 0.95;
+
+// Each split falls on the quietest moment in this many seconds before the
+// longest segment the limit allows, measured in frames of FRAME_SECONDS
+const SEARCH_SECONDS = 30;
+const FRAME_SECONDS = 0.02;
+
+/**
+ * Sample frame in the middle of the quietest window of a range
+ * @param {Buffer} samples - Sample data of the range
+ * @param {Object} wav - parseWavHeader output
+ * @param {number} from - First sample frame of the range
+ * @param {number} to - Sample frame the range ends before
+ * @returns {number} Sample frame to split at
+ */
+function quietestFrame(samples, wav, from, to) {
+  const blockAlign = wav.channels * 2;
+  const window = Math.max(1, Math.round(FRAME_SECONDS * wav.sampleRate));
+  let best = to;
+  let bestEnergy = Infinity;
+
+  for (let frame = from; frame + window <= to; frame += window) {
+    let energy = 0;
+    const end = (frame - from + window) * blockAlign;
+    for (let offset = (frame - from) * blockAlign; offset < end; offset += 2) {
+      const sample = samples.readInt16LE(offset);
+      energy += sample * sample;
+    }
+    // Later windows win ties, so segments stay as long as possible
+    if (energy <= bestEnergy) {
+      bestEnergy = energy;
+      best = frame + Math.floor(window / 2);
+    }
+  }
+  return best;
+}
+
+/**
+ * Split a 16-bit PCM WAV file into segments under a size limit, cutting at
+ * the quietest point before each segment would exceed it
+ * @param {Buffer} buffer - WAV file contents
+ * @param {number} maxBytes - Largest segment file, header included
+ * @returns {Object[]|null} Segments ({ start, end, buffer }, times in seconds), or null when the audio isn't 16-bit PCM WAV
+ */
+function splitWav(buffer, maxBytes) {
+  const wav = parseWavHeader(buffer);
+  const plan = planSegments(wav, maxBytes);
+  if (!plan) return null;
+
+  const { blockAlign, totalFrames, maxFrames, searchFrames } = plan;
+  const frames = (start, end) => buffer.subarray(wav.dataStart + start * blockAlign, wav.dataStart + end * blockAlign);
+  const segment = (start, end) => {
+    const data = frames(start, end);
+    return {
+      start: start / wav.sampleRate,
+      end: end / wav.sampleRate,
+      buffer: Buffer.concat([wavHeader(wav, data.length), data])
+    };
+  };
+
+  const segments = [];
+  let start = 0;
+  while (totalFrames - start > maxFrames) {
+    const latest = start + maxFrames;
+    const cut = quietestFrame(frames(latest - searchFrames, latest), wav, latest - searchFrames, latest);
+    segments.push(segment(start, cut));
+    start = cut;
+  }
+  segments.push(segment(start, totalFrames));
+  return segments;
+}
+
+/**
+ * Split a 16-bit PCM WAV file on disk like splitWav, reading only the audio
+ * around each cut; each segment's audio is read when it is sent
+ * @param {string} filePath - WAV file
+ * @param {number} maxBytes - Largest segment file, header included
+ * @returns {Promise<Object[]|null>} Segments ({ start, end, read }, times in seconds, read() resolving to the segment's WAV file contents), or null when the file isn't 16-bit PCM WAV
+ */
+async function splitWavFile(filePath, maxBytes) {
+  const wav = await parseWavFile(filePath);
+  const plan = planSegments(wav, maxBytes);
+  if (!plan) return null;
+
+  const { blockAlign, totalFrames, maxFrames, searchFrames } = plan;
+  const frames = async (start, end) => {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const data = Buffer.alloc((end - start) * blockAlign);
+      await handle.read(data, 0, data.length, wav.dataStart + start * blockAlign);
+      return data;
+    } finally {
+      await handle.close();
+    }
+  };
+  const segment = (start, end) => ({
+    start: start / wav.sampleRate,
+    end: end / wav.sampleRate,
+    read: async () => {
+      const data = await frames(start, end);
+      return Buffer.concat([wavHeader(wav, data.length), data]);
+    }
+  });
+
+  const segments = [];
+  let start = 0;
+  while (totalFrames - start > maxFrames) {
+    const latest = start + maxFrames;
+    const cut = quietestFrame(await frames(latest - searchFrames, latest), wav, latest - searchFrames, latest);
+    segments.push(segment(start, cut));
+    start = cut;
+  }
+  segments.push(segment(start, totalFrames));
+  return segments;
+}
+
+/**
+ * Segment sizes for splitting a WAV file under a size limit
+ * @param {Object|null} wav - parseWavHeader output
+ * @param {number} maxBytes - Largest segment file, header included
+ * @returns {Object|null} { blockAlign, totalFrames, maxFrames, searchFrames }, or null when the audio can't be split
+ */
+function planSegments(wav, maxBytes) {
+  if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16) return null;
+  const blockAlign = wav.channels * 2;
+  const maxFrames = Math.floor((maxBytes * SIZE_MARGIN - 44) / blockAlign);
+  if (maxFrames <= 0) return null;
+  return {
+    blockAlign,
+    totalFrames: Math.floor(wav.dataLength / blockAlign),
+    maxFrames,
+    searchFrames: Math.min(Math.round(SEARCH_SECONDS * wav.sampleRate), Math.floor(maxFrames / 4))
+  };
+}
+
+/**
+ * Join the results of consecutive segments into one result, moving word and
+ * sentence timestamps onto the timeline of the whole file. Speaker labels are
+ * kept as each segment reported them.
+ * @param {Object[]} parts - Segments in order: { start, end, result }
+ * @param {number} [total] - Number of segments, when transcription stopped early
+ * @returns {Object} Result in the common shape, with the segments in details
+ */
+function stitchResults(parts, total = parts.length) {
+  const time = parts.reduce((sum, part) => sum + (part.result.time || 0), 0);
+  const segments = parts.map(part => ({ start: part.start, end: part.end }));
+  const failed = parts.findIndex(part => part.result.error);
+  if (failed !== -1) {
+    return {
+      text: null,
+      time,
+      confidence: null,
+      error: `Segment ${failed + 1} of ${total} failed: ${parts[failed].result.error}`,
+      words: [],
+      enrichments: null,
+      details: { segments }
+    };
+  }
+
+  const shift = (value, offset) => (value === null ? null : Math.round((value + offset) * 1000) / 1000);
+  const words = parts.flatMap(part => (part.result.words || []).map(word => ({
+    ...word,
+    start: shift(word.start, part.start),
+    end: shift(word.end, part.start)
+  })));
+
+  // Enrichments are concatenated; the language is the first segment's
+  const enrichments = parts.map(part => part.result.enrichments).filter(Boolean);
+  const concat = (field, map = item => item) => {
+    const lists = parts.filter(part => part.result.enrichments && part.result.enrichments[field]);
+    return lists.length > 0 ? lists.flatMap(part => part.result.enrichments[field].map(item => map(item, part))) : null;
+  };
+
+  const confidences = parts.map(part => part.result.confidence).filter(value => typeof value === 'number');
+  return {
+    text: parts.map(part => (part.result.text || '').trim()).filter(Boolean).join(' '),
+    time,
+    confidence: averageConfidence(words) ?? (confidences.length > 0
+      ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+      : null),
+    error: null,
+    words,
+    enrichments: enrichments.length === 0 ? null : {
+      language: (enrichments.find(item => item.language) || {}).language || null,
+      sentiment: concat('sentiment', (sentence, part) => ({
+        ...sentence,
+        start: shift(sentence.start, part.start),
+        end: shift(sentence.end, part.start)
+      })),
+      keyPhrases: concat('keyPhrases'),
+      topics: concat('topics')
+    },
+    details: { ...parts[0].result.details, segments }
+  };
+}
+
+/**
+ * Transcribe with a provider, splitting audio over its maxFileSize into
+ * segments that are transcribed one after another and stitched back together.
+ * Audio within the limit is sent whole.
+ * @param {Object} provider - Registered provider
+ * @param {Buffer|Object} audio - Audio file contents, or a file on disk: { path, size, read }, read() resolving to its contents
+ * @param {Object} options - transcribeBatch options (filename, mimetype, config, vocabulary)
+ * @param {Function} [options.toWav] - Resolves to the audio as a compact WAV (e.g. converted by ffmpeg), contents or a file on disk, used instead of the original when splitting
+ * @returns {Promise<Object>} Result in the common shape
+ */
+async function transcribeWithLimit(provider, audio, options = {}) {
+  const { toWav, ...batchOptions } = options;
+  const sizeOf = source => (Buffer.isBuffer(source) ? source.length : source.size);
+  const contents = source => (Buffer.isBuffer(source) ? source : source.read());
+
+  if (!provider.maxFileSize || sizeOf(audio) <= provider.maxFileSize) {
+    return provider.transcribeBatch(await contents(audio), batchOptions);
+  }
+
+  const name = path.parse(batchOptions.filename || 'audio').name;
+  const wav = toWav ? await toWav() : audio;
+  if (sizeOf(wav) <= provider.maxFileSize) {
+    return provider.transcribeBatch(await contents(wav), { ...batchOptions, filename: `${name}.wav`, mimetype: 'audio/wav' });
+  }
+
+  // Files on disk are split without reading them whole
+  const segments = Buffer.isBuffer(wav) ? splitWav(wav, provider.maxFileSize) : await splitWavFile(wav.path, provider.maxFileSize);
+  if (!segments) {
+    const limit = Math.round(provider.maxFileSize / 1024 / 1024);
+    throw new Error(`${provider.name} accepts files up to ${limit}MB; splitting longer audio needs ffmpeg or a 16-bit PCM WAV file`);
+  }
+
+  const parts = [];
+  for (const [index, segment] of segments.entries()) {
+    const result = await provider.transcribeBatch(segment.buffer || await segment.read(), {
+      ...batchOptions,
+      filename: `${name}_part${index + 1}.wav`,
+      mimetype: 'audio/wav'
+    });
+    parts.push({ start: segment.start, end: segment.end, result });
+    if (result.error) break;
+  }
+  return stitchResults(parts, segments.length);
+}
+
+module.exports = {
+  splitWav,
+  splitWavFile,
+  stitchResults,
+  transcribeWithLimit
+};
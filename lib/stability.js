@@ -0,0 +1,135 @@
+const { summarize } = require('./stats');
+
+// Words are compared without case or punctuation, so a final that only adds
+// formatting doesn't count as a revision
+const wordKey = word => word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+const splitWords = text => text.split(/\s+/).filter(Boolean);
+
+/**
+ * Number of leading words two hypotheses share
+ * @param {string[]} a - Word keys
+ * @param {string[]} b - Word keys
+ * @returns {number} Common prefix length
+ */
+function commonPrefix(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+}
+
+/**
+ * How each word of a finished utterance settled
+ * @param {Object[]} hypotheses - Every result of the utterance in order, the final last: { at, keys }
+ * @returns {Object[]} Per final word: { interim, timeToStable } (interim is false for words first seen in the final)
+ */
+function settleWords(hypotheses) {
+  const final = hypotheses[hypotheses.length - 1];
+  return final.keys.map((key, position) => {
+    const firstSeen = hypotheses.findIndex(hypothesis => hypothesis.keys.length > position);
+    // The word is stable from the last hypothesis that had it different (or missing)
+    let stableFrom = hypotheses.length - 1;
+    while (stableFrom > firstSeen && hypotheses[stableFrom - 1].keys[position] === key) stableFrom--;
+    return {
+      interim: firstSeen < hypotheses.length - 1,
+      timeToStable: hypotheses[stableFrom].at - hypotheses[firstSeen].at
+    };
+  });
+}
+
+/**
+ * Create a tracker of how much each provider's interim results change before
+ * they become final, for one real-time stream. Interim results are taken as
+ * hypotheses of the utterance the next final result ends.
+ * @returns {Object} Tracker with observe, summary and summaries
+ */
+function createStabilityTracker() {
+  const providers = new Map();
+
+  function stateOf(service) {
+    if (!providers.has(service)) {
+      providers.set(service, {
+        hypotheses: [],
+        utterances: 0,
+        interims: 0,
+        revisions: 0,
+        wordsChanged: 0,
+        interimWords: 0,
+        stableWords: 0,
+        timeToStable: []
+      });
+    }
+    return providers.get(service);
+  }
+
+  return {
+    /**
+     * Follow a provider result as it arrives
+     * @param {string} service - Provider id
+     * @param {Object} result - { text, isFinal }, as shown to the user
+     * @param {number} [now] - When the result arrived (ms)
+     * @returns {Object[]|null} For a final result, the utterance's revision history ({ t: ms since its first result, text, isFinal, changed: words of the previous hypothesis it changed }); null otherwise
+     */
+    observe: function(service, result, now = Date.now()) {
+      const state = stateOf(service);
+      const text = result.text || '';
+      if (!text && !result.isFinal) return null;
+
+      const keys = splitWords(text).map(wordKey);
+      const previous = state.hypotheses[state.hypotheses.length - 1];
+      const changed = previous ? previous.keys.length - commonPrefix(previous.keys, keys) : 0;
+      if (changed > 0) {
+        state.revisions++;
+        state.wordsChanged += changed;
+      }
+      if (!result.isFinal) state.interims++;
+      state.hypotheses.push({ at: now, text, keys, isFinal: Boolean(result.isFinal), changed });
+      if (!result.isFinal) return null;
+
+      const hypotheses = state.hypotheses;
+      state.hypotheses = [];
+      if (!text) return null;
+
+      state.utterances++;
+      settleWords(hypotheses).filter(word => word.interim).forEach(word => {
+        state.interimWords++;
+        if (word.timeToStable === 0) state.stableWords++;
+        state.timeToStable.push(word.timeToStable);
+      });
+      return hypotheses.map(hypothesis => ({
+        t: hypothesis.at - hypotheses[0].at,
+        text: hypothesis.text,
+        isFinal: hypothesis.isFinal,
+        changed: hypothesis.changed
+      }));
+    },
+
+    /**
+     * Stability of one provider so far
+     * @param {string} service - Provider id
+     * @returns {Object} utterances, interims, revisions (results that changed words already shown), wordsChanged, timeToStable (ms summary, words first shown in an interim result) and score (share of those words never changed, null without interim results)
+     */
+    summary: function(service) {
+      const state = providers.get(service) || { utterances: 0, interims: 0, revisions: 0, wordsChanged: 0, interimWords: 0, timeToStable: [] };
+      return {
+        utterances: state.utterances,
+        interims: state.interims,
+        revisions: state.revisions,
+        wordsChanged: state.wordsChanged,
+        timeToStable: summarize(state.timeToStable),
+        score: state.interimWords > 0 ? state.stableWords / state.interimWords : null
+      };
+    },
+
+    /**
+     * Stability of every provider that returned a result
+     * @returns {Object} Summaries keyed by provider id
+     */
+    summaries: function() {
+      return Object.fromEntries(Array.from(providers.keys(), service => [service, this.summary(service)]));
+    }
+  };
+}
+
+module.exports = {
+  createStabilityTracker
+};
@@ -0,0 +1,35 @@
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {number[]} values - Sample values
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} The percentile, or null for an empty sample
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[Math.min(rank, sorted.length) - 1];
+}
+
+/**
+ * Summarize a sample as mean and p50/p90/p99
+ * @param {number[]} values - Sample values (null and undefined are ignored)
+ * @returns {Object} Count, mean and percentiles
+ */
+function summarize(values) {
+  const sample = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+  const mean = sample.length > 0 ? sample.reduce((sum, value) => sum + value, 0) / sample.length : null;
+
+  return {
+    count: sample.length,
+    mean,
+    p50: percentile(sample, 50),
+    p90: percentile(sample, 90),
+    p99: percentile(sample, 99)
+  };
+}
+
+module.exports = {
+  percentile,
+  summarize
+};
@@ -0,0 +1,116 @@
+// Speaker labels are letters (A, B, ...) whatever the vendor's own numbering
+const SPEAKER_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Normalize a vendor speaker id to a letter label
+ * @param {string|number|null|undefined} speaker - Vendor speaker (AssemblyAI 'A', Deepgram 0)
+ * @returns {string|null} Speaker label, or null when unknown
+ */
+function speakerLabel(speaker) {
+  if (speaker === null || speaker === undefined || speaker === '') return null;
+  if (typeof speaker === 'number') {
+    return speaker < SPEAKER_LETTERS.length ? SPEAKER_LETTERS[speaker] : `S${speaker}`;
+  }
+  return String(speaker);
+}
+
+/**
+ * Bare form of a word for matching: lowercase, without surrounding punctuation
+ * @param {string} text - Word as displayed
+ * @returns {string} Bare word
+ */
+function bareWord(text) {
+  return text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Build a word in the common transcript schema
+ * @param {Object} fields - Word fields
+ * @param {string} fields.text - Word as displayed, with punctuation and casing
+ * @param {string} [fields.word] - Bare word (derived from text when omitted)
+ * @param {number|null} [fields.start] - Start time in seconds
+ * @param {number|null} [fields.end] - End time in seconds
+ * @param {number|null} [fields.confidence] - Confidence between 0 and 1
+ * @param {string|number|null} [fields.speaker] - Vendor speaker id
+ * @returns {Object} Word with word, text, start, end, confidence and speaker
+ */
+function createWord(fields) {
+  const text = String(fields.text || fields.word || '');
+  const number = value => (typeof value === 'number' && !Number.isNaN(value) ? value : null);
+  return {
+    word: fields.word ? bareWord(fields.word) : bareWord(text),
+    text,
+    start: number(fields.start),
+    end: number(fields.end),
+    confidence: number(fields.confidence),
+    speaker: speakerLabel(fields.speaker)
+  };
+}
+
+/**
+ * Split plain text into schema words, for vendors without word timing
+ * @param {string} text - Transcript text
+ * @returns {Object[]} Words with null timing, confidence and speaker
+ */
+function wordsFromText(text) {
+  return (text || '').split(/\s+/).filter(Boolean).map(token => createWord({ text: token }));
+}
+
+/**
+ * Mean word confidence
+ * @param {Object[]} words - Schema words
+ * @returns {number|null} Mean confidence, or null when no word has one
+ */
+function averageConfidence(words) {
+  const values = words.map(word => word.confidence).filter(value => value !== null);
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Whether any word carries timestamps
+ * @param {Object[]} words - Schema words
+ * @returns {boolean} True when words can be placed on the audio timeline
+ */
+function hasTimestamps(words) {
+  return words.some(word => word.start !== null && word.end !== null);
+}
+
+/**
+ * Build the vendor-neutral audio intelligence block of a result
+ * @param {Object} fields - Enrichments the vendor returned
+ * @param {Object|null} [fields.language] - Detected language: { code, confidence }
+ * @param {Object[]|null} [fields.sentiment] - Sentences: { text, start, end, sentiment, confidence, speaker }
+ * @param {Object[]|null} [fields.keyPhrases] - Key phrases: { text, count, rank }
+ * @param {Object[]|null} [fields.topics] - Topics: { topic, confidence }
+ * @returns {Object} Enrichments with null for anything the vendor did not provide
+ */
+function createEnrichments(fields = {}) {
+  const number = value => (typeof value === 'number' && !Number.isNaN(value) ? value : null);
+  const list = value => (Array.isArray(value) ? value : null);
+  return {
+    language: fields.language && fields.language.code
+      ? { code: fields.language.code, confidence: number(fields.language.confidence) }
+      : null,
+    sentiment: list(fields.sentiment) && fields.sentiment.map(sentence => ({
+      text: sentence.text,
+      start: number(sentence.start),
+      end: number(sentence.end),
+      sentiment: String(sentence.sentiment || 'neutral').toLowerCase(),
+      confidence: number(sentence.confidence),
+      speaker: speakerLabel(sentence.speaker)
+    })),
+    keyPhrases: list(fields.keyPhrases),
+    topics: list(fields.topics)
+  };
+}
+
+module.exports = {
+  speakerLabel,
+  bareWord,
+  createWord,
+  wordsFromText,
+  averageConfidence,
+  hasTimestamps,
+  createEnrichments
+};
@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Upload ids are random hex; anything else is rejected before touching the disk
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Largest chunk a client may send in one request
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Uploads nobody has added to for this long are deleted
+const STALE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error for a bad upload request
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create a store for resumable chunked uploads. Each upload is a file that
+ * grows chunk by chunk, <dir>/chunked_<id>.part, with its metadata in
+ * <dir>/chunked_<id>.json, so an interrupted upload can carry on from the
+ * bytes the server has, even after a restart.
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory for partial uploads
+ * @param {number} options.maxSize - Largest upload in bytes
+ * @param {number} [options.chunkSize] - Largest chunk in bytes
+ * @returns {Object} Store with create, get, append, complete and remove
+ */
+function createUploadStore(options = {}) {
+  const dir = path.resolve(options.dir);
+  const { maxSize, chunkSize = DEFAULT_CHUNK_SIZE } = options;
+
+  // Uploads with a chunk being written, so a retried chunk can't race the original
+  const appending = new Set();
+
+  const partPath = id => path.join(dir, `chunked_${id}.part`);
+  const metaPath = id => path.join(dir, `chunked_${id}.json`);
+
+  async function readMeta(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function describe(meta) {
+    const stat = await fs.stat(partPath(meta.id));
+    return { ...meta, received: stat.size, chunkSize };
+  }
+
+  async function remove(id) {
+    await fs.unlink(partPath(id)).catch(() => {});
+    await fs.unlink(metaPath(id)).catch(() => {});
+  }
+
+  // Drop uploads abandoned long ago
+  async function pruneStale() {
+    const now = Date.now();
+    const names = await fs.readdir(dir).catch(() => []);
+    await Promise.all(names.filter(name => /^chunked_[0-9a-f]{32}\.part$/.test(name)).map(async name => {
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (stat && now - stat.mtimeMs > STALE_MS) {
+        await remove(name.slice('chunked_'.length, -'.part'.length));
+      }
+    }));
+  }
+
+  return {
+    chunkSize,
+    maxSize,
+
+    /**
+     * Start an upload
+     * @param {Object} file - { filename, mimetype, size }
+     * @returns {Promise<Object>} Upload with id, filename, mimetype, size, received and chunkSize
+     * @throws {Error} With status 400 for a missing or oversized file
+     */
+    create: async function(file) {
+      const size = Number(file.size);
+      if (!Number.isInteger(size) || size <= 0) {
+        throw uploadError('size must be the file size in bytes', 400);
+      }
+      if (size > maxSize) {
+        throw uploadError(`File size too large. Maximum size is ${Math.round(maxSize / 1024 / 1024)}MB.`, 400);
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+      await pruneStale();
+      const meta = {
+        id: crypto.randomBytes(16).toString('hex'),
+        filename: String(file.filename || 'audio'),
+        mimetype: String(file.mimetype || ''),
+        size,
+        createdAt: new Date().toISOString()
+      };
+      await fs.writeFile(partPath(meta.id), Buffer.alloc(0));
+      await fs.writeFile(metaPath(meta.id), JSON.stringify(meta));
+      return describe(meta);
+    },
+
+    /**
+     * Look up an upload, e.g. to resume it
+     * @param {string} id - Upload id
+     * @returns {Promise<Object|null>} Upload, or null when unknown
+     */
+    get: async function(id) {
+      const meta = await readMeta(id);
+      return meta ? describe(meta) : null;
+    },
+
+    /**
+     * Add a chunk at the given byte offset, which must be the number of bytes
+     * received so far
+     * @param {string} id - Upload id
+     * @param {number} offset - Offset of the chunk in the file
+     * @param {Buffer} chunk - Chunk contents
+     * @returns {Promise<Object>} Upload with the new received count
+     * @throws {Error} With status 404 for unknown uploads, 409 when the offset doesn't match (with received set) and 400 for chunks that are too large
+     */
+    append: async function(id, offset, chunk) {
+      const meta = await readMeta(id);
+      if (!meta) throw uploadError('Upload not found', 404);
+
+      if (appending.has(id)) throw uploadError('Another chunk of this upload is being written', 409);
+      appending.add(id);
+      try {
+        const upload = await describe(meta);
+        if (offset !== upload.received) {
+          const error = uploadError(`Expected offset ${upload.received}`, 409);
+          error.received = upload.received;
+          throw error;
+        }
+        if (chunk.length > chunkSize || upload.received + chunk.length > upload.size) {
+          throw uploadError('Chunk is larger than the chunk size or the rest of the file', 400);
+        }
+
+        await fs.appendFile(partPath(id), chunk);
+        return { ...upload, received: upload.received + chunk.length };
+      } finally {
+        appending.delete(id);
+      }
+    },
+
+    /**
+     * Finish an upload, handing over its file
+     * @param {string} id - Upload id
+     * @returns {Promise<Object>} The file, shaped like multer's: { path, originalname, mimetype, size }
+     * @throws {Error} With status 404 for unknown uploads and 400 for incomplete ones
+     */
+    complete: async function(id) {
+      const meta = await readMeta(id);
+      if (!meta) throw uploadError('Upload not found', 404);
+
+      const upload = await describe(meta);
+      if (upload.received !== upload.size) {
+        throw uploadError(`Upload incomplete: ${upload.received} of ${upload.size} bytes received`, 400);
+      }
+
+      await fs.unlink(metaPath(id));
+      return { path: partPath(id), originalname: meta.filename, mimetype: meta.mimetype, size: meta.size };
+    },
+
+    /**
+     * Abandon an upload
+     * @param {string} id - Upload id
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    remove: async function(id) {
+      if (!(await readMeta(id))) return false;
+      await remove(id);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createUploadStore
+};
@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { configError } = require('./provider-config');
+
+// Vendor limits are in the hundreds to a thousand terms; keep well inside them
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 50;
+
+/**
+ * Clean a term list: trim, drop blanks and case-insensitive duplicates
+ * @param {string[]|string} terms - Terms, or text with one term per line
+ * @returns {string[]} Terms in their original order
+ * @throws {Error} With status 400 for non-string terms or too many or too long terms
+ */
+function normalizeTerms(terms) {
+  const list = typeof terms === 'string' ? terms.split(/\r?\n/) : terms;
+  if (!Array.isArray(list) || !list.every(term => typeof term === 'string')) {
+    throw configError('terms must be an array of strings');
+  }
+
+  const seen = new Set();
+  const cleaned = [];
+  list.map(term => term.trim().replace(/\s+/g, ' ')).filter(Boolean).forEach(term => {
+    const key = term.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    cleaned.push(term);
+  });
+
+  const tooLong = cleaned.find(term => term.length > MAX_TERM_LENGTH);
+  if (tooLong) {
+    throw configError(`Vocabulary terms can be at most ${MAX_TERM_LENGTH} characters: ${tooLong}`);
+  }
+  if (cleaned.length > MAX_TERMS) {
+    throw configError(`A vocabulary can have at most ${MAX_TERMS} terms`);
+  }
+  return cleaned;
+}
+
+/**
+ * Append vocabulary terms to a free-text prompt, for vendors whose only way
+ * to bias recognition is prompt context
+ * @param {string} prompt - Prompt, possibly empty
+ * @param {string[]} [terms] - Vocabulary terms
+ * @returns {string} Prompt mentioning the terms
+ */
+function vocabularyPrompt(prompt, terms) {
+  if (!terms || terms.length === 0) return prompt || '';
+  return [prompt, `Vocabulary: ${terms.join(', ')}.`].filter(Boolean).join(' ');
+}
+
+/**
+ * Create a versioned store for the custom vocabulary, kept in
+ * DATA_DIR/vocabulary.json. Saving never overwrites: every change becomes a
+ * new numbered version, so runs can record exactly which list they used.
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory for the vocabulary file
+ * @returns {Object} Store with list, get, save and resolve
+ */
+function createVocabularyStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir);
+  const vocabularyPath = path.join(dataDir, 'vocabulary.json');
+
+  async function readVersions() {
+    try {
+      return JSON.parse(await fs.readFile(vocabularyPath, 'utf8')).versions;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function writeVersions(versions) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const temp = `${vocabularyPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ versions }, null, 2));
+    await fs.rename(temp, vocabularyPath);
+  }
+
+  // Saves run one at a time, each reading the versions the previous one
+  // wrote, so two saves at once can't both take the same version number
+  let saving = Promise.resolve();
+
+  function serialize(task) {
+    const run = saving.then(task);
+    saving = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    /**
+     * Summaries of every version, newest first
+     * @returns {Promise<Object[]>} { version, note, count, createdAt } entries
+     */
+    list: async function() {
+      return (await readVersions())
+        .map(({ version, note, terms, createdAt }) => ({ version, note, count: terms.length, createdAt }))
+        .reverse();
+    },
+
+    /**
+     * Load a version
+     * @param {number} [version] - Version number; the latest when omitted
+     * @returns {Promise<Object|null>} { version, note, terms, createdAt } or null when not found
+     */
+    get: async function(version) {
+      const versions = await readVersions();
+      if (version === undefined) return versions[versions.length - 1] || null;
+      return versions.find(entry => entry.version === version) || null;
+    },
+
+    /**
+     * Save a term list as a new version. A list identical to the latest
+     * version is not saved again.
+     * @param {Object} fields - terms (array or one per line) and an optional note
+     * @returns {Promise<Object>} { created, vocabulary } with the stored or unchanged version
+     */
+    save: async function(fields = {}) {
+      const terms = normalizeTerms(fields.terms);
+      return serialize(async () => {
+        const versions = await readVersions();
+        const latest = versions[versions.length - 1];
+        if (latest && JSON.stringify(latest.terms) === JSON.stringify(terms)) {
+          return { created: false, vocabulary: latest };
+        }
+
+        const vocabulary = {
+          version: latest ? latest.version + 1 : 1,
+          note: typeof fields.note === 'string' ? fields.note.trim() : '',
+          terms,
+          createdAt: new Date().toISOString()
+        };
+        versions.push(vocabulary);
+        await writeVersions(versions);
+        return { created: true, vocabulary };
+      });
+    },
+
+    /**
+     * Resolve the vocabulary a run asks for
+     * @param {string|number} [value] - 'latest', a version number, or empty/'none' for no vocabulary
+     * @returns {Promise<Object|null>} { version, terms } or null for no vocabulary
+     * @throws {Error} With status 400 for an unknown version
+     */
+    resolve: async function(value) {
+      if (value === undefined || value === null || value === '' || value === 'none') return null;
+
+      const version = value === 'latest' ? undefined : Number(value);
+      if (version !== undefined && !Number.isInteger(version)) {
+        throw configError(`Invalid vocabulary version: ${value}`);
+      }
+      const vocabulary = await this.get(version);
+      if (!vocabulary) {
+        throw configError(value === 'latest' ? 'No vocabulary has been saved' : `Unknown vocabulary version: ${value}`);
+      }
+      return { version: vocabulary.version, terms: vocabulary.terms };
+    }
+  };
+}
+
+module.exports = {
+  MAX_TERMS,
+  normalizeTerms,
+  vocabularyPrompt,
+  createVocabularyStore
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { createStreamer, plainWord, turnSentiment, keyPhrases } = require('./script');
+
+// Speaker labels used in AssemblyAI utterances
+const SPEAKERS = ['A', 'B'];
+
+/**
+ * Build a completed AssemblyAI transcript for the canned script
+ * @param {string} id - Transcript id
+ * @param {Object} script - Canned script
+ * @param {Object} options - Transcript request body
+ * @returns {Object} Transcript resource
+ */
+function buildTranscript(id, script, options = {}) {
+  const words = script.words.map(word => ({
+    text: word.text,
+    start: word.start,
+    end: word.end,
+    confidence: word.confidence,
+    speaker: SPEAKERS[word.turn % SPEAKERS.length]
+  }));
+
+  const utterances = script.turns.map((turn, index) => {
+    const turnWords = words.filter((word, wordIndex) => script.words[wordIndex].turn === index);
+    return {
+      speaker: SPEAKERS[index % SPEAKERS.length],
+      text: turn.map(word => word.text).join(' '),
+      start: turn[0].start,
+      end: turn[turn.length - 1].end,
+      confidence: turnWords.reduce((sum, word) => sum + word.confidence, 0) / turnWords.length,
+      words: turnWords
+    };
+  });
+
+  const transcript = {
+    id,
+    status: 'completed',
+    text: script.words.map(word => word.text).join(' '),
+    words,
+    utterances,
+    confidence: words.reduce((sum, word) => sum + word.confidence, 0) / (words.length || 1),
+    language_code: 'en',
+    audio_duration: Math.round(script.duration / 1000),
+    error: null
+  };
+
+  // Audio intelligence results are only present when requested
+  if (options.language_detection) {
+    transcript.language_code = 'en_us';
+    transcript.language_confidence = 0.97;
+  }
+  if (options.sentiment_analysis) {
+    transcript.sentiment_analysis_results = utterances.map((utterance, index) => ({
+      text: utterance.text,
+      start: utterance.start,
+      end: utterance.end,
+      sentiment: turnSentiment(index).toUpperCase(),
+      confidence: 0.8,
+      speaker: utterance.speaker
+    }));
+  }
+  if (options.auto_highlights) {
+    transcript.auto_highlights_result = {
+      status: 'success',
+      results: keyPhrases(script).map((phrase, index, phrases) => ({
+        text: phrase.text,
+        count: phrase.count,
+        rank: Number((1 - index / phrases.length).toFixed(2)),
+        timestamps: phrase.words.map(word => ({ start: word.start, end: word.end }))
+      }))
+    };
+  }
+
+  return transcript;
+}
+
+/**
+ * Mock of AssemblyAI's upload and transcript REST API and the v3 streaming WebSocket
+ * @param {Object} context - Shared mock context from createMockProviderServer
+ * @returns {Object} Handlers for HTTP requests and WebSocket connections
+ */
+function createAssemblyAIMock(context) {
+  const transcripts = new Map();
+
+  return {
+    provider: 'assemblyai',
+    websocketPath: '/v3/ws',
+
+    handleRequest: async function(req, res, url) {
+      if (req.method === 'POST' && url.pathname === '/v2/upload') {
+        await context.readBody(req);
+        if (context.shouldFail('assemblyai', 'batch')) {
+          context.sendJSON(res, 500, { error: 'Injected AssemblyAI upload failure' });
+          return true;
+        }
+        context.sendJSON(res, 200, { upload_url: `${context.baseUrl()}/v2/files/${crypto.randomUUID()}` });
+        return true;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v2/transcript') {
+        const body = JSON.parse((await context.readBody(req)).toString() || '{}');
+        if (!body.audio_url) {
+          context.sendJSON(res, 400, { error: 'audio_url is required' });
+          return true;
+        }
+        // The latency is spent here so the first status poll already completes
+        await context.delay();
+        const id = crypto.randomUUID();
+        transcripts.set(id, buildTranscript(id, context.getScript('assemblyai'), body));
+        context.sendJSON(res, 200, { id, status: 'queued', audio_url: body.audio_url });
+        return true;
+      }
+
+      const match = url.pathname.match(/^\/v2\/transcript\/([^/]+)$/);
+      if (req.method === 'GET' && match) {
+        const transcript = transcripts.get(match[1]);
+        if (!transcript) {
+          context.sendJSON(res, 404, { error: 'Transcript not found' });
+        } else {
+          context.sendJSON(res, 200, transcript);
+        }
+        return true;
+      }
+
+      return false;
+    },
+
+    handleConnection: function(ws, req, url) {
+      const sampleRate = parseInt(url.searchParams.get('sample_rate'), 10) || 16000;
+      const formatTurns = url.searchParams.get('format_turns') === 'true';
+      const startedAt = Date.now();
+      let audioBytes = 0;
+      let terminated = false;
+
+      const send = message => context.later(() => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      });
+
+      const streamer = createStreamer(context.getScript('assemblyai'), {
+        interim: context.interim,
+        onResult: (words, isFinal, turnIndex) => {
+          // Partial turns are unformatted, as they are from the real service
+          const formatted = isFinal && formatTurns;
+          send({
+            type: 'Turn',
+            turn_order: turnIndex,
+            turn_is_formatted: formatted,
+            end_of_turn: isFinal,
+            transcript: words.map(word => (formatted ? word.text : plainWord(word.text))).join(' '),
+            end_of_turn_confidence: isFinal ? 0.9 : 0.1,
+            words: words.map(word => ({
+              text: formatted ? word.text : plainWord(word.text),
+              start: word.start,
+              end: word.end,
+              confidence: word.confidence,
+              word_is_final: true
+            }))
+          });
+        }
+      });
+
+      const terminate = () => {
+        if (terminated) return;
+        terminated = true;
+        streamer.flush();
+        send({
+          type: 'Termination',
+          audio_duration_seconds: Math.round(audioBytes / (sampleRate * 2)),
+          session_duration_seconds: Math.round((Date.now() - startedAt) / 1000)
+        });
+        context.later(() => ws.close(1000));
+      };
+
+      send({ type: 'Begin', id: crypto.randomUUID(), expires_at: Math.floor(Date.now() / 1000) + 3600 });
+
+      ws.on('message', (data, isBinary) => {
+        if (!isBinary) {
+          const message = context.parseMessage(data);
+          if (message && (message.type === 'Terminate' || message.type === 'SessionTermination')) terminate();
+          return;
+        }
+        audioBytes += data.length;
+        streamer.advance((audioBytes / (sampleRate * 2)) * 1000);
+      });
+    }
+  };
+}
+
+module.exports = {
+  createAssemblyAIMock
+};
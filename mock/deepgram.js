@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { createStreamer, plainWord, turnSentiment, keyPhrases } = require('./script');
+
+/**
+ * Convert scripted words to Deepgram's word objects (times in seconds)
+ * @param {Object[]} words - Scripted words
+ * @param {boolean} formatted - Whether smart formatting is on
+ * @returns {Object[]} Deepgram words
+ */
+function toDeepgramWords(words, formatted) {
+  return words.map(word => ({
+    word: plainWord(word.text),
+    start: word.start / 1000,
+    end: word.end / 1000,
+    confidence: word.confidence,
+    speaker: word.turn % 2,
+    ...(formatted ? { punctuated_word: word.text } : {})
+  }));
+}
+
+/**
+ * Join Deepgram words into a transcript
+ * @param {Object[]} words - Deepgram words
+ * @returns {string} Transcript text
+ */
+function joinWords(words) {
+  return words.map(word => word.punctuated_word || word.word).join(' ');
+}
+
+/**
+ * Build a pre-recorded transcription response for the canned script
+ * @param {Object} script - Canned script
+ * @param {URLSearchParams} params - Request options
+ * @returns {Object} Deepgram response body
+ */
+function buildPrerecorded(script, params) {
+  const formatted = params.get('smart_format') === 'true' || params.get('punctuate') === 'true';
+  const words = toDeepgramWords(script.words, formatted);
+  const confidence = words.reduce((sum, word) => sum + word.confidence, 0) / (words.length || 1);
+
+  const utterances = script.turns.map((turn, index) => {
+    const turnWords = words.filter((word, wordIndex) => script.words[wordIndex].turn === index);
+    return {
+      start: turnWords[0].start,
+      end: turnWords[turnWords.length - 1].end,
+      confidence: turnWords.reduce((sum, word) => sum + word.confidence, 0) / turnWords.length,
+      channel: 0,
+      transcript: joinWords(turnWords),
+      words: turnWords,
+      speaker: index % 2,
+      id: crypto.randomUUID()
+    };
+  });
+
+  // Word index ranges of each turn, which sentiment and topic segments refer to
+  const segments = script.turns.map(turn => ({
+    text: joinWords(toDeepgramWords(turn, formatted)),
+    start_word: script.words.indexOf(turn[0]),
+    end_word: script.words.indexOf(turn[turn.length - 1])
+  }));
+
+  const response = {
+    metadata: {
+      request_id: crypto.randomUUID(),
+      duration: script.duration / 1000,
+      channels: 1,
+      models: ['mock'],
+      model_info: { mock: { name: params.get('model') || 'nova-3', version: 'mock', arch: 'mock' } }
+    },
+    results: {
+      channels: [{
+        detected_language: 'en',
+        ...(params.get('detect_language') === 'true' ? { language_confidence: 0.97 } : {}),
+        alternatives: [{
+          transcript: joinWords(words),
+          confidence,
+          words,
+          paragraphs: {
+            transcript: utterances.map(utterance => utterance.transcript).join('\n\n'),
+            paragraphs: utterances.map(utterance => ({
+              sentences: [{ text: utterance.transcript, start: utterance.start, end: utterance.end }],
+              speaker: utterance.speaker,
+              start: utterance.start,
+              end: utterance.end,
+              num_words: utterance.words.length
+            }))
+          }
+        }]
+      }],
+      utterances
+    }
+  };
+
+  if (params.get('sentiment') === 'true') {
+    response.results.sentiments = {
+      segments: segments.map((segment, index) => {
+        const sentiment = turnSentiment(index);
+        const score = { negative: -0.6, neutral: 0, positive: 0.6 }[sentiment];
+        return { ...segment, sentiment, sentiment_score: score };
+      }),
+      average: { sentiment: 'neutral', sentiment_score: 0 }
+    };
+  }
+  if (params.get('topics') === 'true') {
+    const phrases = keyPhrases(script);
+    response.results.topics = {
+      segments: segments.map((segment, index) => ({
+        ...segment,
+        topics: phrases
+          .filter(phrase => phrase.words.some(word => word.turn === index))
+          .map(phrase => ({ topic: phrase.text, confidence_score: 0.75 }))
+      }))
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Mock of Deepgram's pre-recorded and live /v1/listen endpoints
+ * @param {Object} context - Shared mock context from createMockProviderServer
+ * @returns {Object} Handlers for HTTP requests and WebSocket connections
+ */
+function createDeepgramMock(context) {
+  return {
+    provider: 'deepgram',
+    websocketPath: '/v1/listen',
+
+    handleRequest: async function(req, res, url) {
+      if (req.method !== 'POST' || url.pathname !== '/v1/listen') return false;
+
+      await context.readBody(req);
+      await context.delay();
+      if (context.shouldFail('deepgram', 'batch')) {
+        context.sendJSON(res, 500, { err_code: 'INTERNAL_SERVER_ERROR', err_msg: 'Injected Deepgram failure' });
+        return true;
+      }
+      context.sendJSON(res, 200, buildPrerecorded(context.getScript('deepgram'), url.searchParams));
+      return true;
+    },
+
+    handleConnection: function(ws, req, url) {
+      const params = url.searchParams;
+      const sampleRate = parseInt(params.get('sample_rate'), 10) || 16000;
+      const channels = parseInt(params.get('channels'), 10) || 1;
+      const formatted = params.get('smart_format') === 'true' || params.get('punctuate') === 'true';
+      const requestId = crypto.randomUUID();
+      let audioBytes = 0;
+      let closed = false;
+
+      const send = message => context.later(() => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      });
+
+      const streamer = createStreamer(context.getScript('deepgram'), {
+        interim: context.interim && params.get('interim_results') === 'true',
+        onResult: (scriptWords, isFinal) => {
+          const words = toDeepgramWords(scriptWords, formatted);
+          const start = words[0].start;
+          const end = words[words.length - 1].end;
+          send({
+            type: 'Results',
+            channel_index: [0, 1],
+            duration: end - start,
+            start,
+            is_final: isFinal,
+            speech_final: isFinal,
+            channel: {
+              alternatives: [{
+                transcript: joinWords(words),
+                confidence: words.reduce((sum, word) => sum + word.confidence, 0) / words.length,
+                words
+              }]
+            },
+            metadata: { request_id: requestId },
+            from_finalize: false
+          });
+          if (isFinal && params.get('utterance_end_ms')) {
+            send({ type: 'UtteranceEnd', channel: [0, 1], last_word_end: end });
+          }
+        }
+      });
+
+      const closeStream = () => {
+        if (closed) return;
+        closed = true;
+        streamer.flush();
+        send({
+          type: 'Metadata',
+          request_id: requestId,
+          duration: audioBytes / (sampleRate * 2 * channels),
+          channels
+        });
+        context.later(() => ws.close(1000));
+      };
+
+      ws.on('message', (data, isBinary) => {
+        if (!isBinary) {
+          const message = context.parseMessage(data);
+          if (message && message.type === 'CloseStream') closeStream();
+          return;
+        }
+        audioBytes += data.length;
+        streamer.advance((audioBytes / (sampleRate * 2 * channels)) * 1000);
+      });
+    }
+  };
+}
+
+module.exports = {
+  createDeepgramMock
+};
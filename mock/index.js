@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+const http = require('http');
+const WebSocket = require('ws');
+const { DEFAULT_TRANSCRIPTS, createScript, parseFailures } = require('./script');
+const { createAssemblyAIMock } = require('./assemblyai');
+const { createDeepgramMock } = require('./deepgram');
+const { createOpenAIMock } = require('./openai');
+
+/**
+ * Create a local stand-in for the AssemblyAI, Deepgram and OpenAI APIs that
+ * replays canned transcripts. One HTTP server hosts every vendor's REST and
+ * WebSocket endpoints on their real paths.
+ * @param {Object} options - Mock options
+ * @param {number} [options.latencyMs] - Delay before every response and streamed message
+ * @param {number} [options.wordMs] - Audio time each scripted word takes
+ * @param {string} [options.transcript] - Transcript replayed by every provider
+ * @param {Object} [options.transcripts] - Transcripts keyed by provider id
+ * @param {boolean} [options.interim] - Stream interim results
+ * @param {string|string[]} [options.fail] - Failures to inject: provider or provider:mode entries
+ * @returns {Object} Mock with listen(port), url(), setFailures(value) and close()
+ */
+function createMockProviderServer(options = {}) {
+  const {
+    latencyMs = 200,
+    wordMs = 300,
+    interim = true
+  } = options;
+  let failures = parseFailures(options.fail);
+  const shouldFail = (provider, mode) => failures(provider, mode);
+  const scripts = {};
+  let address = null;
+
+  const context = {
+    interim,
+    shouldFail,
+
+    baseUrl: () => address,
+
+    getScript: provider => {
+      if (!scripts[provider]) {
+        const text = options.transcript ||
+          (options.transcripts && options.transcripts[provider]) ||
+          DEFAULT_TRANSCRIPTS[provider];
+        scripts[provider] = createScript(text, { wordMs });
+      }
+      return scripts[provider];
+    },
+
+    delay: () => new Promise(resolve => setTimeout(resolve, latencyMs)),
+
+    // Equal delays fire in order, so streamed messages keep their sequence
+    later: callback => setTimeout(callback, latencyMs),
+
+    readBody: req => new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    }),
+
+    sendJSON: (res, status, body) => {
+      const headers = { 'Content-Type': 'application/json' };
+      // Injected failures should surface at once rather than be retried by the SDKs
+      if (status >= 400) headers['x-should-retry'] = 'false';
+      res.writeHead(status, headers);
+      res.end(JSON.stringify(body));
+    },
+
+    parseMessage: data => {
+      try {
+        return JSON.parse(data.toString());
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+
+  const vendors = [
+    createAssemblyAIMock(context),
+    createDeepgramMock(context),
+    createOpenAIMock(context)
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      for (const vendor of vendors) {
+        if (await vendor.handleRequest(req, res, url)) return;
+      }
+      context.sendJSON(res, 404, { error: `No mock for ${req.method} ${url.pathname}` });
+    } catch (error) {
+      console.error('Mock provider error:', error);
+      if (!res.headersSent) context.sendJSON(res, 500, { error: error.message });
+    }
+  });
+
+  const wss = new WebSocket.Server({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const vendor = vendors.find(candidate => candidate.websocketPath === url.pathname);
+
+    if (!vendor || shouldFail(vendor.provider, 'realtime')) {
+      socket.write(`HTTP/1.1 ${vendor ? '500 Internal Server Error' : '404 Not Found'}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => vendor.handleConnection(ws, req, url));
+  });
+
+  return {
+    server,
+
+    /**
+     * Start listening on localhost
+     * @param {number} [port] - Port, 0 for any free port
+     * @returns {Promise<string>} Base URL of the mock
+     */
+    listen: function(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          address = `http://127.0.0.1:${server.address().port}`;
+          resolve(address);
+        });
+      });
+    },
+
+    /**
+     * Base URL once listening
+     * @returns {string|null} URL or null
+     */
+    url: function() {
+      return address;
+    },
+
+    /**
+     * Replace the injected failures while running
+     * @param {string|string[]} value - Entries of provider or provider:mode
+     */
+    setFailures: function(value) {
+      failures = parseFailures(value);
+    },
+
+    /**
+     * Stop the server and drop open connections
+     * @returns {Promise<void>}
+     */
+    close: function() {
+      wss.clients.forEach(ws => ws.terminate());
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Read mock options from MOCK_* environment variables
+ * @param {Object} env - Environment
+ * @returns {Object} Options for createMockProviderServer
+ */
+function mockOptionsFromEnv(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+  return {
+    latencyMs: number(env.MOCK_LATENCY_MS, 200),
+    wordMs: number(env.MOCK_WORD_MS, 300),
+    transcript: env.MOCK_TRANSCRIPT || undefined,
+    interim: env.MOCK_INTERIM !== 'false',
+    fail: env.MOCK_FAIL || ''
+  };
+}
+
+/**
+ * Environment variables pointing the provider adapters at a running mock
+ * @param {string} baseUrl - Mock base URL
+ * @returns {Object} Variables to merge into process.env
+ */
+function mockEnvironment(baseUrl) {
+  const wsUrl = baseUrl.replace(/^http/, 'ws');
+  return {
+    ASSEMBLYAI_API_KEY: 'mock',
+    ASSEMBLYAI_BASE_URL: baseUrl,
+    ASSEMBLYAI_STREAMING_URL: wsUrl,
+    DEEPGRAM_API_KEY: 'mock',
+    DEEPGRAM_BASE_URL: baseUrl,
+    OPENAI_API_KEY: 'mock',
+    OPENAI_BASE_URL: `${baseUrl}/v1`
+  };
+}
+
+module.exports = {
+  createMockProviderServer,
+  mockOptionsFromEnv,
+  mockEnvironment
+};
+
+// Run standalone: node mock/index.js, then export the printed variables
+if (require.main === module) {
+  require('dotenv').config();
+  const mock = createMockProviderServer(mockOptionsFromEnv());
+  mock.listen(parseInt(process.env.MOCK_PORT, 10) || 4010).then(url => {
+    console.log(`Mock providers running at ${url}`);
+    Object.entries(mockEnvironment(url)).forEach(([name, value]) => console.log(`${name}=${value}`));
+  });
+}
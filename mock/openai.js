@@ -0,0 +1,101 @@
+const { plainWord } = require('./script');
+
+/**
+ * Read the duration of the first WAV file in a multipart body
+ * @param {Buffer} body - Request body
+ * @returns {number|null} Duration in milliseconds, or null when no WAV header is found
+ */
+function wavDuration(body) {
+  const offset = body.indexOf('RIFF');
+  if (offset === -1 || body.length < offset + 44) return null;
+  const byteRate = body.readUInt32LE(offset + 28);
+  const dataLength = body.readUInt32LE(offset + 40);
+  return byteRate > 0 ? (dataLength / byteRate) * 1000 : null;
+}
+
+/**
+ * Read a plain form field from a multipart body
+ * @param {string} body - Request body
+ * @param {string} name - Field name
+ * @returns {string|null} Field value
+ */
+function formField(body, name) {
+  const match = body.match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Mock of OpenAI's /v1/audio/transcriptions endpoint. Uploads named like the
+ * real-time adapter's chunks (whisper_temp_*) count as real-time traffic and
+ * get the next words of the script covered by the chunk's duration.
+ * @param {Object} context - Shared mock context from createMockProviderServer
+ * @returns {Object} Handlers for HTTP requests
+ */
+function createOpenAIMock(context) {
+  // Audio time already replayed to real-time chunks, across all sessions
+  let realtimeCursor = 0;
+
+  return {
+    provider: 'openai',
+    websocketPath: null,
+
+    handleRequest: async function(req, res, url) {
+      if (req.method !== 'POST' || url.pathname !== '/v1/audio/transcriptions') return false;
+
+      const body = await context.readBody(req);
+      const form = body.toString('latin1');
+      const filename = (form.match(/filename="([^"]*)"/) || [])[1] || '';
+      const mode = filename.startsWith('whisper_temp_') ? 'realtime' : 'batch';
+
+      await context.delay();
+      if (context.shouldFail('openai', mode)) {
+        context.sendJSON(res, 500, {
+          error: { message: 'Injected OpenAI failure', type: 'server_error', param: null, code: null }
+        });
+        return true;
+      }
+
+      const script = context.getScript('openai');
+      let text = script.words.map(word => word.text).join(' ');
+
+      // whisper-1 with verbose_json also returns unpunctuated word timestamps
+      if (formField(form, 'response_format') === 'verbose_json') {
+        context.sendJSON(res, 200, {
+          task: 'transcribe',
+          language: 'english',
+          duration: script.duration / 1000,
+          text,
+          words: script.words.map(word => ({
+            word: plainWord(word.text),
+            start: word.start / 1000,
+            end: word.end / 1000
+          })),
+          segments: script.turns.map((turn, index) => ({
+            id: index,
+            start: turn[0].start / 1000,
+            end: turn[turn.length - 1].end / 1000,
+            text: turn.map(word => word.text).join(' ')
+          }))
+        });
+        return true;
+      }
+
+      if (mode === 'realtime') {
+        const duration = wavDuration(body) || 1000;
+        const start = realtimeCursor % (script.duration || 1);
+        realtimeCursor += duration;
+        text = script.words
+          .filter(word => word.end > start && word.end <= start + duration)
+          .map(word => word.text)
+          .join(' ');
+      }
+
+      context.sendJSON(res, 200, { text });
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIMock
+};
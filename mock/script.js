@@ -0,0 +1,158 @@
+// Canned transcripts per provider; small differences keep comparisons interesting
+const DEFAULT_TRANSCRIPTS = {
+  assemblyai: 'The patient reports sensitivity on the lower left molar. Um, we will take an x-ray of tooth number nineteen. Then we can schedule the filling for next week.',
+  deepgram: 'The patient reports sensitivity on the lower left molar. We will take an X-ray of tooth number 19. Then we can schedule the filling for next week.',
+  openai: 'The patient reports sensitivity in the lower left molar. We will take an x-ray of tooth 19. Then we can schedule a filling for next week.'
+};
+
+/**
+ * Split a canned transcript into timed words grouped into turns (one per sentence)
+ * @param {string} text - Transcript text
+ * @param {Object} options - Timing options
+ * @param {number} [options.wordMs] - Audio time taken by each word
+ * @returns {Object} Script with words ({ text, start, end, confidence, turn }), turns and duration in ms
+ */
+function createScript(text, options = {}) {
+  const { wordMs = 300 } = options;
+  const words = [];
+  const turns = [];
+  let turn = [];
+
+  text.split(/\s+/).filter(Boolean).forEach((token, index) => {
+    const word = {
+      text: token,
+      start: index * wordMs,
+      end: index * wordMs + Math.round(wordMs * 0.8),
+      // Deterministic but not constant, so averages are meaningful
+      confidence: 0.9 + (index % 10) / 100,
+      turn: turns.length
+    };
+    words.push(word);
+    turn.push(word);
+    if (/[.?!]$/.test(token)) {
+      turns.push(turn);
+      turn = [];
+    }
+  });
+  if (turn.length > 0) turns.push(turn);
+
+  return { words, turns, duration: words.length * wordMs };
+}
+
+/**
+ * Strip punctuation and case from a scripted word, as unformatted output would
+ * @param {string} text - Word text
+ * @returns {string} Plain word
+ */
+function plainWord(text) {
+  return text.toLowerCase().replace(/[^\w'-]/g, '');
+}
+
+// Sentiment of each turn, cycling; the default script goes from complaint to plan
+const TURN_SENTIMENTS = ['negative', 'neutral', 'positive'];
+
+/**
+ * Canned sentiment of a turn
+ * @param {number} turnIndex - Turn index
+ * @returns {string} 'negative', 'neutral' or 'positive'
+ */
+function turnSentiment(turnIndex) {
+  return TURN_SENTIMENTS[turnIndex % TURN_SENTIMENTS.length];
+}
+
+/**
+ * Pick the longest words of a script as its key phrases
+ * @param {Object} script - Script from createScript
+ * @param {number} [limit] - Maximum number of phrases
+ * @returns {Object[]} Phrases ({ text, count, words }) with the scripted words they occur at
+ */
+function keyPhrases(script, limit = 3) {
+  const phrases = new Map();
+  script.words.forEach(word => {
+    const text = plainWord(word.text);
+    if (text.length < 7) return;
+    if (!phrases.has(text)) phrases.set(text, { text, count: 0, words: [] });
+    phrases.get(text).count++;
+    phrases.get(text).words.push(word);
+  });
+  return [...phrases.values()]
+    .sort((a, b) => b.text.length - a.text.length)
+    .slice(0, limit);
+}
+
+/**
+ * Replay a script against streamed audio. A word is released once enough audio
+ * has arrived to cover it, so output depends only on the audio sent.
+ * @param {Object} script - Script from createScript
+ * @param {Object} handlers - Callbacks
+ * @param {boolean} [handlers.interim] - Emit partial turns as words arrive
+ * @param {Function} handlers.onResult - Called with (words, isFinal, turnIndex)
+ * @returns {Object} Streamer with advance(audioMs) and flush()
+ */
+function createStreamer(script, handlers) {
+  const { interim = true, onResult } = handlers;
+  let released = 0;
+  let turnIndex = 0;
+  let turnStart = 0;
+
+  const emitTurn = isFinal => {
+    const words = script.words.slice(turnStart, released);
+    if (words.length === 0) return;
+    onResult(words, isFinal, turnIndex);
+    if (isFinal) {
+      turnIndex++;
+      turnStart = released;
+    }
+  };
+
+  return {
+    /**
+     * Release the words covered by the audio received so far
+     * @param {number} audioMs - Total audio received, in milliseconds
+     */
+    advance: function(audioMs) {
+      while (released < script.words.length && script.words[released].end <= audioMs) {
+        const word = script.words[released++];
+        const next = script.words[released];
+        if (!next || next.turn !== word.turn) {
+          emitTurn(true);
+        } else if (interim) {
+          emitTurn(false);
+        }
+      }
+    },
+
+    /**
+     * Finalize the words of the current turn when the stream ends
+     */
+    flush: function() {
+      emitTurn(true);
+    }
+  };
+}
+
+/**
+ * Parse the failure injection list, e.g. "deepgram,openai:batch"
+ * @param {string|string[]} [value] - Entries of provider or provider:mode
+ * @returns {Function} Predicate (provider, mode) => boolean
+ */
+function parseFailures(value) {
+  const entries = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return (provider, mode) => entries.some(entry => {
+    const [id, entryMode] = entry.split(':');
+    return (id === provider || id === '*') && (!entryMode || entryMode === mode);
+  });
+}
+
+module.exports = {
+  DEFAULT_TRANSCRIPTS,
+  createScript,
+  plainWord,
+  turnSentiment,
+  keyPhrases,
+  createStreamer,
+  parseFailures
+};
@@ -168,14 +168,98 @@ class AudioProcessor {
     }
 }
 
+// Streams an audio file through the same audioData path as the microphone,
+// paced like live audio (or faster), so every provider hears identical audio
+class FileStreamer extends AudioProcessor {
+    constructor(file, speed) {
+        super();
+        this.file = file;
+        this.speed = speed;
+        this.pcm = null;
+        this.timer = null;
+    }
+
+    // Decode the file to 16 kHz mono; audio is sent once begin() is called
+    async startRecording() {
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            const decoded = await context.decodeAudioData(await this.file.arrayBuffer());
+            const offline = new OfflineAudioContext(1, Math.ceil(decoded.duration * 16000), 16000);
+            const source = offline.createBufferSource();
+            source.buffer = decoded;
+            source.connect(offline.destination);
+            source.start();
+            this.pcm = new Int16Array(this.convertFloat32ToInt16((await offline.startRendering()).getChannelData(0)));
+        } catch (error) {
+            throw new Error(`Could not decode ${this.file.name}: ${error.message}`);
+        } finally {
+            context.close();
+        }
+        this.isRecording = true;
+    }
+
+    // Send 100 ms chunks on schedule; onEnd is called after the last one
+    begin(onEnd) {
+        const chunkSamples = 1600;
+        const startedAt = performance.now();
+        let index = 0;
+
+        const sendNext = () => {
+            if (!this.isRecording) return;
+            const chunk = this.pcm.slice(index * chunkSamples, (index + 1) * chunkSamples);
+            if (chunk.length === 0) {
+                onEnd();
+                return;
+            }
+            socket.emit('audioData', chunk.buffer);
+            this.showLevel(chunk);
+            index++;
+            const due = startedAt + index * 100 / this.speed;
+            this.timer = setTimeout(sendNext, Math.max(0, due - performance.now()));
+        };
+        sendNext();
+    }
+
+    showLevel(chunk) {
+        let sum = 0;
+        chunk.forEach(sample => { sum += sample * sample; });
+        const rms = Math.sqrt(sum / chunk.length) / 32768;
+        this.levelBar.style.width = Math.min(100, rms * 300) + '%';
+    }
+
+    stopRecording() {
+        this.isRecording = false;
+        clearTimeout(this.timer);
+        this.levelBar.style.width = '0%';
+    }
+}
+
 // Global variables
 let audioProcessor = null;
+let streamFile = null; // File chosen for "stream from file"
 let currentMode = 'batch';
 let selectedFile = null;
 let recordedBlob = null;
 let mediaRecorder = null;
 let recordingStartTime = null;
 let recordingTimer = null;
+let providers = []; // Provider descriptors from /providers
+let configProfiles = []; // Configuration profiles from /config-profiles
+let configOverrides = {}; // Option changes on top of the selected profile, per provider
+let vocabularyVersions = []; // Saved vocabulary versions from /vocabulary, newest first
+let vocabularyTerms = ''; // Saved terms of the version shown in the editor
+let revealAvailable = false; // Whether the server has a PHI reveal key
+let ffmpegAvailable = false; // Whether the server can convert any audio or video upload
+let maxUploadSize = 25 * 1024 * 1024; // Largest upload the server takes, in chunks above DIRECT_UPLOAD_LIMIT
+let currentComparison = null; // Comparison shown in the results section
+let currentJob = null; // Batch job in progress ({ id, pollTimer })
+let historySearchTimer = null;
+let diffRegions = 0; // Disagreement regions in the diff view
+let diffCurrent = -1; // Region highlighted in the diff view
+let diffRequest = 0; // Latest /align request, so stale responses are dropped
+let waveformPeaks = null; // Per-pixel peak amplitudes of the review audio
+let wordTimeline = new Map(); // Timed transcript words per service, sorted by start
+let playbackFrame = null; // requestAnimationFrame id while the review audio plays
 
 // Transcript state management for real-time mode
 const transcriptState = new Map(); // Stores accumulated transcripts per service
@@ -189,457 +273,2191 @@ const fileInput = document.getElementById('file-input');
 const recordBtn = document.getElementById('record-btn');
 const recordTimer = document.getElementById('record-timer');
 const processBtn = document.getElementById('process-btn');
+const referenceText = document.getElementById('reference-text');
+const referenceFileInput = document.getElementById('reference-file-input');
+const normalizationSelect = document.getElementById('normalization-profile');
 const streamBtn = document.getElementById('stream-btn');
 const errorDisplay = document.getElementById('error-display');
 const errorMessage = document.getElementById('error-message');
+const reviewAudio = document.getElementById('review-audio');
+const waveformCanvas = document.getElementById('waveform');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     setupSocketListeners();
     updateConnectionStatus();
+    loadProviders();
+    loadConfigProfiles();
+    loadVocabulary();
+    loadKeywords();
+    loadRedactionPolicy();
+    loadNormalizationProfiles();
+    loadHistory();
 });
 
-// Event listeners
-function setupEventListeners() {
-    // Mode selection
-    document.querySelectorAll('input[name="mode"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            currentMode = e.target.value;
-            toggleMode();
-        });
-    });
+// Provider list
+async function loadProviders() {
+    try {
+        const response = await fetch('/providers');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
 
-    // File upload
-    uploadArea.addEventListener('click', () => fileInput.click());
-    uploadArea.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        uploadArea.classList.add('dragover');
-    });
-    uploadArea.addEventListener('dragleave', () => {
-        uploadArea.classList.remove('dragover');
-    });
-    uploadArea.addEventListener('drop', (e) => {
-        e.preventDefault();
-        uploadArea.classList.remove('dragover');
-        handleFileSelect(e.dataTransfer.files[0]);
-    });
-    fileInput.addEventListener('change', (e) => {
-        handleFileSelect(e.target.files[0]);
+        const data = await response.json();
+        providers = data.providers;
+        renderProviders();
+    } catch (error) {
+        showError('Failed to load providers: ' + error.message);
+    }
+}
+
+function renderProviders() {
+    const serviceList = document.getElementById('service-list');
+    const connectionStatus = document.getElementById('connection-status');
+
+    serviceList.innerHTML = '';
+    connectionStatus.querySelectorAll('.provider-status').forEach(item => item.remove());
+
+    providers.forEach(provider => {
+        const label = document.createElement('label');
+        label.className = 'service-checkbox';
+        label.dataset.service = provider.id;
+        label.innerHTML = `
+            <input type="checkbox" name="service" id="${provider.id}" value="${provider.id}" ${provider.configured ? 'checked' : ''}>
+            <span class="service-label ${provider.id}">
+                <span class="service-icon">${provider.icon}</span>
+                ${provider.name}
+            </span>
+            <span class="service-note"></span>
+        `;
+        applyProviderColor(label.querySelector('.service-label'), provider.id);
+        label.querySelector('input').addEventListener('change', handleServiceSelectionChange);
+        serviceList.appendChild(label);
+
+        const statusItem = document.createElement('div');
+        statusItem.className = `status-item provider-status ${provider.id}-status`;
+        statusItem.style.display = 'none';
+        statusItem.innerHTML = `
+            <span class="status-indicator" id="${provider.id}-status"></span>
+            ${provider.name}
+        `;
+        connectionStatus.appendChild(statusItem);
     });
 
-    // Recording
-    recordBtn.addEventListener('click', toggleRecording);
+    updateUploadFormats();
+    updateServiceAvailability();
+}
 
-    // Process button
-    processBtn.addEventListener('click', processBatchAudio);
+// Without ffmpeg on the server, uploads are limited to what the providers accept
+function updateUploadFormats() {
+    const audioFormatSelect = document.getElementById('audio-format');
+    const limit = `max ${Math.round(maxUploadSize / 1024 / 1024)}MB`;
+    if (ffmpegAvailable) {
+        fileInput.accept = 'audio/*,video/*';
+        document.getElementById('upload-formats').textContent = `Supported formats: any audio or video file (${limit})`;
+    } else {
+        fileInput.accept = [...new Set(providers.flatMap(provider => provider.mimetypes))].join(',');
+        document.getElementById('upload-formats').textContent = `Supported formats: MP3, WAV, M4A, WebM (${limit})`;
+    }
+    audioFormatSelect.querySelector('option[value="normalized"]').disabled = !ffmpegAvailable;
+    if (!ffmpegAvailable && audioFormatSelect.value === 'normalized') {
+        audioFormatSelect.value = 'auto';
+    }
+}
 
-    // Stream button
-    streamBtn.addEventListener('click', toggleStreaming);
+// API keys can change when the server restarts, so /health is re-read on every connect
+async function refreshProviderHealth() {
+    if (providers.length === 0) return;
 
-    // Export buttons
-    document.getElementById('export-json').addEventListener('click', exportJSON);
-    document.getElementById('export-csv').addEventListener('click', exportCSV);
+    try {
+        const response = await fetch('/health');
+        if (!response.ok) return;
+
+        const health = await response.json();
+        providers.forEach(provider => {
+            if (provider.id in health.services) {
+                provider.configured = health.services[provider.id];
+            }
+        });
+        ffmpegAvailable = Boolean(health.ffmpeg);
+        maxUploadSize = health.maxUploadSize || maxUploadSize;
+        updateUploadFormats();
+        updateServiceAvailability();
+    } catch (error) {
+        console.error('Failed to check provider health:', error);
+    }
 }
 
-// Socket.IO event listeners
-function setupSocketListeners() {
-    socket.on('connect', () => {
-        console.log('Connected to server');
-        updateConnectionStatus();
-    });
+// Why a provider can't be selected in the current mode, or null when it can
+function getUnavailableReason(provider) {
+    if (!provider.configured) {
+        return `Missing ${provider.envVars.join(', ')}`;
+    }
+    if (!provider[currentMode]) {
+        return currentMode === 'batch' ? 'No batch support' : 'No real-time support';
+    }
+    return null;
+}
 
-    socket.on('disconnect', () => {
-        console.log('Disconnected from server');
-        updateConnectionStatus();
-    });
+function updateServiceAvailability() {
+    providers.forEach(provider => {
+        const label = document.querySelector(`.service-checkbox[data-service="${provider.id}"]`);
+        if (!label) return;
 
-    socket.on('streamReady', (data) => {
-        console.log('Stream ready:', data.services);
-        data.services.forEach(service => {
-            updateServiceStatus(service, 'connected');
-        });
+        const input = label.querySelector('input');
+        const reason = getUnavailableReason(provider);
+        input.disabled = Boolean(reason);
+        if (reason) {
+            input.checked = false;
+        }
+        label.classList.toggle('disabled', Boolean(reason));
+        label.title = reason || '';
+        label.querySelector('.service-note').textContent = reason || '';
     });
+    handleServiceSelectionChange();
+}
 
-    socket.on('transcriptResult', (data) => {
-        handleTranscriptResult(data);
-    });
+function handleServiceSelectionChange() {
+    updateSelectAll();
+    renderProviderOptions();
+}
 
-    socket.on('streamError', (data) => {
-        showError('Stream error: ' + data.error);
-        stopStreaming();
-    });
+function updateSelectAll() {
+    const selectAll = document.getElementById('select-all-services');
+    const inputs = [...document.querySelectorAll('input[name="service"]:not(:disabled)')];
+    const checked = inputs.filter(input => input.checked).length;
 
-    socket.on('serviceError', (data) => {
-        showError(`${data.service} error: ${data.error}`);
-        updateServiceStatus(data.service, 'error');
-    });
+    selectAll.disabled = inputs.length === 0;
+    selectAll.checked = inputs.length > 0 && checked === inputs.length;
+    selectAll.indeterminate = checked > 0 && checked < inputs.length;
+}
 
-    socket.on('serviceInfo', (data) => {
-        console.log(`${data.service}: ${data.message}`);
-        // Could display this info in the UI if needed
+function toggleAllServices(checked) {
+    document.querySelectorAll('input[name="service"]:not(:disabled)').forEach(input => {
+        input.checked = checked;
     });
+    handleServiceSelectionChange();
+}
 
-    socket.on('streamEnded', () => {
-        console.log('Stream ended');
-        resetServiceStatuses();
-    });
+// Lay a results container out as one column per provider
+function setColumnCount(element, count) {
+    element.style.setProperty('--columns', Math.max(count, 1));
 }
 
-// Mode switching
-function toggleMode() {
-    if (currentMode === 'batch') {
-        batchInterface.style.display = 'block';
-        realtimeInterface.style.display = 'none';
-    } else {
-        batchInterface.style.display = 'none';
-        realtimeInterface.style.display = 'block';
+// Configuration profiles and provider options
+async function loadConfigProfiles(selectedId = null) {
+    try {
+        const response = await fetch('/config-profiles');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        const data = await response.json();
+        configProfiles = data.profiles;
+
+        const select = document.getElementById('config-profile');
+        select.innerHTML = configProfiles
+            .map(profile => `<option value="${profile.id}">${escapeHTML(profile.name)}${profile.builtIn ? '' : ' (saved)'}</option>`)
+            .join('');
+        select.value = selectedId || data.default;
+        updateConfigProfileControls();
+        renderProviderOptions();
+    } catch (error) {
+        showError('Failed to load configuration profiles: ' + error.message);
     }
 }
 
-// File handling
-function handleFileSelect(file) {
-    if (!file) return;
+function getSelectedConfigProfile() {
+    const id = document.getElementById('config-profile').value;
+    return configProfiles.find(profile => profile.id === id) || null;
+}
 
-    const validTypes = ['audio/mpeg', 'audio/wav', 'audio/x-m4a', 'audio/webm'];
-    if (!validTypes.includes(file.type)) {
-        showError('Invalid file type. Please select an MP3, WAV, M4A, or WebM file.');
-        return;
-    }
+function updateConfigProfileControls() {
+    const profile = getSelectedConfigProfile();
+    const hasOverrides = Object.keys(configOverrides).length > 0;
+    document.getElementById('config-profile-description').textContent = profile ? profile.description || '' : '';
+    document.getElementById('save-profile-btn').disabled = !profile || profile.builtIn || !hasOverrides;
+    document.getElementById('delete-profile-btn').disabled = !profile || profile.builtIn;
+}
 
-    if (file.size > 25 * 1024 * 1024) {
-        showError('File too large. Maximum size is 25MB.');
-        return;
-    }
+// Value an option has before local changes: the profile's, else the provider default
+function getProfileOptionValue(service, option) {
+    const values = getSelectedConfigProfile()?.providers[service] || {};
+    return option.key in values ? values[option.key] : option.default;
+}
 
-    selectedFile = file;
-    recordedBlob = null;
-    updateUploadArea(file.name);
-    processBtn.disabled = false;
+function getOptionValue(service, option) {
+    const overrides = configOverrides[service] || {};
+    return option.key in overrides ? overrides[option.key] : getProfileOptionValue(service, option);
 }
 
-function updateUploadArea(filename) {
-    const uploadContent = uploadArea.querySelector('.upload-content');
-    uploadContent.innerHTML = `
-        <span class="upload-icon">📄</span>
-        <h3>${filename}</h3>
-        <p>Click to select a different file</p>
-    `;
+// Options panel of every selected provider, for the current mode
+function renderProviderOptions() {
+    const container = document.getElementById('provider-option-panels');
+    const open = new Set([...container.querySelectorAll('details[open]')].map(panel => panel.dataset.service));
+
+    container.innerHTML = getSelectedServices().map(service => {
+        const provider = getProvider(service);
+        const options = (provider?.options || []).filter(option => !option.modes || option.modes.includes(currentMode));
+        if (options.length === 0) return '';
+
+        const changed = Object.keys(configOverrides[service] || {}).length;
+        return `
+            <details class="provider-options-panel" data-service="${service}" ${open.has(service) ? 'open' : ''}>
+                <summary>
+                    ${escapeHTML(provider.name)}
+                    ${changed ? `<span class="options-changed">${changed} changed</span>` : ''}
+                </summary>
+                <div class="option-fields">
+                    ${options.map(option => renderOptionField(service, option)).join('')}
+                </div>
+                ${changed ? `<button type="button" class="option-reset profile-btn" data-service="${service}">Reset to profile</button>` : ''}
+            </details>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.provider-options-panel').forEach(panel => applyProviderColor(panel, panel.dataset.service));
 }
 
-// Recording functions
-async function toggleRecording() {
-    if (!mediaRecorder || mediaRecorder.state === 'inactive') {
-        startBatchRecording();
+function renderOptionField(service, option) {
+    const value = getOptionValue(service, option);
+    const data = `data-service="${service}" data-key="${option.key}"`;
+
+    if (option.type === 'boolean') {
+        return `
+            <label class="option-field option-boolean">
+                <input type="checkbox" ${data} ${value ? 'checked' : ''}>
+                ${escapeHTML(option.label)}
+            </label>
+        `;
+    }
+
+    let control;
+    if (option.type === 'select') {
+        control = `<select ${data}>${option.choices.map(choice => `
+            <option value="${escapeHTML(choice.value)}" ${choice.value === value ? 'selected' : ''}>${escapeHTML(choice.label)}</option>
+        `).join('')}</select>`;
+    } else if (String(option.default).length > 40) {
+        control = `<textarea ${data} rows="3">${escapeHTML(value)}</textarea>`;
     } else {
-        stopBatchRecording();
+        control = `<input type="text" ${data} value="${escapeHTML(value)}">`;
     }
+    return `
+        <label class="option-field">
+            <span>${escapeHTML(option.label)}</span>
+            ${control}
+        </label>
+    `;
 }
 
-async function startBatchRecording() {
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const chunks = [];
+function handleProviderOptionChange(e) {
+    const { service, key } = e.target.dataset;
+    const option = getProvider(service)?.options.find(candidate => candidate.key === key);
+    if (!option) return;
 
-        mediaRecorder = new MediaRecorder(stream);
-        mediaRecorder.ondataavailable = (e) => chunks.push(e.data);
-        mediaRecorder.onstop = () => {
-            recordedBlob = new Blob(chunks, { type: 'audio/webm' });
-            selectedFile = null;
-            updateUploadArea('Recorded Audio (WebM)');
-            processBtn.disabled = false;
-        };
+    const value = option.type === 'boolean' ? e.target.checked : e.target.value;
+    const overrides = { ...(configOverrides[service] || {}) };
+    if (value === getProfileOptionValue(service, option)) {
+        delete overrides[key];
+    } else {
+        overrides[key] = value;
+    }
 
-        mediaRecorder.start();
-        recordingStartTime = Date.now();
-        updateRecordingUI(true);
+    if (Object.keys(overrides).length > 0) {
+        configOverrides[service] = overrides;
+    } else {
+        delete configOverrides[service];
+    }
+    updateConfigProfileControls();
+    renderProviderOptions();
+}
 
-        // Update timer
-        recordingTimer = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - recordingStartTime) / 1000);
-            const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
-            const seconds = (elapsed % 60).toString().padStart(2, '0');
-            recordTimer.textContent = `${minutes}:${seconds}`;
-        }, 100);
+// Profile and option changes sent with /transcribe-batch and startStream
+function getConfigRequest(services) {
+    const config = {};
+    services.forEach(service => {
+        if (configOverrides[service]) config[service] = configOverrides[service];
+    });
+    return {
+        configProfile: document.getElementById('config-profile').value,
+        config: Object.keys(config).length > 0 ? config : null
+    };
+}
 
-    } catch (error) {
-        showError('Failed to start recording: ' + error.message);
-    }
+// The selected profile's values with the local changes applied
+function getMergedProfileProviders() {
+    const merged = {};
+    const profile = getSelectedConfigProfile();
+    const services = new Set([...Object.keys(profile?.providers || {}), ...Object.keys(configOverrides)]);
+    services.forEach(service => {
+        merged[service] = { ...(profile?.providers[service] || {}), ...(configOverrides[service] || {}) };
+    });
+    return merged;
 }
 
-function stopBatchRecording() {
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stop();
-        mediaRecorder.stream.getTracks().forEach(track => track.stop());
-        clearInterval(recordingTimer);
-        updateRecordingUI(false);
-    }
+async function saveConfigProfile() {
+    const profile = getSelectedConfigProfile();
+    if (!profile || profile.builtIn) return;
+
+    await submitConfigProfile(`/config-profiles/${profile.id}`, 'PUT', {
+        name: profile.name,
+        description: profile.description,
+        providers: getMergedProfileProviders()
+    });
 }
 
-function updateRecordingUI(isRecording) {
-    recordBtn.classList.toggle('recording', isRecording);
-    recordBtn.innerHTML = isRecording ? 
-        '<span class="record-icon">⏹️</span>Stop Recording' : 
-        '<span class="record-icon">🎤</span>Start Recording';
-    if (!isRecording) {
-        recordTimer.textContent = '00:00';
-    }
+async function saveConfigProfileAs() {
+    const name = prompt('Name for the new configuration profile:');
+    if (!name || !name.trim()) return;
+
+    await submitConfigProfile('/config-profiles', 'POST', {
+        name,
+        description: `Based on ${getSelectedConfigProfile()?.name || 'the defaults'}`,
+        providers: getMergedProfileProviders()
+    });
 }
 
-// Batch processing
-async function processBatchAudio() {
-    const selectedServices = getSelectedServices();
-    if (selectedServices.length === 0) {
-        showError('Please select at least one service.');
-        return;
-    }
+async function submitConfigProfile(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
 
-    if (!selectedFile && !recordedBlob) {
-        showError('Please select a file or record audio first.');
-        return;
+        const saved = await response.json();
+        configOverrides = {};
+        await loadConfigProfiles(saved.id);
+    } catch (error) {
+        showError('Failed to save configuration profile: ' + error.message);
     }
+}
 
-    processBtn.disabled = true;
-    processBtn.textContent = 'Processing...';
+async function deleteConfigProfile() {
+    const profile = getSelectedConfigProfile();
+    if (!profile || profile.builtIn) return;
+    if (!confirm(`Delete the configuration profile "${profile.name}"?`)) return;
 
     try {
-        const formData = new FormData();
-        
-        if (selectedFile) {
-            formData.append('audio', selectedFile);
-        } else if (recordedBlob) {
-            formData.append('audio', recordedBlob, 'recording.webm');
+        const response = await fetch(`/config-profiles/${profile.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
         }
-        
-        formData.append('services', JSON.stringify(selectedServices));
 
-        const response = await fetch('/transcribe-batch', {
-            method: 'POST',
-            body: formData
-        });
+        configOverrides = {};
+        await loadConfigProfiles();
+    } catch (error) {
+        showError('Failed to delete configuration profile: ' + error.message);
+    }
+}
 
+// Custom vocabulary: runs use a saved version, so edits are saved as a new one first
+async function loadVocabulary(selectedVersion = null) {
+    try {
+        const response = await fetch('/vocabulary');
         if (!response.ok) {
             throw new Error(await response.text());
         }
 
-        const result = await response.json();
-        displayBatchResults(result);
+        const data = await response.json();
+        vocabularyVersions = data.versions;
 
+        const select = document.getElementById('vocabulary-version');
+        select.innerHTML = '<option value="">No vocabulary</option>' + vocabularyVersions
+            .map((version, index) => `<option value="${version.version}">v${version.version} - ${version.count} terms${index === 0 ? ' (latest)' : ''}${version.note ? `: ${escapeHTML(version.note)}` : ''}</option>`)
+            .join('');
+        select.value = selectedVersion || (data.current ? data.current.version : '');
+        showVocabularyTerms(data.current ? data.current.terms : []);
     } catch (error) {
-        showError('Processing failed: ' + error.message);
-    } finally {
-        processBtn.disabled = false;
-        processBtn.textContent = 'Process Audio';
+        showError('Failed to load vocabulary: ' + error.message);
     }
 }
 
-// Real-time streaming
-async function toggleStreaming() {
+// Show a version's terms in the editor; with no vocabulary selected the latest stays editable
+async function selectVocabularyVersion() {
+    const version = document.getElementById('vocabulary-version').value || vocabularyVersions[0]?.version;
+    if (!version) return;
+
+    try {
+        const response = await fetch(`/vocabulary/${version}`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        showVocabularyTerms((await response.json()).terms);
+    } catch (error) {
+        showError('Failed to load vocabulary version: ' + error.message);
+    }
+}
+
+function showVocabularyTerms(terms) {
+    vocabularyTerms = terms.join('\n');
+    document.getElementById('vocabulary-terms').value = vocabularyTerms;
+    updateVocabularyStatus();
+}
+
+function updateVocabularyStatus() {
+    const edited = document.getElementById('vocabulary-terms').value.trim() !== vocabularyTerms;
+    const selected = document.getElementById('vocabulary-version').value;
+    document.getElementById('save-vocabulary-btn').disabled = !edited;
+    document.getElementById('vocabulary-status').textContent = edited
+        ? 'Unsaved changes: runs use the selected saved version'
+        : selected ? `Runs boost the terms of v${selected}` : 'Runs use no custom vocabulary';
+}
+
+async function saveVocabulary() {
+    const note = prompt('Note for this version (optional):', '');
+    if (note === null) return;
+
+    try {
+        const response = await fetch('/vocabulary', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ terms: document.getElementById('vocabulary-terms').value, note })
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+
+        const saved = await response.json();
+        await loadVocabulary(saved.version);
+    } catch (error) {
+        showError('Failed to save vocabulary: ' + error.message);
+    }
+}
+
+function formatVocabulary(vocabulary) {
+    return vocabulary ? `v${vocabulary.version} (${vocabulary.terms.length} terms)` : 'None';
+}
+
+// Keyword list scored by keyword recall, edited as "[Category]" headings with one term per line
+async function loadKeywords() {
+    try {
+        const response = await fetch('/keywords');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        showKeywords(await response.json());
+    } catch (error) {
+        showError('Failed to load keywords: ' + error.message);
+    }
+}
+
+function showKeywords({ keywords, builtIn }) {
+    document.getElementById('keyword-list').value = Object.entries(keywords)
+        .map(([category, terms]) => [`[${category}]`, ...terms].join('\n'))
+        .join('\n\n');
+    document.getElementById('keyword-list-status').textContent = builtIn ? 'Built-in dental terms' : 'Saved list';
+    document.getElementById('reset-keywords-btn').disabled = builtIn;
+}
+
+async function submitKeywords(method) {
+    try {
+        const response = await fetch('/keywords', {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: method === 'PUT' ? JSON.stringify({ keywords: document.getElementById('keyword-list').value }) : undefined
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        showKeywords(await response.json());
+    } catch (error) {
+        showError('Failed to save keywords: ' + error.message);
+    }
+}
+
+// PHI redaction policy, applied by the server to every result before it is shown or stored
+async function loadRedactionPolicy() {
+    try {
+        const response = await fetch('/redaction');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+        showRedactionPolicy(await response.json());
+    } catch (error) {
+        showError('Failed to load redaction policy: ' + error.message);
+    }
+}
+
+function showRedactionPolicy({ policy, entityTypes, revealAvailable: available }) {
+    revealAvailable = available;
+    document.getElementById('redaction-enabled').checked = policy.enabled;
+    document.getElementById('redaction-entities').innerHTML = entityTypes.map(type => `
+        <label class="redaction-entity" title="${escapeHTML(type.description)}">
+            <input type="checkbox" value="${type.id}" ${policy.entities.includes(type.id) ? 'checked' : ''}>
+            ${escapeHTML(type.description)}
+        </label>
+    `).join('');
+    document.getElementById('redaction-names').value = policy.names.join('\n');
+    document.getElementById('redaction-bleep').checked = policy.bleepAudio;
+
+    const reversible = document.getElementById('redaction-reversible');
+    reversible.checked = policy.reversible;
+    reversible.disabled = !available && !policy.reversible;
+    reversible.closest('label').classList.toggle('unavailable', reversible.disabled);
+    reversible.closest('label').title = reversible.disabled ? 'Set PHI_REVEAL_KEY on the server to enable' : '';
+
+    document.getElementById('redaction-status').textContent = policy.enabled
+        ? `Redacting ${policy.entities.length} of ${entityTypes.length} entity types${policy.reversible ? ', reversibly' : ''}`
+        : 'Redaction is off';
+}
+
+async function saveRedactionPolicy() {
+    const policy = {
+        enabled: document.getElementById('redaction-enabled').checked,
+        entities: Array.from(document.querySelectorAll('#redaction-entities input:checked')).map(input => input.value),
+        names: document.getElementById('redaction-names').value,
+        reversible: document.getElementById('redaction-reversible').checked,
+        bleepAudio: document.getElementById('redaction-bleep').checked
+    };
+
+    const put = headers => fetch('/redaction', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(policy)
+    });
+
+    try {
+        let response = await put({});
+        // Redacting less needs the reveal key; the server checks it
+        if (response.status === 403 && revealAvailable) {
+            const key = prompt('Redacting less needs the PHI reveal key:');
+            if (!key) {
+                loadRedactionPolicy();
+                return;
+            }
+            response = await put({ 'X-PHI-Reveal-Key': key });
+        }
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        showRedactionPolicy(await response.json());
+    } catch (error) {
+        showError('Failed to save redaction policy: ' + error.message);
+    }
+}
+
+function formatRedaction(redaction) {
+    if (!redaction || !redaction.enabled) return 'Off';
+    const counts = Object.values(redaction.entities);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const audio = redaction.audio ? (redaction.audio.bleeped ? ', audio bleeped' : ', audio not kept') : '';
+    return `${total} value${total === 1 ? '' : 's'}${redaction.reversible ? ' (reversible)' : ''}${audio}`;
+}
+
+// Placeholders like [NAME] or [NAME_1] in escaped transcript HTML
+function highlightPHI(html) {
+    return html.replace(/\[(?:NAME|DATE|PHONE|EMAIL|ID|SSN)(?:_\d+)?\]/g, '<span class="phi">$&</span>');
+}
+
+// Show the original values of a reversibly redacted comparison; the server checks the key
+async function revealComparison() {
+    const key = prompt('PHI reveal key:');
+    if (!key) return;
+
+    try {
+        const response = await fetch(`/comparisons/${currentComparison.comparisonId}/reveal`, {
+            method: 'POST',
+            headers: { 'X-PHI-Reveal-Key': key }
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        displayBatchResults({ ...comparisonResults(await response.json()), revealed: true });
+    } catch (error) {
+        showError('Failed to reveal PHI: ' + error.message);
+    }
+}
+
+// Re-scoring, replay and the event log of a saved comparison
+function renderSessionTools(data) {
+    const tools = document.getElementById('session-tools');
+    tools.style.display = data.comparisonId && !data.revealed ? 'flex' : 'none';
+    if (!data.comparisonId) return;
+
+    document.getElementById('rescore-reference').value = data.reference || '';
+    document.getElementById('replay-session-btn').style.display = data.hasAudio === false ? 'none' : '';
+
+    const events = document.getElementById('session-events');
+    events.style.display = data.events ? 'block' : 'none';
+    events.open = false;
+    document.getElementById('session-events-summary').textContent = data.events
+        ? `Session events (${data.events.count})`
+        : 'Session events';
+    document.getElementById('session-events-list').innerHTML = '';
+}
+
+async function rescoreComparison() {
+    const reference = document.getElementById('rescore-reference').value.trim();
+    if (!reference) {
+        showError('Please paste a reference transcript to score against.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/comparisons/${currentComparison.comparisonId}/score`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reference, normalization: normalizationSelect.value })
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        displayBatchResults(comparisonResults(await response.json()));
+        loadHistory();
+    } catch (error) {
+        showError('Failed to re-score: ' + error.message);
+    }
+}
+
+// Load a comparison's audio as the file to stream in real-time mode
+async function replayComparison() {
+    try {
+        const response = await fetch(`/comparisons/${currentComparison.comparisonId}/audio`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        const blob = await response.blob();
+        streamFile = new File([blob], currentComparison.audioFilename || 'recording.wav', { type: blob.type });
+        document.getElementById('stream-file-name').textContent = streamFile.name;
+
+        const source = document.getElementById('stream-source');
+        source.value = 'file';
+        source.dispatchEvent(new Event('change'));
+        document.querySelector('input[name="mode"][value="realtime"]').checked = true;
+        currentMode = 'realtime';
+        toggleMode();
+        realtimeInterface.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        showError('Failed to load the audio for replay: ' + error.message);
+    }
+}
+
+// Timestamped transcript events of a recorded session, loaded when first opened
+async function loadSessionEvents() {
+    const list = document.getElementById('session-events-list');
+    if (!document.getElementById('session-events').open || list.innerHTML) return;
+
+    try {
+        const response = await fetch(`/comparisons/${currentComparison.comparisonId}/events`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+        const { events } = await response.json();
+        list.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Time</th><th>Audio</th><th>Provider</th><th>Event</th><th>Transcript</th></tr>
+                </thead>
+                <tbody>
+                    ${events.map(event => {
+                        const kind = event.type === 'error' ? 'error' : event.isFinal ? 'final' : 'interim';
+                        return `
+                        <tr class="session-event-${kind}">
+                            <td>${(event.t / 1000).toFixed(2)}s</td>
+                            <td>${event.audioTime.toFixed(2)}s</td>
+                            <td>${escapeHTML(getProviderName(event.service))}</td>
+                            <td>${kind}</td>
+                            <td>${highlightPHI(escapeHTML(event.type === 'error' ? event.error : event.transcript || ''))}</td>
+                        </tr>
+                    `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        showError('Failed to load session events: ' + error.message);
+    }
+}
+
+// Event listeners
+function setupEventListeners() {
+    // Mode selection
+    document.querySelectorAll('input[name="mode"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            currentMode = e.target.value;
+            toggleMode();
+        });
+    });
+
+    // Service selection
+    document.getElementById('select-all-services').addEventListener('change', (e) => {
+        toggleAllServices(e.target.checked);
+    });
+
+    // Provider options
+    document.getElementById('config-profile').addEventListener('change', () => {
+        configOverrides = {};
+        updateConfigProfileControls();
+        renderProviderOptions();
+    });
+    document.getElementById('save-profile-btn').addEventListener('click', saveConfigProfile);
+    document.getElementById('save-profile-as-btn').addEventListener('click', saveConfigProfileAs);
+    document.getElementById('delete-profile-btn').addEventListener('click', deleteConfigProfile);
+    document.getElementById('provider-option-panels').addEventListener('change', handleProviderOptionChange);
+    document.getElementById('provider-option-panels').addEventListener('click', (e) => {
+        const reset = e.target.closest('.option-reset');
+        if (!reset) return;
+        delete configOverrides[reset.dataset.service];
+        renderProviderOptions();
+    });
+
+    // Custom vocabulary
+    document.getElementById('vocabulary-version').addEventListener('change', selectVocabularyVersion);
+    document.getElementById('vocabulary-terms').addEventListener('input', updateVocabularyStatus);
+    document.getElementById('save-vocabulary-btn').addEventListener('click', saveVocabulary);
+
+    // Keyword list
+    document.getElementById('save-keywords-btn').addEventListener('click', () => submitKeywords('PUT'));
+    document.getElementById('reset-keywords-btn').addEventListener('click', () => {
+        if (confirm('Replace the keyword list with the built-in dental terms?')) submitKeywords('DELETE');
+    });
+
+    // PHI redaction
+    document.getElementById('save-redaction-btn').addEventListener('click', saveRedactionPolicy);
+
+    // File upload
+    uploadArea.addEventListener('click', () => fileInput.click());
+    uploadArea.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        uploadArea.classList.add('dragover');
+    });
+    uploadArea.addEventListener('dragleave', () => {
+        uploadArea.classList.remove('dragover');
+    });
+    uploadArea.addEventListener('drop', (e) => {
+        e.preventDefault();
+        uploadArea.classList.remove('dragover');
+        handleFileSelect(e.dataTransfer.files[0]);
+    });
+    fileInput.addEventListener('change', (e) => {
+        handleFileSelect(e.target.files[0]);
+    });
+
+    // Recording
+    recordBtn.addEventListener('click', toggleRecording);
+
+    // Reference transcript
+    document.getElementById('reference-file-btn').addEventListener('click', () => referenceFileInput.click());
+    referenceFileInput.addEventListener('change', (e) => {
+        handleReferenceFileSelect(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    normalizationSelect.addEventListener('change', updateNormalizationDescription);
+
+    // Stream from file
+    const streamFileInput = document.getElementById('stream-file-input');
+    document.getElementById('stream-source').addEventListener('change', (e) => {
+        document.getElementById('stream-file-controls').style.display = e.target.value === 'file' ? 'inline-flex' : 'none';
+    });
+    document.getElementById('stream-file-btn').addEventListener('click', () => streamFileInput.click());
+    streamFileInput.addEventListener('change', (e) => {
+        streamFile = e.target.files[0] || null;
+        document.getElementById('stream-file-name').textContent = streamFile ? streamFile.name : 'No file chosen';
+    });
+
+    // Revision history under each real-time column
+    document.getElementById('show-revisions').addEventListener('change', (e) => {
+        document.getElementById('realtime-transcripts').classList.toggle('show-revisions', e.target.checked);
+    });
+
+    // Saved comparison tools
+    document.getElementById('rescore-btn').addEventListener('click', rescoreComparison);
+    document.getElementById('replay-session-btn').addEventListener('click', replayComparison);
+    document.getElementById('session-events').addEventListener('toggle', loadSessionEvents);
+
+    // Process button
+    processBtn.addEventListener('click', processBatchAudio);
+
+    // Stream button
+    streamBtn.addEventListener('click', toggleStreaming);
+
+    // Diff view
+    document.getElementById('diff-left').addEventListener('change', updateDiff);
+    document.getElementById('diff-right').addEventListener('change', updateDiff);
+    document.getElementById('diff-prev').addEventListener('click', () => jumpToDiffRegion(diffCurrent - 1));
+    document.getElementById('diff-next').addEventListener('click', () => jumpToDiffRegion(diffCurrent + 1));
+    document.querySelector('#diff-panel .diff-panes').addEventListener('click', (e) => {
+        const word = e.target.closest('[data-region]');
+        if (word) jumpToDiffRegion(parseInt(word.dataset.region, 10));
+    });
+
+    // Audio review: seek from words and the waveform, highlight while playing
+    document.getElementById('results-grid').addEventListener('click', (e) => {
+        const speaker = e.target.closest('.speaker-name');
+        if (speaker) {
+            renameSpeaker(speaker.closest('.result-card').dataset.service, speaker.dataset.speaker);
+            return;
+        }
+        const word = e.target.closest('.transcript-word, .sentiment-segment[data-start]');
+        if (word) seekReviewAudio(parseFloat(word.dataset.start));
+    });
+    waveformCanvas.addEventListener('click', (e) => {
+        if (!reviewAudio.duration) return;
+        const rect = waveformCanvas.getBoundingClientRect();
+        seekReviewAudio(((e.clientX - rect.left) / rect.width) * reviewAudio.duration);
+    });
+    reviewAudio.addEventListener('play', startPlaybackTracking);
+    reviewAudio.addEventListener('pause', stopPlaybackTracking);
+    reviewAudio.addEventListener('ended', stopPlaybackTracking);
+    reviewAudio.addEventListener('seeked', updatePlaybackPosition);
+    window.addEventListener('resize', () => drawWaveform());
+
+    // Export buttons
+    document.getElementById('export-json').addEventListener('click', exportJSON);
+    document.getElementById('export-csv').addEventListener('click', exportCSV);
+
+    // History
+    document.getElementById('history-search').addEventListener('input', (e) => {
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(() => loadHistory(e.target.value), 300);
+    });
+    document.getElementById('history-list').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'open') {
+            openComparison(button.dataset.id);
+        } else if (button.dataset.action === 'delete') {
+            deleteComparison(button.dataset.id);
+        }
+    });
+}
+
+// Socket.IO event listeners
+function setupSocketListeners() {
+    socket.on('connect', () => {
+        console.log('Connected to server');
+        updateConnectionStatus();
+        refreshProviderHealth();
+    });
+
+    socket.on('disconnect', () => {
+        console.log('Disconnected from server');
+        updateConnectionStatus();
+    });
+
+    socket.on('streamReady', (data) => {
+        console.log('Stream ready:', data.services);
+        data.services.forEach(service => {
+            updateServiceStatus(service, 'connected');
+        });
+        // A file starts playing once every provider is listening; the stream
+        // ends two seconds after it, leaving time for the last results
+        if (audioProcessor instanceof FileStreamer) {
+            const streamer = audioProcessor;
+            streamer.begin(() => setTimeout(() => {
+                if (audioProcessor === streamer) stopStreaming();
+            }, 2000));
+        }
+    });
+
+    socket.on('jobProgress', (data) => {
+        handleJobProgress(data);
+    });
+
+    socket.on('jobCompleted', (data) => {
+        handleJobCompleted(data);
+    });
+
+    socket.on('jobFailed', (data) => {
+        handleJobFailed(data);
+    });
+
+    socket.on('transcriptResult', (data) => {
+        handleTranscriptResult(data);
+    });
+
+    socket.on('streamError', (data) => {
+        showError('Stream error: ' + data.error);
+        stopStreaming();
+    });
+
+    socket.on('serviceError', (data) => {
+        showError(`${data.service} error: ${data.error}`);
+        updateServiceStatus(data.service, 'error');
+    });
+
+    socket.on('serviceInfo', (data) => {
+        console.log(`${data.service}: ${data.message}`);
+        // Could display this info in the UI if needed
+    });
+
+    socket.on('streamEnded', (data) => {
+        console.log('Stream ended');
+        resetServiceStatuses();
+        showSessionSummary(data);
+        if (data && data.comparisonId) {
+            loadHistory();
+        }
+    });
+}
+
+// Mode switching
+function toggleMode() {
+    if (currentMode === 'batch') {
+        batchInterface.style.display = 'block';
+        realtimeInterface.style.display = 'none';
+    } else {
+        batchInterface.style.display = 'none';
+        realtimeInterface.style.display = 'block';
+    }
+    updateServiceAvailability();
+}
+
+// File handling
+function handleFileSelect(file) {
+    if (!file) return;
+
+    // The server makes the final call; this catches obvious mistakes early
+    const validTypes = providers.flatMap(provider => provider.mimetypes).concat('audio/x-wav');
+    const isMedia = /^(audio|video)\//.test(file.type) || /\.(mp3|wav|m4a|webm|flac|ogg|oga|opus|aac|amr|wma|mp4|mov|mkv|avi|3gp)$/i.test(file.name);
+    if (ffmpegAvailable ? !isMedia : !validTypes.includes(file.type)) {
+        showError(ffmpegAvailable
+            ? 'Invalid file type. Please select an audio or video file.'
+            : 'Invalid file type. Please select an MP3, WAV, M4A, or WebM file.');
+        return;
+    }
+
+    if (file.size > maxUploadSize) {
+        showError(`File too large. Maximum size is ${Math.round(maxUploadSize / 1024 / 1024)}MB.`);
+        return;
+    }
+
+    selectedFile = file;
+    recordedBlob = null;
+    updateUploadArea(file.name);
+    processBtn.disabled = false;
+}
+
+function updateUploadArea(filename) {
+    const uploadContent = uploadArea.querySelector('.upload-content');
+    uploadContent.innerHTML = `
+        <span class="upload-icon">📄</span>
+        <h3>${filename}</h3>
+        <p>Click to select a different file</p>
+    `;
+}
+
+async function handleReferenceFileSelect(file) {
+    if (!file) return;
+
+    try {
+        referenceText.value = await file.text();
+    } catch (error) {
+        showError('Failed to read reference file: ' + error.message);
+    }
+}
+
+// Normalization profiles
+async function loadNormalizationProfiles() {
+    try {
+        const response = await fetch('/normalization-profiles');
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        const data = await response.json();
+        normalizationSelect.innerHTML = data.profiles
+            .map(profile => `<option value="${profile.name}" title="${profile.description}">${profile.name}</option>`)
+            .join('');
+        normalizationSelect.value = data.default;
+        updateNormalizationDescription();
+    } catch (error) {
+        showError('Failed to load normalization profiles: ' + error.message);
+    }
+}
+
+function updateNormalizationDescription() {
+    const option = normalizationSelect.selectedOptions[0];
+    document.getElementById('normalization-description').textContent = option ? option.title : '';
+}
+
+// Recording functions
+async function toggleRecording() {
+    if (!mediaRecorder || mediaRecorder.state === 'inactive') {
+        startBatchRecording();
+    } else {
+        stopBatchRecording();
+    }
+}
+
+async function startBatchRecording() {
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const chunks = [];
+
+        mediaRecorder = new MediaRecorder(stream);
+        mediaRecorder.ondataavailable = (e) => chunks.push(e.data);
+        mediaRecorder.onstop = () => {
+            recordedBlob = new Blob(chunks, { type: 'audio/webm' });
+            selectedFile = null;
+            updateUploadArea('Recorded Audio (WebM)');
+            processBtn.disabled = false;
+        };
+
+        mediaRecorder.start();
+        recordingStartTime = Date.now();
+        updateRecordingUI(true);
+
+        // Update timer
+        recordingTimer = setInterval(() => {
+            const elapsed = Math.floor((Date.now() - recordingStartTime) / 1000);
+            const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
+            const seconds = (elapsed % 60).toString().padStart(2, '0');
+            recordTimer.textContent = `${minutes}:${seconds}`;
+        }, 100);
+
+    } catch (error) {
+        showError('Failed to start recording: ' + error.message);
+    }
+}
+
+function stopBatchRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+        mediaRecorder.stream.getTracks().forEach(track => track.stop());
+        clearInterval(recordingTimer);
+        updateRecordingUI(false);
+    }
+}
+
+function updateRecordingUI(isRecording) {
+    recordBtn.classList.toggle('recording', isRecording);
+    recordBtn.innerHTML = isRecording ? 
+        '<span class="record-icon">⏹️</span>Stop Recording' : 
+        '<span class="record-icon">🎤</span>Start Recording';
+    if (!isRecording) {
+        recordTimer.textContent = '00:00';
+    }
+}
+
+// Batch processing
+// Files above this size are uploaded in resumable chunks
+const DIRECT_UPLOAD_LIMIT = 25 * 1024 * 1024;
+const UPLOAD_RETRIES = 5;
+
+// Chunked uploads are remembered per file, so picking the same file again
+// after a dropped connection or a reload carries on where it stopped
+function uploadKey(file) {
+    return `upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+// Upload a file in chunks, resuming a previous attempt when the server still
+// has it and retrying failed chunks from the server's byte count. Resolves to the upload id.
+async function uploadInChunks(file) {
+    const request = async (url, options) => {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+        return { response, body };
+    };
+
+    let upload = null;
+    const savedId = localStorage.getItem(uploadKey(file));
+    if (savedId) {
+        const { response, body } = await request(`/uploads/${savedId}`);
+        if (response.ok && body.size === file.size) upload = body;
+    }
+    if (!upload) {
+        const { response, body } = await request('/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: file.name, mimetype: file.type, size: file.size })
+        });
+        if (!response.ok) throw new Error(body.error || 'Could not start the upload');
+        upload = body;
+        localStorage.setItem(uploadKey(file), upload.id);
+    }
+
+    let received = upload.received;
+    let failures = 0;
+    while (received < file.size) {
+        processBtn.textContent = `Uploading... ${Math.floor(received / file.size * 100)}%`;
+        const chunk = file.slice(received, received + upload.chunkSize);
+        try {
+            const { response, body } = await request(`/uploads/${upload.id}?offset=${received}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: chunk
+            });
+            if (response.ok) {
+                received = body.received;
+                failures = 0;
+                continue;
+            }
+            if (response.status === 409 && typeof body.received === 'number') {
+                received = body.received;
+                continue;
+            }
+            if (response.status < 500) throw Object.assign(new Error(body.error || 'Upload failed'), { fatal: true });
+        } catch (error) {
+            if (error.fatal) throw error;
+        }
+
+        // Network or server error: wait, then ask the server how much it has
+        if (++failures > UPLOAD_RETRIES) throw new Error('Upload failed after several retries; select the file again to resume');
+        await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+        const { response, body } = await request(`/uploads/${upload.id}`).catch(() => ({ response: { ok: false } }));
+        if (response.ok) received = body.received;
+    }
+    return upload.id;
+}
+
+async function processBatchAudio() {
+    const selectedServices = getSelectedServices();
+    if (selectedServices.length === 0) {
+        showError('Please select at least one service.');
+        return;
+    }
+
+    if (!selectedFile && !recordedBlob) {
+        showError('Please select a file or record audio first.');
+        return;
+    }
+
+    processBtn.disabled = true;
+    processBtn.textContent = 'Processing...';
+
+    try {
+        const formData = new FormData();
+        
+        if (selectedFile && selectedFile.size > DIRECT_UPLOAD_LIMIT) {
+            formData.append('uploadId', await uploadInChunks(selectedFile));
+            processBtn.textContent = 'Processing...';
+        } else if (selectedFile) {
+            formData.append('audio', selectedFile);
+        } else if (recordedBlob) {
+            formData.append('audio', recordedBlob, 'recording.webm');
+        }
+        
+        formData.append('services', JSON.stringify(selectedServices));
+        formData.append('socketId', socket.id || '');
+
+        const { configProfile, config } = getConfigRequest(selectedServices);
+        formData.append('configProfile', configProfile);
+        if (config) {
+            formData.append('config', JSON.stringify(config));
+        }
+        formData.append('vocabulary', document.getElementById('vocabulary-version').value);
+        formData.append('audioFormat', document.getElementById('audio-format').value);
+
+        if (referenceText.value.trim()) {
+            formData.append('reference', referenceText.value);
+            if (normalizationSelect.value) {
+                formData.append('normalization', normalizationSelect.value);
+            }
+        }
+
+        const response = await fetch('/transcribe-batch', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        const job = await response.json();
+        if (selectedFile) localStorage.removeItem(uploadKey(selectedFile));
+        startBatchJob(job);
+
+    } catch (error) {
+        showError('Processing failed: ' + error.message);
+        finishBatchJob();
+    }
+}
+
+// Batch jobs: results arrive card by card over Socket.IO, with polling as a fallback
+function startBatchJob(job) {
+    currentJob = { id: job.jobId, pollTimer: setInterval(pollJob, 5000) };
+    showPendingResults(job.services);
+}
+
+function finishBatchJob() {
+    if (currentJob) {
+        clearInterval(currentJob.pollTimer);
+        currentJob = null;
+    }
+    processBtn.disabled = false;
+    processBtn.textContent = 'Process Audio';
+}
+
+async function pollJob() {
+    if (!currentJob) return;
+    const jobId = currentJob.id;
+
+    try {
+        const response = await fetch(`/jobs/${jobId}`);
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        const job = await response.json();
+        Object.entries(job.services).forEach(([service, state]) => {
+            handleJobProgress({ jobId, service, status: state.status, result: state.result });
+        });
+
+        if (job.status === 'completed') {
+            handleJobCompleted({ jobId, result: job.result });
+        } else if (job.status === 'failed') {
+            handleJobFailed({ jobId, error: job.error });
+        }
+    } catch (error) {
+        handleJobFailed({ jobId, error: error.message });
+    }
+}
+
+function handleJobProgress(data) {
+    if (!currentJob || data.jobId !== currentJob.id) return;
+
+    const resultsGrid = document.getElementById('results-grid');
+    const card = resultsGrid.querySelector(`.result-card[data-service="${data.service}"]`);
+    if (!card || card.dataset.status === data.status) return;
+
+    if (data.result) {
+        card.replaceWith(createResultCard(data.service, data.result));
+        buildWordTimeline();
+    } else {
+        card.dataset.status = data.status;
+        card.querySelector('.pending-status').textContent = data.status === 'running' ? 'Transcribing...' : 'Queued';
+    }
+}
+
+function handleJobCompleted(data) {
+    if (!currentJob || data.jobId !== currentJob.id) return;
+
+    finishBatchJob();
+    displayBatchResults(data.result);
+    loadHistory();
+}
+
+function handleJobFailed(data) {
+    if (!currentJob || data.jobId !== currentJob.id) return;
+
+    finishBatchJob();
+    showError('Processing failed: ' + data.error);
+}
+
+function showPendingResults(services) {
+    resultsSection.style.display = 'block';
+    currentComparison = null;
+
+    const resultsGrid = document.getElementById('results-grid');
+    resultsGrid.innerHTML = '';
+    document.getElementById('metrics-content').innerHTML = '';
+    document.getElementById('diff-panel').style.display = 'none';
+    resetAudioReview();
+    setColumnCount(resultsGrid, services.length);
+
+    services.forEach(service => {
+        const card = document.createElement('div');
+        card.className = `result-card ${service} pending`;
+        card.dataset.service = service;
+        card.dataset.status = 'queued';
+        applyProviderColor(card, service);
+        card.innerHTML = `
+            <h3>${getProviderName(service)}</h3>
+            <div class="pending-result">
+                <span class="pending-spinner"></span>
+                <span class="pending-status">Queued</span>
+            </div>
+        `;
+        resultsGrid.appendChild(card);
+    });
+
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Real-time streaming
+async function toggleStreaming() {
     if (!audioProcessor || !audioProcessor.isRecording) {
         startStreaming();
     } else {
-        stopStreaming();
+        stopStreaming();
+    }
+}
+
+async function startStreaming() {
+    const selectedServices = getSelectedServices();
+    if (selectedServices.length === 0) {
+        showError('Please select at least one service.');
+        return;
+    }
+
+    const fromFile = document.getElementById('stream-source').value === 'file';
+    if (fromFile && !streamFile) {
+        showError('Please choose an audio file to stream.');
+        return;
+    }
+
+    try {
+        // Initialize audio processor: the microphone, or a file replayed in its place
+        const speed = Number(document.getElementById('stream-speed').value);
+        audioProcessor = fromFile ? new FileStreamer(streamFile, speed) : new AudioProcessor();
+        
+        // Update UI
+        streamBtn.classList.add('streaming');
+        streamBtn.querySelector('.btn-text').textContent = 'Stop Streaming';
+        clearRealtimeTranscripts();
+        selectedServices.forEach(createTranscriptColumn);
+
+        // Show selected service statuses
+        selectedServices.forEach(service => {
+            document.querySelector(`.${service}-status`).style.display = 'flex';
+            updateServiceStatus(service, 'connecting');
+        });
+
+        // Start audio recording
+        await audioProcessor.startRecording();
+
+        // Initialize streaming session
+        socket.emit('startStream', {
+            services: selectedServices,
+            sampleRate: 16000,
+            encoding: 'pcm16',
+            channels: 1,
+            source: fromFile ? { type: 'file', filename: streamFile.name, speed } : { type: 'microphone' },
+            record: document.getElementById('stream-record').checked,
+            ...getConfigRequest(selectedServices),
+            vocabulary: document.getElementById('vocabulary-version').value
+        });
+
+    } catch (error) {
+        showError('Failed to start streaming: ' + error.message);
+        stopStreaming();
+    }
+}
+
+function stopStreaming() {
+    if (audioProcessor) {
+        audioProcessor.stopRecording();
+        audioProcessor = null;
+    }
+
+    socket.emit('endStream');
+
+    // Update UI
+    streamBtn.classList.remove('streaming');
+    streamBtn.querySelector('.btn-text').textContent = 'Start Streaming';
+    resetServiceStatuses();
+}
+
+// Transcript handling
+function handleTranscriptResult(data) {
+    const { service, transcript, isFinal, latency, metrics, stability, revisions } = data;
+    
+    if (!transcript) return;
+
+    // Initialize transcript state for service if not exists
+    if (!transcriptState.has(service)) {
+        transcriptState.set(service, {
+            finalText: '',
+            interimText: '',
+            lastUpdateTime: Date.now()
+        });
+    }
+
+    const serviceContainer = createTranscriptColumn(service);
+
+    // Get transcript state
+    const state = transcriptState.get(service);
+    
+    // Update transcript content
+    const contentDiv = serviceContainer.querySelector('.transcript-content');
+    const finalDiv = contentDiv.querySelector('.final-text');
+    const interimDiv = contentDiv.querySelector('.interim-text');
+    
+    if (isFinal) {
+        // Append final transcript to accumulated text
+        state.finalText += (state.finalText ? ' ' : '') + transcript;
+        state.interimText = ''; // Clear interim text when we get final
+        
+        // Update display
+        finalDiv.innerHTML = state.finalText
+            .split(' ')
+            .map(word => `<span class="transcript-word">${highlightPHI(escapeHTML(word))}</span>`)
+            .join(' ');
+        interimDiv.textContent = '';
+        
+        // Auto-scroll to bottom
+        contentDiv.scrollTop = contentDiv.scrollHeight;
+    } else {
+        // Update interim transcript
+        state.interimText = transcript;
+        interimDiv.innerHTML = `<span class="interim-transcript">${highlightPHI(escapeHTML(transcript))}</span>`;
+    }
+    
+    // Update state
+    state.lastUpdateTime = Date.now();
+    transcriptState.set(service, state);
+
+    // Update stability: the running score, and each finished utterance's revisions
+    if (stability) {
+        const stabilityLabel = serviceContainer.querySelector('.stability');
+        stabilityLabel.textContent = `Stability: ${formatStabilityScore(stability)}`;
+        stabilityLabel.title = `${stability.revisions} revisions, ${stability.wordsChanged} words changed in ${stability.interims} interim results`;
+    }
+    if (revisions) {
+        serviceContainer.querySelector('.revision-history').appendChild(renderRevisionHistory(revisions));
     }
+
+    // Update latency: this result's delay, and the running median
+    const latencyLabel = serviceContainer.querySelector('.latency');
+    const running = metrics && latencySample(metrics);
+    latencyLabel.textContent = `Latency: ${latency === null ? '-' : `${latency}ms`}`
+        + (running ? ` · p50 ${running.p50}ms` : '');
+    latencyLabel.title = running
+        ? `${running === metrics.wordDelay ? 'Word delay' : 'Finalization lag'} p50 / p90 / p99: ${formatPercentiles(running)}`
+        : '';
 }
 
-async function startStreaming() {
-    const selectedServices = getSelectedServices();
-    if (selectedServices.length === 0) {
-        showError('Please select at least one service.');
+// Share of words never changed after an interim result first showed them
+function formatStabilityScore(stability) {
+    return stability.score === null ? '-' : `${(stability.score * 100).toFixed(0)}%`;
+}
+
+// Every hypothesis of one utterance, the words each one changed highlighted
+function renderRevisionHistory(revisions) {
+    const utterance = document.createElement('details');
+    utterance.className = 'revision-utterance';
+    const final = revisions[revisions.length - 1];
+    const revised = revisions.filter(revision => revision.changed > 0).length;
+    let previous = null;
+    utterance.innerHTML = `
+        <summary>${highlightPHI(escapeHTML(final.text))} <span class="revision-count">${revised} revision${revised === 1 ? '' : 's'}</span></summary>
+        <ol>
+            ${revisions.map(revision => {
+                const words = revision.text.split(/\s+/).filter(Boolean);
+                // Words past those kept from the previous hypothesis are new or changed
+                const kept = previous ? previous.length - revision.changed : words.length;
+                previous = words;
+                return `
+                <li class="${revision.isFinal ? 'revision-final' : ''}">
+                    <span class="revision-time">+${(revision.t / 1000).toFixed(2)}s</span>
+                    ${words.map((word, index) => index < kept
+                        ? highlightPHI(escapeHTML(word))
+                        : `<span class="revision-changed">${highlightPHI(escapeHTML(word))}</span>`).join(' ')}
+                </li>
+            `;
+            }).join('')}
+        </ol>
+    `;
+    return utterance;
+}
+
+// Word delay when the provider times its words, finalization lag otherwise
+function latencySample(metrics) {
+    if (metrics.wordDelay.count > 0) return metrics.wordDelay;
+    return metrics.finalization.count > 0 ? metrics.finalization : null;
+}
+
+// p50 / p90 / p99 of a latency summary
+function formatPercentiles(summary) {
+    if (!summary || summary.count === 0) return '-';
+    return `${summary.p50} / ${summary.p90} / ${summary.p99} ms`;
+}
+
+// Streaming latency per provider, measured on the server's audio clock
+function renderLatencyTable(metrics) {
+    return `
+        <table class="latency-table">
+            <thead>
+                <tr>
+                    <th>Provider</th>
+                    <th>First result</th>
+                    <th>Word delay p50 / p90 / p99</th>
+                    <th>Final lag p50 / p90 / p99</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(metrics).map(([service, summary]) => `
+                <tr>
+                    <td>${escapeHTML(getProviderName(service))}</td>
+                    <td>${summary.firstPartial === null ? '-' : `${summary.firstPartial} ms`}</td>
+                    <td>${formatPercentiles(summary.wordDelay)}</td>
+                    <td>${formatPercentiles(summary.finalization)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// How much each provider's interim results changed before they were final
+function renderStabilityTable(stability) {
+    return `
+        <table class="latency-table">
+            <thead>
+                <tr>
+                    <th>Provider</th>
+                    <th>Interim results</th>
+                    <th>Revisions</th>
+                    <th>Words changed</th>
+                    <th>Time to stable p50 / p90 / p99</th>
+                    <th>Stability</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(stability).map(([service, summary]) => `
+                <tr>
+                    <td>${escapeHTML(getProviderName(service))}</td>
+                    <td>${summary.interims}</td>
+                    <td>${summary.revisions}</td>
+                    <td>${summary.wordsChanged}</td>
+                    <td>${formatPercentiles(summary.timeToStable)}</td>
+                    <td>${formatStabilityScore(summary)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Summary under the real-time transcripts when a stream ends
+function showSessionSummary(data) {
+    const summary = document.getElementById('latency-summary');
+    const metrics = data && data.metrics;
+    if (!metrics || Object.keys(metrics).length === 0) {
+        summary.style.display = 'none';
+        return;
+    }
+    summary.innerHTML = `
+        <h4>Session Latency</h4>
+        ${renderLatencyTable(metrics)}
+        ${data.stability && Object.keys(data.stability).length > 0 ? `
+        <h4>Interim Stability</h4>
+        ${renderStabilityTable(data.stability)}
+        ` : ''}
+    `;
+    summary.style.display = 'block';
+}
+
+// Find or create a provider's column in the real-time view
+function createTranscriptColumn(service) {
+    const transcriptsContainer = document.getElementById('realtime-transcripts');
+    let serviceContainer = transcriptsContainer.querySelector(`.transcript-${service}`);
+    if (serviceContainer) return serviceContainer;
+
+    const placeholder = transcriptsContainer.querySelector('.transcript-placeholder');
+    if (placeholder) {
+        placeholder.remove();
+    }
+
+    serviceContainer = document.createElement('div');
+    serviceContainer.className = `transcript-service transcript-${service}`;
+    serviceContainer.innerHTML = `
+        <div class="transcript-header">
+            <h4>${getProviderName(service)}</h4>
+            <span class="stability">Stability: -</span>
+            <span class="latency">Latency: -</span>
+        </div>
+        <div class="transcript-content">
+            <div class="final-text"></div>
+            <div class="interim-text"><span class="interim-transcript">Waiting for speech...</span></div>
+        </div>
+        <div class="revision-history"></div>
+    `;
+    applyProviderColor(serviceContainer, service);
+    transcriptsContainer.appendChild(serviceContainer);
+    setColumnCount(transcriptsContainer, transcriptsContainer.querySelectorAll('.transcript-service').length);
+    return serviceContainer;
+}
+
+function clearRealtimeTranscripts() {
+    const transcriptsContainer = document.getElementById('realtime-transcripts');
+    transcriptsContainer.innerHTML = '';
+    showSessionSummary(null);
+    // Clear transcript state
+    transcriptState.clear();
+}
+
+// Results display
+function displayBatchResults(data) {
+    currentComparison = data;
+    resultsSection.style.display = 'block';
+    
+    const resultsGrid = document.getElementById('results-grid');
+    resultsGrid.innerHTML = '';
+
+    const services = Object.keys(data.results);
+    setColumnCount(resultsGrid, services.length);
+    services.forEach(service => {
+        const result = data.results[service];
+        const resultCard = createResultCard(service, result);
+        resultsGrid.appendChild(resultCard);
+    });
+
+    // Update metrics
+    updateMetrics(data);
+    renderDiffPanel(data);
+    loadAudioReview(data);
+    renderSessionTools(data);
+
+    // Scroll to results
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function createResultCard(service, result) {
+    const card = document.createElement('div');
+    card.className = `result-card ${service}`;
+    card.dataset.service = service;
+    card.dataset.status = result.error ? 'failed' : 'completed';
+    applyProviderColor(card, service);
+    
+    if (result.error) {
+        card.innerHTML = `
+            <h3>${getProviderName(service)}</h3>
+            <div class="error-result">
+                <span class="error-icon">❌</span>
+                <p>Error: ${escapeHTML(result.error)}</p>
+            </div>
+        `;
+    } else {
+        card.innerHTML = `
+            <h3>${getProviderName(service)}</h3>
+            <div class="transcript-text">
+                ${renderTranscript(service, result)}
+            </div>
+            <div class="result-metrics">
+                <div class="metric">
+                    <span class="metric-label">Processing Time:</span>
+                    <span class="metric-value">${result.time !== null ? (result.time / 1000).toFixed(2) + 's' : 'N/A'}</span>
+                </div>
+                ${result.confidence !== null ? `
+                <div class="metric">
+                    <span class="metric-label">Confidence:</span>
+                    <span class="metric-value">${(result.confidence * 100).toFixed(1)}%</span>
+                </div>
+                ` : ''}
+                ${countWords(result) !== null ? `
+                <div class="metric">
+                    <span class="metric-label">Words:</span>
+                    <span class="metric-value">${countWords(result)}</span>
+                </div>
+                ` : ''}
+                ${result.score ? createScoreMetrics(result.score) : ''}
+            </div>
+            ${renderEnrichments(result.enrichments)}
+        `;
+    }
+    
+    return card;
+}
+
+// Words with timestamps become clickable spans that seek the review audio;
+// diarized transcripts are laid out as one block per speaker turn
+function renderTranscript(service, result) {
+    if (!result.text) {
+        return '<p>No transcript available</p>';
+    }
+
+    const words = Array.isArray(result.words) ? result.words : [];
+    const isTimed = words.some(word => word.start !== null);
+    if (!isTimed && !words.some(word => word.speaker)) {
+        return `<p>${highlightPHI(escapeHTML(result.text))}</p>`;
+    }
+
+    const renderWord = word => word.start === null
+        ? highlightPHI(escapeHTML(word.text))
+        : `<span class="transcript-word" data-start="${word.start}" data-end="${word.end}">${highlightPHI(escapeHTML(word.text))}</span>`;
+
+    if (!words.some(word => word.speaker)) {
+        return '<p>' + words.map(renderWord).join(' ') + '</p>';
+    }
+
+    const speakers = [...new Set(words.map(word => word.speaker).filter(Boolean))];
+    return groupSpeakerTurns(words).map(turn => `
+        <div class="speaker-turn speaker-${speakers.indexOf(turn.speaker) % 4}">
+            <button type="button" class="speaker-name" data-speaker="${escapeHTML(turn.speaker)}" title="Rename speaker">${escapeHTML(getSpeakerName(service, turn.speaker))}</button>
+            <p>${turn.words.map(renderWord).join(' ')}</p>
+        </div>
+    `).join('');
+}
+
+// Consecutive words of the same speaker; words without a speaker stay in the current turn
+function groupSpeakerTurns(words) {
+    const turns = [];
+    words.forEach(word => {
+        const last = turns[turns.length - 1];
+        if (last && (!word.speaker || word.speaker === last.speaker)) {
+            last.words.push(word);
+        } else {
+            turns.push({ speaker: word.speaker || null, words: [word] });
+        }
+    });
+    return turns;
+}
+
+// Renamed speaker, else the reference speaker it was matched to when scoring
+function getSpeakerName(service, speaker) {
+    const names = currentComparison?.speakerNames?.[service] || {};
+    if (names[speaker]) return names[speaker];
+
+    const mapping = currentComparison?.results[service]?.score?.diarization?.mapping || {};
+    if (mapping[speaker]) return mapping[speaker];
+
+    return speaker ? `Speaker ${speaker}` : 'Unknown speaker';
+}
+
+async function renameSpeaker(service, speaker) {
+    if (!currentComparison) return;
+
+    const name = prompt(`Name for ${getProviderName(service)} speaker ${speaker} (leave empty to reset):`, getSpeakerName(service, speaker));
+    if (name === null) return;
+
+    const speakerNames = { ...(currentComparison.speakerNames || {}) };
+    speakerNames[service] = { ...(speakerNames[service] || {}) };
+    if (name.trim()) {
+        speakerNames[service][speaker] = name.trim();
+    } else {
+        delete speakerNames[service][speaker];
+    }
+    currentComparison.speakerNames = speakerNames;
+
+    document.querySelectorAll(`#results-grid .result-card[data-service="${service}"] .speaker-name`).forEach(element => {
+        element.textContent = getSpeakerName(service, element.dataset.speaker);
+    });
+
+    if (!currentComparison.comparisonId) return;
+    try {
+        const response = await fetch(`/comparisons/${currentComparison.comparisonId}/speaker-names`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ speakerNames })
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error);
+        }
+    } catch (error) {
+        showError('Failed to save speaker names: ' + error.message);
+    }
+}
+
+function createScoreMetrics(score) {
+    return `
+        <div class="metric metric-wer">
+            <span class="metric-label">WER:</span>
+            <span class="metric-value">${formatWER(score.wer)}</span>
+        </div>
+        <div class="metric metric-errors">
+            <span class="metric-label">Sub / Ins / Del:</span>
+            <span class="metric-value">${score.substitutions} / ${score.insertions} / ${score.deletions}</span>
+        </div>
+        ${score.keywords ? `
+        <div class="metric metric-keywords">
+            <span class="metric-label">Keyword Recall:</span>
+            <span class="metric-value">${formatWER(score.keywords.recall)} (${score.keywords.hits}/${score.keywords.occurrences})</span>
+        </div>
+        ` : ''}
+        ${score.diarization !== undefined ? `
+        <div class="metric metric-wder">
+            <span class="metric-label">Speaker Error:</span>
+            <span class="metric-value">${score.diarization
+                ? `${formatWER(score.diarization.wder)} (${score.diarization.hypothesisSpeakers} of ${score.diarization.referenceSpeakers} speakers)`
+                : 'No speaker labels'}</span>
+        </div>
+        ` : ''}
+    `;
+}
+
+// Audio intelligence returned by the provider: language, sentiment, key phrases and topics
+function renderEnrichments(enrichments) {
+    if (!enrichments) return '';
+
+    const sections = [];
+    if (enrichments.language) {
+        const { code, confidence } = enrichments.language;
+        sections.push(`
+            <div class="metric">
+                <span class="metric-label">Language:</span>
+                <span class="metric-value">${escapeHTML(code)}${confidence !== null ? ` (${(confidence * 100).toFixed(0)}%)` : ''}</span>
+            </div>
+        `);
+    }
+    if (enrichments.sentiment && enrichments.sentiment.length > 0) {
+        sections.push(renderSentimentTimeline(enrichments.sentiment));
+    }
+    if (enrichments.keyPhrases && enrichments.keyPhrases.length > 0) {
+        sections.push(renderChips('Key Phrases', enrichments.keyPhrases.map(phrase => ({
+            text: phrase.text,
+            title: `Mentioned ${phrase.count}x, rank ${phrase.rank}`
+        }))));
+    }
+    if (enrichments.topics && enrichments.topics.length > 0) {
+        sections.push(renderChips('Topics', enrichments.topics.map(topic => ({
+            text: topic.topic,
+            title: topic.confidence !== null ? `Confidence ${(topic.confidence * 100).toFixed(0)}%` : ''
+        }))));
+    }
+
+    return sections.length > 0 ? `<div class="enrichments">${sections.join('')}</div>` : '';
+}
+
+// One bar segment per sentence, as wide as the sentence is long, coloured by sentiment
+function renderSentimentTimeline(sentences) {
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    const segments = sentences.map(sentence => {
+        counts[sentence.sentiment] = (counts[sentence.sentiment] || 0) + 1;
+        const isTimed = sentence.start !== null && sentence.end !== null;
+        const title = `${sentence.sentiment}${sentence.confidence !== null ? ` (${(sentence.confidence * 100).toFixed(0)}%)` : ''}: ${sentence.text}`;
+        return `<span class="sentiment-segment sentiment-${escapeHTML(sentence.sentiment)}"
+            style="flex-grow: ${isTimed ? Math.max(sentence.end - sentence.start, 0.1) : 1}"
+            ${isTimed ? `data-start="${sentence.start}"` : ''}
+            title="${escapeHTML(title)}"></span>`;
+    }).join('');
+
+    return `
+        <div class="enrichment">
+            <span class="metric-label">Sentiment:</span>
+            <div class="sentiment-timeline">${segments}</div>
+            <span class="sentiment-summary">${counts.positive} positive · ${counts.neutral} neutral · ${counts.negative} negative</span>
+        </div>
+    `;
+}
+
+function renderChips(label, chips) {
+    return `
+        <div class="enrichment">
+            <span class="metric-label">${label}:</span>
+            <div class="chips">
+                ${chips.map(chip => `<span class="chip" title="${escapeHTML(chip.title)}">${escapeHTML(chip.text)}</span>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Word count from the common word list; comparisons saved before it existed only have details
+function countWords(result) {
+    if (Array.isArray(result.words)) return result.words.length;
+    return result.details?.words_count ?? null;
+}
+
+// Reference text without its "Speaker:" labels
+function getReferenceText(data) {
+    if (Array.isArray(data.referenceSegments)) {
+        return data.referenceSegments.map(segment => segment.text).join('\n');
+    }
+    return data.reference;
+}
+
+function getConfigProfileName(id) {
+    const profile = configProfiles.find(candidate => candidate.id === id);
+    return profile ? profile.name : id;
+}
+
+function formatWER(wer) {
+    return wer === null ? 'N/A' : `${(wer * 100).toFixed(1)}%`;
+}
+
+// Transcript diff view
+
+// Transcripts that can be compared: the reference and every successful provider
+function getDiffSources(data) {
+    const sources = [];
+    if (data.reference) {
+        sources.push({ id: 'reference', label: 'Reference', text: getReferenceText(data) });
+    }
+    Object.entries(data.results).forEach(([service, result]) => {
+        if (!result.error && typeof result.text === 'string') {
+            sources.push({ id: service, label: getProviderName(service), text: result.text });
+        }
+    });
+    return sources;
+}
+
+function renderDiffPanel(data) {
+    const panel = document.getElementById('diff-panel');
+    const sources = getDiffSources(data);
+    if (sources.length < 2) {
+        panel.style.display = 'none';
         return;
     }
 
+    const options = sources.map(source => `<option value="${source.id}">${escapeHTML(source.label)}</option>`).join('');
+    const leftSelect = document.getElementById('diff-left');
+    const rightSelect = document.getElementById('diff-right');
+    leftSelect.innerHTML = options;
+    rightSelect.innerHTML = options;
+    leftSelect.value = sources[0].id;
+    rightSelect.value = sources[1].id;
+
+    panel.style.display = 'block';
+    updateDiff();
+}
+
+async function updateDiff() {
+    if (!currentComparison) return;
+
+    const sources = getDiffSources(currentComparison);
+    const left = sources.find(source => source.id === document.getElementById('diff-left').value);
+    const right = sources.find(source => source.id === document.getElementById('diff-right').value);
+    if (!left || !right) return;
+
+    document.getElementById('diff-left-label').textContent = left.label;
+    document.getElementById('diff-right-label').textContent = right.label;
+
+    const request = ++diffRequest;
     try {
-        // Initialize audio processor
-        audioProcessor = new AudioProcessor();
-        
-        // Update UI
-        streamBtn.classList.add('streaming');
-        streamBtn.querySelector('.btn-text').textContent = 'Stop Streaming';
-        clearRealtimeTranscripts();
+        const response = await fetch('/align', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                reference: left.text,
+                hypothesis: right.text,
+                normalization: currentComparison.normalization || undefined
+            })
+        });
+        const score = await response.json();
+        if (!response.ok) {
+            throw new Error(score.error);
+        }
+        if (request === diffRequest) {
+            renderDiff(score);
+        }
+    } catch (error) {
+        showError('Failed to compare transcripts: ' + error.message);
+    }
+}
+
+function renderDiff(score) {
+    const leftWords = [];
+    const rightWords = [];
+    let region = -1;
+    let inRegion = false;
+
+    // Consecutive non-matching words form one disagreement region
+    score.alignment.forEach(entry => {
+        if (entry.type === 'match') {
+            inRegion = false;
+            leftWords.push(`<span class="diff-word">${escapeHTML(entry.reference)}</span>`);
+            rightWords.push(`<span class="diff-word">${escapeHTML(entry.hypothesis)}</span>`);
+            return;
+        }
+
+        if (!inRegion) {
+            region++;
+            inRegion = true;
+        }
+        const attributes = `class="diff-word diff-${entry.type}" data-region="${region}"`;
+        // A gap marks where the other side has words, so every region exists in both panes
+        leftWords.push(entry.reference !== null
+            ? `<span ${attributes}>${escapeHTML(entry.reference)}</span>`
+            : `<span class="diff-gap" data-region="${region}" title="Missing here"></span>`);
+        rightWords.push(entry.hypothesis !== null
+            ? `<span ${attributes}>${escapeHTML(entry.hypothesis)}</span>`
+            : `<span class="diff-gap" data-region="${region}" title="Missing here"></span>`);
+    });
+
+    document.getElementById('diff-left-text').innerHTML = leftWords.join(' ') || '<em>Empty transcript</em>';
+    document.getElementById('diff-right-text').innerHTML = rightWords.join(' ') || '<em>Empty transcript</em>';
+
+    diffRegions = region + 1;
+    diffCurrent = -1;
+
+    document.getElementById('diff-summary').innerHTML = diffRegions === 0
+        ? `No differences after <strong>${escapeHTML(score.normalization)}</strong> normalization`
+        : `<strong>${diffRegions}</strong> region${diffRegions === 1 ? '' : 's'} differ: ` +
+          `${score.substitutions} substituted, ${score.deletions} only in first, ${score.insertions} only in second ` +
+          `(WER of second against first: ${formatWER(score.wer)}, ${escapeHTML(score.normalization)} normalization)`;
+
+    updateDiffPosition();
+}
+
+function jumpToDiffRegion(index) {
+    if (diffRegions === 0) return;
+
+    // Wrap around at either end
+    diffCurrent = (index + diffRegions) % diffRegions;
+
+    const panes = document.querySelectorAll('#diff-panel .diff-text');
+    panes.forEach(pane => {
+        pane.querySelectorAll('.active').forEach(element => element.classList.remove('active'));
+        const words = pane.querySelectorAll(`[data-region="${diffCurrent}"]`);
+        words.forEach(element => element.classList.add('active'));
+        if (words.length > 0) {
+            // Scroll within the pane only, leaving the page where it is
+            pane.scrollTop = words[0].offsetTop - pane.clientHeight / 2;
+        }
+    });
+
+    updateDiffPosition();
+}
+
+function updateDiffPosition() {
+    document.getElementById('diff-position').textContent = diffRegions === 0
+        ? '0 / 0'
+        : `${diffCurrent + 1 || '-'} / ${diffRegions}`;
+    document.getElementById('diff-prev').disabled = diffRegions === 0;
+    document.getElementById('diff-next').disabled = diffRegions === 0;
+}
 
-        // Show selected service statuses
-        selectedServices.forEach(service => {
-            document.querySelector(`.${service}-status`).style.display = 'flex';
-            updateServiceStatus(service, 'connecting');
-        });
+// Audio review
 
-        // Start audio recording
-        await audioProcessor.startRecording();
+function resetAudioReview() {
+    stopPlaybackTracking();
+    reviewAudio.pause();
+    reviewAudio.removeAttribute('src');
+    reviewAudio.load();
+    waveformPeaks = null;
+    wordTimeline = new Map();
+    document.getElementById('audio-review').style.display = 'none';
+}
 
-        // Initialize streaming session
-        socket.emit('startStream', {
-            services: selectedServices,
-            sampleRate: 16000,
-            encoding: 'pcm16',
-            channels: 1
-        });
+// Saved batch comparisons keep their audio on the server
+function loadAudioReview(data) {
+    resetAudioReview();
+    buildWordTimeline();
+    if (!data.comparisonId || data.hasAudio === false) return;
+
+    const url = `/comparisons/${data.comparisonId}/audio`;
+    reviewAudio.src = url;
+    document.getElementById('audio-review').style.display = 'block';
+    loadWaveform(url);
+}
 
+async function loadWaveform(url) {
+    waveformCanvas.style.display = 'block';
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass();
+        const audioBuffer = await context.decodeAudioData(await response.arrayBuffer());
+        context.close();
+
+        // A newer comparison may have been opened while decoding
+        if (!reviewAudio.src.endsWith(url)) return;
+
+        waveformPeaks = computePeaks(audioBuffer.getChannelData(0), 1000);
+        drawWaveform();
     } catch (error) {
-        showError('Failed to start streaming: ' + error.message);
-        stopStreaming();
+        // Playback still works without the waveform (e.g. a format the browser cannot decode)
+        console.error('Failed to draw waveform:', error);
+        waveformCanvas.style.display = 'none';
     }
 }
 
-function stopStreaming() {
-    if (audioProcessor) {
-        audioProcessor.stopRecording();
-        audioProcessor = null;
+function computePeaks(samples, count) {
+    const peaks = new Float32Array(count);
+    const size = Math.max(1, Math.floor(samples.length / count));
+    for (let i = 0; i < count; i++) {
+        let peak = 0;
+        const end = Math.min(samples.length, (i + 1) * size);
+        for (let j = i * size; j < end; j++) {
+            const value = Math.abs(samples[j]);
+            if (value > peak) peak = value;
+        }
+        peaks[i] = peak;
     }
-
-    socket.emit('endStream');
-
-    // Update UI
-    streamBtn.classList.remove('streaming');
-    streamBtn.querySelector('.btn-text').textContent = 'Start Streaming';
-    resetServiceStatuses();
+    return peaks;
 }
 
-// Transcript handling
-function handleTranscriptResult(data) {
-    const { service, transcript, isFinal, latency } = data;
-    
-    if (!transcript) return;
+function drawWaveform() {
+    if (!waveformPeaks || waveformCanvas.style.display === 'none') return;
 
-    const transcriptsContainer = document.getElementById('realtime-transcripts');
-    
-    // Remove placeholder if it exists
-    const placeholder = transcriptsContainer.querySelector('.transcript-placeholder');
-    if (placeholder) {
-        placeholder.remove();
+    const ratio = window.devicePixelRatio || 1;
+    const width = waveformCanvas.clientWidth * ratio;
+    const height = waveformCanvas.clientHeight * ratio;
+    if (waveformCanvas.width !== width || waveformCanvas.height !== height) {
+        waveformCanvas.width = width;
+        waveformCanvas.height = height;
     }
 
-    // Initialize transcript state for service if not exists
-    if (!transcriptState.has(service)) {
-        transcriptState.set(service, {
-            finalText: '',
-            interimText: '',
-            lastUpdateTime: Date.now()
-        });
-    }
+    const context = waveformCanvas.getContext('2d');
+    const progress = reviewAudio.duration ? reviewAudio.currentTime / reviewAudio.duration : 0;
+    const barWidth = width / waveformPeaks.length;
+    context.clearRect(0, 0, width, height);
 
-    // Find or create service container
-    let serviceContainer = transcriptsContainer.querySelector(`.transcript-${service}`);
-    if (!serviceContainer) {
-        serviceContainer = document.createElement('div');
-        serviceContainer.className = `transcript-service transcript-${service}`;
-        serviceContainer.innerHTML = `
-            <div class="transcript-header">
-                <h4>${service.charAt(0).toUpperCase() + service.slice(1)}</h4>
-                <span class="latency">Latency: ${latency}ms</span>
-            </div>
-            <div class="transcript-content">
-                <div class="final-text"></div>
-                <div class="interim-text"></div>
-            </div>
-        `;
-        transcriptsContainer.appendChild(serviceContainer);
-    }
+    waveformPeaks.forEach((peak, index) => {
+        const barHeight = Math.max(ratio, peak * height);
+        context.fillStyle = index / waveformPeaks.length < progress ? '#3498db' : '#bdc3c7';
+        context.fillRect(index * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - ratio / 2), barHeight);
+    });
+}
 
-    // Get transcript state
-    const state = transcriptState.get(service);
-    
-    // Update transcript content
-    const contentDiv = serviceContainer.querySelector('.transcript-content');
-    const finalDiv = contentDiv.querySelector('.final-text');
-    const interimDiv = contentDiv.querySelector('.interim-text');
-    
-    if (isFinal) {
-        // Append final transcript to accumulated text
-        state.finalText += (state.finalText ? ' ' : '') + transcript;
-        state.interimText = ''; // Clear interim text when we get final
-        
-        // Update display
-        finalDiv.innerHTML = state.finalText
-            .split(' ')
-            .map(word => `<span class="transcript-word">${word}</span>`)
-            .join(' ');
-        interimDiv.textContent = '';
-        
-        // Auto-scroll to bottom
-        contentDiv.scrollTop = contentDiv.scrollHeight;
-    } else {
-        // Update interim transcript
-        state.interimText = transcript;
-        interimDiv.innerHTML = `<span class="interim-transcript">${transcript}</span>`;
-    }
-    
-    // Update state
-    state.lastUpdateTime = Date.now();
-    transcriptState.set(service, state);
+function seekReviewAudio(time) {
+    if (!reviewAudio.src || Number.isNaN(time)) return;
+    reviewAudio.currentTime = time;
+    reviewAudio.play().catch(() => {});
+}
 
-    // Update latency
-    serviceContainer.querySelector('.latency').textContent = `Latency: ${latency}ms`;
+// Index every card's timed words so the current word can be found quickly
+function buildWordTimeline() {
+    wordTimeline = new Map();
+    document.querySelectorAll('#results-grid .result-card').forEach(card => {
+        const words = Array.from(card.querySelectorAll('.transcript-word')).map(element => ({
+            start: parseFloat(element.dataset.start),
+            end: parseFloat(element.dataset.end),
+            element
+        }));
+        if (words.length > 0) {
+            wordTimeline.set(card.dataset.service, { words, active: null });
+        }
+    });
 }
 
-function clearRealtimeTranscripts() {
-    const transcriptsContainer = document.getElementById('realtime-transcripts');
-    transcriptsContainer.innerHTML = '';
-    // Clear transcript state
-    transcriptState.clear();
+function startPlaybackTracking() {
+    stopPlaybackTracking();
+    const tick = () => {
+        updatePlaybackPosition();
+        playbackFrame = requestAnimationFrame(tick);
+    };
+    tick();
 }
 
-// Results display
-function displayBatchResults(data) {
-    resultsSection.style.display = 'block';
-    
-    const resultsGrid = document.getElementById('results-grid');
-    resultsGrid.innerHTML = '';
+function stopPlaybackTracking() {
+    if (playbackFrame !== null) {
+        cancelAnimationFrame(playbackFrame);
+        playbackFrame = null;
+    }
+    updatePlaybackPosition();
+}
 
-    const services = Object.keys(data.results);
-    services.forEach(service => {
-        const result = data.results[service];
-        const resultCard = createResultCard(service, result);
-        resultsGrid.appendChild(resultCard);
+function updatePlaybackPosition() {
+    const time = reviewAudio.currentTime;
+    const playing = reviewAudio.src && (time > 0 || !reviewAudio.paused);
+
+    wordTimeline.forEach(timeline => {
+        const word = playing ? findWordAt(timeline.words, time) : null;
+        if (word === timeline.active) return;
+        if (timeline.active) timeline.active.element.classList.remove('playing');
+        if (word) {
+            word.element.classList.add('playing');
+            const container = word.element.closest('.transcript-text');
+            // Keep the word visible without scrolling the page
+            if (word.element.offsetTop < container.scrollTop || word.element.offsetTop > container.scrollTop + container.clientHeight - 20) {
+                container.scrollTop = word.element.offsetTop - container.clientHeight / 2;
+            }
+        }
+        timeline.active = word;
     });
 
-    // Update metrics
-    updateMetrics(data);
-
-    // Scroll to results
-    resultsSection.scrollIntoView({ behavior: 'smooth' });
+    drawWaveform();
 }
 
-function createResultCard(service, result) {
-    const card = document.createElement('div');
-    card.className = `result-card ${service}`;
-    
-    if (result.error) {
-        card.innerHTML = `
-            <h3>${service.charAt(0).toUpperCase() + service.slice(1)}</h3>
-            <div class="error-result">
-                <span class="error-icon">❌</span>
-                <p>Error: ${result.error}</p>
-            </div>
-        `;
-    } else {
-        card.innerHTML = `
-            <h3>${service.charAt(0).toUpperCase() + service.slice(1)}</h3>
-            <div class="transcript-text">
-                <p>${result.text || 'No transcript available'}</p>
-            </div>
-            <div class="result-metrics">
-                <div class="metric">
-                    <span class="metric-label">Processing Time:</span>
-                    <span class="metric-value">${(result.time / 1000).toFixed(2)}s</span>
-                </div>
-                ${result.confidence !== null ? `
-                <div class="metric">
-                    <span class="metric-label">Confidence:</span>
-                    <span class="metric-value">${(result.confidence * 100).toFixed(1)}%</span>
-                </div>
-                ` : ''}
-                ${result.details ? `
-                <div class="metric">
-                    <span class="metric-label">Words:</span>
-                    <span class="metric-value">${result.details.words_count || 'N/A'}</span>
-                </div>
-                ` : ''}
-            </div>
-        `;
+// The word being spoken: the last one started, until the next starts or a pause follows
+function findWordAt(words, time) {
+    let low = 0;
+    let high = words.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (words[middle].start <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
     }
-    
-    return card;
+    if (found === -1) return null;
+    const word = words[found];
+    return time - word.end < 0.5 ? word : null;
 }
 
 function updateMetrics(data) {
@@ -658,9 +2476,7 @@ function updateMetrics(data) {
         const result = data.results[service];
         avgProcessingTime += result.time || 0;
         
-        if (result.details && result.details.words_count) {
-            totalWords += result.details.words_count;
-        }
+        totalWords += countWords(result) || 0;
         
         if (result.confidence !== null) {
             avgConfidence += result.confidence;
@@ -676,6 +2492,33 @@ function updateMetrics(data) {
         avgConfidence /= confidenceCount;
     }
 
+    // Lowest word error rate among scored services
+    let bestWER = null;
+    successfulServices.forEach(service => {
+        const score = data.results[service].score;
+        if (score && score.wer !== null && (!bestWER || score.wer < bestWER.wer)) {
+            bestWER = { service, wer: score.wer };
+        }
+    });
+
+    // Lowest word diarization error among providers that label speakers
+    let bestWDER = null;
+    successfulServices.forEach(service => {
+        const diarization = data.results[service].score?.diarization;
+        if (diarization && diarization.wder !== null && (!bestWDER || diarization.wder < bestWDER.wder)) {
+            bestWDER = { service, wder: diarization.wder };
+        }
+    });
+
+    // Highest share of clinically important terms transcribed exactly
+    let bestKeywords = null;
+    successfulServices.forEach(service => {
+        const keywords = data.results[service].score?.keywords;
+        if (keywords && (!bestKeywords || keywords.recall > bestKeywords.recall)) {
+            bestKeywords = { service, recall: keywords.recall };
+        }
+    });
+
     metricsContent.innerHTML = `
         <div class="metric-item">
             <h4>Services Tested</h4>
@@ -695,23 +2538,278 @@ function updateMetrics(data) {
             <p>${(avgConfidence * 100).toFixed(1)}%</p>
         </div>
         ` : ''}
+        ${bestWER ? `
+        <div class="metric-item">
+            <h4>Best WER (${getProviderName(bestWER.service)})</h4>
+            <p>${formatWER(bestWER.wer)}</p>
+        </div>
+        ` : ''}
+        ${bestKeywords ? `
+        <div class="metric-item">
+            <h4>Best Keyword Recall (${getProviderName(bestKeywords.service)})</h4>
+            <p>${formatWER(bestKeywords.recall)}</p>
+        </div>
+        ` : ''}
+        ${bestWDER ? `
+        <div class="metric-item">
+            <h4>Best Speaker Error (${getProviderName(bestWDER.service)})</h4>
+            <p>${formatWER(bestWDER.wder)}</p>
+        </div>
+        ` : ''}
+        ${data.config ? `
+        <div class="metric-item">
+            <h4>Configuration</h4>
+            <p>${escapeHTML(getConfigProfileName(data.config.profile))}</p>
+        </div>
+        <div class="metric-item">
+            <h4>Vocabulary</h4>
+            <p>${formatVocabulary(data.vocabulary)}</p>
+        </div>
+        ` : ''}
+        ${data.redaction ? `
+        <div class="metric-item">
+            <h4>PHI Redacted</h4>
+            <p>${data.revealed ? 'Revealed' : formatRedaction(data.redaction)}
+                ${data.redaction.reversible && data.comparisonId && !data.revealed && revealAvailable
+                    ? '<button id="reveal-phi-btn" class="profile-btn reveal-btn" type="button">Reveal</button>'
+                    : ''}
+            </p>
+        </div>
+        ` : ''}
         ${data.audioInfo ? `
         <div class="metric-item">
             <h4>File Size</h4>
             <p>${(data.audioInfo.size / 1024 / 1024).toFixed(2)} MB</p>
         </div>
         ` : ''}
+        ${data.audioInfo && data.audioInfo.duration != null ? `
+        <div class="metric-item">
+            <h4>Audio</h4>
+            <p>${formatAudioInfo(data.audioInfo)}</p>
+        </div>
+        ` : ''}
+        ${renderKeywordReport(data)}
+        ${renderLatencyReport(data)}
+    `;
+
+    const revealButton = document.getElementById('reveal-phi-btn');
+    if (revealButton) revealButton.addEventListener('click', revealComparison);
+}
+
+// Duration, sample rate and channels of probed audio, e.g. "1:05 · 16 kHz · mono"
+function formatAudioInfo(audioInfo) {
+    const minutes = Math.floor(audioInfo.duration / 60);
+    const seconds = Math.floor(audioInfo.duration % 60).toString().padStart(2, '0');
+    const parts = [`${minutes}:${seconds}`];
+    if (audioInfo.sampleRate) parts.push(`${audioInfo.sampleRate / 1000} kHz`);
+    if (audioInfo.channels) parts.push(audioInfo.channels === 1 ? 'mono' : audioInfo.channels === 2 ? 'stereo' : `${audioInfo.channels} channels`);
+    if (audioInfo.hasVideo) parts.push('video');
+    return parts.join(' · ');
+}
+
+// Outcome of every keyword the reference contains, one column per provider
+function renderKeywordReport(data) {
+    const services = Object.keys(data.results).filter(service => data.results[service].score?.keywords);
+    if (services.length === 0) return '';
+
+    const terms = new Map();
+    services.forEach(service => {
+        data.results[service].score.keywords.terms.forEach(outcome => {
+            if (!terms.has(outcome.term)) terms.set(outcome.term, { category: outcome.category, outcomes: {} });
+            terms.get(outcome.term).outcomes[service] = outcome;
+        });
+    });
+
+    const formatOutcome = outcome => {
+        if (!outcome) return '';
+        const parts = [];
+        if (outcome.hits > 0) parts.push(`<span class="keyword-hit">${outcome.hits > 1 ? `${outcome.hits}× ` : ''}✓</span>`);
+        if (outcome.misses > 0) parts.push(`<span class="keyword-missed">${outcome.misses > 1 ? `${outcome.misses}× ` : ''}missed</span>`);
+        outcome.substitutedAs.forEach(heard => {
+            parts.push(`<span class="keyword-substituted">"${escapeHTML(heard)}"</span>`);
+        });
+        return parts.join(' ');
+    };
+
+    return `
+        <details class="keyword-report">
+            <summary>Keyword recall by term (${terms.size} terms)</summary>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Term</th>
+                        <th>Category</th>
+                        ${services.map(service => `<th>${escapeHTML(getProviderName(service))}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${[...terms].map(([term, { category, outcomes }]) => `
+                    <tr>
+                        <td>${escapeHTML(term)}</td>
+                        <td>${escapeHTML(category)}</td>
+                        ${services.map(service => `<td>${formatOutcome(outcomes[service])}</td>`).join('')}
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+}
+
+// Streaming latency and interim stability of a saved real-time session
+function renderLatencyReport(data) {
+    const collect = field => Object.fromEntries(Object.entries(data.results)
+        .filter(([, result]) => result[field])
+        .map(([service, result]) => [service, result[field]]));
+    const metrics = collect('latency');
+    const stability = collect('stability');
+    if (Object.keys(metrics).length === 0) return '';
+
+    return `
+        <div class="latency-report">
+            <h4>Streaming Latency</h4>
+            ${renderLatencyTable(metrics)}
+            ${Object.keys(stability).length > 0 ? `
+            <h4>Interim Stability</h4>
+            ${renderStabilityTable(stability)}
+            ` : ''}
+        </div>
     `;
 }
 
+// Comparison history
+async function loadHistory(query = document.getElementById('history-search').value) {
+    try {
+        const params = new URLSearchParams();
+        if (query) params.set('q', query);
+
+        const response = await fetch(`/comparisons?${params}`);
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        const data = await response.json();
+        renderHistory(data.comparisons);
+    } catch (error) {
+        showError('Failed to load history: ' + error.message);
+    }
+}
+
+function renderHistory(comparisons) {
+    const historyList = document.getElementById('history-list');
+
+    if (comparisons.length === 0) {
+        historyList.innerHTML = '<div class="history-empty">No saved comparisons yet</div>';
+        return;
+    }
+
+    historyList.innerHTML = comparisons.map(comparison => {
+        const werSummary = Object.entries(comparison.wer)
+            .map(([service, wer]) => `${getProviderName(service)} ${formatWER(wer)}`)
+            .join(' · ');
+
+        return `
+            <div class="history-item">
+                <div class="history-info">
+                    <div class="history-title">
+                        <span class="history-mode">${comparison.mode === 'realtime' ? '🎙️' : '📁'}</span>
+                        ${escapeHTML(comparison.filename || (comparison.mode === 'realtime' ? 'Real-time session' : 'Recording'))}
+                        <span class="history-date">${new Date(comparison.createdAt).toLocaleString()}</span>
+                    </div>
+                    <div class="history-services">
+                        ${comparison.services.map(getProviderName).join(', ')}
+                        ${werSummary ? ` — WER: ${werSummary}` : ''}
+                        ${comparison.errors ? ` — ${comparison.errors} failed` : ''}
+                    </div>
+                    <div class="history-preview">${escapeHTML(comparison.preview)}</div>
+                </div>
+                <div class="history-actions">
+                    <button class="history-btn" data-action="open" data-id="${comparison.id}">Open</button>
+                    <button class="history-btn history-delete" data-action="delete" data-id="${comparison.id}">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function openComparison(id) {
+    try {
+        const response = await fetch(`/comparisons/${id}`);
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        displayBatchResults(comparisonResults(await response.json()));
+    } catch (error) {
+        showError('Failed to open comparison: ' + error.message);
+    }
+}
+
+// Results view of a stored comparison
+function comparisonResults(comparison) {
+    return {
+        mode: comparison.mode,
+        comparisonId: comparison.id,
+        createdAt: comparison.createdAt,
+        results: comparison.results,
+        audioInfo: comparison.audioInfo,
+        reference: comparison.settings.reference || null,
+        referenceSegments: comparison.settings.referenceSegments || null,
+        normalization: comparison.settings.normalization || null,
+        speakerNames: comparison.speakerNames || {},
+        config: comparison.settings.config || null,
+        vocabulary: comparison.settings.vocabulary || null,
+        redaction: comparison.settings.redaction || null,
+        hasAudio: Boolean(comparison.audio),
+        audioFilename: comparison.audio ? comparison.audio.filename : null,
+        events: comparison.events || null
+    };
+}
+
+async function deleteComparison(id) {
+    if (!confirm('Delete this comparison and its audio?')) return;
+
+    try {
+        const response = await fetch(`/comparisons/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(await response.text());
+        }
+
+        if (currentComparison && currentComparison.comparisonId === id) {
+            currentComparison.comparisonId = null;
+        }
+        loadHistory();
+    } catch (error) {
+        showError('Failed to delete comparison: ' + error.message);
+    }
+}
+
 // Utility functions
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 function getSelectedServices() {
-    const services = [];
-    const selectedService = document.querySelector('input[name="service"]:checked');
-    if (selectedService) {
-        services.push(selectedService.value);
+    return [...document.querySelectorAll('input[name="service"]:checked:not(:disabled)')]
+        .map(input => input.value);
+}
+
+function getProvider(service) {
+    return providers.find(provider => provider.id === service) || null;
+}
+
+function getProviderName(service) {
+    const provider = getProvider(service);
+    return provider ? provider.name : service.charAt(0).toUpperCase() + service.slice(1);
+}
+
+function applyProviderColor(element, service) {
+    const provider = getProvider(service);
+    if (provider && provider.color) {
+        element.style.setProperty('--provider-color', provider.color);
     }
-    return services;
 }
 
 function updateConnectionStatus() {
@@ -734,9 +2832,9 @@ function updateServiceStatus(service, status) {
 }
 
 function resetServiceStatuses() {
-    ['assemblyai', 'deepgram', 'openai'].forEach(service => {
-        document.querySelector(`.${service}-status`).style.display = 'none';
-        updateServiceStatus(service, 'disconnected');
+    providers.forEach(provider => {
+        document.querySelector(`.${provider.id}-status`).style.display = 'none';
+        updateServiceStatus(provider.id, 'disconnected');
     });
 }
 
@@ -750,24 +2848,21 @@ function showError(message) {
 
 // Export functions
 function exportJSON() {
-    // Collect results data
-    const results = {};
-    document.querySelectorAll('.result-card').forEach(card => {
-        const service = card.classList[1];
-        const transcript = card.querySelector('.transcript-text p')?.textContent || '';
-        const metrics = {};
-        card.querySelectorAll('.metric').forEach(metric => {
-            const label = metric.querySelector('.metric-label').textContent.replace(':', '');
-            const value = metric.querySelector('.metric-value').textContent;
-            metrics[label] = value;
-        });
-        results[service] = { transcript, metrics };
-    });
+    if (!currentComparison) return;
 
     const data = {
-        timestamp: new Date().toISOString(),
-        mode: currentMode,
-        results
+        timestamp: currentComparison.createdAt || new Date().toISOString(),
+        comparisonId: currentComparison.comparisonId || null,
+        mode: currentComparison.mode || currentMode,
+        audioInfo: currentComparison.audioInfo || null,
+        reference: currentComparison.reference || null,
+        referenceSegments: currentComparison.referenceSegments || null,
+        normalization: currentComparison.normalization || null,
+        speakerNames: currentComparison.speakerNames || {},
+        config: currentComparison.config || null,
+        vocabulary: currentComparison.vocabulary || null,
+        redaction: currentComparison.redaction || null,
+        results: currentComparison.results
     };
 
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -775,19 +2870,31 @@ function exportJSON() {
 }
 
 function exportCSV() {
-    const rows = [['Service', 'Transcript', 'Processing Time', 'Confidence', 'Words']];
-    
-    document.querySelectorAll('.result-card').forEach(card => {
-        const service = card.classList[1];
-        const transcript = card.querySelector('.transcript-text p')?.textContent || 'Error';
-        const processingTime = card.querySelector('.metric:nth-child(1) .metric-value')?.textContent || 'N/A';
-        const confidence = card.querySelector('.metric:nth-child(2) .metric-value')?.textContent || 'N/A';
-        const words = card.querySelector('.metric:nth-child(3) .metric-value')?.textContent || 'N/A';
-        
-        rows.push([service, transcript, processingTime, confidence, words]);
+    if (!currentComparison) return;
+
+    const rows = [['Service', 'Transcript', 'Processing Time', 'Confidence', 'Words', 'WER', 'Keyword Recall', 'Missed Keywords', 'Substituted Keywords', 'Speaker Error', 'Language', 'Sentiment', 'Key Phrases', 'Topics', 'Error']];
+
+    Object.entries(currentComparison.results).forEach(([service, result]) => {
+        rows.push([
+            service,
+            result.text || '',
+            result.time != null ? (result.time / 1000).toFixed(2) + 's' : 'N/A',
+            result.confidence != null ? (result.confidence * 100).toFixed(1) + '%' : 'N/A',
+            countWords(result) ?? 'N/A',
+            result.score ? formatWER(result.score.wer) : 'N/A',
+            result.score?.keywords ? formatWER(result.score.keywords.recall) : 'N/A',
+            (result.score?.keywords?.terms || []).filter(outcome => outcome.misses > 0).map(outcome => outcome.term).join('; '),
+            (result.score?.keywords?.terms || []).flatMap(outcome => outcome.substitutedAs.map(heard => `${outcome.term} → ${heard}`)).join('; '),
+            result.score?.diarization ? formatWER(result.score.diarization.wder) : 'N/A',
+            result.enrichments?.language?.code || '',
+            (result.enrichments?.sentiment || []).map(sentence => sentence.sentiment).join('; '),
+            (result.enrichments?.keyPhrases || []).map(phrase => phrase.text).join('; '),
+            (result.enrichments?.topics || []).map(topic => topic.topic).join('; '),
+            result.error || ''
+        ]);
     });
 
-    const csv = rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+    const csv = rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
     const blob = new Blob([csv], { type: 'text/csv' });
     downloadFile(blob, `stt-comparison-${Date.now()}.csv`);
 }
@@ -6,14 +6,74 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const crypto = require('crypto');
 
-// Service imports
-const assemblyAIBatch = require('./services/assemblyai-batch');
-const assemblyAIRealtime = require('./services/assemblyai-realtime');
-const deepgramBatch = require('./services/deepgram-batch');
-const deepgramRealtime = require('./services/deepgram-realtime');
-const openAIBatch = require('./services/openai-batch');
-const openAIRealtime = require('./services/openai-realtime');
+// Provider registry (each vendor registers itself from services/providers/)
+const providerRegistry = require('./services/registry');
+providerRegistry.loadProviders();
+
+const { computeWER } = require('./lib/scoring');
+const { parseSpeakerReference, computeDiarizationError } = require('./lib/diarization');
+const normalization = require('./lib/normalization');
+const { createComparisonStore } = require('./lib/comparison-store');
+const { createJobQueue } = require('./lib/job-queue');
+const { createConfigProfileStore, DEFAULT_CONFIG_PROFILE } = require('./lib/config-profiles');
+const { configError, resolveConfig } = require('./lib/provider-config');
+const { createVocabularyStore } = require('./lib/vocabulary');
+const { createKeywordStore, parseKeywordList, computeKeywordRecall } = require('./lib/keywords');
+const {
+  ENTITY_TYPES,
+  createRedactionStore,
+  createRedactor,
+  normalizePolicy,
+  weakensPolicy,
+  sealVault,
+  openVault,
+  revealPHI,
+  bleepWav
+} = require('./lib/redaction');
+const {
+  AUDIO_FORMATS,
+  DEFAULT_AUDIO_FORMAT,
+  canonicalMimetype,
+  isMediaMimetype,
+  createAudioToolkit,
+  chooseAudioFormat,
+  wavHeader
+} = require('./lib/audio');
+const { transcribeWithLimit } = require('./lib/splitting');
+const { createUploadStore } = require('./lib/upload-store');
+const { createLatencyTracker } = require('./lib/latency');
+const { createStabilityTracker } = require('./lib/stability');
+
+// Past comparisons, saved configuration profiles, the custom vocabulary, the
+// keyword list and the redaction policy are kept under DATA_DIR
+const comparisonStore = createComparisonStore({
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+const configProfiles = createConfigProfileStore({
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+  validate: providerRegistry.validateConfigs
+});
+const vocabularyStore = createVocabularyStore({
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+const keywordStore = createKeywordStore({
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+const redactionStore = createRedactionStore({
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+
+// Probing and conversion of uploads; ffmpeg is found at startup
+const audioToolkit = createAudioToolkit();
+
+// Long recordings are uploaded in chunks, up to MAX_UPLOAD_MB
+const chunkedUploads = createUploadStore({
+  dir: path.join(__dirname, 'uploads'),
+  maxSize: (parseInt(process.env.MAX_UPLOAD_MB, 10) || 1024) * 1024 * 1024
+});
 
 const app = express();
 const server = http.createServer(app);
@@ -24,47 +84,101 @@ const io = socketIo(server, {
   }
 });
 
+// Batch jobs; progress is pushed to the submitting client over Socket.IO
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 4,
+  onUpdate: (job, event) => {
+    if (job.socketId) {
+      io.to(job.socketId).emit(event.type, event);
+    }
+  }
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure multer for file uploads
+/**
+ * Check an upload's type. With ffmpeg any audio or video file can be
+ * converted for the providers; without it, only formats at least one
+ * registered provider accepts.
+ * @param {string} mimetype - Mimetype as uploaded
+ * @param {string} filename - Original file name
+ * @returns {Error|null} Error with status 400, or null when accepted
+ */
+function uploadTypeError(mimetype, filename) {
+  const type = canonicalMimetype(mimetype, filename);
+  const allowedTypes = providerRegistry.listProviders().flatMap(provider => provider.mimetypes);
+  if (audioToolkit.available() ? isMediaMimetype(type) : allowedTypes.includes(type)) {
+    return null;
+  }
+  const error = new Error(audioToolkit.available()
+    ? 'Invalid file type. Upload an audio or video file.'
+    : 'Invalid file type. Only mp3, wav, m4a, and webm are allowed (install ffmpeg for other formats).');
+  error.status = 400;
+  return error;
+}
+
+// Configure multer for file uploads; larger files go through /uploads in chunks
 const upload = multer({
   dest: 'uploads/',
   limits: {
     fileSize: 25 * 1024 * 1024 // 25MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/x-m4a', 'audio/webm', 'audio/mp3'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only mp3, wav, m4a, and webm are allowed.'));
-    }
+    const error = uploadTypeError(file.mimetype, file.originalname);
+    cb(error, !error);
   }
 });
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
-  const serviceStatus = {
-    assemblyai: false,
-    deepgram: false,
-    openai: false
-  };
-
-  // Check if API keys are configured
-  if (process.env.ASSEMBLYAI_API_KEY) serviceStatus.assemblyai = true;
-  if (process.env.DEEPGRAM_API_KEY) serviceStatus.deepgram = true;
-  if (process.env.OPENAI_API_KEY) serviceStatus.openai = true;
+  // A service is available when its required API keys are configured
+  const serviceStatus = {};
+  providerRegistry.listProviders().forEach(provider => {
+    serviceStatus[provider.id] = providerRegistry.isConfigured(provider);
+  });
 
   res.json({
     status: 'healthy',
     services: serviceStatus,
+    ffmpeg: audioToolkit.available(),
+    maxUploadSize: chunkedUploads.maxSize,
     timestamp: new Date().toISOString()
   });
 });
 
+// Registered providers and their capabilities
+app.get('/providers', (req, res) => {
+  res.json({
+    providers: providerRegistry.listProviders().map(providerRegistry.describeProvider)
+  });
+});
+
+// Text normalization profiles available for scoring
+app.get('/normalization-profiles', (req, res) => {
+  res.json({
+    profiles: normalization.listProfiles(),
+    default: normalization.DEFAULT_PROFILE
+  });
+});
+
+// Word alignment between two transcripts, for the diff view
+app.post('/align', (req, res) => {
+  const { reference, hypothesis } = req.body || {};
+  if (typeof reference !== 'string' || typeof hypothesis !== 'string') {
+    return res.status(400).json({ error: 'reference and hypothesis must be strings' });
+  }
+
+  const profileName = req.body.normalization || normalization.DEFAULT_PROFILE;
+  if (!normalization.PROFILES[profileName]) {
+    return res.status(400).json({ error: `Unknown normalization profile: ${profileName}` });
+  }
+
+  res.json(computeWER(reference, hypothesis, { profile: profileName }));
+});
+
 // Metrics endpoint
 app.get('/metrics', (req, res) => {
   const metrics = {
@@ -76,100 +190,859 @@ app.get('/metrics', (req, res) => {
   res.json(metrics);
 });
 
-// Batch transcription endpoint
+/**
+ * Resolve the options each provider runs with: its defaults, then the
+ * configuration profile, then inline overrides
+ * @param {Object[]} providers - Selected providers
+ * @param {string} mode - 'batch' or 'realtime'
+ * @param {string} [profileId] - Configuration profile id (default profile when omitted)
+ * @param {Object} [overrides] - Option values keyed by provider id
+ * @returns {Promise<Object>} { profile, providers } with the complete options per provider id
+ * @throws {Error} With status 400 for an unknown profile or invalid overrides
+ */
+async function resolveProviderConfigs(providers, mode, profileId, overrides) {
+  const profile = await configProfiles.get(profileId || DEFAULT_CONFIG_PROFILE);
+  if (!profile) {
+    throw configError(`Unknown configuration profile: ${profileId}`);
+  }
+  if (overrides) {
+    providerRegistry.validateConfigs(overrides);
+  }
+
+  const configs = {};
+  providers.forEach(provider => {
+    configs[provider.id] = resolveConfig(
+      provider.options,
+      mode,
+      profile.providers[provider.id],
+      overrides && overrides[provider.id]
+    );
+  });
+  return { profile: profile.id, providers: configs };
+}
+
+/**
+ * Parse the JSON config field of a batch upload
+ * @param {string} [value] - Form field value
+ * @returns {Object|null} Option overrides keyed by provider id
+ * @throws {Error} With status 400 when the field is not JSON
+ */
+function parseConfigField(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw configError('config must be a JSON object keyed by provider id');
+  }
+}
+
+// Configuration profiles
+app.get('/config-profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await configProfiles.list(), default: DEFAULT_CONFIG_PROFILE });
+  } catch (error) {
+    console.error('Failed to list configuration profiles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/config-profiles', async (req, res) => {
+  try {
+    res.status(201).json(await configProfiles.create(req.body || {}));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to save configuration profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/config-profiles/:id', async (req, res) => {
+  try {
+    const profile = await configProfiles.update(req.params.id, req.body || {});
+    if (!profile) {
+      return res.status(404).json({ error: 'Configuration profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to update configuration profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/config-profiles/:id', async (req, res) => {
+  try {
+    const removed = await configProfiles.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Configuration profile not found' });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to delete configuration profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Custom vocabulary: every save is a new version
+app.get('/vocabulary', async (req, res) => {
+  try {
+    res.json({ current: await vocabularyStore.get(), versions: await vocabularyStore.list() });
+  } catch (error) {
+    console.error('Failed to load vocabulary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/vocabulary/:version', async (req, res) => {
+  try {
+    const vocabulary = await vocabularyStore.get(Number(req.params.version));
+    if (!vocabulary) {
+      return res.status(404).json({ error: 'Vocabulary version not found' });
+    }
+    res.json(vocabulary);
+  } catch (error) {
+    console.error('Failed to load vocabulary version:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/vocabulary', async (req, res) => {
+  try {
+    const { created, vocabulary } = await vocabularyStore.save(req.body || {});
+    res.status(created ? 201 : 200).json(vocabulary);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to save vocabulary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Terms scored by keyword recall, by category; the built-in list until one is saved
+app.get('/keywords', async (req, res) => {
+  try {
+    res.json(await keywordStore.get());
+  } catch (error) {
+    console.error('Failed to load keywords:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accepts { category: [terms] } or the text format of keyword list files
+app.put('/keywords', async (req, res) => {
+  try {
+    const { keywords } = req.body || {};
+    res.json(await keywordStore.save(typeof keywords === 'string' ? parseKeywordList(keywords) : keywords));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to save keywords:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/keywords', async (req, res) => {
+  try {
+    res.json(await keywordStore.reset());
+  } catch (error) {
+    console.error('Failed to reset keywords:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PHI redaction policy. Reversible redaction keeps the original values
+// encrypted with PHI_REVEAL_KEY, so it can only be turned on when that is set.
+app.get('/redaction', async (req, res) => {
+  try {
+    res.json({
+      policy: await redactionStore.get(),
+      entityTypes: ENTITY_TYPES,
+      revealAvailable: Boolean(process.env.PHI_REVEAL_KEY)
+    });
+  } catch (error) {
+    console.error('Failed to load redaction policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Redacting less (turning it off, or dropping entity types, names or audio
+// bleeping) needs the reveal key, like seeing the originals does.
+app.put('/redaction', async (req, res) => {
+  try {
+    if (req.body && req.body.reversible === true && !process.env.PHI_REVEAL_KEY) {
+      return res.status(400).json({ error: 'Reversible redaction needs PHI_REVEAL_KEY to be set on the server' });
+    }
+    const policy = normalizePolicy(req.body);
+    if (weakensPolicy(await redactionStore.get(), policy) && !hasRevealKey(req)) {
+      return res.status(403).json({
+        error: process.env.PHI_REVEAL_KEY
+          ? 'Redacting less needs the PHI reveal key'
+          : 'Redacting less needs PHI_REVEAL_KEY to be set on the server'
+      });
+    }
+    res.json({
+      policy: await redactionStore.save(policy),
+      entityTypes: ENTITY_TYPES,
+      revealAvailable: Boolean(process.env.PHI_REVEAL_KEY)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to save redaction policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Whether a request carries the PHI reveal key in X-PHI-Reveal-Key, compared
+ * in constant time
+ * @param {Object} req - Express request
+ * @returns {boolean} False as well when no key is configured
+ */
+function hasRevealKey(req) {
+  const secret = process.env.PHI_REVEAL_KEY;
+  if (!secret) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.get('X-PHI-Reveal-Key') || ''), digest(secret));
+}
+
+/**
+ * Redactor for a new comparison or stream, following the saved policy;
+ * redaction is irreversible when no reveal key is configured
+ * @returns {Promise<Object>} Redactor, with the policy's updatedAt
+ */
+async function createPolicyRedactor() {
+  const { updatedAt, ...policy } = await redactionStore.get();
+  const redactor = createRedactor({ ...policy, reversible: policy.reversible && Boolean(process.env.PHI_REVEAL_KEY) });
+  return { ...redactor, policyUpdatedAt: updatedAt };
+}
+
+/**
+ * What a comparison records about its redaction: the policy it ran under
+ * (custom names only counted), the values redacted, the encrypted original
+ * values when redaction was reversible and the outcome of audio bleeping
+ * @param {Object} redactor - Redactor used for the comparison
+ * @param {Object} [audio] - Outcome of audio bleeping
+ * @returns {Object} Redaction settings
+ */
+function redactionSettings(redactor, audio = null) {
+  const summary = redactor.summary();
+  return {
+    ...summary,
+    policy: {
+      entities: redactor.policy.entities,
+      names: redactor.policy.names.length,
+      bleepAudio: redactor.policy.bleepAudio,
+      updatedAt: redactor.policyUpdatedAt
+    },
+    vault: summary.reversible ? sealVault(redactor.vault(), process.env.PHI_REVEAL_KEY) : null,
+    audio
+  };
+}
+
+// Resumable chunked uploads: create one, PUT each chunk at ?offset=<bytes
+// received>, then pass its uploadId to /transcribe-batch instead of a file
+app.post('/uploads', async (req, res) => {
+  try {
+    const { filename, mimetype, size } = req.body || {};
+    const typeError = uploadTypeError(mimetype, filename);
+    if (typeError) {
+      return res.status(400).json({ error: typeError.message });
+    }
+    res.status(201).json(await chunkedUploads.create({ filename, mimetype, size }));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to start upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/uploads/:id', async (req, res) => {
+  try {
+    const upload = await chunkedUploads.get(req.params.id);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.json(upload);
+  } catch (error) {
+    console.error('Failed to load upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/uploads/:id', express.raw({ type: () => true, limit: chunkedUploads.chunkSize }), async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    res.json(await chunkedUploads.append(req.params.id, offset, chunk));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, received: error.received });
+    }
+    console.error('Failed to store chunk:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/uploads/:id', async (req, res) => {
+  try {
+    if (!(await chunkedUploads.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to remove upload:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Batch transcription endpoint: validates the upload and queues a job
 app.post('/transcribe-batch', upload.single('audio'), async (req, res) => {
+  // A refused request removes the file it carried; a chunked upload is only
+  // taken once the request is valid, so the client can retry without re-uploading
+  const reject = async message => {
+    if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    return res.status(400).json({ error: message });
+  };
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file provided' });
+    // A file in the request, or a finished chunked upload
+    if (!req.file && !req.body.uploadId) {
+      return reject('No audio file provided');
     }
 
-    const services = JSON.parse(req.body.services || '[]');
+    let services;
+    try {
+      services = JSON.parse(req.body.services || '[]');
+    } catch (error) {
+      return reject('services must be a JSON array of provider ids');
+    }
+    if (!Array.isArray(services)) {
+      return reject('services must be a JSON array of provider ids');
+    }
     if (services.length === 0) {
-      return res.status(400).json({ error: 'No services selected' });
+      return reject('No services selected');
     }
 
-    // Read the uploaded file
-    const audioBuffer = await fs.readFile(req.file.path);
-    const audioInfo = {
-      duration: null, // Will be calculated by services
-      size: req.file.size,
-      type: req.file.mimetype
-    };
+    const profileName = req.body.normalization || normalization.DEFAULT_PROFILE;
+    if (!normalization.PROFILES[profileName]) {
+      return reject(`Unknown normalization profile: ${profileName}`);
+    }
 
-    // Process with selected services
-    const results = {};
-    const promises = [];
-
-    if (services.includes('assemblyai') && process.env.ASSEMBLYAI_API_KEY) {
-      promises.push(
-        assemblyAIBatch.transcribeBatch(audioBuffer, { 
-          filename: req.file.originalname,
-          mimetype: req.file.mimetype 
-        })
-          .then(result => { results.assemblyai = result; })
-          .catch(error => { 
-            results.assemblyai = { 
-              text: null, 
-              time: null, 
-              confidence: null, 
-              error: error.message 
-            }; 
-          })
-      );
-    }
-
-    if (services.includes('deepgram') && process.env.DEEPGRAM_API_KEY) {
-      promises.push(
-        deepgramBatch.transcribeBatch(audioBuffer, { 
-          mimetype: req.file.mimetype 
-        })
-          .then(result => { results.deepgram = result; })
-          .catch(error => { 
-            results.deepgram = { 
-              text: null, 
-              time: null, 
-              confidence: null, 
-              error: error.message 
-            }; 
-          })
-      );
-    }
-
-    if (services.includes('openai') && process.env.OPENAI_API_KEY) {
-      promises.push(
-        openAIBatch.transcribeBatch(audioBuffer, { 
-          filename: req.file.originalname,
-          mimetype: req.file.mimetype 
-        })
-          .then(result => { results.openai = result; })
-          .catch(error => { 
-            results.openai = { 
-              text: null, 
-              time: null, 
-              confidence: null, 
-              error: error.message 
-            }; 
-          })
-      );
+    // What each provider receives: the upload, a normalized WAV, or whichever it supports
+    const audioFormat = req.body.audioFormat || DEFAULT_AUDIO_FORMAT;
+    if (!AUDIO_FORMATS.includes(audioFormat)) {
+      return reject(`Unknown audio format: ${audioFormat}`);
+    }
+    if (audioFormat === 'normalized' && !audioToolkit.available()) {
+      return reject('Audio normalization needs ffmpeg, which is not installed on the server');
     }
 
+    // Unknown, unconfigured or real-time-only providers are dropped
+    const selectedProviders = providerRegistry.resolveProviders(services, 'batch');
+    if (selectedProviders.length === 0) {
+      return reject(`None of the selected services can transcribe uploads: ${services.join(', ')}`);
+    }
+    const skipped = services.filter(id => !selectedProviders.some(provider => provider.id === id));
+
+    // Provider options from a configuration profile and/or inline JSON
+    // overrides, and the custom vocabulary version to boost
+    let config;
+    let vocabulary;
+    try {
+      config = await resolveProviderConfigs(selectedProviders, 'batch', req.body.configProfile, parseConfigField(req.body.config));
+      vocabulary = await vocabularyStore.resolve(req.body.vocabulary);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return reject(error.message);
+    }
+
+    if (!req.file) {
+      try {
+        req.file = await chunkedUploads.complete(req.body.uploadId);
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ error: error.message });
+      }
+    }
+
+    const job = jobQueue.createJob({
+      services: selectedProviders.map(provider => provider.id),
+      socketId: req.body.socketId
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      services: Object.keys(job.services),
+      ...(skipped.length > 0 ? { skipped } : {})
+    });
+
+    processBatchJob(job, {
+      file: req.file,
+      providers: selectedProviders,
+      reference: (req.body.reference || '').trim(),
+      profileName,
+      config,
+      vocabulary,
+      audioFormat
+    }).catch(error => {
+      console.error('Batch transcription error:', error);
+      jobQueue.fail(job, error);
+      fs.unlink(req.file.path).catch(() => {});
+    });
+
+  } catch (error) {
+    console.error('Batch transcription error:', error);
+    if (req.file && !res.headersSent) fs.unlink(req.file.path).catch(() => {});
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Score a transcript against a reference: word error rate, keyword recall and,
+ * when the reference has speaker turns, diarization
+ * @param {Object} result - Provider result (text, words)
+ * @param {Object} reference - parseSpeakerReference output: { text, segments }
+ * @param {Object} options - Normalization profile and keyword list
+ * @returns {Object|null} Score, or null when the provider returned no text
+ */
+function scoreTranscript(result, reference, options) {
+  const { profile, keywords } = options;
+  if (typeof result.text !== 'string') return null;
+  const score = computeWER(reference.text, result.text, { profile });
+  if (reference.segments) {
+    score.diarization = computeDiarizationError(reference.segments, result.words, { profile });
+  }
+  score.keywords = computeKeywordRecall(reference.text, result.text, keywords, { profile });
+  return score;
+}
+
+/**
+ * Wrap a function so it runs on the first call only; later calls get the same result
+ * @param {Function} fn - Function to run
+ * @returns {Function} Wrapped function
+ */
+function once(fn) {
+  let result;
+  let called = false;
+  return () => {
+    if (!called) {
+      result = fn();
+      called = true;
+    }
+    return result;
+  };
+}
+
+/**
+ * Run every provider of a batch job, scoring and reporting each as it finishes
+ * @param {Object} job - Queued job
+ * @param {Object} options - Uploaded file, providers, reference, normalization profile, provider config, vocabulary and audio format
+ * @returns {Promise<void>}
+ */
+async function processBatchJob(job, options) {
+  const { file, providers, reference, profileName, config, vocabulary, audioFormat = DEFAULT_AUDIO_FORMAT } = options;
+
+  // A reference with "Speaker:" lines is scored without its labels, and its
+  // turns are used to score each provider's diarization
+  const { text: referenceText, segments: referenceSegments } = parseSpeakerReference(reference);
+  const { keywords } = reference ? await keywordStore.get() : {};
+  const redactor = await createPolicyRedactor();
+
+  // Probe the uploaded file. Uploads can run to MAX_UPLOAD_MB, so audio stays
+  // on disk and is read into memory once, only when a provider is sent it whole.
+  const mimetype = canonicalMimetype(file.mimetype, file.originalname);
+  const audioInfo = {
+    ...await audioToolkit.probe(file.path),
+    size: file.size,
+    type: mimetype
+  };
+  const original = { path: file.path, size: file.size, read: once(() => fs.readFile(file.path)) };
+
+  // The normalized WAV is made once, when the first provider needs it
+  let normalizedPath = null;
+  const normalizedAudio = once(async () => {
+    normalizedPath = await audioToolkit.normalizeToFile(file.path);
+    const { size } = await fs.stat(normalizedPath);
+    return { path: normalizedPath, size, read: once(() => fs.readFile(normalizedPath)) };
+  });
+  const audioFormats = {};
+
+  // Process with selected services
+  const results = {};
+  const promises = providers.map(provider => jobQueue.runTask(job, provider.id, async () => {
+    let result;
+    const format = chooseAudioFormat(audioFormat, providerRegistry.supportsMimetype(provider, mimetype), audioToolkit.available());
+    audioFormats[provider.id] = format;
+    if (!format) {
+      result = {
+        text: null,
+        time: null,
+        confidence: null,
+        error: `${provider.name} does not support ${mimetype} files`
+      };
+    } else {
+      const input = format === 'normalized'
+        ? { filename: `${path.parse(file.originalname).name}.wav`, mimetype: 'audio/wav' }
+        : { filename: file.originalname, mimetype };
+      // Providers with a file size limit get long audio in segments
+      result = await (format === 'normalized' ? normalizedAudio() : Promise.resolve(original)).then(audio => transcribeWithLimit(provider, audio, {
+        ...input,
+        config: config.providers[provider.id],
+        vocabulary: vocabulary ? vocabulary.terms : [],
+        toWav: audioToolkit.available() ? normalizedAudio : null
+      })).catch(error => ({
+        text: null,
+        time: null,
+        confidence: null,
+        error: error.message
+      }));
+    }
+
+    // Score against the reference, if one was supplied
+    if (reference) {
+      result.score = scoreTranscript(result, { text: referenceText, segments: referenceSegments }, { profile: profileName, keywords });
+    }
+
+    // Scores use the original text; everything reported or stored is redacted
+    result = redactor.redactResult(result, { reference: referenceText, profile: profileName });
+    results[provider.id] = result;
+    return result;
+  }));
+
+  // Bleep the redacted words out of the stored audio, converting other
+  // formats to WAV first. Audio that can't be bleeped is not kept at all,
+  // rather than kept with the PHI audible.
+  let keepAudio = true;
+  let audioRedaction = null;
+  let storedAudio = { filename: file.originalname, mimetype };
+  try {
     await Promise.all(promises);
 
-    // Clean up uploaded file
-    await fs.unlink(req.file.path);
+    if (redactor.policy.enabled && redactor.policy.bleepAudio) {
+      const pcmWav = audioInfo.container === 'wav' && audioInfo.codec === 'pcm_s16le';
+      let bleeped = pcmWav ? bleepWav(await original.read(), redactor.ranges()) : null;
+      if (!bleeped && audioToolkit.available()) {
+        bleeped = await normalizedAudio().then(wav => wav.read()).then(wav => bleepWav(wav, redactor.ranges())).catch(() => null);
+        storedAudio = { filename: `${path.parse(file.originalname).name}.wav`, mimetype: 'audio/wav' };
+      }
+      if (bleeped) {
+        await fs.writeFile(file.path, bleeped);
+        audioRedaction = { bleeped: true, ranges: redactor.ranges().length };
+      } else {
+        keepAudio = false;
+        audioRedaction = { bleeped: false, reason: 'Only 16-bit PCM WAV audio can be bleeped, so the audio was not kept' };
+      }
+    }
+  } finally {
+    // A failed task mustn't leave another's normalized WAV behind
+    await Promise.allSettled(promises);
+    if (normalizedPath) await fs.unlink(normalizedPath).catch(() => {});
+  }
+  const audioFormatSettings = { requested: audioFormat, providers: audioFormats };
 
-    res.json({
+  const redactedReference = reference ? redactor.redactText(reference) : null;
+  const redactedSegments = referenceSegments && referenceSegments.map(segment => ({
+    ...segment,
+    text: redactor.redactText(segment.text)
+  }));
+  const redaction = redactionSettings(redactor, audioRedaction);
+
+  // Keep the comparison (and move the upload into the store)
+  let comparisonId = null;
+  try {
+    const comparison = await comparisonStore.save({
       mode: 'batch',
+      services: providers.map(provider => provider.id),
+      settings: {
+        reference: redactedReference,
+        referenceSegments: redactedSegments,
+        normalization: profileName,
+        config,
+        vocabulary,
+        redaction,
+        audioFormat: audioFormatSettings
+      },
       results,
       audioInfo
+    }, keepAudio ? {
+      path: file.path,
+      ...storedAudio,
+      size: file.size
+    } : null);
+    comparisonId = comparison.id;
+  } catch (error) {
+    console.error('Failed to save comparison:', error);
+  }
+  if (!comparisonId || !keepAudio) {
+    await fs.unlink(file.path).catch(() => {});
+  }
+
+  jobQueue.complete(job, {
+    mode: 'batch',
+    comparisonId,
+    results,
+    audioInfo,
+    reference: redactedReference,
+    referenceSegments: redactedSegments,
+    normalization: profileName,
+    config,
+    vocabulary,
+    redaction,
+    audioFormat: audioFormatSettings
+  });
+}
+
+// Batch job status, for clients that poll instead of listening on Socket.IO
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobQueue.describe(job));
+});
+
+// Comparison history
+app.get('/comparisons', async (req, res) => {
+  try {
+    const comparisons = await comparisonStore.list({
+      q: req.query.q,
+      mode: req.query.mode,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
     });
+    res.json({ comparisons });
+  } catch (error) {
+    console.error('Failed to list comparisons:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+app.get('/comparisons/:id', async (req, res) => {
+  try {
+    const comparison = await comparisonStore.get(req.params.id);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    res.json(comparison);
   } catch (error) {
-    console.error('Batch transcription error:', error);
+    console.error('Failed to load comparison:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/comparisons/:id/audio', async (req, res) => {
+  try {
+    const comparison = await comparisonStore.get(req.params.id);
+    const audioPath = comparison && comparisonStore.getAudioPath(comparison);
+    if (!audioPath) {
+      return res.status(404).json({ error: 'Audio not found' });
+    }
+    res.type(comparison.audio.mimetype || 'application/octet-stream');
+    res.sendFile(audioPath);
+  } catch (error) {
+    console.error('Failed to load comparison audio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Timestamped transcript events of a recorded real-time session
+app.get('/comparisons/:id/events', async (req, res) => {
+  try {
+    const events = await comparisonStore.getEvents(req.params.id);
+    if (!events) {
+      return res.status(404).json({ error: 'No events were recorded for this comparison' });
+    }
+    res.json({ events });
+  } catch (error) {
+    console.error('Failed to load comparison events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Score a saved comparison against a (new) reference. Transcripts are scored
+// as stored: when they were redacted, PHI in the reference is redacted too so
+// the placeholders line up, counting the same entity type as a match.
+app.post('/comparisons/:id/score', async (req, res) => {
+  const body = req.body || {};
+  const reference = typeof body.reference === 'string' ? body.reference.trim() : '';
+  const profileName = body.normalization || normalization.DEFAULT_PROFILE;
+  if (!reference) {
+    return res.status(400).json({ error: 'reference must be a non-empty string' });
+  }
+  if (!normalization.PROFILES[profileName]) {
+    return res.status(400).json({ error: `Unknown normalization profile: ${profileName}` });
+  }
+
+  try {
+    const comparison = await comparisonStore.get(req.params.id);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+
+    const policy = await redactionStore.get();
+    const wasRedacted = Boolean(comparison.settings.redaction && comparison.settings.redaction.enabled);
+    const redactor = createRedactor({ ...policy, enabled: policy.enabled || wasRedacted, reversible: false });
+    const scored = wasRedacted ? redactor.redactText(reference) : reference;
+    const { text: referenceText, segments: referenceSegments } = parseSpeakerReference(scored);
+    const { keywords } = await keywordStore.get();
+    // Numbered placeholders of reversible redaction are compared by entity type
+    const unnumbered = text => (typeof text === 'string' ? text.replace(/\[([A-Z]+)_\d+\]/g, '[$1]') : text);
+
+    const rescore = results => Object.fromEntries(Object.entries(results).map(([service, result]) => {
+      const text = unnumbered(result.text);
+      const words = result.words && result.words.map(word => ({ ...word, text: unnumbered(word.text) }));
+      const score = scoreTranscript({ text, words }, { text: referenceText, segments: referenceSegments }, { profile: profileName, keywords });
+      // Stored scores quote the transcripts redacted, like those of new comparisons
+      const redacted = score && redactor.redactResult({ text, score }, { reference: referenceText, profile: profileName });
+      return [service, { ...result, score: redacted ? redacted.score : null }];
+    }));
+
+    // Scored against the copy being updated, so a concurrent change isn't lost
+    const updated = await comparisonStore.update(comparison.id, current => ({
+      results: rescore(current.results),
+      settings: {
+        ...current.settings,
+        reference: redactor.redactText(reference),
+        referenceSegments: referenceSegments && referenceSegments.map(segment => ({
+          ...segment,
+          text: redactor.redactText(segment.text)
+        })),
+        normalization: profileName
+      }
+    }));
+    if (!updated) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('Failed to score comparison:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put back the values a reversibly redacted comparison replaced with
+// placeholders. The revealed copy is returned only, never stored.
+app.post('/comparisons/:id/reveal', async (req, res) => {
+  const secret = process.env.PHI_REVEAL_KEY;
+  if (!secret) {
+    return res.status(403).json({ error: 'Revealing PHI is not enabled on this server' });
+  }
+  if (!hasRevealKey(req)) {
+    return res.status(403).json({ error: 'Invalid reveal key' });
+  }
+
+  try {
+    const comparison = await comparisonStore.get(req.params.id);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    const sealed = comparison.settings.redaction && comparison.settings.redaction.vault;
+    const vault = sealed && openVault(sealed, secret);
+    if (!vault) {
+      return res.status(400).json({ error: 'This comparison was not redacted reversibly' });
+    }
+    res.json(revealPHI(comparison, vault));
+  } catch (error) {
+    console.error('Failed to reveal comparison:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Display names for each provider's speakers, e.g. { assemblyai: { A: 'Dentist' } }
+app.put('/comparisons/:id/speaker-names', async (req, res) => {
+  const { speakerNames } = req.body || {};
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const isNameMap = value => isObject(value) && Object.values(value).every(name => typeof name === 'string');
+  if (!isObject(speakerNames) || !Object.values(speakerNames).every(isNameMap)) {
+    return res.status(400).json({ error: 'speakerNames must map services to { speaker: name } objects' });
+  }
+
+  try {
+    const comparison = await comparisonStore.update(req.params.id, { speakerNames });
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    res.json({ speakerNames: comparison.speakerNames });
+  } catch (error) {
+    console.error('Failed to save speaker names:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+app.delete('/comparisons/:id', async (req, res) => {
+  try {
+    const removed = await comparisonStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    console.error('Failed to delete comparison:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Where a real-time stream's audio comes from, as recorded with the comparison
+ * @param {Object} [source] - { type: 'microphone' } or { type: 'file', filename, speed }
+ * @returns {Object} Source with only the known fields
+ */
+function streamSource(source) {
+  if (!source || source.type !== 'file') return { type: 'microphone' };
+  return {
+    type: 'file',
+    filename: typeof source.filename === 'string' ? source.filename.slice(0, 255) : null,
+    speed: Number(source.speed) > 0 ? Number(source.speed) : 1
+  };
+}
+
+/**
+ * Start recording a stream's audio to a WAV file in uploads/. The header is
+ * written once the length is known, by finishRecording.
+ * @param {Object} format - sampleRate and channels of the 16-bit PCM stream
+ * @returns {Promise<Object>} Recording: { path, format, file, bytes }
+ */
+async function startRecording(format) {
+  const dir = path.join(__dirname, 'uploads');
+  await fs.mkdir(dir, { recursive: true });
+  const recordingPath = path.join(dir, `stream_${crypto.randomBytes(8).toString('hex')}.wav`);
+  const file = createWriteStream(recordingPath);
+  file.write(Buffer.alloc(44));
+  return { path: recordingPath, format: { ...format, bitsPerSample: 16 }, file, bytes: 0 };
+}
+
+/**
+ * Close a recording and write its WAV header
+ * @param {Object} recording - startRecording output
+ * @returns {Promise<number>} Bytes of audio recorded
+ */
+async function finishRecording(recording) {
+  await new Promise((resolve, reject) => {
+    recording.file.on('error', reject);
+    recording.file.end(resolve);
+  });
+  const handle = await fs.open(recording.path, 'r+');
+  try {
+    await handle.write(wavHeader(recording.format, recording.bytes), 0, 44, 0);
+  } finally {
+    await handle.close();
+  }
+  return recording.bytes;
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
@@ -177,90 +1050,162 @@ io.on('connection', (socket) => {
   // Track active service sessions for this socket
   const serviceSessions = new Map();
 
-  // Handle real-time streaming start
-  socket.on('startStream', async (config) => {
-    console.log('Starting stream with config:', config);
+  // Final transcripts of the current stream, saved to history when it ends,
+  // with its audio and every transcript event when it is recorded
+  let streamRecord = null;
 
-    try {
-      const { services = [], sampleRate = 16000, encoding = 'pcm16', channels = 1 } = config;
+  const saveStreamRecord = async () => {
+    const record = streamRecord;
+    streamRecord = null;
+    if (!record) return null;
 
-      // Initialize selected services
-      try {
-        if (services.includes('assemblyai') && process.env.ASSEMBLYAI_API_KEY) {
-          const session = await assemblyAIRealtime.createRealtimeSession({
-            sampleRate,
-            encoding,
-            socket,
-            onTranscript: (transcript, isFinal) => {
-              socket.emit('transcriptResult', {
-                service: 'assemblyai',
-                transcript,
-                isFinal,
-                latency: Date.now() - session.lastAudioTimestamp
-              });
-            }
-          });
-          serviceSessions.set('assemblyai', session);
-        }
-      } catch (error) {
-        console.error('Failed to initialize AssemblyAI:', error.message);
-        socket.emit('serviceError', { 
-          service: 'assemblyai', 
-          error: 'Failed to connect: ' + error.message 
-        });
+    // Real-time transcripts have no word timings to bleep by, so recorded
+    // audio isn't kept when the policy asks for bleeping
+    let audio = null;
+    let audioRedaction = null;
+    if (record.recording) {
+      const bytes = await finishRecording(record.recording).catch(error => {
+        console.error('Failed to finish stream recording:', error);
+        return 0;
+      });
+      if (bytes > 0 && record.redactor.policy.enabled && record.redactor.policy.bleepAudio) {
+        audioRedaction = { bleeped: false, reason: 'Real-time transcripts have no word timings to bleep by, so the recorded audio was not kept' };
+      } else if (bytes > 0) {
+        const source = record.settings.source;
+        audio = {
+          path: record.recording.path,
+          filename: `${source.type === 'file' && source.filename ? path.parse(source.filename).name : 'recording'}.wav`,
+          mimetype: 'audio/wav',
+          size: bytes + 44
+        };
       }
+    }
+
+    const results = {};
+    Object.entries(record.finals).forEach(([service, segments]) => {
+      results[service] = {
+        text: segments.join(' '),
+        time: null,
+        confidence: null,
+        error: null,
+        latency: record.latency.summary(service),
+        stability: record.stability.summary(service),
+        details: { segments: segments.length }
+      };
+    });
 
+    let comparisonId = null;
+    if (audio || Object.values(results).some(result => result.text)) {
       try {
-        if (services.includes('deepgram') && process.env.DEEPGRAM_API_KEY) {
-          const session = await deepgramRealtime.createRealtimeSession({
-            sampleRate,
-            encoding,
-            channels,
-            socket,
-            onTranscript: (transcript, isFinal) => {
-              socket.emit('transcriptResult', {
-                service: 'deepgram',
-                transcript,
-                isFinal,
-                latency: Date.now() - session.lastAudioTimestamp
-              });
-            }
-          });
-          serviceSessions.set('deepgram', session);
-        }
+        const comparison = await comparisonStore.save({
+          mode: 'realtime',
+          services: record.services,
+          settings: { ...record.settings, redaction: redactionSettings(record.redactor, audioRedaction) },
+          results,
+          // Measured in audio received, so replays faster than real time report the file's length
+          audioInfo: { duration: record.audioBytes / (record.settings.sampleRate * 2 * record.settings.channels) }
+        }, audio, record.events);
+        comparisonId = comparison.id;
       } catch (error) {
-        console.error('Failed to initialize Deepgram:', error.message);
-        socket.emit('serviceError', { 
-          service: 'deepgram', 
-          error: 'Failed to connect: ' + error.message 
-        });
+        console.error('Failed to save realtime comparison:', error);
       }
+    }
+    if (record.recording && !(comparisonId && audio)) {
+      await fs.unlink(record.recording.path).catch(() => {});
+    }
+    return comparisonId;
+  };
 
-      try {
-        if (services.includes('openai') && process.env.OPENAI_API_KEY) {
-          const session = await openAIRealtime.createRealtimeSession({
+  // Add to the event log of a recorded stream
+  const logEvent = (record, event) => {
+    if (!record.events) return;
+    record.events.push({
+      t: Date.now() - record.startedAt,
+      audioTime: Math.round(record.latency.audioTime() * 1000) / 1000,
+      ...event
+    });
+  };
+
+  // Handle real-time streaming start
+  socket.on('startStream', async (options) => {
+    console.log('Starting stream with options:', options);
+
+    try {
+      const { services = [], sampleRate = 16000, encoding = 'pcm16', channels = 1 } = options;
+      const source = streamSource(options.source);
+      const providers = providerRegistry.resolveProviders(services, 'realtime');
+      const config = await resolveProviderConfigs(providers, 'realtime', options.configProfile, options.config);
+      const vocabulary = await vocabularyStore.resolve(options.vocabulary);
+      const redactor = await createPolicyRedactor();
+      const record = options.record === true;
+
+      // A stream started over an unfinished one replaces it
+      if (streamRecord && streamRecord.recording) {
+        const { recording } = streamRecord;
+        recording.file.destroy();
+        await fs.unlink(recording.path).catch(() => {});
+      }
+      streamRecord = {
+        startedAt: Date.now(),
+        audioBytes: 0,
+        services: [],
+        settings: { sampleRate, encoding, channels, source, config, vocabulary, record },
+        finals: {},
+        events: record ? [] : null,
+        recording: record ? await startRecording({ sampleRate, channels }) : null,
+        latency: createLatencyTracker({ sampleRate, channels }),
+        stability: createStabilityTracker(),
+        redactor
+      };
+      const current = streamRecord;
+      const finals = current.finals;
+
+      // Initialize selected services
+      for (const provider of providers) {
+        try {
+          const session = await provider.createRealtimeSession({
             sampleRate,
             encoding,
+            channels,
+            config: config.providers[provider.id],
+            vocabulary: vocabulary ? vocabulary.terms : [],
             socket,
-            onTranscript: (transcript, isFinal) => {
-              socket.emit('transcriptResult', {
-                service: 'openai',
+            onTranscript: (text, isFinal, timing) => {
+              // Redacted before it is shown or kept
+              const transcript = redactor.redactText(text);
+              if (isFinal && transcript) {
+                (finals[provider.id] = finals[provider.id] || []).push(transcript);
+              }
+              const result = {
+                service: provider.id,
                 transcript,
                 isFinal,
-                latency: Date.now() - session.lastAudioTimestamp
+                // Measured on the audio clock; null when the provider gives no timing
+                latency: current.latency.observe(provider.id, { text, isFinal, timing })
+              };
+              logEvent(current, { type: 'transcript', ...result });
+              // Stability follows the text as shown; finals carry their utterance's revision history
+              const revisions = current.stability.observe(provider.id, { text: transcript, isFinal });
+              socket.emit('transcriptResult', {
+                ...result,
+                metrics: current.latency.summary(provider.id),
+                stability: current.stability.summary(provider.id),
+                ...(revisions ? { revisions } : {})
               });
             }
           });
-          serviceSessions.set('openai', session);
+          serviceSessions.set(provider.id, session);
+        } catch (error) {
+          console.error(`Failed to initialize ${provider.name}:`, error.message);
+          logEvent(current, { type: 'error', service: provider.id, error: 'Failed to connect: ' + error.message });
+          socket.emit('serviceError', {
+            service: provider.id,
+            error: 'Failed to connect: ' + error.message
+          });
         }
-      } catch (error) {
-        console.error('Failed to initialize OpenAI:', error.message);
-        socket.emit('serviceError', { 
-          service: 'openai', 
-          error: 'Failed to connect: ' + error.message 
-        });
       }
 
+      current.services = Array.from(serviceSessions.keys());
       socket.emit('streamReady', { services: Array.from(serviceSessions.keys()) });
 
     } catch (error) {
@@ -271,15 +1216,24 @@ io.on('connection', (socket) => {
 
   // Handle audio data
   socket.on('audioData', async (pcmBuffer) => {
+    const record = streamRecord;
+    if (record) {
+      record.audioBytes += pcmBuffer.byteLength || 0;
+      record.latency.addAudio(pcmBuffer.byteLength || 0);
+      if (record.recording) {
+        record.recording.file.write(Buffer.from(pcmBuffer));
+        record.recording.bytes += pcmBuffer.byteLength || 0;
+      }
+    }
     // Forward audio to all active service sessions
     for (const [serviceName, session] of serviceSessions) {
       try {
         if (session && session.sendAudio) {
           await session.sendAudio(pcmBuffer);
-          session.lastAudioTimestamp = Date.now();
         }
       } catch (error) {
         console.error(`Error sending audio to ${serviceName}:`, error);
+        if (record) logEvent(record, { type: 'error', service: serviceName, error: error.message });
         socket.emit('serviceError', { 
           service: serviceName, 
           error: error.message 
@@ -302,7 +1256,10 @@ io.on('connection', (socket) => {
     }
 
     serviceSessions.clear();
-    socket.emit('streamEnded');
+    const metrics = streamRecord ? streamRecord.latency.summaries() : {};
+    const stability = streamRecord ? streamRecord.stability.summaries() : {};
+    const comparisonId = await saveStreamRecord();
+    socket.emit('streamEnded', { comparisonId, metrics, stability });
   });
 
   // Handle disconnect
@@ -319,6 +1276,7 @@ io.on('connection', (socket) => {
     }
 
     serviceSessions.clear();
+    await saveStreamRecord();
   });
 });
 
@@ -329,6 +1287,12 @@ app.use((error, req, res, next) => {
       return res.status(400).json({ error: 'File size too large. Maximum size is 25MB.' });
     }
   }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request too large' });
+  }
+  if (error.status === 400) {
+    return res.status(400).json({ error: error.message });
+  }
   console.error('Server error:', error);
   res.status(500).json({ error: error.message });
 });
@@ -355,9 +1319,40 @@ process.on('SIGTERM', async () => {
   }, 10000);
 });
 
+/**
+ * Start the local mock providers and point every adapter at them
+ * @returns {Promise<string>} Mock base URL
+ */
+async function startMockProviders() {
+  const { createMockProviderServer, mockOptionsFromEnv, mockEnvironment } = require('./mock');
+  const mock = createMockProviderServer(mockOptionsFromEnv(process.env));
+  const url = await mock.listen(parseInt(process.env.MOCK_PORT, 10) || 0);
+  Object.assign(process.env, mockEnvironment(url));
+  server.on('close', () => mock.close());
+  return url;
+}
+
 // Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`);
+async function start() {
+  if (process.env.MOCK_PROVIDERS === 'true') {
+    const url = await startMockProviders();
+    console.log(`Using mock providers at ${url}`);
+  }
+
+  if (await audioToolkit.detect()) {
+    console.log('ffmpeg found: any audio or video upload is accepted');
+  } else {
+    console.log('ffmpeg not found: uploads are limited to formats the providers accept');
+  }
+
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Health check available at http://localhost:${PORT}/health`);
+  });
+}
+
+start().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
\ No newline at end of file
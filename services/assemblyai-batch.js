@@ -2,29 +2,148 @@ const { AssemblyAI } = require('assemblyai');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { createWord, averageConfidence, createEnrichments } = require('../lib/transcript');
+const { resolveConfig } = require('../lib/provider-config');
+const { vocabularyPrompt } = require('../lib/vocabulary');
 
-// Initialize AssemblyAI client
-const client = new AssemblyAI({
-  apiKey: process.env.ASSEMBLYAI_API_KEY
-});
+// AssemblyAI client, created on first use so the module loads without an API key
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new AssemblyAI({
+      apiKey: process.env.ASSEMBLYAI_API_KEY,
+      // Overridable so the mock providers can stand in for the API
+      baseUrl: process.env.ASSEMBLYAI_BASE_URL || undefined
+    });
+  }
+  return client;
+}
 
 // Verbatim prompt for dental appointment transcriptions
 const DENTAL_VERBATIM_PROMPT = 'Transcribe the audio verbatim for a dental appointment. Capture every word exactly as spoken, including fillers (um, uh), false starts, repetitions, stutters, and partial words. Mark non-speech events in brackets like (laughter), (sigh), (cough). Do not paraphrase or summarize. Preserve dental and medical terminology exactly. Do not record numbers spoken as numerals, record them as words.';
 
+// PHI policies redacted by native PII redaction unless the options say otherwise
+const PII_POLICIES = 'person_name, date_of_birth, phone_number, email_address, healthcare_number, account_number, us_social_security_number';
+
+// Options editable per request or configuration profile; defaults give verbatim output
+const CONFIG_OPTIONS = [
+  {
+    key: 'speech_model',
+    label: 'Speech model',
+    type: 'select',
+    default: '',
+    choices: [
+      { value: '', label: 'Service default' },
+      { value: 'universal', label: 'Universal' },
+      { value: 'slam-1', label: 'Slam-1' },
+      { value: 'best', label: 'Best' },
+      { value: 'nano', label: 'Nano' }
+    ],
+    modes: ['batch']
+  },
+  { key: 'prompt', label: 'Prompt', type: 'text', default: DENTAL_VERBATIM_PROMPT, modes: ['batch'] },
+  { key: 'format_text', label: 'Format text', type: 'boolean', default: false },
+  { key: 'disfluencies', label: 'Keep disfluencies', type: 'boolean', default: true },
+  { key: 'filter_profanity', label: 'Filter profanity', type: 'boolean', default: false },
+  { key: 'speaker_labels', label: 'Speaker labels', type: 'boolean', default: true },
+  { key: 'language_detection', label: 'Detect language', type: 'boolean', default: true, modes: ['batch'] },
+  { key: 'format_turns', label: 'Format turns', type: 'boolean', default: true, modes: ['realtime'] },
+  // AssemblyAI's own PII redaction, to compare against the local redaction layer
+  { key: 'redact_pii', label: 'Native PII redaction', type: 'boolean', default: false, modes: ['batch'] },
+  { key: 'redact_pii_policies', label: 'PII policies', type: 'text', default: PII_POLICIES, modes: ['batch'] },
+  {
+    key: 'redact_pii_sub',
+    label: 'PII substitution',
+    type: 'select',
+    default: 'entity_name',
+    choices: [
+      { value: 'entity_name', label: 'Entity name' },
+      { value: 'hash', label: 'Hash' }
+    ],
+    modes: ['batch']
+  }
+];
+
+// Older models that take custom vocabulary as word_boost rather than keyterms_prompt
+const WORD_BOOST_MODELS = ['best', 'nano'];
+
+/**
+ * Prompt and custom vocabulary fields of a transcription request. Best and
+ * Nano boost the terms through word_boost; the newer models take
+ * keyterms_prompt, which can't be combined with a prompt, so when a prompt is
+ * set the terms are added to it instead.
+ * @param {Object} config - Resolved options
+ * @param {string[]} [terms] - Vocabulary terms
+ * @returns {Object} Request fields
+ */
+function vocabularyParams(config, terms = []) {
+  if (terms.length > 0 && WORD_BOOST_MODELS.includes(config.speech_model)) {
+    return { ...(config.prompt ? { prompt: config.prompt } : {}), word_boost: terms, boost_param: 'high' };
+  }
+  if (terms.length > 0 && !config.prompt) {
+    return { keyterms_prompt: terms };
+  }
+  const prompt = vocabularyPrompt(config.prompt, terms);
+  return prompt ? { prompt } : {};
+}
+
+/**
+ * Native PII redaction fields of a transcription request
+ * @param {Object} config - Resolved options
+ * @returns {Object} Request fields; empty when native redaction is off
+ */
+function piiParams(config) {
+  if (!config.redact_pii) return {};
+  return {
+    redact_pii: true,
+    redact_pii_policies: config.redact_pii_policies.split(',').map(policy => policy.trim()).filter(Boolean),
+    redact_pii_sub: config.redact_pii_sub
+  };
+}
+
+/**
+ * Map sentiment analysis, auto highlights and language detection to the common enrichments
+ * @param {Object} transcript - Completed AssemblyAI transcript
+ * @returns {Object} Enrichments
+ */
+function toEnrichments(transcript) {
+  return createEnrichments({
+    language: { code: transcript.language_code, confidence: transcript.language_confidence },
+    sentiment: transcript.sentiment_analysis_results && transcript.sentiment_analysis_results.map(sentence => ({
+      text: sentence.text,
+      start: sentence.start / 1000,
+      end: sentence.end / 1000,
+      sentiment: sentence.sentiment,
+      confidence: sentence.confidence,
+      speaker: sentence.speaker
+    })),
+    keyPhrases: transcript.auto_highlights_result && transcript.auto_highlights_result.status === 'success'
+      ? transcript.auto_highlights_result.results.map(highlight => ({
+        text: highlight.text,
+        count: highlight.count,
+        rank: highlight.rank
+      }))
+      : null
+  });
+}
+
 /**
  * Transcribe audio using AssemblyAI's batch API
  * @param {Buffer} audioBuffer - The audio file buffer
- * @param {Object} options - Additional options (filename, mimetype)
+ * @param {Object} options - Additional options (filename, mimetype, config, vocabulary)
  * @returns {Promise<Object>} Transcription result with text, time, and confidence
  */
 async function transcribeBatch(audioBuffer, options = {}) {
   const startTime = Date.now();
-  
+
+  // Temporary file to upload
+  const tempFilename = `temp_${crypto.randomBytes(16).toString('hex')}.${options.mimetype?.split('/')[1] || 'mp3'}`;
+  const tempPath = path.join(__dirname, '..', 'uploads', tempFilename);
+
   try {
-    // Create temporary file to upload
-    const tempFilename = `temp_${crypto.randomBytes(16).toString('hex')}.${options.mimetype?.split('/')[1] || 'mp3'}`;
-    const tempPath = path.join(__dirname, '..', 'uploads', tempFilename);
-    
+    const config = resolveConfig(CONFIG_OPTIONS, 'batch', options.config);
+
     // Ensure uploads directory exists
     await fs.mkdir(path.join(__dirname, '..', 'uploads'), { recursive: true });
     
@@ -32,43 +151,49 @@ async function transcribeBatch(audioBuffer, options = {}) {
     await fs.writeFile(tempPath, audioBuffer);
 
     // Upload file to AssemblyAI
-    const uploadUrl = await client.files.upload(tempPath);
+    const uploadUrl = await getClient().files.upload(tempPath);
 
     // Create transcription job
-    const transcript = await client.transcripts.create({
+    const transcript = await getClient().transcripts.create({
       audio_url: uploadUrl,
-      // Verbatim configuration
-      disfluencies: true,
-      format_text: false, // Keep spoken numerals as words and avoid formatting
-      filter_profanity: false,
-      prompt: DENTAL_VERBATIM_PROMPT,
-      // Existing options
-      language_detection: true,
-      speaker_labels: true,
+      ...(config.speech_model ? { speech_model: config.speech_model } : {}),
+      // Verbatim by default: format_text false keeps spoken numerals as words
+      disfluencies: config.disfluencies,
+      format_text: config.format_text,
+      filter_profanity: config.filter_profanity,
+      ...vocabularyParams(config, options.vocabulary),
+      ...piiParams(config),
+      language_detection: config.language_detection,
+      speaker_labels: config.speaker_labels,
       auto_highlights: true,
       sentiment_analysis: true
     });
 
     // Wait for transcription to complete
-    const completedTranscript = await client.transcripts.waitForCompletion(transcript.id);
+    const completedTranscript = await getClient().transcripts.waitUntilReady(transcript.id);
 
-    // Clean up temporary file
-    await fs.unlink(tempPath);
+    if (completedTranscript.status === 'error') {
+      throw new Error(completedTranscript.error || 'AssemblyAI transcription failed');
+    }
 
     const processingTime = Date.now() - startTime;
 
-    // Calculate average confidence if available
-    let averageConfidence = null;
-    if (completedTranscript.words && completedTranscript.words.length > 0) {
-      const totalConfidence = completedTranscript.words.reduce((sum, word) => sum + (word.confidence || 0), 0);
-      averageConfidence = totalConfidence / completedTranscript.words.length;
-    }
+    // AssemblyAI times words in milliseconds
+    const words = (completedTranscript.words || []).map(word => createWord({
+      text: word.text,
+      start: word.start / 1000,
+      end: word.end / 1000,
+      confidence: word.confidence,
+      speaker: word.speaker
+    }));
 
     return {
       text: completedTranscript.text,
       time: processingTime,
-      confidence: averageConfidence,
+      confidence: averageConfidence(words),
       error: null,
+      words,
+      enrichments: toEnrichments(completedTranscript),
       details: {
         id: completedTranscript.id,
         status: completedTranscript.status,
@@ -86,11 +211,19 @@ async function transcribeBatch(audioBuffer, options = {}) {
       time: Date.now() - startTime,
       confidence: null,
       error: error.message,
+      words: [],
+      enrichments: null,
       details: null
     };
+  } finally {
+    // Clean up temporary file
+    await fs.unlink(tempPath).catch(() => {});
   }
 }
 
 module.exports = {
+  CONFIG_OPTIONS,
+  vocabularyParams,
+  piiParams,
   transcribeBatch
 };
\ No newline at end of file
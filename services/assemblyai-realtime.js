@@ -1,18 +1,26 @@
 const WebSocket = require('ws');
+const { resolveConfig } = require('../lib/provider-config');
+const { CONFIG_OPTIONS } = require('./assemblyai-batch');
 
 /**
  * Create a real-time transcription session with AssemblyAI
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (sampleRate, onTranscript, config, vocabulary)
  * @returns {Promise<Object>} Session object with WebSocket reference
  */
 async function createRealtimeSession(options = {}) {
-  const { sampleRate = 16000, encoding = 'pcm16', socket, onTranscript } = options;
+  const { sampleRate = 16000, encoding = 'pcm16', socket, onTranscript, vocabulary = [] } = options;
+  const config = resolveConfig(CONFIG_OPTIONS, 'realtime', options.config);
   
   return new Promise((resolve, reject) => {
     try {
       // AssemblyAI WebSocket URL with authentication - using v3 endpoint
-      // Enable format_turns for better formatting and set verbatim behavior
-      const url = `wss://streaming.assemblyai.com/v3/ws?sample_rate=${sampleRate}&format_turns=true&disfluencies=true&format_text=false&filter_profanity=false&speaker_labels=true`;
+      // Verbatim behaviour and turn formatting come from the session config
+      const baseUrl = process.env.ASSEMBLYAI_STREAMING_URL || 'wss://streaming.assemblyai.com';
+      const params = new URLSearchParams({ sample_rate: sampleRate, ...config });
+      if (vocabulary.length > 0) {
+        params.set('keyterms_prompt', JSON.stringify(vocabulary));
+      }
+      const url = `${baseUrl}/v3/ws?${params}`;
       
       const ws = new WebSocket(url, {
         headers: {
@@ -23,7 +31,6 @@ async function createRealtimeSession(options = {}) {
       const session = {
         ws,
         isConnected: false,
-        lastAudioTimestamp: Date.now(),
         
         sendAudio: async function(pcmBuffer) {
           if (this.isConnected && ws.readyState === WebSocket.OPEN) {
@@ -64,9 +71,11 @@ async function createRealtimeSession(options = {}) {
           } else if (message.type === 'Turn') {
             // Handle turn-based transcription result
             if (onTranscript && message.transcript) {
-              // Check if this is a final transcript
-              const isFinal = message.speech_final || false;
-              onTranscript(message.transcript, isFinal);
+              // With format_turns the end of a turn arrives twice; the formatted copy is final
+              const isFinal = Boolean(message.end_of_turn && (message.turn_is_formatted || !config.format_turns));
+              // Word times are in milliseconds of the stream
+              const words = (message.words || []).map(word => ({ text: word.text, start: word.start / 1000, end: word.end / 1000 }));
+              onTranscript(message.transcript, isFinal, { words });
             }
           } else if (message.type === 'Termination') {
             console.log('AssemblyAI session terminated:', message.reason);
@@ -1,59 +1,165 @@
 const { createClient } = require('@deepgram/sdk');
+const { createWord, averageConfidence, createEnrichments } = require('../lib/transcript');
+const { resolveConfig } = require('../lib/provider-config');
 
-// Initialize Deepgram client
-const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+// Options editable per request or configuration profile
+const CONFIG_OPTIONS = [
+  {
+    key: 'model',
+    label: 'Model',
+    type: 'select',
+    default: 'nova-3',
+    choices: [
+      { value: 'nova-3', label: 'Nova-3' },
+      { value: 'nova-3-medical', label: 'Nova-3 Medical' },
+      { value: 'nova-2', label: 'Nova-2' },
+      { value: 'nova-2-medical', label: 'Nova-2 Medical' }
+    ]
+  },
+  { key: 'language', label: 'Language', type: 'text', default: 'en' },
+  { key: 'smart_format', label: 'Smart format', type: 'boolean', default: true },
+  { key: 'punctuate', label: 'Punctuate', type: 'boolean', default: true },
+  { key: 'filler_words', label: 'Keep filler words', type: 'boolean', default: false },
+  { key: 'diarize', label: 'Diarize', type: 'boolean', default: true, modes: ['batch'] },
+  { key: 'detect_language', label: 'Detect language', type: 'boolean', default: true, modes: ['batch'] },
+  { key: 'sentiment', label: 'Sentiment', type: 'boolean', default: true, modes: ['batch'] },
+  { key: 'topics', label: 'Topics', type: 'boolean', default: true, modes: ['batch'] }
+];
+
+/**
+ * Custom vocabulary fields of a request: Nova-3 models take keyterm
+ * prompting, older models keyword boosting
+ * @param {Object} config - Resolved options
+ * @param {string[]} [terms] - Vocabulary terms
+ * @returns {Object} Request options
+ */
+function vocabularyParams(config, terms = []) {
+  if (terms.length === 0) return {};
+  return config.model.startsWith('nova-3') ? { keyterm: terms } : { keywords: terms };
+}
+
+/**
+ * Client options, pointing the SDK at DEEPGRAM_BASE_URL when it is set
+ * @returns {Object} Options for createClient
+ */
+function clientOptions() {
+  const url = process.env.DEEPGRAM_BASE_URL;
+  if (!url) return {};
+  return {
+    global: {
+      fetch: { options: { url } },
+      websocket: { options: { url: url.replace(/^http/, 'ws') } }
+    }
+  };
+}
+
+// Deepgram client, created on first use so the module loads without an API key
+let deepgram = null;
+
+function getClient() {
+  if (!deepgram) {
+    deepgram = createClient(process.env.DEEPGRAM_API_KEY, clientOptions());
+  }
+  return deepgram;
+}
+
+/**
+ * Topics of all segments, each once with its highest confidence
+ * @param {Object[]} segments - Deepgram topic segments
+ * @returns {Object[]} Topics ({ topic, confidence }), most confident first
+ */
+function uniqueTopics(segments) {
+  const topics = new Map();
+  segments.flatMap(segment => segment.topics).forEach(({ topic, confidence_score: confidence }) => {
+    if (!topics.has(topic) || topics.get(topic).confidence < confidence) {
+      topics.set(topic, { topic, confidence });
+    }
+  });
+  return [...topics.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Map language detection, sentiment and topics to the common enrichments.
+ * Deepgram segments point at word indexes, which give their times and speaker.
+ * @param {Object} result - Deepgram response
+ * @param {Object[]} words - Words in the common schema
+ * @returns {Object} Enrichments
+ */
+function toEnrichments(result, words) {
+  const channel = result.results.channels[0];
+  const segmentWord = index => words[index] || {};
+
+  return createEnrichments({
+    language: { code: channel.detected_language, confidence: channel.language_confidence },
+    sentiment: result.results.sentiments && result.results.sentiments.segments.map(segment => ({
+      text: segment.text,
+      start: segmentWord(segment.start_word).start,
+      end: segmentWord(segment.end_word).end,
+      sentiment: segment.sentiment,
+      // sentiment_score is a polarity between -1 and 1, not a confidence
+      confidence: null,
+      speaker: segmentWord(segment.start_word).speaker
+    })),
+    topics: result.results.topics && uniqueTopics(result.results.topics.segments)
+  });
+}
 
 /**
  * Transcribe audio using Deepgram's pre-recorded API
  * @param {Buffer} audioBuffer - The audio file buffer
- * @param {Object} options - Additional options (mimetype)
+ * @param {Object} options - Additional options (mimetype, config, vocabulary)
  * @returns {Promise<Object>} Transcription result with text, time, and confidence
  */
 async function transcribeBatch(audioBuffer, options = {}) {
   const startTime = Date.now();
-  
+
   try {
+    const config = resolveConfig(CONFIG_OPTIONS, 'batch', options.config);
+
     // Configure Deepgram options
     const deepgramOptions = {
-      model: 'nova-3',
-      language: 'en',
-      smart_format: true,
-      punctuate: true,
+      ...config,
+      ...vocabularyParams(config, options.vocabulary),
       paragraphs: true,
       utterances: true,
-      diarize: true,
-      measurements: true,
-      detect_language: true
+      measurements: true
     };
 
     // Perform transcription
-    const { result } = await deepgram.listen.prerecorded.transcribeFile(
+    const { result, error } = await getClient().listen.prerecorded.transcribeFile(
       audioBuffer,
       deepgramOptions
     );
 
+    // The SDK reports API errors in the response instead of throwing
+    if (error) throw error;
+
     const processingTime = Date.now() - startTime;
 
     // Extract transcription details
     const channel = result.results.channels[0];
     const alternative = channel.alternatives[0];
 
-    // Calculate average confidence
-    let averageConfidence = alternative.confidence;
-    
-    // If word-level confidence is available, calculate from that
-    if (alternative.words && alternative.words.length > 0) {
-      const totalConfidence = alternative.words.reduce((sum, word) => sum + word.confidence, 0);
-      averageConfidence = totalConfidence / alternative.words.length;
-    }
+    // punctuated_word is only present with smart_format or punctuate
+    const words = (alternative.words || []).map(word => createWord({
+      text: word.punctuated_word || word.word,
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      confidence: word.confidence,
+      speaker: word.speaker
+    }));
 
     return {
       text: alternative.transcript,
       time: processingTime,
-      confidence: averageConfidence,
+      // Fall back to the transcript-level confidence when words are missing
+      confidence: words.length > 0 ? averageConfidence(words) : alternative.confidence,
       error: null,
+      words,
+      enrichments: toEnrichments(result, words),
       details: {
-        model: result.model_info?.name || 'nova-3',
+        model: result.model_info?.name || config.model,
         language: result.results.channels[0].detected_language || 'en',
         audio_duration: result.metadata?.duration || null,
         words_count: alternative.words?.length || 0,
@@ -69,11 +175,16 @@ async function transcribeBatch(audioBuffer, options = {}) {
       time: Date.now() - startTime,
       confidence: null,
       error: error.message,
+      words: [],
+      enrichments: null,
       details: null
     };
   }
 }
 
 module.exports = {
+  CONFIG_OPTIONS,
+  clientOptions,
+  vocabularyParams,
   transcribeBatch
 };
\ No newline at end of file
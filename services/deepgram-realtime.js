@@ -1,24 +1,25 @@
 const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { resolveConfig } = require('../lib/provider-config');
+const { CONFIG_OPTIONS, clientOptions, vocabularyParams } = require('./deepgram-batch');
 
 /**
  * Create a real-time transcription session with Deepgram
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (sampleRate, channels, onTranscript, config, vocabulary)
  * @returns {Promise<Object>} Session object with WebSocket reference
  */
 async function createRealtimeSession(options = {}) {
   const { sampleRate = 16000, encoding = 'pcm16', channels = 1, socket, onTranscript } = options;
+  const config = resolveConfig(CONFIG_OPTIONS, 'realtime', options.config);
   
   return new Promise((resolve, reject) => {
     try {
       // Initialize Deepgram client
-      const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+      const deepgram = createClient(process.env.DEEPGRAM_API_KEY, clientOptions());
 
       // Configure live transcription options
       const connection = deepgram.listen.live({
-        model: 'nova-3',
-        language: 'en',
-        smart_format: true,
-        punctuate: true,
+        ...config,
+        ...vocabularyParams(config, options.vocabulary),
         interim_results: true,
         utterance_end_ms: 1000,
         vad_events: true,
@@ -30,7 +31,6 @@ async function createRealtimeSession(options = {}) {
       const session = {
         connection,
         isConnected: false,
-        lastAudioTimestamp: Date.now(),
         
         sendAudio: async function(pcmBuffer) {
           if (this.isConnected) {
@@ -57,7 +57,11 @@ async function createRealtimeSession(options = {}) {
           if (transcript && onTranscript) {
             // Check if this is a final transcript
             const isFinal = data.is_final || false;
-            onTranscript(transcript.transcript, isFinal);
+            // Times are in seconds of the stream; a result covers start to start + duration
+            onTranscript(transcript.transcript, isFinal, {
+              words: (transcript.words || []).map(word => ({ text: word.punctuated_word || word.word, start: word.start, end: word.end })),
+              end: typeof data.start === 'number' && typeof data.duration === 'number' ? data.start + data.duration : undefined
+            });
           }
         });
 
@@ -2,26 +2,83 @@ const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { createWord, wordsFromText, createEnrichments } = require('../lib/transcript');
+const { resolveConfig } = require('../lib/provider-config');
+const { vocabularyPrompt } = require('../lib/vocabulary');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// gpt-4o-transcribe only returns text; whisper-1 can also return word timestamps
+const DEFAULT_MODEL = 'gpt-4o-transcribe';
+const WORD_TIMESTAMP_MODELS = ['whisper-1'];
+
+// Options editable per request or configuration profile. An empty model means
+// OPENAI_TRANSCRIBE_MODEL (batch only) or gpt-4o-transcribe.
+const CONFIG_OPTIONS = [
+  {
+    key: 'model',
+    label: 'Model',
+    type: 'select',
+    default: '',
+    choices: [
+      { value: '', label: 'Default' },
+      { value: 'gpt-4o-transcribe', label: 'gpt-4o-transcribe' },
+      { value: 'gpt-4o-mini-transcribe', label: 'gpt-4o-mini-transcribe' },
+      { value: 'whisper-1', label: 'whisper-1 (word timestamps)' }
+    ]
+  },
+  { key: 'language', label: 'Language', type: 'text', default: 'en' },
+  // Explicit instruction to prevent translation
+  { key: 'prompt', label: 'Prompt', type: 'text', default: 'Transcribe in English only. Do not translate.' }
+];
+
+// OpenAI client, created on first use so the module loads without an API key
+let openai = null;
+
+function getClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
+
+/**
+ * Convert OpenAI's transcription to schema words. whisper-1 word timestamps
+ * carry no punctuation, so the display text is taken from the transcript
+ * when the word counts agree.
+ * @param {Object} transcription - OpenAI transcription response
+ * @returns {Object[]} Schema words
+ */
+function toWords(transcription) {
+  if (!Array.isArray(transcription.words)) {
+    return wordsFromText(transcription.text);
+  }
+
+  const tokens = (transcription.text || '').split(/\s+/).filter(Boolean);
+  const aligned = tokens.length === transcription.words.length;
+  return transcription.words.map((word, index) => createWord({
+    text: aligned ? tokens[index] : word.word,
+    word: word.word,
+    start: word.start,
+    end: word.end
+  }));
+}
 
 /**
- * Transcribe audio using OpenAI's gpt-4o-transcribe API
+ * Transcribe audio using OpenAI's transcription API (gpt-4o-transcribe by
+ * default, OPENAI_TRANSCRIBE_MODEL to override)
  * @param {Buffer} audioBuffer - The audio file buffer
- * @param {Object} options - Additional options (filename, mimetype)
+ * @param {Object} options - Additional options (filename, mimetype, config, vocabulary)
  * @returns {Promise<Object>} Transcription result with text, time, and confidence
  */
 async function transcribeBatch(audioBuffer, options = {}) {
   const startTime = Date.now();
-  
+
+  // Temporary file for the upload
+  const tempFilename = `temp_${crypto.randomBytes(16).toString('hex')}.${options.mimetype?.split('/')[1] || 'mp3'}`;
+  const tempPath = path.join(__dirname, '..', 'uploads', tempFilename);
+
   try {
-    // Create a temporary file for the upload
-    const tempFilename = `temp_${crypto.randomBytes(16).toString('hex')}.${options.mimetype?.split('/')[1] || 'mp3'}`;
-    const tempPath = path.join(__dirname, '..', 'uploads', tempFilename);
-    
     // Ensure uploads directory exists
     await fs.promises.mkdir(path.join(__dirname, '..', 'uploads'), { recursive: true });
     
@@ -31,21 +88,25 @@ async function transcribeBatch(audioBuffer, options = {}) {
     // Create a readable stream from the file
     const audioStream = fs.createReadStream(tempPath);
 
-    // Perform transcription with gpt-4o-transcribe
-    const transcription = await openai.audio.transcriptions.create({
+    const config = resolveConfig(CONFIG_OPTIONS, 'batch', options.config);
+    const model = config.model || process.env.OPENAI_TRANSCRIBE_MODEL || DEFAULT_MODEL;
+    const wordTimestamps = WORD_TIMESTAMP_MODELS.includes(model);
+    // Transcription has no keyword boosting; the vocabulary goes in the prompt
+    const prompt = vocabularyPrompt(config.prompt, options.vocabulary);
+    const transcription = await getClient().audio.transcriptions.create({
       file: audioStream,
-      model: 'gpt-4o-transcribe',
-      language: 'en',  // Force English transcription
-      prompt: 'Transcribe in English only. Do not translate.',  // Explicit instruction to prevent translation
-      response_format: 'json'  // gpt-4o-transcribe only supports json format
+      model,
+      ...(config.language ? { language: config.language } : {}),
+      ...(prompt ? { prompt } : {}),
+      // gpt-4o-transcribe only supports json format
+      ...(wordTimestamps
+        ? { response_format: 'verbose_json', timestamp_granularities: ['word', 'segment'] }
+        : { response_format: 'json' })
     });
 
-    // Clean up temporary file
-    await fs.promises.unlink(tempPath);
-
     const processingTime = Date.now() - startTime;
 
-    // Note: gpt-4o-transcribe doesn't provide confidence scores in the standard API
+    // Note: OpenAI doesn't provide confidence scores in the standard API
     // We'll use null for consistency
     const confidence = null;
 
@@ -54,8 +115,13 @@ async function transcribeBatch(audioBuffer, options = {}) {
       time: processingTime,
       confidence: confidence,
       error: null,
+      words: toWords(transcription),
+      // Only verbose_json (whisper-1) reports the language, without a confidence
+      enrichments: transcription.language
+        ? createEnrichments({ language: { code: transcription.language } })
+        : null,
       details: {
-        model: 'gpt-4o-transcribe',
+        model,
         language: transcription.language || null,
         duration: transcription.duration || null,
         words_count: transcription.words?.length || 0,
@@ -65,26 +131,23 @@ async function transcribeBatch(audioBuffer, options = {}) {
 
   } catch (error) {
     console.error('OpenAI batch transcription error:', error);
-    
-    // Clean up temp file if it exists
-    try {
-      const tempFilename = `temp_${crypto.randomBytes(16).toString('hex')}.${options.mimetype?.split('/')[1] || 'mp3'}`;
-      const tempPath = path.join(__dirname, '..', 'uploads', tempFilename);
-      await fs.promises.unlink(tempPath).catch(() => {});
-    } catch (e) {
-      // Ignore cleanup errors
-    }
-
     return {
       text: null,
       time: Date.now() - startTime,
       confidence: null,
       error: error.message,
+      words: [],
+      enrichments: null,
       details: null
     };
+  } finally {
+    // Clean up temporary file
+    await fs.promises.unlink(tempPath).catch(() => {});
   }
 }
 
 module.exports = {
+  CONFIG_OPTIONS,
+  DEFAULT_MODEL,
   transcribeBatch
 };
\ No newline at end of file
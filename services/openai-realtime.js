@@ -2,29 +2,42 @@ const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { resolveConfig } = require('../lib/provider-config');
+const { vocabularyPrompt } = require('../lib/vocabulary');
+const { CONFIG_OPTIONS, DEFAULT_MODEL } = require('./openai-batch');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// OpenAI client, created on first use so the module loads without an API key
+let openai = null;
+
+function getClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
 
 /**
  * Create a pseudo real-time transcription session with OpenAI gpt-4o-transcribe
  * Note: This is not true real-time as gpt-4o-transcribe doesn't support streaming
  * We'll buffer audio chunks and process them in segments
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (sampleRate, socket, onTranscript, config, vocabulary)
  * @returns {Promise<Object>} Session object
  */
 async function createRealtimeSession(options = {}) {
   const { sampleRate = 16000, encoding = 'pcm16', socket, onTranscript } = options;
+  const config = resolveConfig(CONFIG_OPTIONS, 'realtime', options.config);
+  const model = config.model || DEFAULT_MODEL;
+  const prompt = vocabularyPrompt(config.prompt, options.vocabulary);
   
   const session = {
     isActive: true,
     audioBuffer: [],
     processingInterval: null,
     lastProcessedText: '',
-    lastAudioTimestamp: Date.now(),
     chunkDuration: 1000, // Process every 1 second of audio
+    audioProcessed: 0, // Seconds of the stream sent for transcription so far
     
     sendAudio: async function(pcmBuffer) {
       if (!this.isActive) return;
@@ -65,6 +78,9 @@ async function createRealtimeSession(options = {}) {
     },
     
     processAudioChunk: async function(pcmBuffer) {
+      // The chunk's place in the stream, for latency
+      this.audioProcessed += pcmBuffer.length / (sampleRate * 2);
+      const chunkEnd = this.audioProcessed;
       try {
         // Convert PCM to WAV format
         const wavBuffer = this.pcmToWav(pcmBuffer, sampleRate);
@@ -81,11 +97,11 @@ async function createRealtimeSession(options = {}) {
         
         // Create stream and transcribe
         const audioStream = fs.createReadStream(tempPath);
-        const transcription = await openai.audio.transcriptions.create({
+        const transcription = await getClient().audio.transcriptions.create({
           file: audioStream,
-          model: 'gpt-4o-transcribe',
-          language: 'en',  // Force English transcription
-          prompt: 'Transcribe in English only. Do not translate.',  // Explicit instruction to prevent translation
+          model,
+          ...(config.language ? { language: config.language } : {}),
+          ...(prompt ? { prompt } : {}),
           response_format: 'json'  // gpt-4o-transcribe only supports json format
         });
         
@@ -97,7 +113,7 @@ async function createRealtimeSession(options = {}) {
         
         // Send transcription result
         if (onTranscript) {
-          onTranscript(transcription.text, true); // Always final since we process in chunks
+          onTranscript(transcription.text, true, { end: chunkEnd }); // Always final since we process in chunks
         }
         
       } catch (error) {
@@ -155,7 +171,7 @@ async function createRealtimeSession(options = {}) {
   if (socket) {
     socket.emit('serviceInfo', {
       service: 'openai',
-      message: 'Note: OpenAI gpt-4o-transcribe processes audio in 1-second chunks (not true real-time streaming)'
+      message: `Note: OpenAI ${model} processes audio in 1-second chunks (not true real-time streaming)`
     });
   }
   
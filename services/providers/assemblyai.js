@@ -0,0 +1,15 @@
+const { registerProvider } = require('../registry');
+const assemblyAIBatch = require('../assemblyai-batch');
+const assemblyAIRealtime = require('../assemblyai-realtime');
+
+module.exports = registerProvider({
+  id: 'assemblyai',
+  name: 'AssemblyAI',
+  icon: '🎯',
+  color: '#FF5E5B',
+  envVars: ['ASSEMBLYAI_API_KEY'],
+  mimetypes: ['audio/mpeg', 'audio/wav', 'audio/x-m4a', 'audio/webm', 'audio/mp3'],
+  options: assemblyAIBatch.CONFIG_OPTIONS,
+  transcribeBatch: assemblyAIBatch.transcribeBatch,
+  createRealtimeSession: assemblyAIRealtime.createRealtimeSession
+});
@@ -0,0 +1,15 @@
+const { registerProvider } = require('../registry');
+const deepgramBatch = require('../deepgram-batch');
+const deepgramRealtime = require('../deepgram-realtime');
+
+module.exports = registerProvider({
+  id: 'deepgram',
+  name: 'Deepgram',
+  icon: '🌊',
+  color: '#00D4AA',
+  envVars: ['DEEPGRAM_API_KEY'],
+  mimetypes: ['audio/mpeg', 'audio/wav', 'audio/x-m4a', 'audio/webm', 'audio/mp3'],
+  options: deepgramBatch.CONFIG_OPTIONS,
+  transcribeBatch: deepgramBatch.transcribeBatch,
+  createRealtimeSession: deepgramRealtime.createRealtimeSession
+});
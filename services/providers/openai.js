@@ -0,0 +1,17 @@
+const { registerProvider } = require('../registry');
+const openAIBatch = require('../openai-batch');
+const openAIRealtime = require('../openai-realtime');
+
+module.exports = registerProvider({
+  id: 'openai',
+  name: 'OpenAI (GPT-4o)',
+  icon: '🤖',
+  color: '#10A37F',
+  envVars: ['OPENAI_API_KEY'],
+  mimetypes: ['audio/mpeg', 'audio/wav', 'audio/x-m4a', 'audio/webm', 'audio/mp3'],
+  // The transcription API rejects files over 25 MB
+  maxFileSize: 25 * 1024 * 1024,
+  options: openAIBatch.CONFIG_OPTIONS,
+  transcribeBatch: openAIBatch.transcribeBatch,
+  createRealtimeSession: openAIRealtime.createRealtimeSession
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { configError, validateConfig } = require('../lib/provider-config');
+
+// Directory holding one descriptor module per vendor
+const PROVIDERS_DIR = path.join(__dirname, 'providers');
+
+// Registered providers keyed by id, in registration order
+const providers = new Map();
+
+/**
+ * Register a speech-to-text provider
+ * @param {Object} descriptor - Provider descriptor
+ * @param {string} descriptor.id - Unique identifier used in requests (e.g. 'deepgram')
+ * @param {string} descriptor.name - Display name
+ * @param {string} [descriptor.icon] - Emoji shown next to the name in the UI
+ * @param {string} [descriptor.color] - Brand colour used by the UI
+ * @param {string[]} [descriptor.envVars] - Environment variables required for the provider to be usable
+ * @param {string[]} [descriptor.mimetypes] - Upload mimetypes accepted in batch mode
+ * @param {number} [descriptor.maxFileSize] - Largest batch upload in bytes; longer audio is split (see lib/splitting.js)
+ * @param {Object[]} [descriptor.options] - Configurable options (see lib/provider-config.js)
+ * @param {Function} [descriptor.transcribeBatch] - Batch transcription function
+ * @param {Function} [descriptor.createRealtimeSession] - Real-time session factory
+ * @returns {Object} The registered provider
+ */
+function registerProvider(descriptor) {
+  if (!descriptor || !descriptor.id) {
+    throw new Error('Provider descriptor must have an id');
+  }
+  if (providers.has(descriptor.id)) {
+    throw new Error(`Provider "${descriptor.id}" is already registered`);
+  }
+
+  const provider = {
+    id: descriptor.id,
+    name: descriptor.name || descriptor.id,
+    icon: descriptor.icon || '',
+    color: descriptor.color || null,
+    envVars: descriptor.envVars || [],
+    mimetypes: descriptor.mimetypes || [],
+    maxFileSize: descriptor.maxFileSize || null,
+    options: descriptor.options || [],
+    transcribeBatch: descriptor.transcribeBatch || null,
+    createRealtimeSession: descriptor.createRealtimeSession || null
+  };
+
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+/**
+ * Load every provider descriptor in the providers directory
+ * @param {string} dir - Directory to scan
+ * @returns {Object[]} All registered providers
+ */
+function loadProviders(dir = PROVIDERS_DIR) {
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => require(path.join(dir, file)));
+
+  return listProviders();
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|null} The provider or null when unknown
+ */
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * List registered providers
+ * @returns {Object[]} Providers in registration order
+ */
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Check whether all of a provider's required environment variables are set
+ * @param {Object} provider - Registered provider
+ * @returns {boolean} True when the provider can be used
+ */
+function isConfigured(provider) {
+  return provider.envVars.every(name => Boolean(process.env[name]));
+}
+
+/**
+ * Check whether a provider accepts the given upload mimetype
+ * @param {Object} provider - Registered provider
+ * @param {string} mimetype - Upload mimetype
+ * @returns {boolean} True when accepted
+ */
+function supportsMimetype(provider, mimetype) {
+  return provider.mimetypes.length === 0 || provider.mimetypes.includes(mimetype);
+}
+
+/**
+ * Resolve requested ids to configured providers with the given capability
+ * @param {string[]} ids - Requested provider ids
+ * @param {string} capability - 'batch' or 'realtime'
+ * @returns {Object[]} Matching providers
+ */
+function resolveProviders(ids, capability) {
+  const key = capability === 'realtime' ? 'createRealtimeSession' : 'transcribeBatch';
+  return ids
+    .map(getProvider)
+    .filter(provider => provider && provider[key] && isConfigured(provider));
+}
+
+/**
+ * Check option values for several providers, e.g. a configuration profile
+ * @param {Object} configs - Option values keyed by provider id
+ * @returns {Object} The configs
+ * @throws {Error} With status 400 for unknown providers or invalid options
+ */
+function validateConfigs(configs) {
+  if (!configs || typeof configs !== 'object' || Array.isArray(configs)) {
+    throw configError('Provider options must be an object keyed by provider id');
+  }
+  Object.entries(configs).forEach(([id, values]) => {
+    const provider = getProvider(id);
+    if (!provider) {
+      throw configError(`Unknown provider: ${id}`);
+    }
+    validateConfig(provider.options, values, provider.name);
+  });
+  return configs;
+}
+
+/**
+ * Serialisable view of a provider for the /providers endpoint
+ * @param {Object} provider - Registered provider
+ * @returns {Object} Public descriptor
+ */
+function describeProvider(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    icon: provider.icon,
+    color: provider.color,
+    batch: Boolean(provider.transcribeBatch),
+    realtime: Boolean(provider.createRealtimeSession),
+    envVars: provider.envVars,
+    mimetypes: provider.mimetypes,
+    maxFileSize: provider.maxFileSize,
+    options: provider.options,
+    configured: isConfigured(provider)
+  };
+}
+
+module.exports = {
+  registerProvider,
+  loadProviders,
+  getProvider,
+  listProviders,
+  isConfigured,
+  supportsMimetype,
+  resolveProviders,
+  validateConfigs,
+  describeProvider
+};
@@ -0,0 +1,223 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMockProviderServer, mockEnvironment } = require('../mock');
+const { wavFile, pcmSilence } = require('./helpers');
+
+const openaiRealtime = require('../services/openai-realtime');
+
+const ADAPTERS = {
+  assemblyai: require('../services/assemblyai-batch'),
+  deepgram: require('../services/deepgram-batch'),
+  openai: require('../services/openai-batch')
+};
+
+describe('custom vocabulary', () => {
+  const terms = ['periapical', 'mesial occlusal'];
+  const { resolveConfig } = require('../lib/provider-config');
+  const config = (adapter, values) => resolveConfig(adapter.CONFIG_OPTIONS, 'batch', values);
+
+  it('boosts AssemblyAI terms with word_boost, keyterms_prompt or the prompt depending on the model', () => {
+    const { assemblyai } = ADAPTERS;
+    assert.deepEqual(
+      assemblyai.vocabularyParams(config(assemblyai, { speech_model: 'nano', prompt: '' }), terms),
+      { word_boost: terms, boost_param: 'high' }
+    );
+    assert.deepEqual(
+      assemblyai.vocabularyParams(config(assemblyai, { speech_model: 'slam-1', prompt: '' }), terms),
+      { keyterms_prompt: terms }
+    );
+    assert.deepEqual(
+      assemblyai.vocabularyParams(config(assemblyai, { prompt: 'Verbatim.' }), terms),
+      { prompt: 'Verbatim. Vocabulary: periapical, mesial occlusal.' }
+    );
+    assert.deepEqual(assemblyai.vocabularyParams(config(assemblyai, { prompt: '' })), {});
+  });
+
+  it('uses keyterm prompting on Deepgram Nova-3 and keywords on older models', () => {
+    const { deepgram } = ADAPTERS;
+    assert.deepEqual(deepgram.vocabularyParams(config(deepgram, { model: 'nova-3-medical' }), terms), { keyterm: terms });
+    assert.deepEqual(deepgram.vocabularyParams(config(deepgram, { model: 'nova-2' }), terms), { keywords: terms });
+    assert.deepEqual(deepgram.vocabularyParams(config(deepgram, {}), []), {});
+  });
+});
+
+describe('native PII redaction', () => {
+  const { resolveConfig } = require('../lib/provider-config');
+  const { assemblyai } = ADAPTERS;
+
+  it('sends AssemblyAI redact_pii fields only when enabled', () => {
+    assert.deepEqual(assemblyai.piiParams(resolveConfig(assemblyai.CONFIG_OPTIONS, 'batch')), {});
+    assert.deepEqual(
+      assemblyai.piiParams(resolveConfig(assemblyai.CONFIG_OPTIONS, 'batch', {
+        redact_pii: true,
+        redact_pii_policies: 'person_name, date_of_birth,',
+        redact_pii_sub: 'hash'
+      })),
+      { redact_pii: true, redact_pii_policies: ['person_name', 'date_of_birth'], redact_pii_sub: 'hash' }
+    );
+  });
+});
+
+describe('pcmToWav', () => {
+  let session;
+
+  before(async () => {
+    session = await openaiRealtime.createRealtimeSession({ sampleRate: 16000 });
+  });
+
+  after(async () => {
+    await session.close();
+  });
+
+  it('writes a 44-byte PCM WAV header in front of the samples', () => {
+    const pcm = pcmSilence(250);
+    const wav = session.pcmToWav(pcm, 16000);
+
+    assert.equal(wav.length, 44 + pcm.length);
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt32LE(4), 36 + pcm.length);
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+    assert.equal(wav.toString('ascii', 12, 16), 'fmt ');
+    assert.equal(wav.readUInt32LE(16), 16);
+    assert.equal(wav.readUInt16LE(20), 1, 'PCM format');
+    assert.equal(wav.readUInt16LE(22), 1, 'mono');
+    assert.equal(wav.readUInt32LE(24), 16000, 'sample rate');
+    assert.equal(wav.readUInt32LE(28), 32000, 'byte rate');
+    assert.equal(wav.readUInt16LE(32), 2, 'block align');
+    assert.equal(wav.readUInt16LE(34), 16, 'bits per sample');
+    assert.equal(wav.toString('ascii', 36, 40), 'data');
+    assert.equal(wav.readUInt32LE(40), pcm.length);
+    assert.ok(wav.subarray(44).equals(pcm));
+  });
+
+  it('uses the given sample rate', () => {
+    const wav = session.pcmToWav(Buffer.alloc(8), 8000);
+    assert.equal(wav.readUInt32LE(24), 8000);
+    assert.equal(wav.readUInt32LE(28), 16000);
+  });
+});
+
+describe('transcribeBatch result shapes', () => {
+  let mock;
+  const savedEnv = { ...process.env };
+  const uploadsDir = path.join(__dirname, '..', 'uploads');
+  const existingUploads = fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : [];
+
+  before(async () => {
+    mock = createMockProviderServer({ latencyMs: 5 });
+    Object.assign(process.env, mockEnvironment(await mock.listen()));
+  });
+
+  after(async () => {
+    await mock.close();
+    process.env = savedEnv;
+  });
+
+  afterEach(() => {
+    mock.setFailures('');
+  });
+
+  for (const [id, adapter] of Object.entries(ADAPTERS)) {
+    it(`${id} returns text, time, confidence, error, words, enrichments and details`, async () => {
+      const result = await adapter.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' });
+
+      assert.deepEqual(Object.keys(result).sort(), ['confidence', 'details', 'enrichments', 'error', 'text', 'time', 'words']);
+      assert.equal(typeof result.text, 'string');
+      assert.match(result.text, /The patient reports sensitivity/);
+      assert.equal(typeof result.time, 'number');
+      assert.ok(result.time >= 0);
+      assert.ok(result.confidence === null || (result.confidence > 0 && result.confidence <= 1));
+      assert.equal(result.error, null);
+      assert.equal(typeof result.details, 'object');
+      assert.ok(result.details.words_count >= 0);
+
+      assert.ok(result.words.length > 0);
+      result.words.forEach(word => {
+        assert.deepEqual(Object.keys(word), ['word', 'text', 'start', 'end', 'confidence', 'speaker']);
+        assert.equal(typeof word.text, 'string');
+        assert.match(word.word, /^[a-z0-9'-]+$/);
+      });
+      assert.equal(result.words.map(word => word.text).join(' ').toLowerCase(), result.text.toLowerCase());
+    });
+
+    it(`${id} reports failures in the result instead of throwing`, async () => {
+      mock.setFailures(`${id}:batch`);
+      const result = await adapter.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' });
+
+      assert.equal(result.text, null);
+      assert.equal(result.confidence, null);
+      assert.equal(typeof result.time, 'number');
+      assert.equal(typeof result.error, 'string');
+      assert.ok(result.error.length > 0);
+      assert.deepEqual(result.words, []);
+      assert.equal(result.enrichments, null);
+    });
+  }
+
+  it('assemblyai and deepgram map language, sentiment, key phrases and topics to one structure', async () => {
+    const assemblyai = (await ADAPTERS.assemblyai.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' })).enrichments;
+    const deepgram = (await ADAPTERS.deepgram.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' })).enrichments;
+
+    assert.deepEqual(assemblyai.language, { code: 'en_us', confidence: 0.97 });
+    assert.deepEqual(deepgram.language, { code: 'en', confidence: 0.97 });
+
+    for (const enrichments of [assemblyai, deepgram]) {
+      assert.deepEqual(enrichments.sentiment.map(sentence => sentence.sentiment), ['negative', 'neutral', 'positive']);
+      assert.deepEqual(enrichments.sentiment.map(sentence => sentence.speaker), ['A', 'B', 'A']);
+      assert.equal(enrichments.sentiment[0].text, 'The patient reports sensitivity on the lower left molar.');
+      assert.equal(enrichments.sentiment[0].start, 0);
+      assert.equal(enrichments.sentiment[0].end, 2.64);
+    }
+
+    assert.deepEqual(assemblyai.keyPhrases[0], { text: 'sensitivity', count: 1, rank: 1 });
+    assert.equal(assemblyai.topics, null);
+    assert.equal(deepgram.keyPhrases, null);
+    assert.ok(deepgram.topics.some(topic => topic.topic === 'sensitivity' && topic.confidence === 0.75));
+
+    // Profiles can turn Deepgram's add-ons off
+    const plain = (await ADAPTERS.deepgram.transcribeBatch(wavFile(500), {
+      filename: 'sample.wav',
+      mimetype: 'audio/wav',
+      config: { sentiment: false, topics: false }
+    })).enrichments;
+    assert.equal(plain.sentiment, null);
+    assert.equal(plain.topics, null);
+  });
+
+  it('assemblyai and deepgram report timed words with confidence and speakers', async () => {
+    for (const id of ['assemblyai', 'deepgram']) {
+      const result = await ADAPTERS[id].transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' });
+      assert.equal(typeof result.confidence, 'number', id);
+
+      const [first, second] = result.words;
+      assert.deepEqual(first, { word: 'the', text: 'The', start: 0, end: 0.24, confidence: 0.9, speaker: 'A' }, id);
+      assert.ok(second.start >= first.end, id);
+      assert.ok(result.words.some(word => word.speaker === 'B'), id);
+    }
+  });
+
+  it('openai has untimed words by default and timed words with whisper-1', async () => {
+    const plain = await ADAPTERS.openai.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' });
+    assert.ok(plain.words.every(word => word.start === null && word.confidence === null));
+
+    process.env.OPENAI_TRANSCRIBE_MODEL = 'whisper-1';
+    try {
+      const timed = await ADAPTERS.openai.transcribeBatch(wavFile(500), { filename: 'sample.wav', mimetype: 'audio/wav' });
+      assert.equal(timed.details.model, 'whisper-1');
+      assert.deepEqual(timed.words[0], { word: 'the', text: 'The', start: 0, end: 0.24, confidence: null, speaker: null });
+      assert.ok(timed.words.every(word => typeof word.start === 'number'));
+      assert.equal(timed.words.map(word => word.text).join(' '), timed.text);
+    } finally {
+      delete process.env.OPENAI_TRANSCRIBE_MODEL;
+    }
+  });
+
+  it('removes temporary upload files after transcribing', () => {
+    const leftovers = fs.existsSync(uploadsDir)
+      ? fs.readdirSync(uploadsDir).filter(name => !existingUploads.includes(name))
+      : [];
+    assert.deepEqual(leftovers, []);
+  });
+});
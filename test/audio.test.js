@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { canonicalMimetype, isMediaMimetype, parseProbe, parseWavHeader, wavToPcm, chooseAudioFormat, createAudioToolkit } = require('../lib/audio');
+const { wavFile } = require('./helpers');
+
+describe('audio handling', () => {
+  it('resolves mimetype aliases, parameters and octet-stream uploads by extension', () => {
+    assert.equal(canonicalMimetype('audio/x-wav'), 'audio/wav');
+    assert.equal(canonicalMimetype('audio/webm;codecs=opus'), 'audio/webm');
+    assert.equal(canonicalMimetype('application/octet-stream', 'visit.FLAC'), 'audio/flac');
+    assert.equal(canonicalMimetype('', 'notes.txt'), null);
+    assert.ok(isMediaMimetype('video/mp4'));
+    assert.ok(!isMediaMimetype('text/plain'));
+  });
+
+  it('reduces ffprobe output to duration, sample rate, channels and video', () => {
+    const info = parseProbe({
+      format: { duration: '12.480000', format_name: 'mov,mp4,m4a,3gp,3g2,mj2' },
+      streams: [
+        { codec_type: 'video', codec_name: 'h264' },
+        { codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2 }
+      ]
+    });
+    assert.deepEqual(info, {
+      duration: 12.48,
+      sampleRate: 48000,
+      channels: 2,
+      codec: 'aac',
+      container: 'mov,mp4,m4a,3gp,3g2,mj2',
+      hasVideo: true
+    });
+  });
+
+  it('reads WAV headers, and probes WAV files without ffprobe', async () => {
+    const audio = wavFile(750);
+    assert.deepEqual(parseWavHeader(audio), {
+      audioFormat: 1, channels: 1, sampleRate: 16000, bitsPerSample: 16, dataStart: 44, dataLength: 24000
+    });
+    assert.equal(parseWavHeader(Buffer.from('OggS')), null);
+
+    const toolkit = createAudioToolkit({ ffmpegPath: '/nonexistent/ffmpeg', ffprobePath: '/nonexistent/ffprobe' });
+    assert.equal(await toolkit.detect(), false);
+    assert.equal((await toolkit.probe('sample.wav', audio)).duration, 0.75);
+    assert.equal((await toolkit.probe('sample.ogg', Buffer.from('OggS'))).duration, null);
+
+    // Without the contents, only the start of the file is read
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-audio-'));
+    fs.writeFileSync(path.join(dir, 'sample.wav'), audio);
+    assert.equal((await toolkit.probe(path.join(dir, 'sample.wav'))).duration, 0.75);
+    fs.rmSync(dir, { recursive: true, force: true });
+    await assert.rejects(toolkit.normalize('sample.ogg'), /needs ffmpeg/);
+  });
+
+  it('converts WAV samples to 16 kHz mono PCM', () => {
+    // 32 kHz stereo: left at 1000, right at 3000
+    const stereo = wavFile(500, 32000);
+    stereo.writeUInt16LE(2, 22);
+    stereo.writeUInt32LE(16000, 24);
+    stereo.writeUInt16LE(4, 32);
+    for (let offset = 44; offset < stereo.length; offset += 4) {
+      stereo.writeInt16LE(1000, offset);
+      stereo.writeInt16LE(3000, offset + 2);
+    }
+
+    const pcm = wavToPcm(stereo);
+    assert.equal(pcm.length, 0.5 * 16000 * 2);
+    assert.equal(pcm.readInt16LE(0), 2000);
+    assert.equal(pcm.readInt16LE(pcm.length - 2), 2000);
+    assert.ok(wavToPcm(wavFile(100)).equals(wavFile(100).subarray(44)));
+    assert.equal(wavToPcm(Buffer.from('OggS')), null);
+  });
+
+  it('sends the original when the provider supports it and a normalized WAV otherwise', () => {
+    assert.equal(chooseAudioFormat('auto', true, true), 'original');
+    assert.equal(chooseAudioFormat('auto', false, true), 'normalized');
+    assert.equal(chooseAudioFormat('auto', false, false), null);
+    assert.equal(chooseAudioFormat('original', false, true), null);
+    assert.equal(chooseAudioFormat('normalized', true, true), 'normalized');
+    assert.equal(chooseAudioFormat('normalized', true, false), null);
+  });
+});
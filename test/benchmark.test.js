@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProviderServer, mockEnvironment } = require('../mock');
+const { loadManifest, summarizeRecords, runBenchmark } = require('../lib/benchmark');
+const { wavFile } = require('./helpers');
+
+/**
+ * A successful, scored benchmark record
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Result record
+ */
+function record(fields) {
+  return {
+    id: 'a',
+    provider: 'assemblyai',
+    tags: [],
+    text: 'open wide please',
+    latency: 1000,
+    error: null,
+    wer: 0,
+    substitutions: 0,
+    insertions: 0,
+    deletions: 0,
+    referenceWords: 3,
+    keywords: null,
+    ...fields
+  };
+}
+
+describe('benchmark manifests', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-manifest-'));
+    fs.writeFileSync(path.join(dir, 'b.txt'), 'Bite down gently.\n');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads JSONL entries, resolving paths against the manifest', async () => {
+    const manifest = path.join(dir, 'manifest.jsonl');
+    fs.writeFileSync(manifest, [
+      JSON.stringify({ id: 'a', audio: 'audio/a.wav', reference: ' Open wide. ', tags: ['adult'] }),
+      '',
+      JSON.stringify({ audio: 'b.m4a', reference_file: 'b.txt' })
+    ].join('\n'));
+
+    assert.deepEqual(await loadManifest(manifest), [
+      { id: 'a', audio: path.join(dir, 'audio', 'a.wav'), mimetype: 'audio/wav', reference: 'Open wide.', tags: ['adult'] },
+      { id: 'b.m4a', audio: path.join(dir, 'b.m4a'), mimetype: 'audio/x-m4a', reference: 'Bite down gently.', tags: [] }
+    ]);
+  });
+
+  it('reads CSV entries with quoted fields and ";"-separated tags', async () => {
+    const manifest = path.join(dir, 'manifest.csv');
+    fs.writeFileSync(manifest, 'id,audio,reference,tags\r\na,a.wav,"Open wide, ""please"".",adult; noisy\r\n');
+
+    const [item] = await loadManifest(manifest);
+    assert.equal(item.reference, 'Open wide, "please".');
+    assert.deepEqual(item.tags, ['adult', 'noisy']);
+  });
+
+  it('rejects entries without audio, duplicate ids and invalid JSON', async () => {
+    const manifest = path.join(dir, 'bad.jsonl');
+
+    fs.writeFileSync(manifest, JSON.stringify({ id: 'a' }));
+    await assert.rejects(loadManifest(manifest), /entry 1 has no audio path/);
+
+    fs.writeFileSync(manifest, [{ id: 'a', audio: 'a.wav' }, { id: 'a', audio: 'b.wav' }].map(row => JSON.stringify(row)).join('\n'));
+    await assert.rejects(loadManifest(manifest), /Duplicate manifest id: a/);
+
+    fs.writeFileSync(manifest, '{"audio": "a.wav"}\n{"audio": ');
+    await assert.rejects(loadManifest(manifest), /Invalid JSON on manifest line 2/);
+  });
+});
+
+describe('benchmark summary', () => {
+  it('pools word errors and keyword occurrences per provider and per tag', () => {
+    const records = [
+      record({ id: 'a', tags: ['adult'], wer: 0.5, substitutions: 1, deletions: 1, referenceWords: 4, keywords: { occurrences: 2, hits: 1 } }),
+      record({ id: 'b', tags: ['adult', 'child'], wer: 0, referenceWords: 6, latency: 3000, keywords: { occurrences: 2, hits: 2 } }),
+      record({ id: 'c', tags: ['child'], text: null, latency: null, error: 'Timed out', wer: undefined }),
+      record({ id: 'a', provider: 'deepgram', tags: ['adult'], wer: 1 / 3, insertions: 1, referenceWords: 3 })
+    ];
+
+    const summary = summarizeRecords(records, ['assemblyai', 'deepgram']);
+    const assemblyai = summary.providers.assemblyai;
+
+    assert.equal(assemblyai.items, 3);
+    assert.equal(assemblyai.failures, 1);
+    assert.equal(assemblyai.scored, 2);
+    // Corpus WER weights by reference length: 2 errors over 10 words
+    assert.equal(assemblyai.wer, 0.2);
+    assert.equal(assemblyai.meanWer, 0.25);
+    assert.equal(assemblyai.keywordRecall, 0.75);
+    assert.equal(assemblyai.keywordOccurrences, 4);
+    assert.equal(assemblyai.latency.mean, 2000);
+
+    assert.equal(summary.providers.deepgram.wer, 1 / 3);
+    assert.equal(summary.providers.deepgram.keywordRecall, null);
+    assert.deepEqual(Object.keys(summary.tags), ['adult', 'child']);
+    assert.equal(summary.tags.adult.assemblyai.items, 2);
+    assert.equal(summary.tags.child.assemblyai.failures, 1);
+    assert.equal(summary.tags.child.deepgram.items, 0);
+  });
+});
+
+describe('benchmark runs', () => {
+  let mock;
+  let dir;
+  const savedEnv = { ...process.env };
+
+  before(async () => {
+    mock = createMockProviderServer({ latencyMs: 10, wordMs: 100, transcript: 'open wide please' });
+    Object.assign(process.env, mockEnvironment(await mock.listen(0)));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-benchmark-'));
+    ['a.wav', 'b.wav'].forEach(name => fs.writeFileSync(path.join(dir, name), wavFile(500)));
+    fs.writeFileSync(path.join(dir, 'manifest.jsonl'), [
+      { id: 'a', audio: 'a.wav', reference: 'Open wide, please.' },
+      { id: 'b', audio: 'b.wav', reference: 'Open wide, please.' }
+    ].map(row => JSON.stringify(row)).join('\n'));
+  });
+
+  after(async () => {
+    await mock.close();
+    process.env = savedEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resumes a run, skipping finished tasks and retrying failed ones', async () => {
+    const output = path.join(dir, 'results.jsonl');
+    const finished = record({ id: 'a', provider: 'assemblyai', text: 'from the first run' });
+    fs.writeFileSync(output, [
+      JSON.stringify(finished),
+      JSON.stringify(record({ id: 'a', provider: 'deepgram', text: null, error: 'Timed out' })),
+      '{"id": "b", "provi'
+    ].join('\n'));
+
+    const progress = [];
+    const { records, summary, summaryPath } = await runBenchmark({
+      manifest: path.join(dir, 'manifest.jsonl'),
+      output,
+      providers: ['assemblyai', 'deepgram'],
+      redact: false,
+      onProgress: (result, completed, total) => progress.push([`${result.id}/${result.provider}`, completed, total])
+    });
+
+    assert.deepEqual(progress.map(([task]) => task).sort(), ['a/deepgram', 'b/assemblyai', 'b/deepgram']);
+    assert.deepEqual(progress.map(([, completed, total]) => [completed, total]), [[2, 4], [3, 4], [4, 4]]);
+
+    assert.deepEqual(records.map(result => `${result.id}/${result.provider}`), ['a/assemblyai', 'a/deepgram', 'b/assemblyai', 'b/deepgram']);
+    assert.deepEqual(records[0], finished);
+    records.slice(1).forEach(result => {
+      assert.equal(result.error, null);
+      assert.equal(result.wer, 0);
+    });
+
+    const saved = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(saved, records);
+    assert.deepEqual(JSON.parse(fs.readFileSync(summaryPath, 'utf8')), summary);
+    assert.equal(summary.providers.deepgram.scored, 2);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+});
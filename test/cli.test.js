@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProviderServer, mockEnvironment } = require('../mock');
+const { wavFile } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'stt-compare.js');
+
+/**
+ * Run the CLI to completion
+ * @param {string[]} args - Arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function runCli(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: { ...process.env, ...env }, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('stt-compare CLI', () => {
+  let mock;
+  let env;
+  let dir;
+
+  before(async () => {
+    mock = createMockProviderServer({ latencyMs: 10, wordMs: 100 });
+    env = mockEnvironment(await mock.listen(0));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-cli-'));
+    fs.writeFileSync(path.join(dir, 'visit.wav'), wavFile(1500));
+    fs.writeFileSync(path.join(dir, 'notes'), 'not audio');
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints only the JSON document on stdout for stream --json', async () => {
+    const { code, stdout, stderr } = await runCli(
+      ['stream', path.join(dir, 'visit.wav'), '--speed', 'max', '--providers', 'assemblyai,deepgram', '--json'],
+      env
+    );
+    assert.equal(code, 0, stderr);
+
+    const output = JSON.parse(stdout);
+    assert.deepEqual(Object.keys(output.results).sort(), ['assemblyai', 'deepgram']);
+    assert.equal(output.speed, 'max');
+    // The adapters' connection messages still reach stderr
+    assert.match(stderr, /WebSocket connected/);
+  });
+
+  it('names a file without an extension when no provider supports it', async () => {
+    const { code, stdout } = await runCli(['transcribe', path.join(dir, 'notes'), '--providers', 'assemblyai', '--json'], env);
+    assert.equal(code, 2);
+    assert.equal(JSON.parse(stdout).files[0].results.assemblyai.error, 'AssemblyAI does not support notes');
+  });
+});
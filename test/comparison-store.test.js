@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createComparisonStore } = require('../lib/comparison-store');
+
+describe('comparison store', () => {
+  it('applies concurrent updates of one comparison in turn', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-store-'));
+    const store = createComparisonStore({ dataDir });
+    const { id } = await store.save({ mode: 'batch', results: { a: { text: 'hello' } } });
+
+    await Promise.all([
+      store.update(id, { speakerNames: { a: { A: 'Dentist' } } }),
+      store.update(id, current => ({ settings: { ...current.settings, reference: 'hello' } })),
+      store.update(id, current => ({ settings: { ...current.settings, normalization: 'raw' } }))
+    ]);
+
+    const stored = await store.get(id);
+    assert.deepEqual(stored.speakerNames, { a: { A: 'Dentist' } });
+    assert.deepEqual(stored.settings, { reference: 'hello', normalization: 'raw' });
+    assert.equal(await store.update('00000000-0000-0000-0000-000000000000', {}), null);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILT_IN_PROFILES, createConfigProfileStore } = require('../lib/config-profiles');
+
+describe('config profile store', () => {
+  it('keeps every profile from concurrent changes', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-profiles-'));
+    const store = createConfigProfileStore({ dataDir });
+
+    const created = await Promise.all(
+      Array.from({ length: 5 }, (value, index) => store.create({ name: `Profile ${index + 1}`, providers: {} }))
+    );
+    const custom = (await store.list()).filter(profile => !profile.builtIn);
+    assert.deepEqual(custom.map(profile => profile.name).sort(), created.map(profile => profile.name).sort());
+
+    await Promise.all([
+      store.update(created[0].id, { name: 'Renamed', providers: { deepgram: { punctuate: true } } }),
+      store.remove(created[1].id),
+      store.create({ name: 'Profile 6' })
+    ]);
+    const names = (await store.list()).filter(profile => !profile.builtIn).map(profile => profile.name);
+    assert.deepEqual(names.sort(), ['Profile 3', 'Profile 4', 'Profile 5', 'Profile 6', 'Renamed']);
+
+    await assert.rejects(store.remove(BUILT_IN_PROFILES[0].id), /cannot be deleted/);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSpeakerReference, computeDiarizationError } = require('../lib/diarization');
+const { createWord } = require('../lib/transcript');
+
+/**
+ * Build schema words from [speaker, text] turns
+ * @param {Array<Array<string>>} turns - Speaker and text of each turn
+ * @returns {Object[]} Words
+ */
+function diarizedWords(turns) {
+  return turns.flatMap(([speaker, text]) => text.split(' ').map(token => createWord({ text: token, speaker })));
+}
+
+describe('speaker-labelled references', () => {
+  it('splits labelled lines into turns and strips the labels', () => {
+    const parsed = parseSpeakerReference('Dr. Patel: Open wide, please.\nPatient: Okay.\nIt hurts here.\nDr. Patel: Tooth 19.');
+
+    assert.deepEqual(parsed.segments, [
+      { speaker: 'Dr. Patel', text: 'Open wide, please.' },
+      { speaker: 'Patient', text: 'Okay. It hurts here.' },
+      { speaker: 'Dr. Patel', text: 'Tooth 19.' }
+    ]);
+    assert.equal(parsed.text, 'Open wide, please.\nOkay. It hurts here.\nTooth 19.');
+  });
+
+  it('leaves unlabelled references alone', () => {
+    const reference = 'The patient reports: sensitivity on the lower left molar.';
+    assert.deepEqual(parseSpeakerReference(reference), { text: reference, segments: null });
+    assert.deepEqual(parseSpeakerReference(''), { text: '', segments: null });
+  });
+
+  it('reads the headings of a clinical note as text, not speakers', () => {
+    const note = [
+      'Subjective: Sensitivity to cold on the lower left for two weeks.',
+      'Objective: Recurrent decay under the existing restoration.',
+      'Tooth 14: MOD composite, shade A2.',
+      'Tooth 19: Watch, recheck in six months.',
+      'Plan: Restore 14 next visit.',
+      'Note: Patient prefers morning appointments.'
+    ].join('\n');
+    assert.deepEqual(parseSpeakerReference(note), { text: note, segments: null });
+
+    // Unnamed speakers count once a label comes back after another
+    const turns = parseSpeakerReference('Maria: Open wide.\nJohn: Okay.\nMaria: Thank you.');
+    assert.deepEqual(turns.segments.map(segment => segment.speaker), ['Maria', 'John', 'Maria']);
+  });
+});
+
+describe('word diarization error', () => {
+  const { segments } = parseSpeakerReference('Dentist: Open wide please.\nPatient: It hurts on the left.');
+
+  it('is zero when provider speakers map one to one onto the reference', () => {
+    const words = diarizedWords([['B', 'Open wide please.'], ['A', 'It hurts on the left.']]);
+    const score = computeDiarizationError(segments, words);
+
+    assert.equal(score.wder, 0);
+    assert.deepEqual(score.mapping, { A: 'Patient', B: 'Dentist' });
+    assert.equal(score.referenceSpeakers, 2);
+    assert.equal(score.hypothesisSpeakers, 2);
+  });
+
+  it('counts words attributed to the wrong or no speaker', () => {
+    const words = diarizedWords([['A', 'Open wide please. It'], ['B', 'hurts on the']]);
+    words.push(createWord({ text: 'left.' }));
+    const score = computeDiarizationError(segments, words);
+
+    assert.equal(score.alignedWords, 8);
+    assert.equal(score.speakerErrors, 2);
+    assert.equal(score.wder, 2 / 8);
+  });
+
+  it('is null for providers without speaker labels', () => {
+    assert.equal(computeDiarizationError(segments, diarizedWords([[null, 'Open wide please.']])), null);
+  });
+});
@@ -0,0 +1,196 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Find a free TCP port on localhost
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Boot server.js in a child process against the mock providers
+ * @param {Object} [env] - Extra environment variables (e.g. MOCK_FAIL)
+ * @returns {Promise<Object>} Server with url, dataDir, output() and stop()
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-test-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      MOCK_PROVIDERS: 'true',
+      MOCK_LATENCY_MS: '10',
+      MOCK_WORD_MS: '300',
+      MOCK_INTERIM: 'true',
+      MOCK_FAIL: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    const check = () => {
+      if (output.includes('Server running on port')) {
+        clearTimeout(timer);
+        child.stdout.off('data', check);
+        resolve();
+      }
+    };
+    child.stdout.on('data', check);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dataDir,
+    output: () => output,
+
+    stop: () => new Promise(resolve => {
+      const done = () => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+      };
+      if (child.exitCode !== null) return done();
+      const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        done();
+      });
+      child.kill('SIGTERM');
+    })
+  };
+}
+
+/**
+ * Build a mono 16-bit PCM buffer of silence
+ * @param {number} durationMs - Duration
+ * @param {number} [sampleRate] - Sample rate
+ * @returns {Buffer} PCM data
+ */
+function pcmSilence(durationMs, sampleRate = 16000) {
+  return Buffer.alloc(Math.round((durationMs / 1000) * sampleRate) * 2);
+}
+
+/**
+ * Build a silent WAV file
+ * @param {number} durationMs - Duration
+ * @param {number} [sampleRate] - Sample rate
+ * @returns {Buffer} WAV file contents
+ */
+function wavFile(durationMs, sampleRate = 16000) {
+  const pcm = pcmSilence(durationMs, sampleRate);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Wait for a Socket.IO event whose payload matches a predicate
+ * @param {Object} socket - Socket.IO client socket
+ * @param {string} event - Event name
+ * @param {Function} [predicate] - Payload filter
+ * @param {number} [timeoutMs] - Time limit
+ * @returns {Promise<*>} The matching payload
+ */
+function waitForEvent(socket, event, predicate = () => true, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(payload) {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    }
+    socket.on(event, handler);
+  });
+}
+
+/**
+ * Poll a batch job until it finishes
+ * @param {string} baseUrl - Server URL
+ * @param {string} jobId - Job id
+ * @param {number} [timeoutMs] - Time limit
+ * @returns {Promise<Object>} Finished job
+ */
+async function waitForJob(baseUrl, jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await (await fetch(`${baseUrl}/jobs/${jobId}`)).json();
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+/**
+ * Submit an upload to /transcribe-batch
+ * @param {string} baseUrl - Server URL
+ * @param {Object} options - Upload options
+ * @param {Buffer} [options.audio] - File contents (omitted for chunked uploads, with an uploadId field)
+ * @param {string} [options.filename] - File name
+ * @param {string} [options.mimetype] - File mimetype
+ * @param {string[]} [options.services] - Provider ids
+ * @param {Object} [options.fields] - Extra form fields
+ * @returns {Promise<Object>} Response status and JSON body
+ */
+async function submitBatch(baseUrl, options) {
+  const form = new FormData();
+  if (options.audio) {
+    form.append('audio', new Blob([options.audio], { type: options.mimetype || 'audio/wav' }), options.filename || 'sample.wav');
+  }
+  form.append('services', JSON.stringify(options.services || ['assemblyai', 'deepgram', 'openai']));
+  Object.entries(options.fields || {}).forEach(([name, value]) => form.append(name, value));
+
+  const response = await fetch(`${baseUrl}/transcribe-batch`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  freePort,
+  startServer,
+  pcmSilence,
+  wavFile,
+  waitForEvent,
+  waitForJob,
+  submitBatch
+};
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_KEYWORDS, computeKeywordRecall, parseKeywordList } = require('../lib/keywords');
+
+const KEYWORDS = {
+  Procedures: ['root canal', 'crown'],
+  Surfaces: ['mesial', 'occlusal'],
+  Medications: ['lidocaine']
+};
+
+describe('keyword recall', () => {
+  const reference = 'Numb it with lidocaine, then a root canal on the mesial occlusal surface. Lidocaine again after.';
+
+  it('classifies each keyword occurrence as hit, missed or substituted', () => {
+    const score = computeKeywordRecall(reference, 'numb it with lidocaine then a rude canal on the occlusal surface lignocaine again after', KEYWORDS);
+
+    assert.equal(score.occurrences, 5);
+    assert.equal(score.hits, 2);
+    assert.equal(score.misses, 1);
+    assert.equal(score.substitutions, 2);
+    assert.equal(score.recall, 2 / 5);
+    assert.deepEqual(score.terms, [
+      { term: 'root canal', category: 'Procedures', occurrences: 1, hits: 0, misses: 0, substitutedAs: ['rude canal'] },
+      { term: 'mesial', category: 'Surfaces', occurrences: 1, hits: 0, misses: 1, substitutedAs: [] },
+      { term: 'occlusal', category: 'Surfaces', occurrences: 1, hits: 1, misses: 0, substitutedAs: [] },
+      { term: 'lidocaine', category: 'Medications', occurrences: 2, hits: 1, misses: 0, substitutedAs: ['lignocaine'] }
+    ]);
+    assert.deepEqual(score.categories.Surfaces, { occurrences: 2, hits: 1, recall: 0.5 });
+  });
+
+  it('matches terms after normalization', () => {
+    const score = computeKeywordRecall('X-ray of tooth 19.', 'x-ray of tooth nineteen', { Teeth: ['tooth 19'] }, { profile: 'verbatim' });
+    assert.equal(score.recall, 1);
+  });
+
+  it('does not count a spelled-out number as a prefix of a longer one', () => {
+    ['clean', 'verbatim', 'basic'].forEach(profile => {
+      const score = computeKeywordRecall('Check tooth 21 and tooth 3.', 'check tooth 21 and tooth 3', DEFAULT_KEYWORDS, { profile });
+      assert.deepEqual(score.terms.map(outcome => outcome.term), ['tooth 3', 'tooth 21'], profile);
+      assert.equal(score.occurrences, 2, profile);
+    });
+  });
+
+  it('is null when no keyword occurs in the reference', () => {
+    assert.equal(computeKeywordRecall('Open wide, please.', 'open wide please', KEYWORDS), null);
+  });
+});
+
+describe('keyword list files', () => {
+  it('reads [Category] headings and one term per line', () => {
+    assert.deepEqual(parseKeywordList('crown\n\n[Surfaces]\nmesial\nMesial\n  buccal \n'), {
+      Keywords: ['crown'],
+      Surfaces: ['mesial', 'buccal']
+    });
+  });
+
+  it('reads JSON lists', () => {
+    assert.deepEqual(parseKeywordList('{ "Medications": ["lidocaine"] }'), { Medications: ['lidocaine'] });
+    assert.throws(() => parseKeywordList('{ "Medications": [1] }'), /array of strings/);
+  });
+});
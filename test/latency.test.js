@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLatencyTracker } = require('../lib/latency');
+
+// 100 ms of 16 kHz mono 16-bit PCM
+const CHUNK = 3200;
+
+describe('real-time latency on the audio clock', () => {
+  it('measures each word once, from when the server had its audio', () => {
+    const tracker = createLatencyTracker({ sampleRate: 16000, channels: 1 });
+    // Ten chunks, received 100 ms apart from t=1000
+    for (let index = 0; index < 10; index++) tracker.addAudio(CHUNK, 1000 + index * 100);
+    assert.equal(tracker.audioTime(), 1);
+
+    // "hello" ends at 0.3s, received at t=1200; the partial arrives at t=1450
+    assert.equal(tracker.observe('a', { text: 'hello', isFinal: false, timing: { words: [{ text: 'hello', start: 0, end: 0.3 }] } }, 1450), 250);
+    // The final repeats "hello" and adds "there" (ends at 0.6s, received at t=1500)
+    const delay = tracker.observe('a', {
+      text: 'hello there',
+      isFinal: true,
+      timing: { words: [{ text: 'hello', start: 0, end: 0.3 }, { text: 'there', start: 0.35, end: 0.6 }], end: 0.7 }
+    }, 1900);
+    // Finalization is measured from the end of the utterance (0.7s, received at t=1600)
+    assert.equal(delay, 300);
+
+    const summary = tracker.summary('a');
+    assert.equal(summary.firstPartial, 450);
+    assert.equal(summary.wordDelay.count, 2);
+    assert.equal(summary.wordDelay.p50, 250);
+    assert.equal(summary.wordDelay.p99, 400);
+    assert.equal(summary.finalization.count, 1);
+    assert.equal(summary.finalization.p90, 300);
+  });
+
+  it('reports no delay for results without timing, but still times the first result', () => {
+    const tracker = createLatencyTracker({ sampleRate: 16000, channels: 1 });
+    assert.equal(tracker.observe('a', { text: 'early', isFinal: true }, 0), null);
+
+    tracker.addAudio(CHUNK, 100);
+    assert.equal(tracker.observe('a', { text: '', isFinal: false }, 150), null);
+    assert.equal(tracker.observe('a', { text: 'words', isFinal: true }, 400), null);
+    assert.equal(tracker.summary('a').firstPartial, 300);
+    assert.equal(tracker.summary('a').finalization.count, 0);
+    assert.deepEqual(Object.keys(tracker.summaries()), ['a']);
+    assert.equal(tracker.summary('b').firstPartial, null);
+  });
+});
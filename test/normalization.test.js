@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROFILES, getProfile, listProfiles, normalizeText, numbersToWords, wordsToNumbers } = require('../lib/normalization');
+
+describe('normalization profiles', () => {
+  const text = "Um, I can't see Tooth #14 (laughter) on the X-ray; it's $1,250 or 5% at 3:05.";
+
+  it('applies each profile\'s steps', () => {
+    assert.deepEqual(Object.fromEntries(Object.keys(PROFILES).map(name => [name, normalizeText(text, name)])), {
+      raw: text,
+      basic: "um i can't see tooth 14 laughter on the x-ray it's 1250 or 5 at 3 05",
+      verbatim: "um i can't see tooth fourteen on the x ray it's one thousand two hundred fifty dollars or five percent at three zero five",
+      clean: 'i can not see tooth fourteen on the x ray it is one thousand two hundred fifty dollars or five percent at three zero five',
+      numeric: 'i can not see tooth 14 on the x ray it is 1250 dollars or 5 percent at 3 05'
+    });
+  });
+
+  it('uses the basic profile by default', () => {
+    assert.equal(normalizeText(text), normalizeText(text, 'basic'));
+    assert.equal(normalizeText(''), '');
+    assert.equal(normalizeText(null, 'clean'), '');
+  });
+
+  it('keeps apostrophes and hyphens inside words only', () => {
+    assert.equal(normalizeText("Rock-and-roll, 'don't' - stop", 'basic'), "rock-and-roll don't stop");
+  });
+
+  it('reads tooth-number shorthand as the bare number', () => {
+    assert.equal(normalizeText('Number 3, no. 4, #5 and number nine', 'numeric'), '3 4 5 and 9');
+  });
+
+  it('resolves option objects on top of a named profile', () => {
+    const profile = getProfile({ profile: 'clean', fillers: 'keep' });
+    assert.equal(profile.name, 'custom');
+    assert.equal(profile.numbers, 'words');
+    assert.equal(profile.fillers, 'keep');
+    assert.equal(normalizeText('Um, two', { profile: 'clean', fillers: 'keep' }), 'um two');
+    assert.equal(getProfile({ numbers: 'digits' }).lowercase, PROFILES.basic.lowercase);
+    assert.throws(() => getProfile('nope'), /Unknown normalization profile: nope/);
+    assert.deepEqual(listProfiles().map(listed => listed.name), Object.keys(PROFILES));
+  });
+});
+
+describe('number conversion', () => {
+  const spell = digits => numbersToWords(digits).trim();
+
+  it('spells out integers, scales and decimals', () => {
+    assert.equal(spell('0'), 'zero');
+    assert.equal(spell('13'), 'thirteen');
+    assert.equal(spell('40'), 'forty');
+    assert.equal(spell('105'), 'one hundred five');
+    assert.equal(spell('2024'), 'two thousand twenty four');
+    assert.equal(spell('1000001'), 'one million one');
+    assert.equal(spell('3.14'), 'three point one four');
+  });
+
+  it('reads leading zeros and very long numbers digit by digit', () => {
+    assert.equal(spell('007'), 'zero zero seven');
+    assert.equal(spell('1234567890123'), 'one two three four five six seven eight nine zero one two three');
+  });
+
+  it('spells out ordinals', () => {
+    assert.equal(spell('2nd'), 'second');
+    assert.equal(spell('12th'), 'twelfth');
+    assert.equal(spell('21st'), 'twenty first');
+    assert.equal(spell('100th'), 'one hundredth');
+  });
+
+  it('joins number words into numerals', () => {
+    assert.equal(wordsToNumbers('twenty one'), '21');
+    assert.equal(wordsToNumbers('twenty-one'), '21');
+    assert.equal(wordsToNumbers('one hundred and five'), '105');
+    assert.equal(wordsToNumbers('two thousand twenty four'), '2024');
+    assert.equal(wordsToNumbers('three point one four'), '3.14');
+  });
+
+  it('keeps numbers that cannot be summed apart', () => {
+    assert.equal(wordsToNumbers('twenty twenty four'), '20 24');
+    assert.equal(wordsToNumbers('one two three'), '1 2 3');
+    assert.equal(wordsToNumbers('zero five'), '0 5');
+    assert.equal(wordsToNumbers('nine eleven'), '9 11');
+    assert.equal(wordsToNumbers('five and six'), '5 and 6');
+  });
+
+  it('joins ordinal words and leaves stray scale words alone', () => {
+    assert.equal(wordsToNumbers('twenty first'), '21st');
+    assert.equal(wordsToNumbers('one hundred twelfth'), '112th');
+    assert.equal(wordsToNumbers('two hundredth'), '200th');
+    assert.equal(wordsToNumbers('a thousand'), 'a thousand');
+    assert.equal(wordsToNumbers('point five'), 'point 5');
+  });
+});
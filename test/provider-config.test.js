@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveConfig, validateConfig } = require('../lib/provider-config');
+
+const OPTIONS = [
+  { key: 'model', type: 'select', default: 'nova-3', choices: [{ value: 'nova-3' }, { value: 'nova-2' }] },
+  { key: 'prompt', type: 'text', default: 'verbatim', modes: ['batch'] },
+  { key: 'format_turns', type: 'boolean', default: true, modes: ['realtime'] }
+];
+
+describe('provider options', () => {
+  it('starts from the defaults of the mode', () => {
+    assert.deepEqual(resolveConfig(OPTIONS, 'batch'), { model: 'nova-3', prompt: 'verbatim' });
+    assert.deepEqual(resolveConfig(OPTIONS, 'realtime'), { model: 'nova-3', format_turns: true });
+  });
+
+  it('applies layers in order and ignores options of the other mode', () => {
+    const profile = { model: 'nova-2', prompt: '', format_turns: false };
+    const overrides = { prompt: 'clean' };
+
+    assert.deepEqual(resolveConfig(OPTIONS, 'batch', profile, null, overrides), { model: 'nova-2', prompt: 'clean' });
+    assert.deepEqual(resolveConfig(OPTIONS, 'realtime', profile, overrides), { model: 'nova-2', format_turns: false });
+  });
+
+  it('rejects unknown options and values of the wrong type with status 400', () => {
+    const cases = [
+      [{ temperature: 0 }, /Unknown Deepgram option: temperature/],
+      [{ model: 'nova-9' }, /Invalid value for Deepgram option model/],
+      [{ format_turns: 'yes' }, /Invalid value for Deepgram option format_turns/],
+      [['nova-2'], /must be an object/]
+    ];
+    cases.forEach(([values, message]) => {
+      assert.throws(() => validateConfig(OPTIONS, values, 'Deepgram'), error => error.status === 400 && message.test(error.message));
+    });
+  });
+});
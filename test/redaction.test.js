@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor, normalizePolicy, sealVault, openVault, revealPHI, bleepWav } = require('../lib/redaction');
+const { createWord } = require('../lib/transcript');
+const { wavFile } = require('./helpers');
+
+describe('PHI redaction', () => {
+  it('detects names, dates, phone numbers, emails and ids, written or spoken', () => {
+    const redactor = createRedactor({ names: ['Okonkwo'] });
+    const cases = [
+      ['My name is Sarah Okonkwo.', 'My name is [NAME].'],
+      ['Date of birth march third nineteen eighty five, thanks', 'Date of birth [DATE], thanks'],
+      ['Call five five five one two three four or (555) 123-4567.', 'Call [PHONE] or [PHONE].'],
+      ['It is j.smith at gmail dot com', 'It is [EMAIL]'],
+      ['Member ID is XJ4471920 and SSN 123-45-6789', 'Member ID is [ID] and SSN [SSN]'],
+      ['We may take an x-ray of tooth 19 in March.', 'We may take an x-ray of tooth 19 in March.']
+    ];
+    cases.forEach(([text, expected]) => assert.equal(redactor.redactText(text), expected));
+  });
+
+  it('only redacts the configured entity types', () => {
+    const redactor = createRedactor({ entities: ['phone_number'] });
+    assert.equal(redactor.redactText('Mr. Smith, 555-123-4567'), 'Mr. Smith, [PHONE]');
+    assert.equal(createRedactor({ enabled: false }).redactText('Mr. Smith'), 'Mr. Smith');
+    assert.throws(() => normalizePolicy({ entities: ['fingerprint'] }), error => error.status === 400);
+  });
+
+  it('numbers placeholders consistently and merges redacted words into one timed word', () => {
+    const redactor = createRedactor({ reversible: true });
+    const words = 'Thanks John Smith, see you John Smith.'.split(' ')
+      .map((text, index) => createWord({ text, start: index, end: index + 0.5, confidence: 0.9 - index / 100 }));
+
+    const redacted = redactor.redactWords(words);
+    assert.deepEqual(redacted.map(word => word.text), ['Thanks', '[NAME_1],', 'see', 'you', '[NAME_1].']);
+    assert.deepEqual(redacted[1], { word: 'name_1', text: '[NAME_1],', start: 1, end: 2.5, confidence: 0.88, speaker: null });
+    assert.deepEqual(redactor.ranges(), [{ start: 1, end: 2.5 }, { start: 5, end: 6.5 }]);
+    assert.deepEqual(redactor.summary(), { enabled: true, entities: { person_name: 1 }, reversible: true });
+
+    const sealed = sealVault(redactor.vault(), 'secret');
+    assert.equal(openVault(sealed, 'wrong'), null);
+    assert.deepEqual(revealPHI({ text: ['Hi [NAME_1]', '[NAME_2]'] }, openVault(sealed, 'secret')), { text: ['Hi John Smith', '[NAME_2]'] });
+  });
+
+  it('bleeps time ranges of 16-bit PCM WAV files only', () => {
+    const audio = wavFile(1000);
+    const bleeped = bleepWav(audio, [{ start: 0.5, end: 0.6 }], { padding: 0 });
+    const samples = (buffer, start, end) => buffer.subarray(44 + start * 32000, 44 + end * 32000);
+
+    assert.equal(bleeped.length, audio.length);
+    assert.ok(samples(bleeped, 0, 0.5).every(byte => byte === 0));
+    assert.ok(samples(bleeped, 0.5, 0.6).some(byte => byte !== 0));
+    assert.ok(samples(bleeped, 0.6, 1).every(byte => byte === 0));
+    assert.equal(bleepWav(Buffer.from('ID3 not a wav file'), []), null);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decodeToPcm, paceChunks, streamFile } = require('../lib/replay');
+const { createAudioToolkit } = require('../lib/audio');
+const { wavFile, pcmSilence } = require('./helpers');
+
+/**
+ * A provider whose real-time sessions count the audio they receive and send
+ * a partial and a final result for every second of it
+ * @param {string} id - Provider id
+ * @param {Object} [options] - { failConnect }
+ * @returns {Object} Provider with the bytes each session received
+ */
+function fakeProvider(id, options = {}) {
+  const provider = {
+    id,
+    received: 0,
+    closed: false,
+    createRealtimeSession: async ({ onTranscript }) => {
+      if (options.failConnect) throw new Error('refused');
+      return {
+        sendAudio: async chunk => {
+          provider.received += chunk.length;
+          if (provider.received % 32000 === 0) {
+            onTranscript('second', false);
+            onTranscript(`second ${provider.received / 32000}`, true);
+          }
+        },
+        close: async () => {
+          provider.closed = true;
+        }
+      };
+    }
+  };
+  return provider;
+}
+
+describe('replaying audio through real-time sessions', () => {
+  it('paces 100 ms chunks by the audio clock, or sends them at once', async () => {
+    const pcm = pcmSilence(1000);
+    const chunks = [];
+    let startedAt = Date.now();
+    assert.equal(await paceChunks(pcm, { speed: 5, send: chunk => chunks.push(chunk.length) }), pcm.length);
+    assert.ok(Date.now() - startedAt >= 170, 'a second of audio takes about 200 ms at 5x');
+    assert.deepEqual(chunks, Array(10).fill(3200));
+
+    startedAt = Date.now();
+    await paceChunks(pcm, { speed: Infinity, send: () => {} });
+    assert.ok(Date.now() - startedAt < 100);
+
+    let sent = 0;
+    await paceChunks(pcm, { speed: Infinity, send: () => { sent++; }, isStopped: () => sent === 3 });
+    assert.equal(sent, 3);
+  });
+
+  it('streams identical audio to every provider and collects their finals', async () => {
+    const good = fakeProvider('good');
+    const bad = fakeProvider('bad', { failConnect: true });
+    const seen = [];
+    const results = await streamFile([good, bad], pcmSilence(2000), {
+      speed: Infinity,
+      settleMs: 0,
+      onTranscript: (id, text, isFinal) => seen.push([id, isFinal])
+    });
+
+    assert.equal(good.received, 64000);
+    assert.ok(good.closed);
+    const { latency, stability, ...collected } = results.good;
+    assert.deepEqual(collected, { text: 'second 1 second 2', finals: ['second 1', 'second 2'], partials: 2, error: null });
+    assert.equal(typeof latency.firstPartial, 'number');
+    assert.equal(stability.utterances, 2);
+    assert.equal(results.bad.error, 'Failed to connect: refused');
+    assert.equal(seen.length, 4);
+  });
+
+  it('decodes WAV files without ffmpeg and refuses other formats', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-replay-'));
+    try {
+      const toolkit = createAudioToolkit({ ffmpegPath: '/nonexistent/ffmpeg', ffprobePath: '/nonexistent/ffprobe' });
+      await toolkit.detect();
+      fs.writeFileSync(path.join(dir, 'visit.wav'), wavFile(500));
+      fs.writeFileSync(path.join(dir, 'visit.ogg'), Buffer.from('OggS'));
+
+      assert.equal((await decodeToPcm(path.join(dir, 'visit.wav'), toolkit)).length, 16000);
+      await assert.rejects(decodeToPcm(path.join(dir, 'visit.ogg'), toolkit), /without ffmpeg/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
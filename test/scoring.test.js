@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { alignWords, computeWER } = require('../lib/scoring');
+
+describe('word error rate', () => {
+  it('counts substitutions, insertions and deletions', () => {
+    const score = computeWER('the crown on tooth fourteen is loose', 'the brown crown on tooth fourteen loose');
+
+    assert.equal(score.hits, 6);
+    assert.equal(score.substitutions, 0);
+    assert.equal(score.insertions, 1);
+    assert.equal(score.deletions, 1);
+    assert.equal(score.referenceWords, 7);
+    assert.equal(score.wer, 2 / 7);
+    assert.deepEqual(score.alignment.filter(entry => entry.type !== 'match'), [
+      { type: 'insertion', reference: null, hypothesis: 'brown' },
+      { type: 'deletion', reference: 'is', hypothesis: null }
+    ]);
+  });
+
+  it('prefers a substitution to a deletion and an insertion', () => {
+    const score = computeWER('Open wide, please.', 'open white please');
+    assert.deepEqual([score.substitutions, score.insertions, score.deletions], [1, 0, 0]);
+    assert.deepEqual(score.alignment[1], { type: 'substitution', reference: 'wide', hypothesis: 'white' });
+  });
+
+  it('scores after normalizing both texts with the profile', () => {
+    assert.equal(computeWER('Tooth 14.', 'tooth fourteen').wer, 0.5);
+    assert.equal(computeWER('Tooth 14.', 'tooth fourteen', { profile: 'verbatim' }).wer, 0);
+  });
+
+  it('handles empty transcripts', () => {
+    assert.equal(computeWER('', '').wer, 0);
+    assert.equal(computeWER('', 'hello').wer, null);
+    const missed = computeWER('open wide', '');
+    assert.equal(missed.wer, 1);
+    assert.equal(missed.deletions, 2);
+  });
+});
+
+describe('word alignment', () => {
+  it('aligns long transcripts in parts without changing the counts', () => {
+    const words = 'the patient has a cavity on tooth fourteen and needs a filling today'.split(' ');
+    const reference = Array.from({ length: 2500 }, (value, index) => words[index % words.length]);
+    const hypothesis = [];
+    reference.forEach((word, index) => {
+      if (index % 50 === 0) return;
+      hypothesis.push(index % 40 === 0 ? 'um' : word);
+      if (index % 70 === 0) hypothesis.push('uh');
+    });
+
+    const alignment = alignWords(reference, hypothesis);
+    const count = type => alignment.filter(entry => entry.type === type).length;
+
+    assert.deepEqual(alignment.filter(entry => entry.type !== 'insertion').map(entry => entry.reference), reference);
+    assert.deepEqual(alignment.filter(entry => entry.type !== 'deletion').map(entry => entry.hypothesis), hypothesis);
+    assert.equal(count('deletion'), 50);
+    assert.equal(count('substitution'), 50);
+    assert.equal(count('insertion'), 28);
+  });
+});
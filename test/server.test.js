@@ -0,0 +1,458 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, wavFile, waitForJob, submitBatch } = require('./helpers');
+
+describe('HTTP routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MOCK_FAIL: 'openai:batch' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('reports every mocked provider as configured on /health', async () => {
+    const response = await fetch(`${server.url}/health`);
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.status, 'healthy');
+    assert.deepEqual(body.services, { assemblyai: true, deepgram: true, openai: true });
+    assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+  });
+
+  it('runs a batch job across several providers and keeps partial failures', async () => {
+    const { status, body } = await submitBatch(server.url, {
+      audio: wavFile(1000),
+      fields: { reference: 'The patient reports sensitivity on the lower left molar.' }
+    });
+    assert.equal(status, 202);
+    assert.deepEqual(body.services, ['assemblyai', 'deepgram', 'openai']);
+
+    const job = await waitForJob(server.url, body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.services.assemblyai.status, 'completed');
+    assert.equal(job.services.deepgram.status, 'completed');
+    assert.equal(job.services.openai.status, 'failed');
+
+    const { results } = job.result;
+    for (const service of ['assemblyai', 'deepgram']) {
+      assert.equal(typeof results[service].text, 'string');
+      assert.ok(results[service].text.length > 0);
+      assert.equal(results[service].error, null);
+      assert.equal(typeof results[service].score.wer, 'number');
+    }
+    assert.equal(results.openai.text, null);
+    assert.match(results.openai.error, /Injected OpenAI failure/);
+    assert.equal(results.openai.score, null);
+
+    const comparison = await (await fetch(`${server.url}/comparisons/${job.result.comparisonId}`)).json();
+    assert.equal(comparison.mode, 'batch');
+    assert.deepEqual(comparison.services, ['assemblyai', 'deepgram', 'openai']);
+  });
+
+  it('scores diarization against a speaker-labelled reference and keeps renamed speakers', async () => {
+    const reference = [
+      'Dentist: The patient reports sensitivity on the lower left molar.',
+      'Assistant: We will take an x-ray of tooth number 19.',
+      'Dentist: Then we can schedule the filling for next week.'
+    ].join('\n');
+    const { body } = await submitBatch(server.url, {
+      audio: wavFile(1000),
+      services: ['deepgram', 'openai'],
+      fields: { reference }
+    });
+    const { result } = await waitForJob(server.url, body.jobId);
+
+    assert.equal(result.referenceSegments.length, 3);
+    assert.equal(result.results.deepgram.score.wer, 0);
+    assert.deepEqual(result.results.deepgram.score.diarization.mapping, { A: 'Dentist', B: 'Assistant' });
+    assert.equal(result.results.deepgram.score.diarization.wder, 0);
+
+    const url = `${server.url}/comparisons/${result.comparisonId}/speaker-names`;
+    const speakerNames = { deepgram: { A: 'Dr. Patel' } };
+    const saved = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ speakerNames })
+    });
+    assert.equal(saved.status, 200);
+
+    const comparison = await (await fetch(`${server.url}/comparisons/${result.comparisonId}`)).json();
+    assert.deepEqual(comparison.speakerNames, speakerNames);
+
+    const invalid = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ speakerNames: { deepgram: 'Dr. Patel' } })
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('runs batch jobs with a saved configuration profile and inline overrides', async () => {
+    const { profiles, default: defaultProfile } = await (await fetch(`${server.url}/config-profiles`)).json();
+    assert.equal(defaultProfile, 'dental-verbatim');
+    assert.deepEqual(profiles.filter(profile => profile.builtIn).map(profile => profile.id), ['dental-verbatim', 'clean-readable']);
+
+    const created = await fetch(`${server.url}/config-profiles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Medical models', providers: { deepgram: { model: 'nova-3-medical' }, openai: { model: 'whisper-1' } } })
+    });
+    assert.equal(created.status, 201);
+    const profile = await created.json();
+
+    const { status, body } = await submitBatch(server.url, {
+      audio: wavFile(500),
+      services: ['deepgram', 'openai'],
+      fields: { configProfile: profile.id, config: JSON.stringify({ deepgram: { model: 'nova-2' } }) }
+    });
+    assert.equal(status, 202);
+    const { result } = await waitForJob(server.url, body.jobId);
+
+    assert.equal(result.config.profile, profile.id);
+    assert.equal(result.config.providers.openai.model, 'whisper-1');
+    assert.equal(result.config.providers.deepgram.model, 'nova-2');
+    assert.equal(result.config.providers.deepgram.smart_format, true);
+    assert.equal(result.results.deepgram.details.model, 'nova-2');
+
+    const comparison = await (await fetch(`${server.url}/comparisons/${result.comparisonId}`)).json();
+    assert.deepEqual(comparison.settings.config, result.config);
+  });
+
+  it('rejects invalid configuration profiles and overrides', async () => {
+    const invalidProfile = await fetch(`${server.url}/config-profiles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Broken', providers: { deepgram: { model: 'nova-9' } } })
+    });
+    assert.equal(invalidProfile.status, 400);
+
+    const builtIn = await fetch(`${server.url}/config-profiles/dental-verbatim`, { method: 'DELETE' });
+    assert.equal(builtIn.status, 400);
+
+    const unknownProfile = await submitBatch(server.url, { audio: wavFile(100), fields: { configProfile: 'missing' } });
+    assert.equal(unknownProfile.status, 400);
+    assert.match(unknownProfile.body.error, /Unknown configuration profile/);
+
+    const invalidOverride = await submitBatch(server.url, {
+      audio: wavFile(100),
+      fields: { config: JSON.stringify({ openai: { temperature: 1 } }) }
+    });
+    assert.equal(invalidOverride.status, 400);
+    assert.match(invalidOverride.body.error, /Unknown OpenAI \(GPT-4o\) option: temperature/);
+  });
+
+  it('versions the custom vocabulary and records the version each run used', async () => {
+    const save = terms => fetch(`${server.url}/vocabulary`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ terms, note: 'dental terms' })
+    });
+
+    const first = await save(['periapical', ' mesial occlusal ', 'Periapical', '']);
+    assert.equal(first.status, 201);
+    assert.deepEqual(await first.json(), await (await fetch(`${server.url}/vocabulary/1`)).json());
+    assert.equal((await save('periapical\nmesial occlusal')).status, 200, 'unchanged list is not a new version');
+    assert.equal((await save(['periapical', 'mesial occlusal', 'Filtek Supreme'])).status, 201);
+
+    const { current, versions } = await (await fetch(`${server.url}/vocabulary`)).json();
+    assert.equal(current.version, 2);
+    assert.deepEqual(versions.map(version => [version.version, version.count]), [[2, 3], [1, 2]]);
+
+    const { status, body } = await submitBatch(server.url, {
+      audio: wavFile(500),
+      services: ['deepgram'],
+      fields: { vocabulary: '1' }
+    });
+    assert.equal(status, 202);
+    const { result } = await waitForJob(server.url, body.jobId);
+    assert.deepEqual(result.vocabulary, { version: 1, terms: ['periapical', 'mesial occlusal'] });
+    assert.equal(result.results.deepgram.error, null);
+
+    const comparison = await (await fetch(`${server.url}/comparisons/${result.comparisonId}`)).json();
+    assert.deepEqual(comparison.settings.vocabulary, result.vocabulary);
+
+    const unknown = await submitBatch(server.url, { audio: wavFile(100), fields: { vocabulary: '9' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown vocabulary version: 9/);
+    assert.equal((await save({ terms: 'not a list' })).status, 400);
+  });
+
+  it('scores keyword recall against the saved keyword list', async () => {
+    const put = keywords => fetch(`${server.url}/keywords`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keywords })
+    });
+    assert.equal((await put({ Procedures: ['x-ray', 'crown'], 'Tooth numbers': ['tooth number 19'] })).status, 200);
+    assert.equal((await put(['x-ray'])).status, 400);
+
+    const { body } = await submitBatch(server.url, {
+      audio: wavFile(500),
+      services: ['assemblyai', 'deepgram'],
+      fields: { reference: 'The patient reports sensitivity on the lower left molar. We will take an x-ray of tooth number 19. Then we can schedule the filling for next week.' }
+    });
+    const { result } = await waitForJob(server.url, body.jobId);
+
+    const deepgram = result.results.deepgram.score.keywords;
+    assert.equal(deepgram.recall, 1);
+    assert.deepEqual(deepgram.categories, {
+      Procedures: { occurrences: 1, hits: 1, recall: 1 },
+      'Tooth numbers': { occurrences: 1, hits: 1, recall: 1 }
+    });
+
+    // AssemblyAI spells the number out, which the basic profile keeps as a word
+    const assemblyai = result.results.assemblyai.score.keywords;
+    assert.equal(assemblyai.recall, 0.5);
+    assert.deepEqual(assemblyai.terms.find(term => term.term === 'tooth number 19').substitutedAs, ['tooth number nineteen']);
+
+    const reset = await (await fetch(`${server.url}/keywords`, { method: 'DELETE' })).json();
+    assert.equal(reset.builtIn, true);
+    assert.ok(reset.keywords.Surfaces.includes('mesial'));
+  });
+
+  it('rejects uploads with an unsupported mimetype', async () => {
+    const { status, body } = await submitBatch(server.url, {
+      audio: Buffer.from('not audio'),
+      filename: 'notes.txt',
+      mimetype: 'text/plain'
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid file type/);
+  });
+
+  it('probes uploaded audio and accepts mimetype aliases', async () => {
+    const { status, body } = await submitBatch(server.url, {
+      audio: wavFile(1500),
+      mimetype: 'audio/x-wav',
+      services: ['deepgram']
+    });
+    assert.equal(status, 202);
+
+    const job = await waitForJob(server.url, body.jobId);
+    assert.equal(job.result.audioInfo.duration, 1.5);
+    assert.equal(job.result.audioInfo.sampleRate, 16000);
+    assert.equal(job.result.audioInfo.channels, 1);
+    assert.equal(job.result.audioInfo.type, 'audio/wav');
+    assert.deepEqual(job.result.audioFormat, { requested: 'auto', providers: { deepgram: 'original' } });
+  });
+
+  it('takes resumable chunked uploads and transcribes them by upload id', async () => {
+    const audio = wavFile(1000);
+    const json = { 'Content-Type': 'application/json' };
+    const created = await fetch(`${server.url}/uploads`, {
+      method: 'POST',
+      headers: json,
+      body: JSON.stringify({ filename: 'long.wav', mimetype: 'audio/wav', size: audio.length })
+    });
+    assert.equal(created.status, 201);
+    const { id, received } = await created.json();
+    assert.equal(received, 0);
+
+    const put = (offset, chunk) => fetch(`${server.url}/uploads/${id}?offset=${offset}`, { method: 'PUT', body: chunk });
+    assert.equal((await (await put(0, audio.subarray(0, 10000))).json()).received, 10000);
+
+    // A retried chunk at a stale offset is refused with the count to resume from
+    const stale = await put(0, audio.subarray(0, 10000));
+    assert.equal(stale.status, 409);
+    assert.equal((await stale.json()).received, 10000);
+    assert.equal((await (await fetch(`${server.url}/uploads/${id}`)).json()).received, 10000);
+
+    const early = await submitBatch(server.url, { services: ['deepgram'], fields: { uploadId: id } });
+    assert.equal(early.status, 400);
+    assert.match(early.body.error, /incomplete/);
+
+    await put(10000, audio.subarray(10000));
+    // A refused request leaves the upload in place for a corrected retry
+    const invalid = await submitBatch(server.url, { services: ['deepgram'], fields: { uploadId: id, normalization: 'nope' } });
+    assert.equal(invalid.status, 400);
+    assert.equal((await fetch(`${server.url}/uploads/${id}`)).status, 200);
+
+    const { status, body } = await submitBatch(server.url, { services: ['deepgram'], fields: { uploadId: id } });
+    assert.equal(status, 202);
+    const job = await waitForJob(server.url, body.jobId);
+    assert.equal(job.result.audioInfo.duration, 1);
+    assert.equal(typeof job.result.results.deepgram.text, 'string');
+
+    assert.equal((await fetch(`${server.url}/uploads/${id}`)).status, 404);
+    const rejected = await fetch(`${server.url}/uploads`, {
+      method: 'POST',
+      headers: json,
+      body: JSON.stringify({ filename: 'notes.txt', mimetype: 'text/plain', size: 10 })
+    });
+    assert.equal(rejected.status, 400);
+  });
+
+  it('rejects unknown audio formats', async () => {
+    const { status, body } = await submitBatch(server.url, {
+      audio: wavFile(500),
+      fields: { audioFormat: 'mp3' }
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /Unknown audio format/);
+  });
+
+  it('rejects uploads over the size limit', async () => {
+    const { status, body } = await submitBatch(server.url, {
+      audio: Buffer.alloc(26 * 1024 * 1024)
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /too large/);
+  });
+
+  it('aligns two transcripts for the diff view', async () => {
+    const response = await fetch(`${server.url}/align`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reference: 'Take an x-ray of tooth 19.', hypothesis: 'take the x-ray of tooth', normalization: 'raw' })
+    });
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.normalization, 'raw');
+    assert.deepEqual(body.alignment.map(entry => entry.type), ['substitution', 'substitution', 'match', 'match', 'match', 'deletion']);
+    assert.deepEqual(body.alignment[5], { type: 'deletion', reference: '19.', hypothesis: null });
+  });
+
+  it('rejects alignment requests without both transcripts', async () => {
+    const response = await fetch(`${server.url}/align`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reference: 'only one side' })
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects re-scoring without a reference or for unknown comparisons', async () => {
+    const score = (id, body) => fetch(`${server.url}/comparisons/${id}/score`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const missing = '00000000-0000-0000-0000-000000000000';
+    assert.equal((await score(missing, { reference: '  ' })).status, 400);
+    assert.equal((await score(missing, { reference: 'Text', normalization: 'nope' })).status, 400);
+    assert.equal((await score(missing, { reference: 'Text' })).status, 404);
+    assert.equal((await fetch(`${server.url}/comparisons/${missing}/events`)).status, 404);
+  });
+
+  it('rejects uploads without services', async () => {
+    const { status, body } = await submitBatch(server.url, { audio: wavFile(100), services: [] });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'No services selected');
+  });
+
+  it('rejects uploads when none of the services can transcribe them', async () => {
+    const { status, body } = await submitBatch(server.url, { audio: wavFile(100), services: ['nope'] });
+    assert.equal(status, 400);
+    assert.match(body.error, /None of the selected services.*nope/);
+
+    const partial = await submitBatch(server.url, { audio: wavFile(100), services: ['deepgram', 'nope'] });
+    assert.equal(partial.status, 202);
+    assert.deepEqual(partial.body.services, ['deepgram']);
+    assert.deepEqual(partial.body.skipped, ['nope']);
+    await waitForJob(server.url, partial.body.jobId);
+  });
+
+  it('rejects a services field that is not a JSON array', async () => {
+    const form = new FormData();
+    form.append('audio', new Blob([wavFile(100)], { type: 'audio/wav' }), 'sample.wav');
+    form.append('services', '[deepgram');
+    const response = await fetch(`${server.url}/transcribe-batch`, { method: 'POST', body: form });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /JSON array/);
+  });
+});
+
+describe('PHI redaction', () => {
+  const TRANSCRIPT = 'Hello Mrs. Ortiz, your date of birth is March 3rd, 1985. We will call you on 555-123-4567.';
+  let server;
+
+  before(async () => {
+    server = await startServer({ MOCK_TRANSCRIPT: TRANSCRIPT, PHI_REVEAL_KEY: 'test-reveal-key' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('redacts results, the reference and the stored audio, and reveals them with the key', async () => {
+    const put = policy => fetch(`${server.url}/redaction`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(policy)
+    });
+    assert.equal((await put({ entities: ['fingerprint'] })).status, 400);
+    assert.equal((await put({ reversible: true, bleepAudio: true })).status, 200);
+
+    const audio = wavFile(6000);
+    const { body } = await submitBatch(server.url, {
+      audio,
+      services: ['deepgram'],
+      fields: { reference: 'Hello Mrs. Ortiz, your date of birth is March 3rd, 1985.' }
+    });
+    const { result } = await waitForJob(server.url, body.jobId);
+
+    const deepgram = result.results.deepgram;
+    assert.equal(deepgram.text, 'Hello Mrs. [NAME_1], your date of birth is [DATE_1]. We will call you on [PHONE_1].');
+    assert.deepEqual(deepgram.words[2], { ...deepgram.words[2], text: '[NAME_1],', start: 0.6 });
+    assert.equal(result.reference, 'Hello Mrs. [NAME_1], your date of birth is [DATE_1].');
+    assert.deepEqual(result.redaction.entities, { person_name: 1, date: 1, phone_number: 1 });
+    assert.deepEqual(result.redaction.audio, { bleeped: true, ranges: 3 });
+
+    const stored = fs.readFileSync(path.join(server.dataDir, 'comparisons', `${result.comparisonId}.json`), 'utf8');
+    assert.ok(!/Ortiz|1985|4567/.test(stored));
+    const storedAudio = Buffer.from(await (await fetch(`${server.url}/comparisons/${result.comparisonId}/audio`)).arrayBuffer());
+    assert.equal(storedAudio.length, audio.length);
+    assert.notDeepEqual(storedAudio, audio);
+
+    const reveal = key => fetch(`${server.url}/comparisons/${result.comparisonId}/reveal`, {
+      method: 'POST',
+      headers: { 'X-PHI-Reveal-Key': key }
+    });
+    assert.equal((await reveal('wrong key')).status, 403);
+    const revealed = await (await reveal('test-reveal-key')).json();
+    assert.equal(revealed.results.deepgram.text, TRANSCRIPT);
+    assert.equal(revealed.settings.reference, 'Hello Mrs. Ortiz, your date of birth is March 3rd, 1985.');
+
+    // Re-scoring redacts the new reference so its placeholders line up with the stored transcript
+    const rescored = await (await fetch(`${server.url}/comparisons/${result.comparisonId}/score`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reference: TRANSCRIPT })
+    })).json();
+    assert.equal(rescored.results.deepgram.score.wer, 0);
+    assert.equal(rescored.settings.reference, 'Hello Mrs. [NAME], your date of birth is [DATE]. We will call you on [PHONE].');
+  });
+
+  it('needs the reveal key to redact less, and records the policy with each comparison', async () => {
+    const put = (policy, key) => fetch(`${server.url}/redaction`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...(key ? { 'X-PHI-Reveal-Key': key } : {}) },
+      body: JSON.stringify(policy)
+    });
+    const all = ['person_name', 'date', 'phone_number', 'email_address', 'id_number', 'ssn'];
+    // The previous test left audio bleeping on
+    assert.equal((await put({ entities: all })).status, 403);
+    assert.equal((await put({ entities: all }, 'test-reveal-key')).status, 200);
+    assert.equal((await put({ enabled: false })).status, 403);
+    assert.equal((await put({ entities: ['person_name'] }, 'wrong key')).status, 403);
+    // Adding to the policy needs no key
+    assert.equal((await put({ entities: all, names: ['Zebulon'] })).status, 200);
+
+    const saved = await put({ entities: ['person_name'] }, 'test-reveal-key');
+    assert.equal(saved.status, 200);
+    const { policy } = await saved.json();
+    assert.ok(policy.updatedAt);
+
+    const { body } = await submitBatch(server.url, { audio: wavFile(500), services: ['deepgram'] });
+    const { result } = await waitForJob(server.url, body.jobId);
+    assert.deepEqual(result.redaction.policy, { entities: ['person_name'], names: 0, bleepAudio: false, updatedAt: policy.updatedAt });
+    assert.match(result.results.deepgram.text, /1985/);
+  });
+});
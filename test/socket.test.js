@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { startServer, pcmSilence, waitForEvent } = require('./helpers');
+
+/**
+ * Connect a Socket.IO client to the test server
+ * @param {string} url - Server URL
+ * @returns {Promise<Object>} Connected socket
+ */
+async function connect(url) {
+  const socket = io(url, { transports: ['websocket'], reconnection: false });
+  await waitForEvent(socket, 'connect');
+  return socket;
+}
+
+/**
+ * Stream silence in 100 ms chunks, as the browser does
+ * @param {Object} socket - Connected socket
+ * @param {number} durationMs - Audio to send
+ */
+async function streamAudio(socket, durationMs) {
+  for (let sent = 0; sent < durationMs; sent += 100) {
+    socket.emit('audioData', pcmSilence(100));
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Fetch the stored comparisons of one mode
+ * @param {string} url - Server URL
+ * @param {string} mode - 'batch' or 'realtime'
+ * @returns {Promise<Object[]>} Comparison summaries
+ */
+async function listComparisons(url, mode) {
+  return (await (await fetch(`${url}/comparisons?mode=${mode}`)).json()).comparisons;
+}
+
+describe('real-time socket lifecycle', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MOCK_FAIL: 'deepgram:realtime' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('streams transcripts, reports failed services and saves the session on endStream', async () => {
+    const socket = await connect(server.url);
+    try {
+      const results = [];
+      const errors = [];
+      socket.on('transcriptResult', result => results.push(result));
+      socket.on('serviceError', error => errors.push(error));
+
+      const ready = waitForEvent(socket, 'streamReady');
+      socket.emit('startStream', {
+        services: ['assemblyai', 'deepgram', 'openai'],
+        sampleRate: 16000,
+        source: { type: 'file', filename: 'visit.wav', speed: 4 }
+      });
+      assert.deepEqual((await ready).services, ['assemblyai', 'openai']);
+
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].service, 'deepgram');
+      assert.match(errors[0].error, /^Failed to connect/);
+
+      const assemblyFinal = waitForEvent(socket, 'transcriptResult', result => result.service === 'assemblyai' && result.isFinal);
+      const openaiFinal = waitForEvent(socket, 'transcriptResult', result => result.service === 'openai' && result.isFinal);
+      await streamAudio(socket, 3000);
+      await Promise.all([assemblyFinal, openaiFinal]);
+
+      const interim = results.filter(result => result.service === 'assemblyai' && !result.isFinal);
+      assert.ok(interim.length > 0);
+      results.forEach(result => {
+        assert.equal(typeof result.transcript, 'string');
+        assert.equal(typeof result.latency, 'number');
+        assert.ok(result.latency >= 0);
+        assert.equal(typeof result.metrics.firstPartial, 'number');
+      });
+      assert.ok(!results.some(result => result.service === 'deepgram'));
+
+      const ended = waitForEvent(socket, 'streamEnded');
+      socket.emit('endStream');
+      const { comparisonId, metrics, stability } = await ended;
+      assert.ok(comparisonId);
+      // AssemblyAI times its words; OpenAI's chunks only time the end of each result
+      assert.ok(metrics.assemblyai.wordDelay.count > 0);
+      assert.ok(metrics.assemblyai.finalization.count > 0);
+      assert.equal(metrics.openai.wordDelay.count, 0);
+      assert.ok(metrics.openai.finalization.count > 0);
+      // The mock's AssemblyAI partials only ever grow, so its words never change
+      assert.ok(stability.assemblyai.interims > 0);
+      assert.equal(stability.assemblyai.score, 1);
+      assert.equal(stability.openai.interims, 0);
+      assert.equal(stability.openai.score, null);
+
+      const finals = results.filter(result => result.isFinal && result.service === 'assemblyai');
+      assert.ok(finals.every(result => result.revisions && result.revisions[result.revisions.length - 1].isFinal));
+      assert.ok(results.filter(result => !result.isFinal).every(result => !result.revisions));
+
+      const comparison = await (await fetch(`${server.url}/comparisons/${comparisonId}`)).json();
+      assert.equal(comparison.mode, 'realtime');
+      assert.deepEqual(comparison.services, ['assemblyai', 'openai']);
+      assert.match(comparison.results.assemblyai.text, /The patient reports sensitivity/);
+      assert.deepEqual(comparison.results.assemblyai.latency, metrics.assemblyai);
+      assert.deepEqual(comparison.results.assemblyai.stability, stability.assemblyai);
+      assert.deepEqual(comparison.settings.source, { type: 'file', filename: 'visit.wav', speed: 4 });
+      assert.equal(comparison.audioInfo.duration, 3);
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('records the audio and every transcript event of a session, which can be re-scored', async () => {
+    const socket = await connect(server.url);
+    try {
+      const ready = waitForEvent(socket, 'streamReady');
+      socket.emit('startStream', { services: ['assemblyai'], sampleRate: 16000, record: true });
+      await ready;
+
+      const final = waitForEvent(socket, 'transcriptResult', result => result.isFinal);
+      await streamAudio(socket, 3000);
+      await final;
+
+      const ended = waitForEvent(socket, 'streamEnded');
+      socket.emit('endStream');
+      const { comparisonId } = await ended;
+
+      const comparison = await (await fetch(`${server.url}/comparisons/${comparisonId}`)).json();
+      assert.equal(comparison.audio.mimetype, 'audio/wav');
+      assert.equal(comparison.audio.filename, 'recording.wav');
+      assert.equal(comparison.audio.size, 44 + 3 * 16000 * 2);
+
+      const wav = Buffer.from(await (await fetch(`${server.url}/comparisons/${comparisonId}/audio`)).arrayBuffer());
+      assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+      assert.equal(wav.readUInt32LE(24), 16000);
+      assert.equal(wav.readUInt32LE(40), 3 * 16000 * 2);
+
+      const { events } = await (await fetch(`${server.url}/comparisons/${comparisonId}/events`)).json();
+      assert.equal(comparison.events.count, events.length);
+      assert.ok(events.some(event => event.type === 'transcript' && !event.isFinal));
+      assert.ok(events.some(event => event.type === 'transcript' && event.isFinal));
+      events.forEach((event, index) => {
+        assert.equal(event.service, 'assemblyai');
+        assert.ok(index === 0 || event.t >= events[index - 1].t);
+        assert.ok(event.audioTime >= 0 && event.audioTime <= 3);
+      });
+
+      const response = await fetch(`${server.url}/comparisons/${comparisonId}/score`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reference: comparison.results.assemblyai.text })
+      });
+      assert.equal(response.status, 200);
+      const scored = await response.json();
+      assert.equal(scored.results.assemblyai.score.wer, 0);
+      assert.equal(scored.settings.reference, comparison.results.assemblyai.text);
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('closes sessions and saves what was transcribed when the client disconnects', async () => {
+    const before = await listComparisons(server.url, 'realtime');
+    const socket = await connect(server.url);
+
+    const ready = waitForEvent(socket, 'streamReady');
+    socket.emit('startStream', { services: ['assemblyai'], sampleRate: 16000 });
+    await ready;
+
+    const final = waitForEvent(socket, 'transcriptResult', result => result.isFinal);
+    await streamAudio(socket, 3000);
+    await final;
+    socket.close();
+
+    // The server saves the session after its own disconnect handling
+    let after = before;
+    for (let attempt = 0; attempt < 50 && after.length === before.length; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      after = await listComparisons(server.url, 'realtime');
+    }
+    assert.equal(after.length, before.length + 1);
+    assert.deepEqual(after[0].services, ['assemblyai']);
+  });
+
+  it('refuses to start a stream with an unknown configuration profile', async () => {
+    const socket = await connect(server.url);
+    try {
+      const failed = waitForEvent(socket, 'streamError');
+      socket.emit('startStream', { services: ['assemblyai'], configProfile: 'missing' });
+      assert.match((await failed).error, /Unknown configuration profile: missing/);
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('ends a stream with no services without saving anything', async () => {
+    const socket = await connect(server.url);
+    try {
+      const ready = waitForEvent(socket, 'streamReady');
+      socket.emit('startStream', { services: [] });
+      assert.deepEqual((await ready).services, []);
+
+      const ended = waitForEvent(socket, 'streamEnded');
+      socket.emit('endStream');
+      assert.equal((await ended).comparisonId, null);
+    } finally {
+      socket.close();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitWav, splitWavFile, stitchResults, transcribeWithLimit } = require('../lib/splitting');
+const { parseWavHeader } = require('../lib/audio');
+const { createWord } = require('../lib/transcript');
+const { wavFile } = require('./helpers');
+
+/**
+ * A 16 kHz mono WAV of tone, with silence over the given ranges
+ * @param {number} seconds - Duration
+ * @param {Object[]} silences - { start, end } in seconds
+ * @returns {Buffer} WAV file contents
+ */
+function toneWav(seconds, silences) {
+  const wav = wavFile(seconds * 1000);
+  for (let i = 0; i < seconds * 16000; i++) {
+    const time = i / 16000;
+    if (!silences.some(range => time >= range.start && time < range.end)) {
+      wav.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * 440 * time)), 44 + i * 2);
+    }
+  }
+  return wav;
+}
+
+describe('splitting long audio', () => {
+  it('cuts WAV files at the quietest point before each segment would be too large', () => {
+    // 32000 bytes per second, so segments of at most ~1.5 s
+    const segments = splitWav(toneWav(4, [{ start: 1.2, end: 1.3 }, { start: 2.5, end: 2.6 }]), 50000);
+
+    assert.equal(segments.length, 3);
+    assert.equal(segments[0].start, 0);
+    assert.ok(segments[0].end > 1.2 && segments[0].end < 1.3, `first cut at ${segments[0].end}`);
+    assert.ok(segments[1].end > 2.5 && segments[1].end < 2.6, `second cut at ${segments[1].end}`);
+    assert.equal(segments[2].end, 4);
+    segments.forEach(segment => {
+      assert.ok(segment.buffer.length <= 50000);
+      const wav = parseWavHeader(segment.buffer);
+      assert.equal(wav.dataLength, Math.round((segment.end - segment.start) * 16000) * 2);
+    });
+    assert.equal(splitWav(Buffer.from('ID3 not a wav file'), 50000), null);
+  });
+
+  it('splits WAV files on disk at the same points, reading each segment when sent', async () => {
+    const audio = toneWav(4, [{ start: 1.2, end: 1.3 }, { start: 2.5, end: 2.6 }]);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-split-'));
+    const filePath = path.join(dir, 'long.wav');
+    fs.writeFileSync(filePath, audio);
+
+    const inMemory = splitWav(audio, 50000);
+    const onDisk = await splitWavFile(filePath, 50000);
+    assert.deepEqual(onDisk.map(segment => [segment.start, segment.end]), inMemory.map(segment => [segment.start, segment.end]));
+    assert.deepEqual(await onDisk[1].read(), inMemory[1].buffer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stitches segment results onto one timeline', () => {
+    const part = (text, start, confidence) => ({
+      text,
+      time: 100,
+      confidence,
+      error: null,
+      words: [createWord({ text, start: 0.5, end: 0.9, confidence })],
+      enrichments: null,
+      details: { model: 'whisper-1' }
+    });
+    const stitched = stitchResults([
+      { start: 0, end: 10, result: part('Hello', 0, 0.8) },
+      { start: 10, end: 20.5, result: part('again.', 10, 0.6) }
+    ]);
+
+    assert.equal(stitched.text, 'Hello again.');
+    assert.equal(stitched.time, 200);
+    assert.equal(stitched.confidence, 0.7);
+    assert.deepEqual(stitched.words.map(word => [word.start, word.end]), [[0.5, 0.9], [10.5, 10.9]]);
+    assert.deepEqual(stitched.details, { model: 'whisper-1', segments: [{ start: 0, end: 10 }, { start: 10, end: 20.5 }] });
+
+    const failed = stitchResults([{ start: 0, end: 10, result: { ...part('Hi', 0, null), error: 'Timeout' } }], 3);
+    assert.equal(failed.text, null);
+    assert.equal(failed.error, 'Segment 1 of 3 failed: Timeout');
+  });
+
+  it('sends audio under the size limit whole and splits the rest', async () => {
+    const calls = [];
+    const provider = {
+      name: 'Capped',
+      maxFileSize: 50000,
+      transcribeBatch: async (buffer, options) => {
+        calls.push(options);
+        return { text: 'word', time: 1, confidence: null, error: null, words: [createWord({ text: 'word', start: 0, end: 0.1 })], enrichments: null, details: {} };
+      }
+    };
+
+    await transcribeWithLimit(provider, wavFile(1000), { filename: 'short.wav', mimetype: 'audio/wav' });
+    assert.deepEqual(calls.map(call => call.filename), ['short.wav']);
+
+    calls.length = 0;
+    const result = await transcribeWithLimit(provider, wavFile(4000), { filename: 'long.wav', mimetype: 'audio/wav', config: { model: 'x' } });
+    assert.deepEqual(calls.map(call => call.filename), ['long_part1.wav', 'long_part2.wav', 'long_part3.wav']);
+    assert.ok(calls.every(call => call.config.model === 'x' && !('toWav' in call)));
+    assert.equal(result.text, 'word word word');
+    assert.equal(result.details.segments.length, 3);
+
+    // A file on disk over the limit is never read whole
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-split-'));
+    const filePath = path.join(dir, 'long.wav');
+    fs.writeFileSync(filePath, wavFile(4000));
+    calls.length = 0;
+    const file = { path: filePath, size: fs.statSync(filePath).size, read: () => assert.fail('read the whole file') };
+    assert.equal((await transcribeWithLimit(provider, file, { filename: 'long.wav', mimetype: 'audio/wav' })).text, 'word word word');
+    assert.equal(calls.length, 3);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    await assert.rejects(
+      transcribeWithLimit(provider, Buffer.alloc(60000), { filename: 'long.mp3', mimetype: 'audio/mpeg' }),
+      /splitting longer audio needs ffmpeg/
+    );
+  });
+});
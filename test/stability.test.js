@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStabilityTracker } = require('../lib/stability');
+
+describe('interim result stability', () => {
+  it('counts revisions and changed words, and times each word until it settles', () => {
+    const tracker = createStabilityTracker();
+    assert.equal(tracker.observe('a', { text: 'the patient', isFinal: false }, 0), null);
+    tracker.observe('a', { text: 'the patients report', isFinal: false }, 100);
+    tracker.observe('a', { text: 'the patient reports sensitivity', isFinal: false }, 200);
+    // Formatting alone is not a revision
+    const history = tracker.observe('a', { text: 'The patient reports sensitivity.', isFinal: true }, 300);
+
+    assert.deepEqual(history.map(entry => [entry.t, entry.isFinal, entry.changed]), [
+      [0, false, 0],
+      [100, false, 1],
+      [200, false, 2],
+      [300, true, 0]
+    ]);
+    assert.equal(history[3].text, 'The patient reports sensitivity.');
+
+    const summary = tracker.summary('a');
+    assert.equal(summary.utterances, 1);
+    assert.equal(summary.interims, 3);
+    assert.equal(summary.revisions, 2);
+    assert.equal(summary.wordsChanged, 3);
+    // "the" and "sensitivity" never changed; "patient" settled after 200 ms, "reports" after 100 ms
+    assert.equal(summary.score, 0.5);
+    assert.equal(summary.timeToStable.count, 4);
+    assert.equal(summary.timeToStable.p90, 200);
+  });
+
+  it('leaves the score empty for providers without interim results', () => {
+    const tracker = createStabilityTracker();
+    assert.equal(tracker.observe('a', { text: '', isFinal: false }, 0), null);
+    assert.deepEqual(tracker.observe('a', { text: 'final only', isFinal: true }, 50), [
+      { t: 0, text: 'final only', isFinal: true, changed: 0 }
+    ]);
+
+    const summary = tracker.summary('a');
+    assert.equal(summary.utterances, 1);
+    assert.equal(summary.interims, 0);
+    assert.equal(summary.score, null);
+    assert.equal(tracker.summary('b').utterances, 0);
+    assert.deepEqual(Object.keys(tracker.summaries()), ['a']);
+  });
+});
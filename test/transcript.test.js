@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { speakerLabel, createWord, wordsFromText, averageConfidence, hasTimestamps } = require('../lib/transcript');
+
+describe('transcript schema', () => {
+  it('labels numbered speakers with letters and keeps named ones', () => {
+    assert.equal(speakerLabel(0), 'A');
+    assert.equal(speakerLabel(2), 'C');
+    assert.equal(speakerLabel('B'), 'B');
+    assert.equal(speakerLabel(undefined), null);
+  });
+
+  it('derives the bare word from the displayed text', () => {
+    assert.deepEqual(createWord({ text: '"Molar,"', start: 1.5, end: 2, confidence: 0.8, speaker: 1 }), {
+      word: 'molar',
+      text: '"Molar,"',
+      start: 1.5,
+      end: 2,
+      confidence: 0.8,
+      speaker: 'B'
+    });
+    assert.equal(createWord({ text: "patient's" }).word, "patient's");
+    assert.equal(createWord({ text: 'x-ray.' }).word, 'x-ray');
+  });
+
+  it('splits untimed text into words', () => {
+    const words = wordsFromText('  Tooth 19,  please. ');
+    assert.deepEqual(words.map(word => word.word), ['tooth', '19', 'please']);
+    assert.ok(words.every(word => word.start === null && word.speaker === null));
+    assert.equal(hasTimestamps(words), false);
+  });
+
+  it('averages only known confidences', () => {
+    assert.equal(averageConfidence([createWord({ text: 'a', confidence: 0.5 }), createWord({ text: 'b', confidence: 1 }), createWord({ text: 'c' })]), 0.75);
+    assert.equal(averageConfidence(wordsFromText('no scores')), null);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeTerms, vocabularyPrompt, createVocabularyStore, MAX_TERMS } = require('../lib/vocabulary');
+
+describe('vocabulary terms', () => {
+  it('trims terms and drops blanks and case-insensitive duplicates', () => {
+    assert.deepEqual(normalizeTerms(['  Filtek   Supreme ', '', 'MOD', 'filtek supreme']), ['Filtek Supreme', 'MOD']);
+    assert.deepEqual(normalizeTerms('periapical\r\n\nbuccal\n'), ['periapical', 'buccal']);
+  });
+
+  it('rejects anything but strings and lists over the limits with status 400', () => {
+    const cases = [
+      [[1, 2], /array of strings/],
+      [{ terms: [] }, /array of strings/],
+      [['x'.repeat(51)], /at most 50 characters/],
+      [Array.from({ length: MAX_TERMS + 1 }, (value, index) => `term ${index}`), /at most 200 terms/]
+    ];
+    cases.forEach(([terms, message]) => {
+      assert.throws(() => normalizeTerms(terms), error => error.status === 400 && message.test(error.message));
+    });
+  });
+
+  it('appends the terms to a prompt', () => {
+    assert.equal(vocabularyPrompt('Transcribe in English.', ['MOD', 'buccal']), 'Transcribe in English. Vocabulary: MOD, buccal.');
+    assert.equal(vocabularyPrompt('', ['MOD']), 'Vocabulary: MOD.');
+    assert.equal(vocabularyPrompt('Transcribe in English.', []), 'Transcribe in English.');
+  });
+
+  it('numbers versions saved at the same time one after another', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-vocabulary-'));
+    const store = createVocabularyStore({ dataDir });
+    const saved = await Promise.all([
+      store.save({ terms: ['periapical'] }),
+      store.save({ terms: ['buccal'] }),
+      store.save({ terms: ['buccal'] })
+    ]);
+
+    assert.deepEqual(saved.map(({ created, vocabulary }) => [created, vocabulary.version]), [[true, 1], [true, 2], [false, 2]]);
+    assert.deepEqual((await store.list()).map(entry => entry.version), [2, 1]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+});